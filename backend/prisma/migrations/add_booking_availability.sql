@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "bookingConfig" JSONB;
+
+-- AlterTable
+ALTER TABLE "services" ADD COLUMN "bufferBefore" INTEGER;
+ALTER TABLE "services" ADD COLUMN "bufferAfter" INTEGER;
+
+-- AlterTable
+ALTER TABLE "bookings" ADD COLUMN "endTime" TIMESTAMP(3);
+ALTER TABLE "bookings" ADD COLUMN "serviceId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "bookings_serviceId_idx" ON "bookings"("serviceId");
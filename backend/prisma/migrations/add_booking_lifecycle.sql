@@ -0,0 +1,67 @@
+-- AlterTable
+ALTER TABLE "bookings" ADD COLUMN "checkedInAt" TIMESTAMP(3),
+ADD COLUMN "cancelledAt" TIMESTAMP(3),
+ADD COLUMN "cancelReason" TEXT,
+ADD COLUMN "calendarEventId" TEXT;
+
+-- CreateTable
+CREATE TABLE "booking_events" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "fromDate" TIMESTAMP(3),
+    "toDate" TIMESTAMP(3),
+    "fromStatus" TEXT,
+    "toStatus" TEXT,
+    "reason" TEXT,
+    "late" BOOLEAN NOT NULL DEFAULT false,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "booking_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "waitlist_entries" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "serviceId" TEXT,
+    "phone" TEXT NOT NULL,
+    "earliest" TIMESTAMP(3),
+    "latest" TIMESTAMP(3),
+    "status" TEXT NOT NULL DEFAULT 'waiting',
+    "bookingId" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "waitlist_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "waitlist_offers" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "serviceId" TEXT,
+    "resourceId" TEXT,
+    "start" TIMESTAMP(3) NOT NULL,
+    "entryIds" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "claimedById" TEXT,
+    "bookingId" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "waitlist_offers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "booking_events_bookingId_idx" ON "booking_events"("bookingId");
+CREATE INDEX "booking_events_tenantId_idx" ON "booking_events"("tenantId");
+CREATE INDEX "waitlist_entries_tenantId_status_idx" ON "waitlist_entries"("tenantId", "status");
+CREATE INDEX "waitlist_entries_phone_idx" ON "waitlist_entries"("phone");
+CREATE INDEX "waitlist_offers_tenantId_status_idx" ON "waitlist_offers"("tenantId", "status");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "booking_resources" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'staff',
+    "userId" TEXT,
+    "hours" JSONB,
+    "serviceIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "booking_resources_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "booking_resources_tenantId_name_key" ON "booking_resources"("tenantId", "name");
+CREATE INDEX "booking_resources_tenantId_idx" ON "booking_resources"("tenantId");
+CREATE INDEX "booking_resources_userId_idx" ON "booking_resources"("userId");
+
+-- AlterTable
+ALTER TABLE "bookings" ADD COLUMN "resourceId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "bookings_resourceId_idx" ON "bookings"("resourceId");
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "bookings" ADD COLUMN "seriesId" TEXT,
+ADD COLUMN "originalDate" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "booking_series" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "serviceId" TEXT,
+    "resourceId" TEXT,
+    "purpose" TEXT,
+    "rrule" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "calendarEventId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "booking_series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bookings_seriesId_idx" ON "bookings"("seriesId");
+CREATE INDEX "booking_series_tenantId_idx" ON "booking_series"("tenantId");
+CREATE INDEX "booking_series_clientId_idx" ON "booking_series"("clientId");
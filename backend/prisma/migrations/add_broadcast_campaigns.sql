@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "subject" TEXT;
+ALTER TABLE "campaigns" ADD COLUMN "message" TEXT;
+ALTER TABLE "campaigns" ADD COLUMN "scheduledAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "campaign_recipients" ADD COLUMN "email" TEXT;
+ALTER TABLE "campaign_recipients" ADD COLUMN "messageSid" TEXT;
+ALTER TABLE "campaign_recipients" ADD COLUMN "sentAt" TIMESTAMP(3);
+ALTER TABLE "campaign_recipients" ADD COLUMN "deliveredAt" TIMESTAMP(3);
+ALTER TABLE "campaign_recipients" ADD COLUMN "openedAt" TIMESTAMP(3);
+ALTER TABLE "campaign_recipients" ADD COLUMN "clickedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "campaign_recipients_messageSid_idx" ON "campaign_recipients"("messageSid");
+
+-- AlterTable
+ALTER TABLE "do_not_contact" ALTER COLUMN "phone" DROP NOT NULL;
+ALTER TABLE "do_not_contact" ADD COLUMN "email" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "do_not_contact_tenantId_email_channel_key" ON "do_not_contact"("tenantId", "email", "channel");
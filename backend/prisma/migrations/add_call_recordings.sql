@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "call_sessions" ADD COLUMN "recordingSid" TEXT;
+ALTER TABLE "call_sessions" ADD COLUMN "recordingPath" TEXT;
+ALTER TABLE "call_sessions" ADD COLUMN "recordingDuration" INTEGER;
+ALTER TABLE "call_sessions" ADD COLUMN "recordedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "call_sessions_tenantId_recordedAt_idx" ON "call_sessions"("tenantId", "recordedAt");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "inbound_calls" ADD COLUMN "transferStatus" TEXT;
+ALTER TABLE "inbound_calls" ADD COLUMN "transferTarget" TEXT;
+
+-- CreateIndex
+CREATE INDEX "inbound_calls_callSid_idx" ON "inbound_calls"("callSid");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "clients" ADD COLUMN "assignedToId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "clients_assignedToId_idx" ON "clients"("assignedToId");
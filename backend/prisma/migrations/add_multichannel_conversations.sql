@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "conversations" RENAME COLUMN "lastMessageAt" TO "lastActivityAt";
+ALTER TABLE "conversations" ADD COLUMN "email" TEXT;
+ALTER TABLE "conversations" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'open';
+ALTER TABLE "conversations" ADD COLUMN "assigneeId" TEXT;
+
+-- RenameIndex
+ALTER INDEX "conversations_tenantId_lastMessageAt_idx" RENAME TO "conversations_tenantId_lastActivityAt_idx";
+
+-- CreateIndex
+CREATE INDEX "conversations_assigneeId_idx" ON "conversations"("assigneeId");
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN "conversationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "messages_conversationId_idx" ON "messages"("conversationId");
+
+-- Attach existing SMS messages to their threads
+UPDATE "messages" m
+SET "conversationId" = c."id"
+FROM "conversations" c
+WHERE m."tenantId" = c."tenantId" AND m."sessionId" = c."sessionId";
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "slug" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tenants_slug_key" ON "tenants"("slug");
+
+-- AlterTable
+ALTER TABLE "bookings" ADD COLUMN "source" TEXT,
+ADD COLUMN "manageToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bookings_manageToken_key" ON "bookings"("manageToken");
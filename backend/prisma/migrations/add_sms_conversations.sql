@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "conversations" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'sms',
+    "sessionId" TEXT NOT NULL,
+    "phone" TEXT,
+    "clientId" TEXT,
+    "aiPaused" BOOLEAN NOT NULL DEFAULT false,
+    "aiPausedAt" TIMESTAMP(3),
+    "aiPausedById" TEXT,
+    "unreadCount" INTEGER NOT NULL DEFAULT 0,
+    "lastMessage" TEXT,
+    "lastMessageAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "conversations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conversations_tenantId_sessionId_key" ON "conversations"("tenantId", "sessionId");
+CREATE INDEX "conversations_tenantId_lastMessageAt_idx" ON "conversations"("tenantId", "lastMessageAt");
+CREATE INDEX "conversations_clientId_idx" ON "conversations"("clientId");
+
+-- Threads for SMS history received before the inbox existed
+INSERT INTO "conversations" ("id", "tenantId", "channel", "sessionId", "phone", "lastMessageAt", "updatedAt")
+SELECT gen_random_uuid()::text, "tenantId", 'sms', "sessionId", '+' || substring("sessionId" from 5), MAX("createdAt"), NOW()
+FROM "messages"
+WHERE "source" = 'sms' AND "tenantId" IS NOT NULL AND "sessionId" LIKE 'sms\_%'
+GROUP BY "tenantId", "sessionId";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "tenants" ADD COLUMN "defaultWorkflowKeys" TEXT[] DEFAULT ARRAY[]::TEXT[];
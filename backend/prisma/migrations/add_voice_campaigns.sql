@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "campaigns" ADD COLUMN "script" TEXT;
+ALTER TABLE "campaigns" ADD COLUMN "goal" TEXT;
+ALTER TABLE "campaigns" ADD COLUMN "segment" JSONB;
+ALTER TABLE "campaigns" ADD COLUMN "settings" JSONB;
+ALTER TABLE "campaigns" ADD COLUMN "createdById" TEXT;
+ALTER TABLE "campaigns" ADD COLUMN "startedAt" TIMESTAMP(3);
+ALTER TABLE "campaigns" ADD COLUMN "completedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "campaigns_status_idx" ON "campaigns"("status");
+
+-- CreateTable
+CREATE TABLE "campaign_recipients" (
+    "id" TEXT NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "clientId" TEXT,
+    "name" TEXT,
+    "phone" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "outcome" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastAttemptAt" TIMESTAMP(3),
+    "callSid" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "campaign_recipients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "campaign_recipients_campaignId_status_nextAttemptAt_idx" ON "campaign_recipients"("campaignId", "status", "nextAttemptAt");
+CREATE INDEX "campaign_recipients_tenantId_idx" ON "campaign_recipients"("tenantId");
+CREATE INDEX "campaign_recipients_callSid_idx" ON "campaign_recipients"("callSid");
+
+-- CreateTable
+CREATE TABLE "do_not_contact" (
+    "id" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "channel" TEXT NOT NULL DEFAULT 'all',
+    "reason" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'manual',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "do_not_contact_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "do_not_contact_tenantId_phone_channel_key" ON "do_not_contact"("tenantId", "phone", "channel");
+CREATE INDEX "do_not_contact_tenantId_idx" ON "do_not_contact"("tenantId");
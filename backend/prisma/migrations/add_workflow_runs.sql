@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "workflow_runs" (
+    "id" TEXT NOT NULL,
+    "workflowId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "context" JSONB,
+    "cursor" TEXT,
+    "resumeAt" TIMESTAMP(3),
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workflow_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_runs_tenantId_idx" ON "workflow_runs"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "workflow_runs_workflowId_idx" ON "workflow_runs"("workflowId");
+
+-- CreateIndex
+CREATE INDEX "workflow_runs_status_resumeAt_idx" ON "workflow_runs"("status", "resumeAt");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "workflows" ADD COLUMN "triggerConfig" JSONB;
+ALTER TABLE "workflows" ADD COLUMN "lastScheduledAt" TIMESTAMP(3);
+ALTER TABLE "workflows" ADD COLUMN "templateKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflows_tenantId_templateKey_key" ON "workflows"("tenantId", "templateKey");
+CREATE INDEX "workflows_trigger_isActive_idx" ON "workflows"("trigger", "isActive");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "workflow_runs" ADD COLUMN "source" TEXT NOT NULL DEFAULT 'event';
+ALTER TABLE "workflow_runs" ADD COLUMN "triggeredById" TEXT;
+
+-- CreateTable
+CREATE TABLE "workflow_step_runs" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "input" JSONB,
+    "output" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workflow_step_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "workflow_step_runs_runId_idx" ON "workflow_step_runs"("runId");
+
+-- CreateIndex
+CREATE INDEX "workflow_step_runs_tenantId_idx" ON "workflow_step_runs"("tenantId");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "workflows" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "workflow_runs" ADD COLUMN "workflowVersion" INTEGER;
+
+-- CreateTable
+CREATE TABLE "workflow_versions" (
+    "id" TEXT NOT NULL,
+    "workflowId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "triggerConfig" JSONB,
+    "actions" TEXT NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "workflow_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workflow_versions_workflowId_version_key" ON "workflow_versions"("workflowId", "version");
+CREATE INDEX "workflow_versions_tenantId_idx" ON "workflow_versions"("tenantId");
+
+-- Backfill: the current definition of every existing workflow becomes version 1
+INSERT INTO "workflow_versions" ("id", "workflowId", "tenantId", "version", "name", "trigger", "triggerConfig", "actions", "createdById", "createdAt")
+SELECT gen_random_uuid()::text, "id", "tenantId", 1, "name", "trigger", "triggerConfig", "actions", "createdById", "updatedAt"
+FROM "workflows";
@@ -2,8 +2,18 @@
  * Scheduled Jobs - Automated Notification Engine
  * 
  * This module handles:
- * - Booking reminders (24h and 48h before)
  * - Trial expiry warnings (3 days before)
+ * - Resuming workflow runs whose delay has elapsed
+ * - Scheduled (cron) and date-relative workflow triggers
+ * - Job queue maintenance (stale lock recovery, pruning completed jobs)
+ * - Deleting call recordings past each tenant's retention period
+ * - Dialing running voice campaigns and sending SMS/email campaigns
+ * - Marking no-shows and passing on expired waitlist offers
+ * - Seeding the default workflows for existing tenants (once per start)
+ *
+ * Booking reminders (48h and 24h before) are default per-tenant workflows
+ * (config/defaultWorkflows.js) so they follow each tenant's timezone and can be edited.
+ * Tenants that don't have them yet are backfilled shortly after startup.
  * 
  * Run via: require('./scripts/scheduledJobs') in app.js
  */
@@ -11,59 +21,14 @@
 const cron = require('node-cron');
 const prisma = require('../src/lib/prisma');
 const notificationService = require('../src/services/notificationService');
-
-// ============================================================
-// BOOKING REMINDERS - Runs daily at midnight
-// ============================================================
-const runBookingReminders = async () => {
-    console.log('⏰ [CRON] Running booking reminders...');
-
-    const now = new Date();
-    const in24Hours = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-    const in48Hours = new Date(now.getTime() + 48 * 60 * 60 * 1000);
-
-    try {
-        // Find bookings between 24-48 hours from now
-        const upcomingBookings = await prisma.booking.findMany({
-            where: {
-                date: {
-                    gte: in24Hours,
-                    lte: in48Hours
-                },
-                status: 'Scheduled'
-            },
-            include: {
-                client: true,
-                tenant: true
-            }
-        });
-
-        console.log(`📅 Found ${upcomingBookings.length} bookings to remind`);
-
-        for (const booking of upcomingBookings) {
-            if (!booking.client?.email) continue;
-
-            const hoursUntil = Math.round((new Date(booking.date).getTime() - now.getTime()) / (1000 * 60 * 60));
-            const timeLabel = hoursUntil <= 24 ? 'Tomorrow' : 'in 2 Days';
-
-            await notificationService.sendTemplatedEmail(
-                booking.client.email,
-                'BOOKING_REMINDER',
-                {
-                    clientName: booking.client.name,
-                    date: booking.date,
-                    timeLabel,
-                    meetingLink: booking.meetingLink,
-                    purpose: booking.purpose
-                }
-            );
-
-            console.log(`  ✅ Reminder sent to ${booking.client.email} (${timeLabel})`);
-        }
-    } catch (error) {
-        console.error('❌ [CRON] Booking reminder error:', error.message);
-    }
-};
+const workflowService = require('../src/services/workflowService');
+const workflowSchedulerService = require('../src/services/workflowSchedulerService');
+const callRecordingService = require('../src/services/callRecordingService');
+const campaignDialerService = require('../src/services/campaignDialerService');
+const campaignBroadcastService = require('../src/services/campaignBroadcastService');
+const jobQueueService = require('../src/services/jobQueueService');
+const bookingLifecycleService = require('../src/services/bookingLifecycleService');
+const waitlistService = require('../src/services/waitlistService');
 
 // ============================================================
 // TRIAL EXPIRY WARNINGS - Runs daily at 9 AM
@@ -126,34 +91,187 @@ const runTrialExpiryWarnings = async () => {
     }
 };
 
+// ============================================================
+// WORKFLOW RESUMPTION - Runs every minute
+// ============================================================
+const runWorkflowResumptions = async () => {
+    try {
+        const resumed = await workflowService.resumeDueRuns();
+        if (resumed > 0) {
+            console.log(`⏰ [CRON] Resumed ${resumed} waiting workflow run(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Workflow resumption error:', error.message);
+    }
+};
+
+// ============================================================
+// WORKFLOW TRIGGERS - Runs every minute
+// ============================================================
+const runWorkflowTriggers = async () => {
+    try {
+        await workflowSchedulerService.syncSchedules();
+        const started = await workflowSchedulerService.runRelativeTriggers();
+        if (started > 0) {
+            console.log(`⏰ [CRON] Started ${started} date-relative workflow run(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Workflow trigger error:', error.message);
+    }
+};
+
+// ============================================================
+// JOB QUEUE MAINTENANCE - Stale locks every minute, pruning daily
+// ============================================================
+const runJobQueueRecovery = async () => {
+    try {
+        const recovered = await jobQueueService.recoverStaleJobs();
+        if (recovered > 0) {
+            console.log(`⏰ [CRON] Recovered ${recovered} abandoned job(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Job recovery error:', error.message);
+    }
+};
+
+const runJobQueuePrune = async () => {
+    try {
+        const pruned = await jobQueueService.pruneCompleted();
+        console.log(`🧹 [CRON] Pruned ${pruned} completed job(s)`);
+    } catch (error) {
+        console.error('❌ [CRON] Job prune error:', error.message);
+    }
+};
+
+// ============================================================
+// CALL RECORDING RETENTION - Runs daily
+// ============================================================
+const runRecordingRetention = async () => {
+    try {
+        const deleted = await callRecordingService.purgeExpiredRecordings();
+        console.log(`🧹 [CRON] Deleted ${deleted} expired call recording(s)`);
+    } catch (error) {
+        console.error('❌ [CRON] Recording retention error:', error.message);
+    }
+};
+
+// ============================================================
+// VOICE CAMPAIGN DIALER - Runs every minute
+// ============================================================
+const runCampaignDialer = async () => {
+    try {
+        const placed = await campaignDialerService.tick();
+        if (placed > 0) {
+            console.log(`📞 [CRON] Placed ${placed} campaign call(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Campaign dialer error:', error.message);
+    }
+};
+
+// ============================================================
+// SMS / EMAIL CAMPAIGNS - Runs every minute (one batch per campaign)
+// ============================================================
+const runCampaignBroadcasts = async () => {
+    try {
+        const sent = await campaignBroadcastService.tick();
+        if (sent > 0) {
+            console.log(`📣 [CRON] Sent ${sent} campaign message(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Campaign broadcast error:', error.message);
+    }
+};
+
+// ============================================================
+// BOOKING LIFECYCLE - Runs every minute (no-shows, waitlist offers)
+// ============================================================
+const runBookingLifecycle = async () => {
+    try {
+        const noShows = await bookingLifecycleService.markNoShows();
+        const expired = await waitlistService.expireOffers();
+        if (noShows > 0 || expired > 0) {
+            console.log(`📆 [CRON] Marked ${noShows} no-show(s), expired ${expired} waitlist offer(s)`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Booking lifecycle error:', error.message);
+    }
+};
+
+// ============================================================
+// DEFAULT WORKFLOW BACKFILL - Runs once after startup
+// ============================================================
+const runDefaultWorkflowBackfill = async () => {
+    try {
+        const created = await workflowSchedulerService.backfillDefaultWorkflows();
+        if (created > 0) {
+            console.log(`⏰ [CRON] Seeded ${created} default workflow(s) for existing tenants`);
+        }
+    } catch (error) {
+        console.error('❌ [CRON] Default workflow backfill error:', error.message);
+    }
+};
+
 // ============================================================
 // INITIALIZE CRON JOBS
 // ============================================================
 const initializeScheduledJobs = () => {
     console.log('📅 Initializing scheduled jobs...');
 
-    // Booking Reminders: Every day at midnight (00:00)
-    cron.schedule('0 0 * * *', () => {
-        runBookingReminders();
+    // Trial Expiry Warnings: Every day at 9 AM
+    cron.schedule('0 9 * * *', () => {
+        runTrialExpiryWarnings();
     }, {
         timezone: 'UTC'
     });
 
-    // Trial Expiry Warnings: Every day at 9 AM
-    cron.schedule('0 9 * * *', () => {
-        runTrialExpiryWarnings();
+    // Workflow Resumption + Triggers + Job recovery + Campaigns + Booking lifecycle: Every minute
+    cron.schedule('* * * * *', () => {
+        runWorkflowResumptions();
+        runWorkflowTriggers();
+        runJobQueueRecovery();
+        runCampaignDialer();
+        runCampaignBroadcasts();
+        runBookingLifecycle();
+    });
+
+    // Default workflow backfill: once, on the first minute after startup
+    const backfill = cron.schedule('* * * * *', () => {
+        backfill.stop();
+        runDefaultWorkflowBackfill();
+    });
+
+    // Completed job and expired recording cleanup: Every day at 3 AM
+    cron.schedule('0 3 * * *', () => {
+        runJobQueuePrune();
+        runRecordingRetention();
     }, {
         timezone: 'UTC'
     });
 
     console.log('✅ Scheduled jobs initialized:');
-    console.log('   - Booking reminders: Daily at 00:00 UTC');
     console.log('   - Trial expiry warnings: Daily at 09:00 UTC');
+    console.log('   - Workflow resumptions: Every minute');
+    console.log('   - Workflow schedules and date-relative triggers: Every minute');
+    console.log('   - Job queue recovery: Every minute, pruning daily at 03:00 UTC');
+    console.log('   - Call recording retention: Daily at 03:00 UTC');
+    console.log('   - Voice campaign dialer: Every minute');
+    console.log('   - SMS/email campaign sends: Every minute');
+    console.log('   - No-shows and waitlist offer expiry: Every minute');
+    console.log('   - Default workflow backfill: Once after startup');
 };
 
 // Export for manual testing
 module.exports = {
     initializeScheduledJobs,
-    runBookingReminders,
-    runTrialExpiryWarnings
+    runTrialExpiryWarnings,
+    runWorkflowResumptions,
+    runWorkflowTriggers,
+    runJobQueueRecovery,
+    runJobQueuePrune,
+    runRecordingRetention,
+    runCampaignDialer,
+    runCampaignBroadcasts,
+    runBookingLifecycle,
+    runDefaultWorkflowBackfill
 };
@@ -0,0 +1,21 @@
+const prisma = require('../src/lib/prisma');
+const workflowSchedulerService = require('../src/services/workflowSchedulerService');
+
+/**
+ * Backfill the default workflows (config/defaultWorkflows.js) for existing tenants.
+ * The server also does this shortly after startup; safe to re-run.
+ */
+async function main() {
+    const created = await workflowSchedulerService.backfillDefaultWorkflows();
+    console.log(`Created ${created} default workflow(s)`);
+}
+
+main()
+    .catch((e) => {
+        console.error(e);
+        process.exit(1);
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+        process.exit(0);
+    });
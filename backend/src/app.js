@@ -186,6 +186,8 @@ app.use('/api/calendar', require('./routes/calendar'));
 app.use('/api/tenant-calendar', tenantCalendarRouter);
 app.use('/api/clients', clientsRouter);
 app.use('/api/bookings', bookingsRouter);
+app.use('/api/booking-resources', require('./routes/bookingResources'));
+app.use('/api/public/booking', require('./routes/publicBooking')); // Self-service booking page (no auth)
 app.use('/api/minutes', minutesRouter);
 app.use('/api/settings', settingsRouter);
 app.use('/api/insights', insightsRouter);
@@ -195,6 +197,8 @@ app.use('/api/payments', paymentsRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/voice', voiceRouter);
 app.use('/api/marketing', marketingRouter);
+app.use('/api/campaigns', require('./routes/campaigns'));
+app.use('/api/conversations', require('./routes/conversations'));
 app.use('/api/organization', organizationRouter);
 app.use('/api/services', servicesRouter);
 app.use('/api/leads', require('./routes/leads'));
@@ -346,7 +350,7 @@ app.use((req, res) => {
 });
 
 // ==================== SCHEDULED JOBS ====================
-// Initialize cron jobs for booking reminders and trial warnings
+// Initialize cron jobs for trial warnings and workflow schedules/resumption
 try {
     const { initializeScheduledJobs } = require('../scripts/scheduledJobs');
     initializeScheduledJobs();
@@ -0,0 +1,71 @@
+/**
+ * Default Workflows
+ * Seeded for every tenant (see workflowSchedulerService.ensureDefaultWorkflows): new tenants at
+ * registration, existing ones by the startup backfill, so a template added here reaches everyone.
+ * Tenants can edit, deactivate or delete them like any workflow they created; a deleted one
+ * is not seeded again.
+ */
+
+const DEFAULT_WORKFLOWS = [
+    {
+        key: 'booking_reminder',
+        name: 'Booking reminder (24 hours before)',
+        trigger: 'date_relative',
+        triggerConfig: { field: 'booking.date', offset: { hours: -24 } },
+        actions: [
+            {
+                type: 'condition',
+                condition: { field: 'booking.status', operator: 'equals', value: 'Scheduled' }
+            },
+            {
+                type: 'if',
+                condition: { field: 'client.email', operator: 'exists' },
+                then: [{
+                    type: 'send_email',
+                    to: '{{client.email}}',
+                    subject: 'Reminder: your appointment with {{tenant.name}}',
+                    body: '<p>Hi {{client.name}},</p>'
+                        + '<p>This is a reminder of your appointment with {{tenant.name}} on <strong>{{booking.localDate}}</strong>.</p>'
+                        + '<p>{{booking.meetingLink}}</p>'
+                }]
+            },
+            {
+                type: 'if',
+                condition: { field: 'client.phone', operator: 'exists' },
+                then: [{
+                    type: 'send_sms',
+                    to: '{{client.phone}}',
+                    message: 'Reminder: you have an appointment with {{tenant.name}} on {{booking.localDate}}.'
+                }]
+            }
+        ]
+    },
+    {
+        key: 'booking_reminder_48h',
+        name: 'Booking reminder (2 days before)',
+        trigger: 'date_relative',
+        triggerConfig: { field: 'booking.date', offset: { hours: -48 } },
+        actions: [
+            {
+                type: 'condition',
+                condition: {
+                    all: [
+                        { field: 'booking.status', operator: 'equals', value: 'Scheduled' },
+                        { field: 'client.email', operator: 'exists' }
+                    ]
+                }
+            },
+            {
+                type: 'send_email',
+                to: '{{client.email}}',
+                subject: 'Your appointment with {{tenant.name}} is in 2 days',
+                body: '<p>Hi {{client.name}},</p>'
+                    + '<p>Your appointment with {{tenant.name}} is in 2 days, on <strong>{{booking.localDate}}</strong>.</p>'
+                    + '<p>{{booking.purpose}}</p>'
+                    + '<p>{{booking.meetingLink}}</p>'
+            }
+        ]
+    }
+];
+
+module.exports = { DEFAULT_WORKFLOWS };
@@ -10,12 +10,22 @@ module.exports = {
    openai: {
       url: 'wss://api.openai.com/v1/realtime',
       model: 'gpt-4o-realtime-preview-2024-12-17', // Latest stable realtime model
-      voice: 'alloy', // Fallback voice: alloy, echo, shimmer, ash, ballad, sage
+      voice: 'alloy', // Fallback voice, one of `voices`
+      voices: ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'],
+      transcriptionModel: 'whisper-1',
+      ttsModel: 'gpt-4o-mini-tts', // Voice previews in the dashboard
       temperature: 0.8,
       modalities: ["text", "audio"],
       maxRetries: 5,
       initialRetryDelay: 1000,
    },
+   // STT → chat completion → TTS, for tenants or regions without the realtime API
+   pipeline: {
+      chatModel: 'gpt-4o-mini',
+      ttsSampleRate: 24000, // 'pcm' speech output is 24 kHz 16-bit mono
+      vadLevels: { low: 0.06, medium: 0.03, high: 0.015 }, // Caller audio level (0-1) that counts as speech
+      minSpeechMs: 200,
+   },
    twilio: {
       timeout: 15,
       mediaFormat: 'g711_ulaw',
@@ -34,8 +44,10 @@ module.exports = {
       // Behavior settings
       bargeInEnabled: true,      // Allows user to interrupt the AI
       silenceTimeout: 10000,     // 10 seconds of silence before hangup
+      maxCallDuration: 1800000,  // 30 minutes
       inputThreshold: 0.5,       // Voice activity detection sensitivity
       prefixPaddingMs: 300,
+      endOfTurnSilenceMs: 500,   // Pause that ends the caller's turn
    },
    // Map these keys to your Database Columns for easy lookup
    tenantMapping: {
@@ -0,0 +1,176 @@
+/**
+ * Workflow Event Catalogue
+ * Canonical domain events that tenant workflows can subscribe to, plus the
+ * scheduler-driven triggers (cron schedules and dates relative to a record).
+ *
+ * Emitters only need to put IDs on the event bus (e.g. { tenantId, bookingId });
+ * eventContextService hydrates them into the full objects listed in `context`
+ * before any workflow runs. The field lists below are what the UI offers as
+ * {{placeholders}} and what conditions can reference.
+ */
+
+const ENTITY_FIELDS = {
+    tenant: { id: 'string', name: 'string', timezone: 'string', location: 'string', phoneNumber: 'string' },
+    owner: { id: 'string', name: 'string', email: 'string', phoneNumber: 'string' },
+    client: {
+        id: 'string', name: 'string', email: 'string', phone: 'string', notes: 'string',
+        source: 'string', tags: 'string[]', assignedToId: 'string', createdAt: 'datetime'
+    },
+    booking: {
+        id: 'string', date: 'datetime', localDate: 'string', status: 'string', purpose: 'string',
+        meetingLink: 'string', clientId: 'string', createdAt: 'datetime'
+    },
+    call: {
+        id: 'string', callSid: 'string', callerPhone: 'string', direction: 'string', status: 'string',
+        duration: 'number', transcript: 'string', summary: 'string', startedAt: 'datetime', endedAt: 'datetime'
+    },
+    analysis: { summary: 'string', keyPoints: 'string[]', actionItems: 'object[]', followUpRequired: 'boolean' },
+    payment: { reference: 'string', amount: 'number', currency: 'string', plan: 'string' },
+    minute: { id: 'string', content: 'string', clientId: 'string', createdAt: 'datetime' },
+    invite: { id: 'string', email: 'string', role: 'string', acceptedAt: 'datetime' },
+    user: { id: 'string', name: 'string', email: 'string', role: 'string' }
+};
+
+const EVENTS = {
+    'booking:created': {
+        label: 'Booking created',
+        description: 'A new appointment was booked (dashboard, AI agent or API).',
+        context: ['tenant', 'owner', 'client', 'booking']
+    },
+    'booking:updated': {
+        label: 'Booking updated',
+        description: 'An appointment was changed (date, status, purpose or meeting link).',
+        context: ['tenant', 'owner', 'client', 'booking'],
+        extra: { changes: 'object', previousStatus: 'string' }
+    },
+    'booking:cancelled': {
+        label: 'Booking cancelled',
+        description: 'An appointment status changed to Cancelled.',
+        context: ['tenant', 'owner', 'client', 'booking'],
+        extra: { previousStatus: 'string', reason: 'string' }
+    },
+    'client:created': {
+        label: 'Client created',
+        description: 'A new client or lead was added.',
+        context: ['tenant', 'owner', 'client']
+    },
+    'call:completed': {
+        label: 'Call completed',
+        description: 'A voice call with the AI agent ended.',
+        context: ['tenant', 'owner', 'client', 'call']
+    },
+    'call:analyzed': {
+        label: 'Call analyzed',
+        description: 'The summary and action items of a finished call are available.',
+        context: ['tenant', 'owner', 'client', 'call', 'analysis']
+    },
+    'payment:succeeded': {
+        label: 'Payment succeeded',
+        description: 'A subscription payment was confirmed.',
+        context: ['tenant', 'owner', 'user', 'payment'],
+        aliases: ['payment:success']
+    },
+    'minute:created': {
+        label: 'Meeting minute created',
+        description: 'Meeting minutes were added for a client.',
+        context: ['tenant', 'owner', 'client', 'minute'],
+        aliases: ['meeting_minute:created']
+    },
+    'invite:accepted': {
+        label: 'Invite accepted',
+        description: 'A team member accepted an invitation and joined the organization.',
+        context: ['tenant', 'owner', 'invite', 'user']
+    }
+};
+
+// Triggers fired by the workflow scheduler rather than the event bus
+const SCHEDULED_TRIGGERS = {
+    schedule: {
+        label: 'On a schedule',
+        description: 'Runs on a cron expression evaluated in the tenant timezone.',
+        config: { cron: 'string' },
+        context: ['tenant', 'owner'],
+        extra: { scheduledAt: 'datetime' }
+    },
+    date_relative: {
+        label: 'Before or after a date',
+        description: 'Runs once per record, a fixed offset before or after one of its dates.',
+        config: { field: 'string', offset: { days: 'number', hours: 'number', minutes: 'number' } },
+        context: ['tenant', 'owner', 'client', 'booking'],
+        extra: { triggerField: 'string', triggerDate: 'datetime' }
+    }
+};
+
+// Dates a date_relative trigger can be anchored to
+const RELATIVE_FIELDS = {
+    'booking.date': { model: 'booking', column: 'date', idKey: 'bookingId', label: 'Booking date' },
+    'booking.createdAt': { model: 'booking', column: 'createdAt', idKey: 'bookingId', label: 'Booking created' },
+    'client.createdAt': { model: 'client', column: 'createdAt', idKey: 'clientId', label: 'Client created' }
+};
+
+// Legacy names still emitted by older code / stored on existing workflows
+const ALIASES = Object.entries(EVENTS).reduce((acc, [name, def]) => {
+    for (const alias of def.aliases || []) acc[alias] = name;
+    return acc;
+}, {
+    'booking.created': 'booking:created',
+    // Trigger names offered by older dashboard forms
+    'booking_confirmed': 'booking:created',
+    'client:registered': 'client:created',
+    'new_client': 'client:created',
+    'payment:received': 'payment:succeeded'
+});
+
+/**
+ * Map any known event name (canonical or legacy) to its canonical name
+ */
+const resolveEventName = (name) => (EVENTS[name] ? name : ALIASES[name] || null);
+
+/**
+ * All names (canonical and legacy) for a canonical event
+ */
+const getEventNames = (name) => [
+    name,
+    ...Object.keys(ALIASES).filter(alias => ALIASES[alias] === name)
+];
+
+const buildPayload = (def) => ({
+    event: 'string',
+    occurredAt: 'datetime',
+    ...def.context.reduce((acc, entity) => ({ ...acc, [entity]: ENTITY_FIELDS[entity] }), {}),
+    ...(def.extra || {})
+});
+
+/**
+ * Catalogue with payload schema, as exposed to the UI
+ */
+const getCatalogue = () => [
+    ...Object.entries(EVENTS).map(([name, def]) => ({
+        name,
+        type: 'event',
+        label: def.label,
+        description: def.description,
+        payload: buildPayload(def)
+    })),
+    ...Object.entries(SCHEDULED_TRIGGERS).map(([name, def]) => ({
+        name,
+        type: 'scheduled',
+        label: def.label,
+        description: def.description,
+        config: name === 'date_relative'
+            ? { ...def.config, field: Object.keys(RELATIVE_FIELDS) }
+            : def.config,
+        payload: buildPayload(def)
+    }))
+];
+
+module.exports = {
+    EVENTS,
+    SCHEDULED_TRIGGERS,
+    RELATIVE_FIELDS,
+    ENTITY_FIELDS,
+    ALIASES,
+    resolveEventName,
+    getEventNames,
+    getCatalogue
+};
@@ -64,9 +64,9 @@ const prisma = prismaClient.$extends({
                 try {
                     // List of models that HAVE a tenantId and should be filtered
                     const tenantModels = [
-                        'Client', 'Booking', 'Campaign', 'Workflow', 'Message',
+                        'Client', 'Booking', 'Campaign', 'CampaignRecipient', 'DoNotContact', 'Workflow', 'WorkflowVersion', 'WorkflowRun', 'WorkflowStepRun', 'Message',
                         'CallSession', 'MeetingMinute', 'CustomTool', 'Service',
-                        'Notification', 'Transaction'
+                        'Notification', 'Transaction', 'Conversation'
                     ];
 
                     // SKIP extension for models not in tenantModels to avoid prepared statement issues
@@ -0,0 +1,56 @@
+// backend/src/middleware/captcha.js
+/**
+ * Captcha Middleware
+ * Verifies req.body.captchaToken (or the X-Captcha-Token header) for unauthenticated forms.
+ * Works with Cloudflare Turnstile (default), hCaptcha and reCAPTCHA, which share the same
+ * siteverify API; set CAPTCHA_VERIFY_URL for the latter two.
+ * Without CAPTCHA_SECRET the check is skipped (development), except in production.
+ */
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+async function verifyToken(token, remoteIp) {
+    const body = new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response: token });
+    if (remoteIp) body.append('remoteip', remoteIp);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 5000);
+    try {
+        const response = await fetch(process.env.CAPTCHA_VERIFY_URL || TURNSTILE_VERIFY_URL, {
+            method: 'POST',
+            body,
+            signal: controller.signal
+        });
+        const result = await response.json();
+        return result.success === true;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const verifyCaptcha = async (req, res, next) => {
+    if (!process.env.CAPTCHA_SECRET) {
+        if (process.env.NODE_ENV === 'production') {
+            console.error('[Captcha] CAPTCHA_SECRET is not set; rejecting public form submissions');
+            return res.status(503).json({ success: false, error: 'Service temporarily unavailable', code: 'CAPTCHA_NOT_CONFIGURED' });
+        }
+        return next();
+    }
+
+    const token = req.body?.captchaToken || req.headers['x-captcha-token'];
+    if (!token) {
+        return res.status(400).json({ success: false, error: 'Captcha is required', code: 'CAPTCHA_REQUIRED' });
+    }
+
+    try {
+        if (!await verifyToken(token, req.ip)) {
+            return res.status(400).json({ success: false, error: 'Captcha verification failed', code: 'CAPTCHA_FAILED' });
+        }
+        next();
+    } catch (error) {
+        console.error('[Captcha] Verification error:', error.message);
+        res.status(503).json({ success: false, error: 'Could not verify captcha. Please try again.', code: 'CAPTCHA_UNAVAILABLE' });
+    }
+};
+
+module.exports = { verifyCaptcha };
@@ -112,6 +112,34 @@ const passwordResetLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Public booking page - reads (services, free slots)
+const publicBookingLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute per IP
+    message: {
+        success: false,
+        error: 'Too many requests. Please try again shortly.',
+        code: 'BOOKING_RATE_LIMIT_EXCEEDED',
+        retryAfter: '1 minute'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Public booking page - creating, rescheduling and cancelling bookings
+const publicBookingWriteLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 changes per hour per IP
+    message: {
+        success: false,
+        error: 'Too many booking attempts. Please try again later.',
+        code: 'BOOKING_RATE_LIMIT_EXCEEDED',
+        retryAfter: '1 hour'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 module.exports = {
     authLimiter,
     registerLimiter,
@@ -119,5 +147,7 @@ module.exports = {
     inviteLimiter,
     inviteVerifyLimiter,
     apiLimiter,
-    passwordResetLimiter
+    passwordResetLimiter,
+    publicBookingLimiter,
+    publicBookingWriteLimiter
 };
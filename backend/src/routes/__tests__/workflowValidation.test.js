@@ -0,0 +1,49 @@
+const { createWorkflowSchema, updateWorkflowSchema, formatZodIssues } = require('../../schemas/validation');
+const { DEFAULT_WORKFLOWS } = require('../../config/defaultWorkflows');
+
+describe('Workflow definition schema', () => {
+    it('accepts the default workflows', () => {
+        for (const { key, ...definition } of DEFAULT_WORKFLOWS) {
+            expect(createWorkflowSchema.safeParse(definition).success).toBe(true);
+        }
+    });
+
+    it('reports field-level errors for bad steps and trigger configs', () => {
+        const result = createWorkflowSchema.safeParse({
+            name: 'Broken',
+            trigger: 'booking:created',
+            actions: [
+                { type: 'send_email', subject: 'Hi', body: 'Hello' },
+                { type: 'launch_rocket' }
+            ]
+        });
+
+        expect(result.success).toBe(false);
+        const fields = formatZodIssues(result.error).map(issue => issue.field);
+        expect(fields).toEqual(expect.arrayContaining(['actions.0.to', 'actions.1.type']));
+
+        const schedule = createWorkflowSchema.safeParse({
+            name: 'Daily digest',
+            trigger: 'schedule',
+            triggerConfig: { cron: 'every morning' }
+        });
+        expect(formatZodIssues(schedule.error)).toEqual([
+            expect.objectContaining({ field: 'triggerConfig.cron' })
+        ]);
+
+        // Retries, timeouts and backoff must fit in one workflow job
+        const webhook = createWorkflowSchema.safeParse({
+            name: 'Slow webhook',
+            trigger: 'client:created',
+            actions: [{ type: 'http_request', url: 'https://crm.example.com', retries: 5, timeout: 30000, backoffMs: 60000 }]
+        });
+        expect(formatZodIssues(webhook.error)).toEqual([
+            expect.objectContaining({ field: 'actions.0.backoffMs' })
+        ]);
+    });
+
+    it('allows partial updates', () => {
+        expect(updateWorkflowSchema.safeParse({ name: 'Renamed' }).success).toBe(true);
+        expect(updateWorkflowSchema.safeParse({ trigger: 'nope' }).success).toBe(false);
+    });
+});
@@ -4,6 +4,7 @@ const prisma = require('../lib/prisma');
 const { authenticateToken } = require('../middleware/auth');
 const requireRole = require('../middleware/rbac');
 const logger = require('../utils/logger');
+const jobQueueService = require('../services/jobQueueService');
 
 // GET /api/admin/subscribers/summary
 // Access: SUPER_ADMIN, OWNER, ADMIN
@@ -119,4 +120,74 @@ router.get('/subscribers', authenticateToken, requireRole(['SUPER_ADMIN', 'OWNER
     }
 });
 
+// Background jobs: SUPER_ADMIN sees every job (optionally ?tenantId=), OWNER/ADMIN only their tenant's
+const jobScope = (req) => (req.user.role === 'SUPER_ADMIN' ? (req.query.tenantId || null) : req.user.tenantId);
+
+const requireJobScope = (req, res, next) => {
+    if (req.user.role !== 'SUPER_ADMIN' && !req.user.tenantId) {
+        return res.status(403).json({ success: false, error: 'No tenant associated with this account' });
+    }
+    next();
+};
+
+// GET /api/admin/jobs/stats
+// Access: SUPER_ADMIN, OWNER, ADMIN
+router.get('/jobs/stats', authenticateToken, requireRole(['SUPER_ADMIN', 'OWNER', 'ADMIN']), requireJobScope, async (req, res) => {
+    try {
+        const stats = await jobQueueService.getStats(jobScope(req));
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        logger.error('Admin Job Stats Error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch job stats' });
+    }
+});
+
+// GET /api/admin/jobs?status=dead&type=email.send
+// Access: SUPER_ADMIN, OWNER, ADMIN
+router.get('/jobs', authenticateToken, requireRole(['SUPER_ADMIN', 'OWNER', 'ADMIN']), requireJobScope, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const status = req.query.status && req.query.status !== 'ALL' ? req.query.status : undefined;
+
+        const { jobs, total } = await jobQueueService.listJobs({
+            status,
+            type: req.query.type,
+            tenantId: jobScope(req),
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            data: jobs,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Admin Jobs List Error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch jobs' });
+    }
+});
+
+// POST /api/admin/jobs/:id/retry
+// Access: SUPER_ADMIN, OWNER, ADMIN
+router.post('/jobs/:id/retry', authenticateToken, requireRole(['SUPER_ADMIN', 'OWNER', 'ADMIN']), requireJobScope, async (req, res) => {
+    try {
+        const job = await jobQueueService.retryJob(req.params.id, jobScope(req));
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found or not retryable' });
+        }
+
+        res.json({ success: true, data: job });
+    } catch (error) {
+        logger.error('Admin Job Retry Error:', error);
+        res.status(500).json({ success: false, error: 'Failed to retry job' });
+    }
+});
+
 module.exports = router;
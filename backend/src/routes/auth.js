@@ -13,6 +13,8 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const fs = require('fs')
 const jwt = require('jsonwebtoken');
+const eventBus = require('../lib/eventBus');
+const workflowSchedulerService = require('../services/workflowSchedulerService');
 const { registerSchema, loginSchema } = require('../schemas/validation');
 const { authLimiter, registerLimiter } = require('../middleware/rateLimiting');
 const { authenticateToken } = require('../middleware/auth');
@@ -141,7 +143,7 @@ router.post('/register', registerLimiter, async (req, res) => {
                 return newUser;
             });
 
-            
+            eventBus.emit('invite:accepted', { tenantId: invite.tenantId, inviteId: invite.id, userId: user.id });
 
             const { accessToken, refreshToken } = generateTokens(user);
             res.cookie('refresh_token', refreshToken, COOKIE_OPTIONS);
@@ -252,6 +254,10 @@ router.post('/register', registerLimiter, async (req, res) => {
 
         const { user, tenant } = result;
         console.log('[Register] Transaction completed, generating tokens...');
+
+        // Seed editable default workflows (e.g. booking reminders); non-fatal
+        workflowSchedulerService.ensureDefaultWorkflows(tenant.id, user.id)
+            .catch(err => console.error('[Register] Default workflows failed:', err.message));
         const { accessToken, refreshToken } = generateTokens(user);
 
         res.cookie('refresh_token', refreshToken, COOKIE_OPTIONS);
@@ -0,0 +1,114 @@
+// backend/src/routes/bookingResources.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
+const { checkFeature } = require('../config/features');
+const bookingResourceService = require('../services/bookingResourceService');
+const { bookingResourceSchema, updateBookingResourceSchema, formatZodIssues } = require('../schemas/validation');
+
+router.use(checkFeature('BOOKINGS'));
+
+// AppErrors (e.g. a duplicate name) carry their own status code
+const sendError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error(`[BookingResources] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+};
+
+/**
+ * GET /api/booking-resources?includeInactive=true - Staff and rooms bookings can be assigned to
+ */
+router.get('/',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'read'),
+    async (req, res) => {
+        try {
+            const resources = await bookingResourceService.listResources(req.scopedTenantId, {
+                includeInactive: req.query.includeInactive === 'true'
+            });
+            res.json({ success: true, resources });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch staff and resources');
+        }
+    }
+);
+
+/**
+ * POST /api/booking-resources
+ * Body: { name, type: staff|room|equipment, userId, hours: { mon: [{ start, end }] }, serviceIds: [] }
+ */
+router.post('/',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = bookingResourceSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid staff or resource',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const resource = await bookingResourceService.createResource(req.scopedTenantId, parsed.data);
+            res.status(201).json({ success: true, resource });
+        } catch (error) {
+            sendError(res, error, 'Failed to create staff or resource');
+        }
+    }
+);
+
+/**
+ * PATCH /api/booking-resources/:id
+ */
+router.patch('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = updateBookingResourceSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid staff or resource',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const resource = await bookingResourceService.updateResource(req.scopedTenantId, req.params.id, parsed.data);
+            res.json({ success: true, resource });
+        } catch (error) {
+            sendError(res, error, 'Failed to update staff or resource');
+        }
+    }
+);
+
+/**
+ * DELETE /api/booking-resources/:id - Deactivates instead when bookings reference it
+ */
+router.delete('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const { deleted } = await bookingResourceService.deleteResource(req.scopedTenantId, req.params.id);
+            res.json({
+                success: true,
+                deleted,
+                message: deleted ? 'Deleted' : 'Deactivated: existing bookings still reference it'
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to delete staff or resource');
+        }
+    }
+);
+
+module.exports = router;
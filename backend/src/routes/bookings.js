@@ -6,19 +6,46 @@ const { authenticateToken } = require('../middleware/auth');
 const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
 
 const { checkSubscriptionAccess } = require('../middleware/subscription');
-const { createBookingSchema, updateBookingSchema } = require('../schemas/validation');
+const {
+    createBookingSchema,
+    updateBookingSchema,
+    availabilityQuerySchema,
+    rescheduleBookingSchema,
+    cancelBookingSchema,
+    createBookingSeriesSchema,
+    waitlistEntrySchema,
+    formatZodIssues
+} = require('../schemas/validation');
 
 const idempotency = require('../middleware/idempotency');
 const { checkFeature } = require('../config/features');
-const AppError = require('../utils/AppError');
 const notificationService = require('../services/notificationService');
+const bookingService = require('../services/bookingService');
+const availabilityService = require('../services/availabilityService');
+const bookingLifecycleService = require('../services/bookingLifecycleService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const waitlistService = require('../services/waitlistService');
+const eventBus = require('../lib/eventBus');
 const { google } = require('googleapis');
 
 // GLOBAL: Check feature enabled
 router.use(checkFeature('BOOKINGS'));
 
+// Who made a change, for the booking history
+const staffActor = (req) => ({ type: 'staff', id: req.user?.userId || req.user?.id || null });
+
+// AppErrors (conflicts, closed bookings, the cancellation window) carry their own status code
+const sendError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error(`[Bookings] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+};
+
 /**
  * GET /api/bookings - List all bookings for the tenant
+ * Query: status, clientId, from, to, assignee (resource id, staff user id, 'me' or 'unassigned')
  */
 router.get('/',
     authenticateToken,
@@ -27,7 +54,7 @@ router.get('/',
     async (req, res) => {
         try {
             const tenantId = req.scopedTenantId;
-            const { status, clientId, from, to } = req.query;
+            const { status, clientId, from, to, assignee } = req.query;
 
             console.log(`\x1b[1m[Bookings API] GET /api/bookings\x1b[0m`);
             console.log(`  📊 TenantId: ${tenantId}`);
@@ -38,6 +65,12 @@ router.get('/',
 
             if (status) whereClause.status = status;
             if (clientId) whereClause.clientId = clientId;
+            if (assignee === 'unassigned') {
+                whereClause.resourceId = null;
+            } else if (assignee) {
+                const userId = assignee === 'me' ? (req.user?.userId || req.user?.id) : assignee;
+                whereClause.OR = [{ resourceId: assignee }, { resource: { userId } }];
+            }
 
             if (from || to) {
                 whereClause.date = {};
@@ -48,6 +81,7 @@ router.get('/',
             const bookings = await prisma.booking.findMany({
                 where: whereClause,
                 include: {
+                    resource: { select: { id: true, name: true, type: true, userId: true } },
                     client: {
                         select: {
                             id: true,
@@ -99,6 +133,33 @@ router.get('/',
     }
 );
 
+/**
+ * GET /api/bookings/availability - Open slots on a day
+ * Query: date (YYYY-MM-DD, tenant timezone), serviceId, timePreference (morning|afternoon|evening|any)
+ */
+router.get('/availability',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'read'),
+    async (req, res, next) => {
+        try {
+            const parsed = availabilityQuerySchema.safeParse(req.query);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid availability query',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const availability = await availabilityService.getSlots(req.scopedTenantId, parsed.data);
+            res.json({ success: true, ...availability });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
 /**
  * POST /api/bookings - Create a new booking
  */
@@ -133,54 +194,22 @@ router.post('/',
             }
 
             const validatedData = createBookingSchema.parse(req.body);
-            const { clientId, date, purpose, status, meetingLink: manualMeetingLink } = validatedData;
+            const { clientId, date, serviceId, resourceId, purpose, status, meetingLink: manualMeetingLink } = validatedData;
 
             const bookingDate = new Date(date);
-            const endTime = new Date(bookingDate.getTime() + 60 * 60 * 1000);
 
             // TRANSACTION: Conflict Check + Create
-            const booking = await prisma.$transaction(async (tx) => {
-                // 1. Check Client Existence
-                const client = await tx.client.findFirst({
-                    where: { id: clientId, tenantId }
-                });
-
-                if (!client) {
-                    throw new AppError('Client not found', 404);
-                }
-
-                // 2. Strict Conflict Check (with lock implication via serial execution in tx if isolation level supports it, 
-                // but prisma $transaction ensures atomic operations at minimum)
-                const conflictingBooking = await tx.booking.findFirst({
-                    where: {
-                        tenantId,
-                        date: {
-                            gte: new Date(bookingDate.getTime() - 60 * 60 * 1000 + 1),
-                            lt: endTime
-                        },
-                        status: { not: 'Cancelled' }
-                    }
-                });
-
-                if (conflictingBooking) {
-                    throw new AppError('Slot is already booked', 409, 'BOOKING_CONFLICT');
-                }
-
-                // 3. Create Booking (meetingLink may be generated below)
-                return await tx.booking.create({
-                    data: {
-                        clientId,
-                        tenantId,
-                        date: bookingDate,
-                        purpose: purpose || '',
-                        status: status || 'Scheduled',
-                        meetingLink: manualMeetingLink || null
-                    },
-                    include: {
-                        client: { select: { id: true, name: true, phone: true, email: true } }
-                    }
-                });
+            // Staff may book outside the public hours, so only overlaps (service length + buffers) count
+            const booking = await bookingService.reserveBooking(tenantId, {
+                clientId,
+                date: bookingDate,
+                serviceId,
+                resourceId,
+                purpose,
+                status,
+                meetingLink: manualMeetingLink
             });
+            const endTime = booking.endTime;
 
             // --- POST-CREATION: Google Meet & Email ---
             let meetingLink = booking.meetingLink;
@@ -267,13 +296,15 @@ router.post('/',
                     </div>
                 `;
                 try {
-                    await notificationService.sendEmail(booking.client.email, emailSubject, emailBody);
-                    console.log(`📧 Booking confirmation sent to ${booking.client.email}`);
+                    await notificationService.queueEmail(booking.client.email, emailSubject, emailBody);
+                    console.log(`📧 Booking confirmation queued for ${booking.client.email}`);
                 } catch (emailError) {
-                    console.error('Failed to send booking email:', emailError.message);
+                    console.error('Failed to queue booking email:', emailError.message);
                 }
             }
 
+            eventBus.emit('booking:created', { tenantId, bookingId: booking.id, clientNotified: true });
+
             res.status(201).json({
                 success: true,
                 booking: { ...booking, meetingLink },
@@ -285,8 +316,207 @@ router.post('/',
     }
 );
 
+/**
+ * GET /api/bookings/waitlist?status=waiting - Clients waiting for a slot to free up
+ */
+router.get('/waitlist',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'read'),
+    async (req, res) => {
+        try {
+            const entries = await waitlistService.listEntries(req.scopedTenantId, { status: req.query.status || 'waiting' });
+            res.json({ success: true, entries });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch waitlist');
+        }
+    }
+);
+
+/**
+ * POST /api/bookings/waitlist
+ * Body: { clientId, serviceId, earliest, latest, notes }
+ */
+router.post('/waitlist',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'create'),
+    async (req, res) => {
+        try {
+            const parsed = waitlistEntrySchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({ success: false, error: 'Invalid waitlist entry', details: formatZodIssues(parsed.error) });
+            }
+
+            const entry = await waitlistService.addEntry(req.scopedTenantId, parsed.data);
+            res.status(201).json({ success: true, entry });
+        } catch (error) {
+            sendError(res, error, 'Failed to add to waitlist');
+        }
+    }
+);
+
+/**
+ * DELETE /api/bookings/waitlist/:id
+ */
+router.delete('/waitlist/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            await waitlistService.removeEntry(req.scopedTenantId, req.params.id);
+            res.json({ success: true, message: 'Removed from waitlist' });
+        } catch (error) {
+            sendError(res, error, 'Failed to remove from waitlist');
+        }
+    }
+);
+
+/**
+ * POST /api/bookings/series - Create a recurring booking
+ * Body: { clientId, date (first occurrence), serviceId, resourceId, purpose, recurrence, skipConflicts }
+ * recurrence is an RRULE subset, e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=10" (see utils/recurrence)
+ */
+router.post('/series',
+    idempotency,
+    authenticateToken,
+    verifyTenantAccess,
+    checkSubscriptionAccess,
+    checkPermission('bookings', 'create'),
+    async (req, res) => {
+        try {
+            const parsed = createBookingSeriesSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({ success: false, error: 'Invalid recurring booking', details: formatZodIssues(parsed.error) });
+            }
+
+            const { series, skipped } = await bookingSeriesService.createSeries(req.scopedTenantId, parsed.data);
+            res.status(201).json({ success: true, series, skipped, message: 'Recurring booking created' });
+        } catch (error) {
+            sendError(res, error, 'Failed to create recurring booking');
+        }
+    }
+);
+
+/**
+ * GET /api/bookings/series/:id - A recurring booking with its occurrences
+ */
+router.get('/series/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'read'),
+    async (req, res) => {
+        try {
+            const series = await bookingSeriesService.getSeries(req.scopedTenantId, req.params.id);
+            res.json({ success: true, series });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch recurring booking');
+        }
+    }
+);
+
+/**
+ * GET /api/bookings/:id/history - Reschedules, cancellations, check-ins and status changes
+ */
+router.get('/:id/history',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'read'),
+    async (req, res) => {
+        try {
+            const history = await bookingLifecycleService.getHistory(req.scopedTenantId, req.params.id);
+            res.json({ success: true, history });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch booking history');
+        }
+    }
+);
+
+/**
+ * POST /api/bookings/:id/reschedule
+ * Body: { date, resourceId, reason, scope }
+ * scope (recurring bookings): 'this' occurrence (default), 'following' or 'all' upcoming ones,
+ * moved by the same change of day and time
+ */
+router.post('/:id/reschedule',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = rescheduleBookingSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({ success: false, error: 'Invalid reschedule', details: formatZodIssues(parsed.error) });
+            }
+
+            const { scope, ...change } = parsed.data;
+            if (scope !== 'this') {
+                const series = await bookingSeriesService.reschedule(req.scopedTenantId, req.params.id, parsed.data, { actor: staffActor(req) });
+                return res.json({ success: true, series, message: 'Recurring booking rescheduled' });
+            }
+
+            const booking = await bookingLifecycleService.reschedule(req.scopedTenantId, req.params.id, change, {
+                actor: staffActor(req)
+            });
+            res.json({ success: true, booking, message: 'Booking rescheduled' });
+        } catch (error) {
+            sendError(res, error, 'Failed to reschedule booking');
+        }
+    }
+);
+
+/**
+ * POST /api/bookings/:id/cancel
+ * Body: { reason, scope } (scope as for reschedule)
+ */
+router.post('/:id/cancel',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = cancelBookingSchema.safeParse(req.body || {});
+            if (!parsed.success) {
+                return res.status(400).json({ success: false, error: 'Invalid cancellation', details: formatZodIssues(parsed.error) });
+            }
+
+            const { scope, ...change } = parsed.data;
+            if (scope !== 'this') {
+                const series = await bookingSeriesService.cancel(req.scopedTenantId, req.params.id, parsed.data, { actor: staffActor(req) });
+                return res.json({ success: true, series, message: 'Recurring booking cancelled' });
+            }
+
+            const booking = await bookingLifecycleService.cancel(req.scopedTenantId, req.params.id, change, {
+                actor: staffActor(req)
+            });
+            res.json({ success: true, booking, message: 'Booking cancelled' });
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel booking');
+        }
+    }
+);
+
+/**
+ * POST /api/bookings/:id/check-in - The client has arrived (stops it becoming a no-show)
+ */
+router.post('/:id/check-in',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('bookings', 'update'),
+    async (req, res) => {
+        try {
+            const booking = await bookingLifecycleService.checkIn(req.scopedTenantId, req.params.id, { actor: staffActor(req) });
+            res.json({ success: true, booking, message: 'Checked in' });
+        } catch (error) {
+            sendError(res, error, 'Failed to check in');
+        }
+    }
+);
+
 /**
  * PATCH /api/bookings/:id - Update a booking
+ * A new date or status is recorded in the booking history like the explicit operations above.
  */
 router.patch('/:id',
     authenticateToken,
@@ -305,7 +535,7 @@ router.patch('/:id',
 
             // Validate input
             const validatedData = updateBookingSchema.parse(req.body);
-            const { date, purpose, status, meetingLink } = validatedData;
+            const { date, serviceId, resourceId, purpose, status, meetingLink, reason } = validatedData;
 
             // Verify booking belongs to tenant
             const existingBooking = await prisma.booking.findFirst({
@@ -321,13 +551,20 @@ router.patch('/:id',
 
             const updateData = {};
             if (date !== undefined) updateData.date = new Date(date);
+            if (serviceId !== undefined) updateData.serviceId = serviceId;
+            if (resourceId !== undefined) updateData.resourceId = resourceId;
+
             if (purpose !== undefined) updateData.purpose = purpose;
             if (status !== undefined) updateData.status = status;
+            if (status === 'Cancelled' && existingBooking.status !== 'Cancelled') {
+                updateData.cancelledAt = new Date();
+                updateData.cancelReason = reason || null;
+            }
             if (meetingLink !== undefined) updateData.meetingLink = meetingLink;
 
-            const booking = await prisma.booking.update({
+            const update = (client, data) => client.booking.update({
                 where: { id },
-                data: updateData,
+                data,
                 include: {
                     client: {
                         select: {
@@ -340,6 +577,28 @@ router.patch('/:id',
                 }
             });
 
+            // A new time, service or assignee changes the time the booking takes up, and whose,
+            // so it is checked and saved under the tenant's booking lock (409 BOOKING_CONFLICT when taken)
+            let booking;
+            if (date !== undefined || serviceId !== undefined || resourceId !== undefined) {
+                booking = await availabilityService.reserveSlot(tenantId, {
+                    start: updateData.date || existingBooking.date,
+                    serviceId: serviceId !== undefined ? serviceId : existingBooking.serviceId,
+                    resourceId: resourceId !== undefined ? resourceId : existingBooking.resourceId,
+                    excludeBookingId: id
+                }, {}, (tx, slot) => update(tx, { ...updateData, endTime: slot.end }));
+                updateData.endTime = booking.endTime;
+            } else {
+                booking = await update(prisma, updateData);
+            }
+
+            // History, calendar, waitlist and events for a new time or status
+            await bookingLifecycleService.recordChange(tenantId, existingBooking, booking, {
+                reason,
+                actor: staffActor(req),
+                changes: updateData
+            });
+
             res.json({
                 success: true,
                 booking,
@@ -349,6 +608,9 @@ router.patch('/:id',
             if (error.name === 'ZodError') {
                 return res.status(400).json({ success: false, error: error.errors });
             }
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+            }
             console.error('Error updating booking:', error);
             res.status(500).json({
                 success: false,
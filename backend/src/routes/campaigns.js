@@ -0,0 +1,399 @@
+// backend/src/routes/campaigns.js
+const express = require('express');
+const router = express.Router();
+const prisma = require('../lib/prisma');
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
+const { checkSubscriptionAccess } = require('../middleware/subscription');
+const campaignService = require('../services/campaignService');
+const campaignDialerService = require('../services/campaignDialerService');
+const campaignBroadcastService = require('../services/campaignBroadcastService');
+const {
+    createCampaignSchema,
+    updateCampaignSchema,
+    doNotContactSchema,
+    formatZodIssues
+} = require('../schemas/validation');
+
+const { CAMPAIGN_STATUS } = campaignService;
+
+// AppErrors (wrong campaign state, empty audience) carry their own status code
+const sendError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error(`[Campaigns] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+};
+
+const audit = (req, action, details) => prisma.auditLog.create({
+    data: {
+        tenantId: req.scopedTenantId,
+        userId: req.user?.userId || req.user?.id,
+        action,
+        details
+    }
+}).catch(err => console.error('Audit log failed:', err));
+
+// Start calling or sending right away instead of waiting for the next cron tick
+const runNow = (campaign) => {
+    if (campaign.status !== CAMPAIGN_STATUS.RUNNING) return;
+
+    const run = campaign.type === 'voice'
+        ? campaignDialerService.dialCampaign(campaign.tenantId, campaign.id)
+        : campaignBroadcastService.sendBatch(campaign);
+    run.catch(err => console.error(`[Campaigns] Running campaign ${campaign.id} failed:`, err.message));
+};
+
+// ==================== TRACKING (public, linked from campaign messages) ====================
+
+/**
+ * GET /api/campaigns/track/:recipientId/open.gif - Email open pixel
+ */
+router.get('/track/:recipientId/open.gif', async (req, res) => {
+    try {
+        await campaignBroadcastService.recordOpen(req.params.recipientId);
+    } catch (error) {
+        console.error('[Campaigns] Failed to record open:', error.message);
+    }
+    res.set('Cache-Control', 'no-store');
+    res.type('image/gif').send(campaignBroadcastService.TRACKING_PIXEL);
+});
+
+/**
+ * GET /api/campaigns/track/:recipientId/click/:link - Record a link click and redirect to it
+ */
+router.get('/track/:recipientId/click/:link', async (req, res) => {
+    try {
+        const target = await campaignBroadcastService.recordClick(req.params.recipientId, req.params.link);
+        if (!target) {
+            return res.status(404).send('Link not found');
+        }
+        res.redirect(302, target);
+    } catch (error) {
+        console.error('[Campaigns] Failed to record click:', error.message);
+        res.status(500).send('Something went wrong');
+    }
+});
+
+/**
+ * GET /api/campaigns/unsubscribe/:recipientId - Page asking to confirm, so link scanners
+ * that open every link in an email don't unsubscribe anyone
+ */
+router.get('/unsubscribe/:recipientId', (req, res) => {
+    res.type('html').send(`<form method="post">
+        <p>Unsubscribe from these messages?</p>
+        <button type="submit">Unsubscribe</button>
+    </form>`);
+});
+
+/**
+ * POST /api/campaigns/unsubscribe/:recipientId - Opt out of a tenant's campaigns
+ * From the confirmation page, or one-click unsubscribe from mail clients (List-Unsubscribe-Post).
+ */
+router.post('/unsubscribe/:recipientId', async (req, res) => {
+    try {
+        const entry = await campaignBroadcastService.unsubscribe(req.params.recipientId);
+        if (!entry) {
+            return res.status(404).type('html').send('<p>This unsubscribe link is not valid.</p>');
+        }
+        res.type('html').send('<p>You have been unsubscribed and will not receive these messages again.</p>');
+    } catch (error) {
+        console.error('[Campaigns] Failed to unsubscribe:', error.message);
+        res.status(500).type('html').send('<p>Something went wrong. Please try again later.</p>');
+    }
+});
+
+// ==================== DO-NOT-CONTACT ====================
+
+/**
+ * GET /api/campaigns/do-not-contact - Numbers and addresses that must not be contacted
+ */
+router.get('/do-not-contact',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'read'),
+    async (req, res) => {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const [entries, total] = await campaignService.listDoNotContact(req.scopedTenantId, { page, limit });
+
+            res.json({
+                success: true,
+                entries,
+                pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch the do-not-contact list');
+        }
+    }
+);
+
+/**
+ * POST /api/campaigns/do-not-contact - Add a number (or, for channel email, an address)
+ */
+router.post('/do-not-contact',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = doNotContactSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid do-not-contact entry',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const entry = await campaignService.addDoNotContact(req.scopedTenantId, parsed.data);
+            await audit(req, 'Add Do-Not-Contact', `Added ${entry.phone || entry.email} (${entry.channel}) to the do-not-contact list`);
+
+            res.status(201).json({ success: true, entry });
+        } catch (error) {
+            sendError(res, error, 'Failed to add the number');
+        }
+    }
+);
+
+/**
+ * DELETE /api/campaigns/do-not-contact/:id - Allow a number to be contacted again
+ */
+router.delete('/do-not-contact/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'update'),
+    async (req, res) => {
+        try {
+            const removed = await campaignService.removeDoNotContact(req.scopedTenantId, req.params.id);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: 'Entry not found' });
+            }
+
+            await audit(req, 'Remove Do-Not-Contact', `Removed do-not-contact entry ${req.params.id}`);
+            res.json({ success: true });
+        } catch (error) {
+            sendError(res, error, 'Failed to remove the number');
+        }
+    }
+);
+
+// ==================== CAMPAIGNS ====================
+
+/**
+ * GET /api/campaigns - List campaigns
+ */
+router.get('/',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'read'),
+    async (req, res) => {
+        try {
+            const campaigns = await prisma.campaign.findMany({
+                where: {
+                    tenantId: req.scopedTenantId,
+                    ...(req.query.status ? { status: req.query.status } : {}),
+                    ...(req.query.type ? { type: req.query.type } : {})
+                },
+                orderBy: { createdAt: 'desc' }
+            });
+
+            res.json({ success: true, campaigns });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch campaigns');
+        }
+    }
+);
+
+/**
+ * POST /api/campaigns - Create a draft voice, SMS or email campaign
+ */
+router.post('/',
+    authenticateToken,
+    verifyTenantAccess,
+    checkSubscriptionAccess,
+    checkPermission('campaigns', 'create'),
+    async (req, res) => {
+        try {
+            const parsed = createCampaignSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid campaign',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const userId = req.user?.userId || req.user?.id;
+            const campaign = await campaignService.createCampaign(req.scopedTenantId, parsed.data, userId);
+            await audit(req, 'Create Campaign', `Created campaign: ${campaign.name}`);
+
+            res.status(201).json({ success: true, campaign });
+        } catch (error) {
+            sendError(res, error, 'Failed to create campaign');
+        }
+    }
+);
+
+/**
+ * GET /api/campaigns/:id - Campaign with recipient counts by status and outcome
+ */
+router.get('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'read'),
+    async (req, res) => {
+        try {
+            const campaign = await campaignService.getCampaign(req.scopedTenantId, req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ success: false, error: 'Campaign not found' });
+            }
+
+            const stats = await campaignService.getStats(campaign.id);
+            res.json({ success: true, campaign, stats });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch campaign');
+        }
+    }
+);
+
+/**
+ * PATCH /api/campaigns/:id - Edit a draft or paused campaign
+ */
+router.patch('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = updateCampaignSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid campaign',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const campaign = await campaignService.updateCampaign(req.scopedTenantId, req.params.id, parsed.data);
+            if (!campaign) {
+                return res.status(404).json({ success: false, error: 'Campaign not found' });
+            }
+
+            await audit(req, 'Update Campaign', `Updated campaign: ${campaign.name}`);
+            res.json({ success: true, campaign });
+        } catch (error) {
+            sendError(res, error, 'Failed to update campaign');
+        }
+    }
+);
+
+/**
+ * POST /api/campaigns/:id/start - Snapshot the audience and start calling or sending,
+ * or schedule an SMS/email campaign whose scheduledAt is in the future
+ */
+router.post('/:id/start',
+    authenticateToken,
+    verifyTenantAccess,
+    checkSubscriptionAccess,
+    checkPermission('campaigns', 'update'),
+    async (req, res) => {
+        try {
+            const campaign = await campaignService.startCampaign(req.scopedTenantId, req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ success: false, error: 'Campaign not found' });
+            }
+
+            const scheduled = campaign.status === CAMPAIGN_STATUS.SCHEDULED;
+            await audit(req, scheduled ? 'Schedule Campaign' : 'Start Campaign',
+                `${scheduled ? 'Scheduled' : 'Started'} campaign: ${campaign.name}`);
+            runNow(campaign);
+
+            const stats = await campaignService.getStats(campaign.id);
+            res.json({ success: true, campaign, stats });
+        } catch (error) {
+            sendError(res, error, 'Failed to start campaign');
+        }
+    }
+);
+
+// Pause, resume and cancel share everything but the target status
+const statusActions = {
+    pause: { status: CAMPAIGN_STATUS.PAUSED, action: 'Pause Campaign', verb: 'Paused' },
+    resume: { status: CAMPAIGN_STATUS.RUNNING, action: 'Resume Campaign', verb: 'Resumed' },
+    cancel: { status: CAMPAIGN_STATUS.CANCELLED, action: 'Cancel Campaign', verb: 'Cancelled' }
+};
+
+for (const [path, { status, action, verb }] of Object.entries(statusActions)) {
+    /**
+     * POST /api/campaigns/:id/pause | resume | cancel
+     */
+    router.post(`/:id/${path}`,
+        authenticateToken,
+        verifyTenantAccess,
+        checkPermission('campaigns', 'update'),
+        async (req, res) => {
+            try {
+                const campaign = await campaignService.setStatus(req.scopedTenantId, req.params.id, status);
+                if (!campaign) {
+                    return res.status(404).json({ success: false, error: 'Campaign not found' });
+                }
+
+                await audit(req, action, `${verb} campaign: ${campaign.name}`);
+                runNow(campaign);
+
+                res.json({ success: true, campaign });
+            } catch (error) {
+                sendError(res, error, `Failed to ${path} campaign`);
+            }
+        }
+    );
+}
+
+/**
+ * GET /api/campaigns/:id/recipients?status=&outcome= - Per-recipient results
+ */
+router.get('/:id/recipients',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('campaigns', 'read'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const campaign = await campaignService.getCampaign(tenantId, req.params.id);
+            if (!campaign) {
+                return res.status(404).json({ success: false, error: 'Campaign not found' });
+            }
+
+            const page = parseInt(req.query.page) || 1;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const where = {
+                campaignId: campaign.id,
+                ...(req.query.status ? { status: req.query.status } : {}),
+                ...(req.query.outcome ? { outcome: req.query.outcome } : {})
+            };
+
+            const [recipients, total] = await Promise.all([
+                prisma.campaignRecipient.findMany({
+                    where,
+                    orderBy: { createdAt: 'asc' },
+                    skip: (page - 1) * limit,
+                    take: limit
+                }),
+                prisma.campaignRecipient.count({ where })
+            ]);
+
+            res.json({
+                success: true,
+                recipients,
+                pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch recipients');
+        }
+    }
+);
+
+module.exports = router;
@@ -6,8 +6,7 @@ const guideService = require('../services/guideService');
 const clientService = require('../services/clientService');
 
 // Enterprise Features: AI Lead Scoring & Sentiment Analysis
-const aiAnalysisService = require('../services/aiAnalysisService');
-const eventBus = require('../lib/eventBus');
+const jobQueueService = require('../services/jobQueueService');
 
 router.post('/', async (req, res) => {
     try {
@@ -204,61 +203,11 @@ router.post('/', async (req, res) => {
             });
         }
 
-        // 7. Enterprise Feature: Async Sentiment Analysis & Lead Scoring
-        // This runs in background to not delay response
+        // 7. Enterprise Feature: Sentiment Analysis & Lead Scoring
+        // Queued as a chat.analyze job so it does not delay the response
         if (tenantId && message.length > 10) {
-            setImmediate(async () => {
-                try {
-                    // Analyze customer sentiment
-                    const analysis = await aiAnalysisService.analyzeSentiment(message);
-
-                    // Check if we should trigger a priority alert
-                    const alertCheck = aiAnalysisService.shouldTriggerAlert(analysis);
-
-                    // Find or create client based on session
-                    let clientId = null;
-                    if (sessionId) {
-                        const sessionMessages = await prisma.message.findFirst({
-                            where: { sessionId, tenantId },
-                            include: { callSession: true }
-                        });
-                        if (sessionMessages?.callSession?.clientId) {
-                            clientId = sessionMessages.callSession.clientId;
-                        }
-                    }
-
-                    // Update lead score if we have a client
-                    if (clientId) {
-                        const client = await prisma.client.findUnique({ where: { id: clientId } });
-                        if (client) {
-                            const newScore = aiAnalysisService.calculateLeadScore(analysis, client.leadScore || 0);
-                            await prisma.client.update({
-                                where: { id: clientId },
-                                data: {
-                                    leadScore: newScore,
-                                    lastSentiment: analysis.sentiment
-                                }
-                            });
-                        }
-                    }
-
-                    // Emit priority alert if needed
-                    if (alertCheck.shouldAlert) {
-                        eventBus.emit('lead:priority_alert', {
-                            tenantId,
-                            clientId,
-                            analysis,
-                            message,
-                            priority: alertCheck.priority,
-                            reason: alertCheck.reason
-                        });
-                    }
-
-                    console.log(`[Chat] Sentiment: ${analysis.sentiment}, Intent: ${analysis.intent}, Alert: ${alertCheck.shouldAlert}`);
-                } catch (analysisError) {
-                    console.error('[Chat] Sentiment analysis error:', analysisError.message);
-                }
-            });
+            jobQueueService.enqueue('chat.analyze', { tenantId, sessionId, message }, { tenantId })
+                .catch(err => console.error('[Chat] Failed to queue sentiment analysis:', err.message));
         }
 
         return res.json({
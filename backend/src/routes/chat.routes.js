@@ -5,6 +5,7 @@ const ragService = require('../services/ragService');
 const ctaService = require('../services/ctaService');
 const guideService = require('../services/guideService');
 const clientService = require('../services/clientService');
+const conversationService = require('../services/conversationService');
 const prisma = require('../lib/prisma');
 const OpenAI = require('openai');
 
@@ -37,7 +38,7 @@ router.get('/status', optionalAuth, (req, res) => {
 // Main Chat Endpoint - Ported from chat.js for Landing Page Specifics
 router.post('/message', optionalAuth, async (req, res) => {
     try {
-        const { message, tenantId, sessionId, systemPrompt: clientSystemPrompt, model: clientModel } = req.body;
+        const { message, tenantId, sessionId, systemPrompt: clientSystemPrompt, model: clientModel, email, phone } = req.body;
 
         console.log('[Chat] POST /message received');
         console.log('[Chat] tenantId:', tenantId);
@@ -83,7 +84,24 @@ router.post('/message', optionalAuth, async (req, res) => {
         // Save Current User Message
         const activeTenantId = tenantId || req.user?.tenantId || 'landing_guest';
 
-        if (activeTenantId && sessionId) {
+        // Website visitors chatting with a tenant's widget get a conversation (linked to the
+        // client by the email/phone they share); dashboard test chats do not
+        let conversation = null;
+        if (sessionId && !req.user && activeTenantId !== 'landing_guest') {
+            const tenantExists = await prisma.tenant.findUnique({ where: { id: activeTenantId }, select: { id: true } });
+            if (tenantExists) {
+                conversation = await conversationService.getOrCreateConversation(activeTenantId, {
+                    channel: 'chat',
+                    sessionId,
+                    email: typeof email === 'string' ? email : null,
+                    phone: typeof phone === 'string' ? phone : null
+                });
+            }
+        }
+
+        if (conversation) {
+            await conversationService.addMessage(conversation, { role: 'user', content: message });
+        } else if (activeTenantId && sessionId) {
             await prisma.message.create({
                 data: {
                     sessionId,
@@ -236,7 +254,9 @@ router.post('/message', optionalAuth, async (req, res) => {
         const aiContent = aiMessage.content || "I'm listening.";
 
         // 6. Save AI Response
-        if (activeTenantId && sessionId) {
+        if (conversation) {
+            await conversationService.addMessage(conversation, { role: 'assistant', content: aiContent });
+        } else if (activeTenantId && sessionId) {
             await prisma.message.create({
                 data: {
                     sessionId,
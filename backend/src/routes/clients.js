@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const prisma = require('../lib/prisma');
+const eventBus = require('../lib/eventBus');
+const conversationService = require('../services/conversationService');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
 
@@ -119,6 +121,8 @@ router.post('/',
                 }
             });
 
+            eventBus.emit('client:created', { tenantId, clientId: client.id });
+
             res.status(201).json({
                 success: true,
                 client,
@@ -140,6 +144,39 @@ router.post('/',
     }
 );
 
+/**
+ * GET /api/clients/:id/timeline?before=&limit= - Messages (every channel), calls, bookings
+ * and meeting minutes for a client, newest first
+ */
+router.get('/:id/timeline',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'read'),
+    async (req, res) => {
+        try {
+            const timeline = await conversationService.getClientTimeline(req.scopedTenantId, req.params.id, {
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                before: req.query.before
+            });
+
+            if (!timeline) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Client not found'
+                });
+            }
+
+            res.json({ success: true, ...timeline });
+        } catch (error) {
+            console.error('Error fetching client timeline:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch client timeline'
+            });
+        }
+    }
+);
+
 /**
  * GET /api/clients/:id - Get a specific client
  */
@@ -0,0 +1,183 @@
+// backend/src/routes/conversations.js
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
+const conversationService = require('../services/conversationService');
+const { conversationReplySchema, updateConversationSchema, formatZodIssues } = require('../schemas/validation');
+
+// AppErrors (e.g. the number opted out) carry their own status code
+const sendError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error(`[Conversations] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+};
+
+/**
+ * GET /api/conversations?channel=&status=&assigneeId=&clientId=&aiPaused=&unread=true
+ * Inbox across channels, most recent activity first
+ */
+router.get('/',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'read'),
+    async (req, res) => {
+        try {
+            const page = parseInt(req.query.page) || 1;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const aiPaused = req.query.aiPaused === undefined ? undefined : req.query.aiPaused === 'true';
+
+            const [conversations, total] = await conversationService.listConversations(req.scopedTenantId, {
+                page,
+                limit,
+                channel: req.query.channel,
+                status: req.query.status,
+                assigneeId: req.query.assigneeId === 'me' ? (req.user?.userId || req.user?.id) : req.query.assigneeId,
+                clientId: req.query.clientId,
+                aiPaused,
+                unread: req.query.unread === 'true'
+            });
+
+            res.json({
+                success: true,
+                conversations,
+                pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+            });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch conversations');
+        }
+    }
+);
+
+/**
+ * GET /api/conversations/:id?before=&limit= - A thread with its latest messages
+ */
+router.get('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'read'),
+    async (req, res) => {
+        try {
+            const conversation = await conversationService.getConversation(req.scopedTenantId, req.params.id);
+            if (!conversation) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+
+            const messages = await conversationService.getMessages(conversation, {
+                limit: Math.min(parseInt(req.query.limit) || 50, 200),
+                before: req.query.before
+            });
+
+            res.json({ success: true, conversation, messages });
+        } catch (error) {
+            sendError(res, error, 'Failed to fetch conversation');
+        }
+    }
+);
+
+/**
+ * PATCH /api/conversations/:id - Close/reopen or (un)assign a conversation
+ */
+router.patch('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = updateConversationSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid conversation update',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const conversation = await conversationService.updateConversation(req.scopedTenantId, req.params.id, parsed.data);
+            if (!conversation) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+            res.json({ success: true, conversation });
+        } catch (error) {
+            sendError(res, error, 'Failed to update conversation');
+        }
+    }
+);
+
+/**
+ * POST /api/conversations/:id/read - Clear the unread count
+ */
+router.post('/:id/read',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'read'),
+    async (req, res) => {
+        try {
+            const found = await conversationService.markRead(req.scopedTenantId, req.params.id);
+            if (!found) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            sendError(res, error, 'Failed to mark conversation as read');
+        }
+    }
+);
+
+/**
+ * POST /api/conversations/:id/reply - Text the customer as staff (pauses the AI on the thread)
+ */
+router.post('/:id/reply',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('clients', 'update'),
+    async (req, res) => {
+        try {
+            const parsed = conversationReplySchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid reply',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const userId = req.user?.userId || req.user?.id;
+            const message = await conversationService.reply(req.scopedTenantId, req.params.id, userId, parsed.data.body);
+            if (!message) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+
+            res.status(201).json({ success: true, message });
+        } catch (error) {
+            sendError(res, error, 'Failed to send reply');
+        }
+    }
+);
+
+/**
+ * POST /api/conversations/:id/pause | resume - Stop or restart AI replies on the thread
+ */
+for (const [path, paused] of [['pause', true], ['resume', false]]) {
+    router.post(`/:id/${path}`,
+        authenticateToken,
+        verifyTenantAccess,
+        checkPermission('clients', 'update'),
+        async (req, res) => {
+            try {
+                const userId = req.user?.userId || req.user?.id;
+                const conversation = await conversationService.setAiPaused(req.scopedTenantId, req.params.id, paused, userId);
+                if (!conversation) {
+                    return res.status(404).json({ success: false, error: 'Conversation not found' });
+                }
+                res.json({ success: true, conversation });
+            } catch (error) {
+                sendError(res, error, `Failed to ${path} the AI`);
+            }
+        }
+    );
+}
+
+module.exports = router;
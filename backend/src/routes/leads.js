@@ -6,16 +6,18 @@ const { verifyTenantAccess } = require('../middleware/permissions');
 
 /**
  * GET /api/leads - Fetch all AI-captured leads
+ * ?tag=callback lists every client tagged for a callback (voicemails and
+ * messages taken by the AI), including existing clients
  */
 router.get('/', authenticateToken, verifyTenantAccess, async (req, res) => {
     try {
         const tenantId = req.scopedTenantId;
-        const { page = 1, limit = 10, search = '' } = req.query;
+        const { page = 1, limit = 10, search = '', tag } = req.query;
         const skip = (page - 1) * limit;
 
         const where = {
             tenantId,
-            source: 'AI_AGENT',
+            ...(tag ? { tags: { has: String(tag) } } : { source: 'AI_AGENT' }),
             ...(search && {
                 OR: [
                     { name: { contains: search, mode: 'insensitive' } },
@@ -82,6 +82,7 @@ router.post('/',
             const eventBus = require('../lib/eventBus');
             eventBus.emit('meeting_minute:created', {
                 tenantId,
+                minuteId: minute.id,
                 client: minute.client,
                 tenant: minute.tenant,
                 content: minute.content
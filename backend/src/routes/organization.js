@@ -14,6 +14,17 @@ const { SendMailClient } = require("zeptomail");
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission, requireOwnerOrAdmin, verifyTenantAccess } = require('../middleware/permissions');
 const { inviteLimiter, inviteVerifyLimiter } = require('../middleware/rateLimiting');
+const { Prisma } = require('@prisma/client');
+const {
+    businessHoursSchema,
+    bookingConfigSchema,
+    bookingSlugSchema,
+    transferConfigSchema,
+    afterHoursConfigSchema,
+    recordingConfigSchema,
+    voiceConfigSchema,
+    formatZodIssues
+} = require('../schemas/validation');
 
 // Initialize ZeptoMail client
 const ZEPTOMAIL_URL = "https://api.zeptomail.com/v1.1/email";
@@ -634,6 +645,9 @@ router.get('/info',
                     name: tenant.name,
                     location: tenant.location,
                     timezone: tenant.timezone,
+                    businessHours: tenant.businessHours,
+                    bookingConfig: tenant.bookingConfig,
+                    slug: tenant.slug,
                     phoneNumber: tenant.phoneNumber,
                     plan: tenant.plan,
                     brandColor: tenant.brandColor,
@@ -668,9 +682,12 @@ router.patch('/info',
             const tenantId = req.user?.tenantId;
             const {
                 name, location, timezone, phoneNumber,
+                businessHours, // JSON: { mon: [{ start: '09:00', end: '17:00' }] } in the tenant timezone, null = always open
+                bookingConfig, // JSON: { hours, holidays, defaultDuration, slotInterval, bufferBefore, bufferAfter, minNotice, maxPerDay }
+                slug, // Public booking page address, null = no page
                 brandColor, logoUrl,
                 aiName, aiWelcomeMessage, customSystemPrompt,
-                aiConfig, // JSON: { model, temperature, systemPrompt, voiceId, welcomeMessage, faqs: [] }
+                aiConfig, // JSON: { model, temperature, systemPrompt, voiceId, welcomeMessage, faqs: [], voice: {...} }
                 twilioConfig // JSON: { accountSid, authToken, phoneNumber ... }
             } = req.body;
 
@@ -691,6 +708,40 @@ router.patch('/info',
             if (location !== undefined) updateData.location = location;
             if (timezone !== undefined) updateData.timezone = timezone;
             if (phoneNumber !== undefined) updateData.phoneNumber = phoneNumber;
+            if (businessHours !== undefined) {
+                const parsedHours = businessHoursSchema.nullable().safeParse(businessHours);
+                if (!parsedHours.success) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid business hours',
+                        details: formatZodIssues(parsedHours.error)
+                    });
+                }
+                updateData.businessHours = parsedHours.data ?? Prisma.DbNull;
+            }
+            // Booking rules (see availabilityService)
+            if (bookingConfig !== undefined) {
+                const parsedBooking = bookingConfigSchema.nullable().safeParse(bookingConfig);
+                if (!parsedBooking.success) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid booking settings',
+                        details: formatZodIssues(parsedBooking.error)
+                    });
+                }
+                updateData.bookingConfig = parsedBooking.data ?? Prisma.DbNull;
+            }
+            if (slug !== undefined) {
+                const parsedSlug = bookingSlugSchema.nullable().safeParse(slug);
+                if (!parsedSlug.success) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid booking page address',
+                        details: formatZodIssues(parsedSlug.error)
+                    });
+                }
+                updateData.slug = parsedSlug.data;
+            }
             if (brandColor !== undefined) updateData.brandColor = brandColor;
             if (logoUrl !== undefined) updateData.logoUrl = logoUrl;
             if (aiName !== undefined) updateData.aiName = aiName;
@@ -745,6 +796,19 @@ router.patch('/info',
                     }
                 }
 
+                // Voice, VAD and hangup settings (see voiceSettingsService)
+                if (aiConfig.voice !== undefined) {
+                    const parsedVoice = voiceConfigSchema.safeParse(aiConfig.voice);
+                    if (!parsedVoice.success) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid voice settings',
+                            details: formatZodIssues(parsedVoice.error)
+                        });
+                    }
+                    mergedAiConfig.voice = parsedVoice.data;
+                }
+
                 console.log('[Organization API] aiConfig validation passed, setting updateData.aiConfig');
                 updateData.aiConfig = mergedAiConfig;
             }
@@ -758,6 +822,45 @@ router.patch('/info',
                 });
                 const existingConfig = (currentTenant && currentTenant.twilioConfig) ? currentTenant.twilioConfig : {};
 
+                // Call transfer targets and business hours (see callTransferService)
+                if (twilioConfig.transfer !== undefined) {
+                    const parsedTransfer = transferConfigSchema.safeParse(twilioConfig.transfer);
+                    if (!parsedTransfer.success) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid transfer settings',
+                            details: formatZodIssues(parsedTransfer.error)
+                        });
+                    }
+                    twilioConfig.transfer = parsedTransfer.data;
+                }
+
+                // What callers get outside businessHours (see voicemailService)
+                if (twilioConfig.afterHours !== undefined) {
+                    const parsedAfterHours = afterHoursConfigSchema.safeParse(twilioConfig.afterHours);
+                    if (!parsedAfterHours.success) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid after-hours settings',
+                            details: formatZodIssues(parsedAfterHours.error)
+                        });
+                    }
+                    twilioConfig.afterHours = parsedAfterHours.data;
+                }
+
+                // Call recording, consent disclosure and retention (see callRecordingService)
+                if (twilioConfig.recording !== undefined) {
+                    const parsedRecording = recordingConfigSchema.safeParse(twilioConfig.recording);
+                    if (!parsedRecording.success) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Invalid recording settings',
+                            details: formatZodIssues(parsedRecording.error)
+                        });
+                    }
+                    twilioConfig.recording = parsedRecording.data;
+                }
+
                 if (twilioConfig.phoneNumber) {
                     // Sanitize input: Allow users to paste formats like "+1 866-724-3198"
                     // Keep digits and '+' but remove other formatting characters.
@@ -840,6 +943,12 @@ router.patch('/info',
             console.error('Error stack:', error.stack);
             
             // Handle Prisma unique constraint violation
+            if (error.code === 'P2002' && String(error.meta?.target).includes('slug')) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'This booking page address is already taken.'
+                });
+            }
             if (error.code === 'P2002') {
                 return res.status(409).json({
                     success: false,
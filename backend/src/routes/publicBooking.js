@@ -0,0 +1,137 @@
+// backend/src/routes/publicBooking.js
+// Self-service booking page - no authentication; tenants are found by Tenant.slug
+const express = require('express');
+const router = express.Router();
+const { checkFeature } = require('../config/features');
+const { publicBookingLimiter, publicBookingWriteLimiter } = require('../middleware/rateLimiting');
+const { verifyCaptcha } = require('../middleware/captcha');
+const publicBookingService = require('../services/publicBookingService');
+const {
+    availabilityQuerySchema,
+    publicBookingSchema,
+    publicRescheduleSchema,
+    publicCancelSchema,
+    formatZodIssues
+} = require('../schemas/validation');
+
+router.use(checkFeature('BOOKINGS'));
+router.use(publicBookingLimiter);
+
+// AppErrors (unknown page, taken slot) carry their own status code
+const sendError = (res, error, message) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error(`[PublicBooking] ${message}:`, error);
+    res.status(500).json({ success: false, error: message });
+};
+
+const invalid = (res, error, parsed) => res.status(400).json({
+    success: false,
+    error,
+    details: formatZodIssues(parsed.error)
+});
+
+// Manage links are registered first so "manage" is never read as a slug
+
+/**
+ * GET /api/public/booking/manage/:token - The booking behind a reschedule/cancel link
+ */
+router.get('/manage/:token', async (req, res) => {
+    try {
+        const booking = await publicBookingService.getBooking(req.params.token);
+        res.json({ success: true, booking });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch booking');
+    }
+});
+
+/**
+ * POST /api/public/booking/manage/:token/reschedule
+ * Body: { date, captchaToken }
+ */
+router.post('/manage/:token/reschedule',
+    publicBookingWriteLimiter,
+    verifyCaptcha,
+    async (req, res) => {
+        try {
+            const parsed = publicRescheduleSchema.safeParse(req.body);
+            if (!parsed.success) return invalid(res, 'Invalid date', parsed);
+
+            const booking = await publicBookingService.reschedule(req.params.token, parsed.data);
+            res.json({ success: true, booking, message: 'Booking rescheduled' });
+        } catch (error) {
+            sendError(res, error, 'Failed to reschedule booking');
+        }
+    }
+);
+
+/**
+ * POST /api/public/booking/manage/:token/cancel
+ * Body: { reason }
+ */
+router.post('/manage/:token/cancel',
+    publicBookingWriteLimiter,
+    verifyCaptcha,
+    async (req, res) => {
+        try {
+            const parsed = publicCancelSchema.safeParse(req.body || {});
+            if (!parsed.success) return invalid(res, 'Invalid cancellation', parsed);
+
+            const booking = await publicBookingService.cancel(req.params.token, parsed.data);
+            res.json({ success: true, booking, message: 'Booking cancelled' });
+        } catch (error) {
+            sendError(res, error, 'Failed to cancel booking');
+        }
+    }
+);
+
+/**
+ * GET /api/public/booking/:slug - Business details, active services and staff
+ */
+router.get('/:slug', async (req, res) => {
+    try {
+        const page = await publicBookingService.getPage(req.params.slug);
+        res.json({ success: true, ...page });
+    } catch (error) {
+        sendError(res, error, 'Failed to load booking page');
+    }
+});
+
+/**
+ * GET /api/public/booking/:slug/availability?date=YYYY-MM-DD&serviceId=&resourceId=&timePreference=
+ */
+router.get('/:slug/availability', async (req, res) => {
+    try {
+        const parsed = availabilityQuerySchema.safeParse(req.query);
+        if (!parsed.success) return invalid(res, 'Invalid availability query', parsed);
+
+        const availability = await publicBookingService.getSlots(req.params.slug, parsed.data);
+        res.json({ success: true, ...availability });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch availability');
+    }
+});
+
+/**
+ * POST /api/public/booking/:slug/bookings
+ * Body: { name, phone, email, date, serviceId, resourceId, notes, captchaToken }
+ * Responds with the manageToken for the reschedule/cancel link (also sent to the client)
+ */
+router.post('/:slug/bookings',
+    publicBookingWriteLimiter,
+    verifyCaptcha,
+    async (req, res) => {
+        try {
+            const parsed = publicBookingSchema.safeParse(req.body);
+            if (!parsed.success) return invalid(res, 'Invalid booking', parsed);
+
+            const { booking, manageToken } = await publicBookingService.createBooking(req.params.slug, parsed.data);
+            res.status(201).json({ success: true, booking, manageToken, message: 'Booking confirmed' });
+        } catch (error) {
+            sendError(res, error, 'Failed to create booking');
+        }
+    }
+);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const twilioService = require('../services/twilioService');
+const jobQueueService = require('../services/jobQueueService');
+const callTransferService = require('../services/callTransferService');
+const voicemailService = require('../services/voicemailService');
+const callRecordingService = require('../services/callRecordingService');
+const campaignDialerService = require('../services/campaignDialerService');
+const campaignBroadcastService = require('../services/campaignBroadcastService');
+const prisma = require('../lib/prisma');
 const twilio = require('twilio');
 const logger = require('../lib/logger')('TwilioRoutes');
 const { authenticateToken } = require('../middleware/auth');
@@ -48,7 +55,24 @@ router.post('/webhook/voice', validateTwilio, async (req, res) => {
  */
 router.post('/webhook/voice/outbound-stream', validateTwilio, async (req, res) => {
     try {
+        const { tenantId, campaignId, recipientId } = req.query;
+
+        // Campaign call picked up by an answering machine: leave the voicemail message instead of the AI
+        if (campaignId && String(req.body.AnsweredBy || '').startsWith('machine')) {
+            res.type('text/xml');
+            return res.send(await campaignDialerService.buildMachineTwiml(String(tenantId), String(campaignId)));
+        }
+
         const response = new twilio.twiml.VoiceResponse();
+
+        if (req.query.tenantId) {
+            const tenant = await prisma.tenant.findUnique({
+                where: { id: String(req.query.tenantId) },
+                select: { twilioConfig: true }
+            });
+            callRecordingService.applyToTwiml(response, String(req.query.tenantId), tenant?.twilioConfig);
+        }
+
         const connect = response.connect();
 
         const stream = connect.stream({
@@ -61,6 +85,8 @@ router.post('/webhook/voice/outbound-stream', validateTwilio, async (req, res) =
                 value: String(req.query.tenantId)
             });
         }
+        if (req.body.CallSid) stream.parameter({ name: 'CallSid', value: req.body.CallSid });
+        if (recipientId) stream.parameter({ name: 'campaignRecipientId', value: String(recipientId) });
 
         res.setHeader('Content-Encoding', 'identity');
         res.type('text/xml');
@@ -120,7 +146,28 @@ router.post('/webhook/voice/gather', validateTwilio, async (req, res) => {
 router.post('/webhook/status', validateTwilio, async (req, res) => {
     try {
         logger.info('Twilio Call Status Update', req.body);
-        // Optional: persist status updates here
+        const { CallSid, CallStatus, CallDuration } = req.body;
+
+        if (CallSid && CallStatus === 'completed') {
+            const callSession = await prisma.callSession.findUnique({ where: { callSid: CallSid } });
+            if (callSession) {
+                await prisma.callSession.update({
+                    where: { id: callSession.id },
+                    data: {
+                        status: 'completed',
+                        endedAt: callSession.endedAt || new Date(),
+                        duration: CallDuration ? parseInt(CallDuration, 10) : callSession.duration
+                    }
+                });
+
+                // Summarize after a short delay so the media stream can save the transcript
+                await jobQueueService.enqueue('call.process', { callSessionId: callSession.id }, {
+                    tenantId: callSession.tenantId,
+                    delayMs: 30 * 1000
+                });
+            }
+        }
+
         res.sendStatus(200);
     } catch (error) {
         logger.error('Twilio Status Webhook Error', error);
@@ -128,6 +175,122 @@ router.post('/webhook/status', validateTwilio, async (req, res) => {
     }
 });
 
+/**
+ * Campaign Call Status Callback
+ * Settles the attempt (retry or outcome) and dials the next recipient
+ */
+router.post('/webhook/campaign/status', validateTwilio, async (req, res) => {
+    try {
+        const { tenantId, campaignId, recipientId } = req.query;
+        await campaignDialerService.handleCallStatus(req.body, {
+            tenantId: String(tenantId),
+            campaignId: String(campaignId),
+            recipientId: String(recipientId)
+        });
+        res.sendStatus(200);
+    } catch (error) {
+        logger.error('Twilio Campaign Status Webhook Error', error);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * SMS Campaign Delivery Status Callback
+ */
+router.post('/webhook/campaign/sms-status', validateTwilio, async (req, res) => {
+    try {
+        const { tenantId, recipientId } = req.query;
+        await campaignBroadcastService.handleSmsStatus(req.body, {
+            tenantId: String(tenantId),
+            recipientId: String(recipientId)
+        });
+        res.sendStatus(200);
+    } catch (error) {
+        logger.error('Twilio Campaign SMS Status Webhook Error', error);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Call Recording Status Callback
+ * Finished recordings are copied into storage by the 'recording.store' job
+ */
+router.post('/webhook/recording', validateTwilio, async (req, res) => {
+    try {
+        await callRecordingService.handleRecordingStatus(req.body, req.query.tenantId);
+        res.sendStatus(200);
+    } catch (error) {
+        logger.error('Twilio Recording Webhook Error', error);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Warm Transfer Whisper
+ * Played to the team member who answered, before the caller is connected
+ */
+router.post('/webhook/transfer/whisper', validateTwilio, (req, res) => {
+    res.type('text/xml');
+    res.send(callTransferService.buildWhisperTwiml(req.query.text));
+});
+
+/**
+ * Transfer <Dial> Completed
+ * Falls back to voicemail when no one answered
+ */
+router.post('/webhook/transfer/complete', validateTwilio, async (req, res) => {
+    try {
+        const twiml = await callTransferService.handleDialComplete(req.body, req.query.tenantId);
+
+        res.type('text/xml');
+        res.send(twiml);
+    } catch (error) {
+        logger.error('Twilio Transfer Webhook Error', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).send('Error');
+    }
+});
+
+/**
+ * Voicemail Recording Status Callback
+ */
+router.post('/webhook/voicemail/recording', validateTwilio, async (req, res) => {
+    try {
+        await voicemailService.handleRecording(req.body, req.query.tenantId);
+        res.sendStatus(200);
+    } catch (error) {
+        logger.error('Twilio Voicemail Recording Webhook Error', error);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Voicemail Transcription Callback
+ */
+router.post('/webhook/voicemail/transcription', validateTwilio, async (req, res) => {
+    try {
+        await voicemailService.handleTranscription(req.body, req.query.tenantId);
+        res.sendStatus(200);
+    } catch (error) {
+        logger.error('Twilio Voicemail Transcription Webhook Error', error);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Voicemail <Record> finished
+ */
+router.post('/webhook/voicemail/complete', validateTwilio, (req, res) => {
+    const response = new twilio.twiml.VoiceResponse();
+    response.say('Thank you. Goodbye.');
+    response.hangup();
+
+    res.type('text/xml');
+    res.send(response.toString());
+});
+
 /* ==========================================================================
    PUBLIC
    ========================================================================== */
@@ -2,12 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const voiceService = require('../services/voiceService');
+const agentToolsService = require('../services/agentToolsService');
+const callRecordingService = require('../services/callRecordingService');
+const voiceSettingsService = require('../services/voiceSettingsService');
 const prisma = require('../lib/prisma');
 const { authenticateToken } = require('../middleware/auth');
 const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
 const { checkSubscriptionAccess, checkFeature } = require('../middleware/subscription');
 const { voiceLimiter } = require('../middleware/rateLimiting');
 const { checkFeature: checkGlobalFeature } = require('../config/features');
+const { voiceConfigSchema, voicePreviewSchema, formatZodIssues } = require('../schemas/validation');
 
 // GLOBAL FEATURE LOCK
 router.use(checkGlobalFeature('VOICE_AGENTS'));
@@ -255,4 +259,203 @@ router.get(
     }
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/voice/calls/:id/recording
+ * Short-lived signed URL for the call recording. :id is the call session id,
+ * or the inbound call id for the same call.
+ */
+router.get(
+    '/calls/:id/recording',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'read'),
+    async (req, res) => {
+        try {
+            const recording = await callRecordingService.getRecordingUrl(req.scopedTenantId, req.params.id);
+
+            if (!recording) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recording not found'
+                });
+            }
+
+            res.json({ success: true, ...recording });
+        } catch (error) {
+            console.error('[Voice] Fetch recording error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch recording'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/voice/tools
+ * Built-in and custom tools with whether each is offered on voice calls
+ */
+router.get(
+    '/tools',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'read'),
+    async (req, res) => {
+        try {
+            const tools = await agentToolsService.listVoiceTools(req.scopedTenantId);
+            res.json({ success: true, tools });
+        } catch (error) {
+            console.error('[Voice] Fetch tools error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch voice tools'
+            });
+        }
+    }
+);
+
+/**
+ * PUT /api/voice/tools
+ * Body: { tools: { check_availability: true, transfer_to_human: false } }
+ * Custom tools are toggled through their own isActive flag.
+ */
+router.put(
+    '/tools',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'configure'),
+    async (req, res) => {
+        try {
+            const { tools } = req.body;
+            if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'tools must be an object of tool name to true/false'
+                });
+            }
+
+            const validationError = agentToolsService.validateVoiceToolSettings(tools);
+            if (validationError) {
+                return res.status(400).json({ success: false, error: validationError });
+            }
+
+            const settings = await agentToolsService.updateVoiceToolSettings(req.scopedTenantId, tools);
+            res.json({ success: true, settings });
+        } catch (error) {
+            console.error('[Voice] Update tools error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update voice tools'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/voice/settings
+ * Voice, language, speaking style, VAD, barge-in and hangup settings with defaults applied
+ */
+router.get(
+    '/settings',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'read'),
+    async (req, res) => {
+        try {
+            const settings = await voiceSettingsService.getTenantVoiceConfig(req.scopedTenantId);
+            res.json({ success: true, settings });
+        } catch (error) {
+            console.error('[Voice] Fetch settings error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch voice settings'
+            });
+        }
+    }
+);
+
+/**
+ * PUT /api/voice/settings
+ * Body: any of { provider, voice, language, speakingStyle, temperature, vadSensitivity, bargeInEnabled,
+ * maxCallDurationSeconds, silenceHangupSeconds }. Omitted fields keep their current value.
+ * Applies from the next call.
+ */
+router.put(
+    '/settings',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'configure'),
+    async (req, res) => {
+        try {
+            const current = await voiceSettingsService.getTenantVoiceConfig(req.scopedTenantId);
+            const parsed = voiceConfigSchema.safeParse({ ...current, ...req.body });
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid voice settings',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const settings = await voiceSettingsService.saveVoiceConfig(req.scopedTenantId, parsed.data);
+            res.json({ success: true, settings });
+        } catch (error) {
+            console.error('[Voice] Update settings error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update voice settings'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/voice/settings/preview
+ * Body: { text?, ...unsaved settings }. Returns the greeting (or text) spoken as audio/mpeg.
+ */
+router.post(
+    '/settings/preview',
+    voiceLimiter,
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('voice_agents', 'read'),
+    async (req, res) => {
+        try {
+            const { text, ...overrides } = req.body || {};
+            const current = await voiceSettingsService.getTenantVoiceConfig(req.scopedTenantId);
+            const parsedSettings = voiceConfigSchema.safeParse({ ...current, ...overrides });
+            const parsedText = voicePreviewSchema.safeParse({ text });
+            if (!parsedSettings.success || !parsedText.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid preview request',
+                    details: formatZodIssues((parsedSettings.success ? parsedText : parsedSettings).error)
+                });
+            }
+
+            let greeting = parsedText.data.text;
+            if (!greeting) {
+                const tenant = await prisma.tenant.findUnique({
+                    where: { id: req.scopedTenantId },
+                    select: { timezone: true }
+                });
+                greeting = await voiceService.getGreeting(req.scopedTenantId, tenant?.timezone);
+            }
+
+            const audio = await voiceSettingsService.previewGreeting(parsedSettings.data, greeting);
+            res.set('Content-Type', 'audio/mpeg');
+            res.send(audio);
+        } catch (error) {
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+            }
+            console.error('[Voice] Preview greeting error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to preview greeting'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -150,7 +150,7 @@ async function handleCheckoutSessionCompleted(session) {
         });
 
         // 3. User Notification
-        await notificationService.sendTemplatedEmail(
+        await notificationService.queueTemplatedEmail(
             session.customer_details?.email,
             'PAYMENT_SUCCESS',
             {
@@ -213,7 +213,7 @@ async function handleInvoicePaymentFailed(invoice) {
             data: { status: 'past_due' }
         });
 
-        await notificationService.sendTemplatedEmail(
+        await notificationService.queueTemplatedEmail(
             user.email,
             'PAYMENT_FAILED',
             {
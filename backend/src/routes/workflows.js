@@ -6,6 +6,10 @@ const { authenticateToken } = require('../middleware/auth');
 const { checkPermission, verifyTenantAccess } = require('../middleware/permissions');
 const { checkSubscriptionAccess } = require('../middleware/subscription');
 const workflowService = require('../services/workflowService');
+const workflowEvents = require('../config/workflowEvents');
+const workflowSchedulerService = require('../services/workflowSchedulerService');
+const eventContextService = require('../services/eventContextService');
+const { createWorkflowSchema, updateWorkflowSchema, formatZodIssues } = require('../schemas/validation');
 
 /**
  * GET /api/workflows - Get all workflows for tenant
@@ -37,6 +41,21 @@ router.get('/',
     }
 );
 
+/**
+ * GET /api/workflows/triggers - Events workflows can subscribe to, with their payload schema
+ */
+router.get('/triggers',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'read'),
+    (req, res) => {
+        res.json({
+            success: true,
+            triggers: workflowEvents.getCatalogue()
+        });
+    }
+);
+
 /**
  * POST /api/workflows - Create new workflow
  */
@@ -49,23 +68,17 @@ router.post('/',
         try {
             const tenantId = req.scopedTenantId;
             const userId = req.user?.userId || req.user?.id;
-            const { name, trigger, actions } = req.body;
-
-            if (!name || !trigger) {
+            const parsed = createWorkflowSchema.safeParse(req.body);
+            if (!parsed.success) {
                 return res.status(400).json({
                     success: false,
-                    error: 'Name and trigger are required'
+                    error: 'Invalid workflow definition',
+                    details: formatZodIssues(parsed.error)
                 });
             }
+            const { name } = parsed.data;
 
-            const workflow = await prisma.workflow.create({
-                data: {
-                    name,
-                    trigger,
-                    actions: actions ? JSON.stringify(actions) : '[]',
-                    tenantId
-                }
-            });
+            const workflow = await workflowService.createWorkflow(tenantId, parsed.data, userId);
 
             // Audit log
             await prisma.auditLog.create({
@@ -130,8 +143,11 @@ router.post('/:id/trigger',
 
             console.log(`[Workflow] Manually triggering ${workflow.id}`);
 
-            // Execute using the service
-            await workflowService.executeWorkflow(workflow, payload);
+            // Execute using the service (recorded in the same run history as event-triggered runs)
+            const run = await workflowService.executeWorkflow(workflow, payload, {
+                source: 'manual',
+                triggeredById: userId
+            });
 
             // Audit log
             await prisma.auditLog.create({
@@ -143,9 +159,21 @@ router.post('/:id/trigger',
                 }
             }).catch(err => console.error('Audit log failed:', err));
 
+            if (run?.status === 'failed') {
+                return res.status(500).json({
+                    success: false,
+                    error: 'Workflow run failed',
+                    details: run.error,
+                    run
+                });
+            }
+
             return res.json({
                 success: true,
-                message: 'Workflow executed successfully'
+                run,
+                message: run?.status === 'waiting'
+                    ? 'Workflow started and is waiting on a delay'
+                    : 'Workflow executed successfully'
             });
         } catch (error) {
             console.error('Error triggering workflow:', error);
@@ -154,6 +182,281 @@ router.post('/:id/trigger',
     }
 );
 
+/**
+ * POST /api/workflows/:id/test - Dry run with a rendered preview of every action
+ * Body: { bookingId, clientId, callSessionId, inboundCallId } to load real records,
+ *       and/or { context } with sample values (merged over the loaded records).
+ * Nothing is sent and no run is recorded.
+ */
+router.post('/:id/test',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'update'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const { id } = req.params;
+            const { bookingId, clientId, callSessionId, inboundCallId, context: sample = {} } = req.body || {};
+
+            const workflow = await prisma.workflow.findFirst({ where: { id, tenantId } });
+
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+
+            const hydrated = await eventContextService.hydrate(workflow.trigger, {
+                tenantId,
+                bookingId,
+                clientId,
+                callSessionId,
+                inboundCallId
+            });
+            const context = { ...hydrated, ...sample };
+
+            let preview;
+            try {
+                preview = workflowService.previewWorkflow(workflow, context);
+            } catch (parseError) {
+                return res.status(400).json({ success: false, error: 'Workflow actions are not valid JSON' });
+            }
+
+            res.json({
+                success: true,
+                dryRun: true,
+                context,
+                ...preview
+            });
+        } catch (error) {
+            console.error('Error testing workflow:', error);
+            res.status(500).json({ success: false, error: 'Failed to test workflow', details: error.message });
+        }
+    }
+);
+
+/**
+ * GET /api/workflows/runs/:runId - Get a single run with its step log
+ */
+router.get('/runs/:runId',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'read'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const { runId } = req.params;
+
+            const run = await prisma.workflowRun.findFirst({
+                where: { id: runId, tenantId },
+                include: {
+                    workflow: { select: { id: true, name: true, trigger: true } },
+                    steps: { orderBy: { startedAt: 'asc' } }
+                }
+            });
+
+            if (!run) {
+                return res.status(404).json({ success: false, error: 'Workflow run not found' });
+            }
+
+            res.json({ success: true, run });
+        } catch (error) {
+            console.error('Error fetching workflow run:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch workflow run'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/workflows/:id/runs - Run history for a workflow
+ * Query: status, limit (default 50, max 200)
+ */
+router.get('/:id/runs',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'read'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const { id } = req.params;
+            const { status } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+            const workflow = await prisma.workflow.findFirst({ where: { id, tenantId } });
+
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+
+            const where = { workflowId: id, tenantId };
+            if (status) where.status = status;
+
+            const runs = await prisma.workflowRun.findMany({
+                where,
+                orderBy: { startedAt: 'desc' },
+                take: limit,
+                include: { _count: { select: { steps: true } } }
+            });
+
+            res.json({ success: true, runs });
+        } catch (error) {
+            console.error('Error fetching workflow runs:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch workflow runs'
+            });
+        }
+    }
+);
+
+/**
+ * PATCH /api/workflows/:id - Update a workflow (name, trigger, triggerConfig, actions)
+ * Every update is stored as a new version.
+ */
+router.patch('/:id',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'update'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const userId = req.user?.userId || req.user?.id;
+            const { id } = req.params;
+
+            const parsed = updateWorkflowSchema.safeParse(req.body);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid workflow definition',
+                    details: formatZodIssues(parsed.error)
+                });
+            }
+
+            const workflow = await prisma.workflow.findFirst({
+                where: { id, tenantId }
+            });
+
+            if (!workflow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Workflow not found'
+                });
+            }
+
+            // The trigger config has to fit the trigger the workflow ends up with
+            const changes = parsed.data;
+            const configError = workflowSchedulerService.validateTriggerConfig(
+                changes.trigger ?? workflow.trigger,
+                changes.triggerConfig !== undefined ? changes.triggerConfig : workflow.triggerConfig
+            );
+            if (configError) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid workflow definition',
+                    details: [{ field: 'triggerConfig', message: configError }]
+                });
+            }
+
+            const updated = await workflowService.updateWorkflow(workflow, changes, userId);
+
+            res.json({
+                success: true,
+                workflow: updated,
+                message: `Workflow updated to version ${updated.version}`
+            });
+        } catch (error) {
+            console.error('Error updating workflow:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update workflow'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/workflows/:id/versions - Version history (newest first)
+ */
+router.get('/:id/versions',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'read'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const { id } = req.params;
+
+            const workflow = await prisma.workflow.findFirst({ where: { id, tenantId } });
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+
+            const versions = await prisma.workflowVersion.findMany({
+                where: { workflowId: id, tenantId },
+                orderBy: { version: 'desc' }
+            });
+
+            res.json({
+                success: true,
+                currentVersion: workflow.version,
+                versions: versions.map(version => ({ ...version, actions: JSON.parse(version.actions) }))
+            });
+        } catch (error) {
+            console.error('Error fetching workflow versions:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch workflow versions' });
+        }
+    }
+);
+
+/**
+ * POST /api/workflows/:id/versions/:version/rollback - Restore an earlier version
+ * The restored definition is saved as a new version, so history is never rewritten.
+ */
+router.post('/:id/versions/:version/rollback',
+    authenticateToken,
+    verifyTenantAccess,
+    checkPermission('workflows', 'update'),
+    async (req, res) => {
+        try {
+            const tenantId = req.scopedTenantId;
+            const userId = req.user?.userId || req.user?.id;
+            const { id } = req.params;
+            const version = parseInt(req.params.version, 10);
+
+            const workflow = await prisma.workflow.findFirst({ where: { id, tenantId } });
+            if (!workflow) {
+                return res.status(404).json({ success: false, error: 'Workflow not found' });
+            }
+
+            const updated = Number.isInteger(version)
+                ? await workflowService.rollbackWorkflow(workflow, version, userId)
+                : null;
+            if (!updated) {
+                return res.status(404).json({ success: false, error: 'Version not found' });
+            }
+
+            await prisma.auditLog.create({
+                data: {
+                    tenantId,
+                    userId,
+                    action: 'Rollback Workflow',
+                    details: `Rolled back workflow ${workflow.name} to version ${version} (now version ${updated.version})`
+                }
+            }).catch(err => console.error('Audit log failed:', err));
+
+            res.json({
+                success: true,
+                workflow: updated,
+                message: `Workflow restored from version ${version}`
+            });
+        } catch (error) {
+            console.error('Error rolling back workflow:', error);
+            res.status(500).json({ success: false, error: 'Failed to roll back workflow' });
+        }
+    }
+);
+
 /**
  * PATCH /api/workflows/:id/toggle - Toggle workflow status
  */
@@ -1,10 +1,16 @@
 const { z } = require('zod');
+const cron = require('node-cron');
+const { EVENTS, ALIASES, SCHEDULED_TRIGGERS, RELATIVE_FIELDS } = require('../config/workflowEvents');
+const voiceDefaults = require('../config/voice');
+const { parseRRule } = require('../utils/recurrence');
 
 // Enums (matching manual DB strings)
 // Enums (matching manual DB strings)
 const RoleEnum = ['OWNER', 'ADMIN', 'SUBSCRIBER', 'MEMBER']; // Added SUBSCRIBER
-const StatusEnum = ['Scheduled', 'Confirmed', 'Cancelled', 'Completed', 'Pending'];
+const StatusEnum = ['Scheduled', 'Confirmed', 'Cancelled', 'Completed', 'Pending', 'NoShow'];
 const PlanEnum = ['Basic', 'Intermediate', 'Advanced'];
+// Which occurrences of a recurring booking a change applies to
+const SeriesScopeEnum = ['this', 'following', 'all'];
 
 // Auth Schemas
 const registerSchema = z.object({
@@ -56,6 +62,8 @@ const createUserSchema = z.object({
 const createBookingSchema = z.object({
     clientId: z.string().uuid(),
     date: z.string().datetime(), // ISO 8601
+    serviceId: z.string().uuid().optional(), // Sets the length (Service.duration) and buffers
+    resourceId: z.string().uuid().nullable().optional(), // Staff/room; omitted = auto-assigned, null = the whole business
     purpose: z.string().optional(),
     status: z.enum(StatusEnum).optional().default('Scheduled'),
     meetingLink: z.string().optional(),
@@ -63,9 +71,36 @@ const createBookingSchema = z.object({
 
 const updateBookingSchema = z.object({
     date: z.string().datetime().optional(),
+    serviceId: z.string().uuid().nullable().optional(),
+    resourceId: z.string().uuid().nullable().optional(),
     status: z.enum(StatusEnum).optional(),
     purpose: z.string().optional(),
     meetingLink: z.string().optional(),
+    reason: z.string().trim().max(500).optional(), // Kept in the booking history with a new date or status
+});
+
+const rescheduleBookingSchema = z.object({
+    date: z.string().datetime(),
+    resourceId: z.string().uuid().nullable().optional(), // Omitted = the same staff member/room
+    reason: z.string().trim().max(500).optional(),
+    scope: z.enum(SeriesScopeEnum).optional().default('this') // Recurring bookings only
+});
+
+const cancelBookingSchema = z.object({
+    reason: z.string().trim().max(500).optional(),
+    scope: z.enum(SeriesScopeEnum).optional().default('this')
+});
+
+// Recurring booking: date is the first occurrence (see utils/recurrence for the RRULE subset)
+const createBookingSeriesSchema = createBookingSchema.omit({ status: true, meetingLink: true }).extend({
+    recurrence: z.string({ error: 'recurrence is required' }).trim().superRefine((rrule, ctx) => {
+        try {
+            parseRRule(rrule);
+        } catch (error) {
+            ctx.addIssue({ code: 'custom', message: error.message });
+        }
+    }),
+    skipConflicts: z.boolean().optional().default(false) // Book the free occurrences instead of refusing the series
 });
 
 // Client Schemas
@@ -84,6 +119,379 @@ const updateClientSchema = z.object({
     source: z.string().optional(),
 });
 
+// Workflow Schemas
+const requiredString = (field) => z.string({ error: `${field} is required` }).trim().min(1, `${field} is required`);
+
+const durationSchema = z.object({
+    days: z.number().optional(),
+    hours: z.number().optional(),
+    minutes: z.number().optional(),
+    seconds: z.number().optional()
+});
+
+const ConditionOperatorEnum = ['exists', 'not_exists', 'equals', 'not_equals', 'contains', 'in', 'gt', 'gte', 'lt', 'lte'];
+
+const conditionSchema = z.lazy(() => z.object({
+    all: z.array(conditionSchema).min(1, 'all needs at least one condition').optional(),
+    any: z.array(conditionSchema).min(1, 'any needs at least one condition').optional(),
+    not: conditionSchema.optional(),
+    field: z.string().optional(),
+    operator: z.enum(ConditionOperatorEnum, { error: `operator must be one of: ${ConditionOperatorEnum.join(', ')}` }).optional(),
+    value: z.any().optional()
+}).refine(
+    condition => condition.all || condition.any || condition.not || (condition.field && condition.operator),
+    'condition needs a field and operator, or all / any / not'
+));
+
+// http_request bounds. Its attempts and backoff run inside one workflow.event job, which must
+// finish well before the job queue's 10 minute stale lock (see workflowService HTTP_REQUEST_BUDGET_MS):
+// 6 attempts x 30 s + backoff of 3 s x (1 + 2 + 4 + 8 + 16) stays under 5 minutes.
+const HTTP_REQUEST_LIMITS = { retries: 5, timeout: 30000, backoffMs: 3000 };
+
+// Optional step id exposes the step output to later steps as {{steps.<id>.*}}
+const stepBase = { id: z.string().regex(/^\w+$/, 'id may only contain letters, numbers and _').optional() };
+
+const workflowStepSchema = z.lazy(() => z.discriminatedUnion('type', [
+    z.object({ ...stepBase, type: z.literal('send_email'), to: requiredString('to'), subject: requiredString('subject'), body: requiredString('body') }),
+    z.object({ ...stepBase, type: z.literal('send_sms'), to: requiredString('to'), message: z.string().optional(), body: z.string().optional() })
+        .refine(step => step.message || step.body, { message: 'message is required', path: ['message'] }),
+    z.object({ ...stepBase, type: z.literal('notification'), userId: requiredString('userId'), title: z.string().optional(), message: z.string().optional() }),
+    z.object({
+        ...stepBase,
+        type: z.literal('http_request'),
+        url: requiredString('url'),
+        method: z.enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']).optional(),
+        headers: z.record(z.string(), z.string()).optional(),
+        body: z.any().optional(),
+        signingSecret: z.string().optional(),
+        retries: z.number().int().min(0).max(HTTP_REQUEST_LIMITS.retries, `retries can be at most ${HTTP_REQUEST_LIMITS.retries}`).optional(),
+        backoffMs: z.number().int().positive().max(HTTP_REQUEST_LIMITS.backoffMs, `backoffMs can be at most ${HTTP_REQUEST_LIMITS.backoffMs} ms`).optional(),
+        timeout: z.number().int().min(1000).max(HTTP_REQUEST_LIMITS.timeout, `timeout can be at most ${HTTP_REQUEST_LIMITS.timeout} ms`).optional()
+    }),
+    z.object({ ...stepBase, type: z.literal('create_client'), name: requiredString('name'), email: z.string().optional(), phone: z.string().optional(), notes: z.string().optional(), source: z.string().optional() }),
+    z.object({ ...stepBase, type: z.literal('update_client_notes'), clientId: z.string().optional(), notes: requiredString('notes'), mode: z.enum(['append', 'replace']).optional() }),
+    z.object({ ...stepBase, type: z.literal('tag_client'), clientId: z.string().optional(), tags: z.union([requiredString('tags'), z.array(z.string()).min(1, 'tags needs at least one tag')]) }),
+    z.object({ ...stepBase, type: z.literal('assign_to_user'), clientId: z.string().optional(), userId: requiredString('userId') }),
+    z.object({ ...stepBase, type: z.literal('create_booking'), clientId: z.string().optional(), date: z.string().optional(), offset: durationSchema.optional(), purpose: z.string().optional(), status: z.enum(StatusEnum).optional() }),
+    z.object({
+        ...stepBase,
+        type: z.literal('update_booking_status'),
+        bookingId: z.string().optional(),
+        status: z.union([z.enum(StatusEnum), z.string().regex(/^\{\{[\w.]+\}\}$/)], { error: `status must be one of: ${StatusEnum.join(', ')}` })
+    }),
+    z.object({ ...stepBase, type: z.literal('create_meeting_minute'), clientId: z.string().optional(), content: requiredString('content') }),
+    z.object({ ...stepBase, type: z.literal('delay'), duration: durationSchema.optional(), ...durationSchema.shape })
+        .refine(step => {
+            const { days = 0, hours = 0, minutes = 0, seconds = 0 } = step.duration || step;
+            return days > 0 || hours > 0 || minutes > 0 || seconds > 0;
+        }, { message: 'delay needs a positive days, hours, minutes or seconds value', path: ['duration'] }),
+    z.object({ ...stepBase, type: z.literal('wait_until'), date: requiredString('date'), offset: durationSchema.optional() }),
+    z.object({ ...stepBase, type: z.literal('condition'), condition: conditionSchema }),
+    z.object({ ...stepBase, type: z.literal('if'), condition: conditionSchema, then: z.array(workflowStepSchema).optional(), else: z.array(workflowStepSchema).optional() })
+], { error: 'Unknown step type' }));
+
+const WorkflowTriggerEnum = [...Object.keys(EVENTS), ...Object.keys(ALIASES), ...Object.keys(SCHEDULED_TRIGGERS)];
+
+const triggerConfigSchemas = {
+    schedule: z.object({
+        cron: z.string({ error: 'triggerConfig.cron is required' })
+            .refine(expression => cron.validate(expression), 'triggerConfig.cron must be a valid cron expression')
+    }, { error: 'triggerConfig with a cron expression is required' }),
+    date_relative: z.object({
+        field: z.enum(Object.keys(RELATIVE_FIELDS), { error: `triggerConfig.field must be one of: ${Object.keys(RELATIVE_FIELDS).join(', ')}` }),
+        offset: durationSchema.optional()
+    }, { error: 'triggerConfig with a field is required' })
+};
+
+const workflowTriggerSchema = z.enum(WorkflowTriggerEnum, { error: `trigger must be one of: ${WorkflowTriggerEnum.join(', ')}` });
+
+/**
+ * Scheduled triggers need a matching triggerConfig; event triggers take none
+ */
+const refineTriggerConfig = (data, ctx) => {
+    const schema = triggerConfigSchemas[data.trigger];
+    if (!schema) return;
+
+    const result = schema.safeParse(data.triggerConfig);
+    for (const issue of result.error?.issues || []) {
+        ctx.addIssue({ ...issue, path: ['triggerConfig', ...issue.path] });
+    }
+};
+
+const createWorkflowSchema = z.object({
+    name: requiredString('name'),
+    trigger: workflowTriggerSchema,
+    triggerConfig: z.record(z.string(), z.any()).nullable().optional(),
+    actions: z.array(workflowStepSchema).optional().default([])
+}).superRefine(refineTriggerConfig);
+
+const updateWorkflowSchema = z.object({
+    name: requiredString('name').optional(),
+    trigger: workflowTriggerSchema.optional(),
+    triggerConfig: z.record(z.string(), z.any()).nullable().optional(),
+    actions: z.array(workflowStepSchema).optional()
+});
+
+// ==================== TELEPHONY ====================
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'time must be HH:MM (24h)');
+
+// See utils/businessHours.js
+const businessHoursSchema = z.partialRecord(
+    z.enum(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], { error: 'day must be sun, mon, tue, wed, thu, fri or sat' }),
+    z.array(z.object({ start: timeOfDay, end: timeOfDay }))
+);
+
+const e164Phone = z.string().regex(/^\+[1-9]\d{1,14}$/, 'phone must be in E.164 format, e.g. +18667243198');
+
+// twilioConfig.transfer: where the voice agent's transfer_to_human sends callers
+const transferConfigSchema = z.object({
+    mode: z.enum(['cold', 'warm'], { error: 'mode must be cold or warm' }).default('cold'),
+    timeout: z.number().int().min(5).max(60).default(20),
+    voicemailGreeting: z.string().trim().max(500).optional(),
+    targets: z.array(z.object({
+        label: z.string().trim().max(100).optional(),
+        phone: e164Phone.optional(),
+        userId: z.string().optional(),
+        hours: businessHoursSchema.optional()
+    }).refine(target => target.phone || target.userId, 'target needs a phone or a userId')).max(10).default([])
+});
+
+// twilioConfig.afterHours: how inbound calls outside Tenant.businessHours are answered
+const afterHoursConfigSchema = z.object({
+    mode: z.enum(['ai', 'voicemail'], { error: 'mode must be ai or voicemail' }).default('ai'),
+    voicemailGreeting: z.string().trim().max(500).optional()
+});
+
+// twilioConfig.recording: dual-channel recording of AI calls (see callRecordingService)
+const recordingConfigSchema = z.object({
+    enabled: z.boolean().default(false),
+    consentMessage: z.string().trim().min(1).max(500)
+        .default('This call may be recorded for quality and training purposes.'),
+    // null keeps recordings until they are deleted by hand
+    retentionDays: z.number().int().min(1).max(3650).nullable().default(90)
+});
+
+// ==================== VOICE AGENT ====================
+
+// aiConfig.voice: how the realtime voice agent sounds, listens and ends calls (see voiceSettingsService)
+const voiceConfigSchema = z.object({
+    // openai_realtime streams speech both ways; pipeline chains speech-to-text, chat and text-to-speech
+    provider: z.enum(['openai_realtime', 'pipeline'], { error: 'provider must be openai_realtime or pipeline' }).default('openai_realtime'),
+    voice: z.enum(voiceDefaults.openai.voices, { error: `voice must be one of ${voiceDefaults.openai.voices.join(', ')}` })
+        .default(voiceDefaults.openai.voice),
+    language: z.string().regex(/^[a-z]{2,3}(-[A-Z]{2})?$/, 'language must be a language code, e.g. en or es-MX').default('en'),
+    speakingStyle: z.string().trim().max(500).nullable().default(null), // e.g. "warm and upbeat, a little slower"
+    temperature: z.number().min(0.6).max(1.2).default(voiceDefaults.openai.temperature),
+    // How readily the agent treats sound as the caller speaking; lower suits noisy lines
+    vadSensitivity: z.enum(['low', 'medium', 'high'], { error: 'vadSensitivity must be low, medium or high' }).default('medium'),
+    bargeInEnabled: z.boolean().default(voiceDefaults.system.bargeInEnabled),
+    maxCallDurationSeconds: z.number().int().min(60).max(14400).default(voiceDefaults.system.maxCallDuration / 1000),
+    // null never hangs up on silence
+    silenceHangupSeconds: z.number().int().min(5).max(600).nullable().default(voiceDefaults.system.silenceTimeout / 1000)
+});
+
+const voicePreviewSchema = z.object({
+    text: z.string().trim().min(1).max(500).optional() // Defaults to the tenant's greeting
+});
+
+// ==================== CAMPAIGNS ====================
+
+const CAMPAIGN_OUTCOMES = ['booked', 'interested', 'not_interested', 'voicemail', 'no_answer'];
+
+// Who a campaign reaches: existing clients (by id, tag, source or last booking) and/or uploaded contacts.
+// clientIds, tags and source add clients; the last-booking dates narrow them down.
+const campaignSegmentSchema = z.object({
+    clientIds: z.array(z.string()).max(5000).optional(),
+    tags: z.array(z.string().trim().min(1)).max(20).optional(),
+    source: z.string().trim().min(1).optional(),
+    lastBookingAfter: z.coerce.date().optional(), // Booked on or after this date
+    lastBookingBefore: z.coerce.date().optional(), // Booked before, but not since, this date
+    contacts: z.array(z.object({
+        phone: e164Phone.optional(),
+        email: z.string().trim().toLowerCase().email().optional(),
+        name: z.string().trim().max(100).optional()
+    }).refine(contact => contact.phone || contact.email, 'contacts need a phone or an email')).max(5000).optional()
+}).refine(
+    segment => segment.clientIds?.length || segment.tags?.length || segment.source
+        || segment.lastBookingAfter || segment.lastBookingBefore || segment.contacts?.length,
+    'segment needs clientIds, tags, source, a last booking date or contacts'
+);
+
+const voiceCampaignSettingsSchema = z.object({
+    // Tenant timezone; defaults to Tenant.businessHours, or any time when neither is set
+    callingWindow: businessHoursSchema.optional(),
+    maxConcurrent: z.number().int().min(1).max(10).default(2),
+    retry: z.object({
+        maxAttempts: z.number().int().min(1).max(5).default(2),
+        delayMinutes: z.number().int().min(5).max(1440).default(60)
+    }).prefault({}),
+    // Left when an answering machine picks up; hang up silently when empty
+    voicemailMessage: z.string().trim().max(500).optional()
+});
+
+// SMS and email campaigns: messages sent per minute, to stay inside carrier and SMTP limits
+const messageCampaignSettingsSchema = z.object({
+    ratePerMinute: z.number().int().min(1).max(600).default(60)
+});
+
+const campaignBase = {
+    name: z.string().trim().min(1, 'name is required').max(200),
+    segment: campaignSegmentSchema
+};
+
+const createCampaignSchema = z.preprocess(
+    // type defaults to voice
+    body => (body && typeof body === 'object' && !body.type ? { ...body, type: 'voice' } : body),
+    z.discriminatedUnion('type', [
+        z.object({
+            ...campaignBase,
+            type: z.literal('voice'),
+            script: z.string().trim().min(1, 'script is required').max(4000),
+            goal: z.string().trim().max(500).optional(),
+            settings: voiceCampaignSettingsSchema.prefault({})
+        }),
+        z.object({
+            ...campaignBase,
+            type: z.literal('sms'),
+            message: z.string().trim().min(1, 'message is required').max(1600),
+            scheduledAt: z.coerce.date().optional(),
+            settings: messageCampaignSettingsSchema.prefault({})
+        }),
+        z.object({
+            ...campaignBase,
+            type: z.literal('email'),
+            subject: z.string().trim().min(1, 'subject is required').max(200),
+            message: z.string().trim().min(1, 'message is required').max(100000),
+            scheduledAt: z.coerce.date().optional(),
+            settings: messageCampaignSettingsSchema.prefault({})
+        })
+    ], { error: 'type must be voice, sms or email' })
+);
+
+// settings are checked against the campaign's type by campaignService.updateCampaign
+const updateCampaignSchema = z.object({
+    name: z.string().trim().min(1).max(200).optional(),
+    script: z.string().trim().min(1).max(4000).optional(),
+    goal: z.string().trim().max(500).optional(),
+    subject: z.string().trim().min(1).max(200).optional(),
+    message: z.string().trim().min(1).max(100000).optional(),
+    scheduledAt: z.coerce.date().nullable().optional(),
+    segment: campaignSegmentSchema.optional(),
+    settings: z.record(z.string(), z.unknown()).optional()
+});
+
+const doNotContactSchema = z.object({
+    phone: e164Phone.optional(),
+    email: z.string().trim().toLowerCase().email().optional(),
+    channel: z.enum(['all', 'voice', 'sms', 'email'], { error: 'channel must be all, voice, sms or email' }).default('all'),
+    reason: z.string().trim().max(200).optional()
+}).refine(entry => (entry.channel === 'email' ? entry.email && !entry.phone : entry.phone && !entry.email), {
+    error: 'email entries need an email; all, voice and sms entries need a phone',
+    path: ['channel']
+});
+
+// ==================== CONVERSATIONS ====================
+
+const conversationReplySchema = z.object({
+    body: z.string().trim().min(1, 'body is required').max(1600, 'body must be at most 1600 characters')
+});
+
+const updateConversationSchema = z.object({
+    status: z.enum(['open', 'closed'], { error: 'status must be open or closed' }).optional(),
+    assigneeId: z.string().min(1).nullable().optional() // null unassigns
+});
+
+// ==================== SCHEDULING ====================
+
+const localDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD');
+
+// Tenant.bookingConfig (see availabilityService). Minutes throughout.
+const bookingConfigSchema = z.object({
+    // Bookable hours when they differ from Tenant.businessHours
+    hours: businessHoursSchema.nullable().default(null),
+    holidays: z.array(localDate).max(366).default([]), // Closed days in the tenant timezone
+    defaultDuration: z.number().int().min(5).max(720).default(60), // Bookings without a service (or a service duration)
+    slotInterval: z.number().int().min(5).max(240).nullable().default(null), // Between offered start times; null = the duration
+    bufferBefore: z.number().int().min(0).max(240).default(0),
+    bufferAfter: z.number().int().min(0).max(240).default(0),
+    minNotice: z.number().int().min(0).max(60 * 24 * 90).default(60),
+    maxPerDay: z.number().int().min(1).max(500).nullable().default(null),
+    // How a booking with no staff preference is assigned
+    assignment: z.enum(['round_robin', 'least_busy'], { error: 'assignment must be round_robin or least_busy' }).default('round_robin'),
+    // Clients can't reschedule or cancel themselves this close to the start; staff changes are marked late
+    cancellationWindow: z.number().int().min(0).max(60 * 24 * 14).default(0),
+    // Mark bookings NoShow this long after they end without a check-in; null = never
+    noShowAfter: z.number().int().min(0).max(60 * 24).nullable().default(null),
+    waitlistOfferMinutes: z.number().int().min(5).max(60 * 24).default(60) // How long a freed slot is held for waiting clients
+});
+
+const availabilityQuerySchema = z.object({
+    date: localDate,
+    serviceId: z.string().uuid().optional(),
+    resourceId: z.string().uuid().optional(),
+    timePreference: z.enum(['morning', 'afternoon', 'evening', 'any'], { error: 'timePreference must be morning, afternoon, evening or any' }).default('any')
+});
+
+const bookingResourceSchema = z.object({
+    name: z.string().trim().min(1, 'name is required').max(100),
+    type: z.enum(['staff', 'room', 'equipment'], { error: 'type must be staff, room or equipment' }).default('staff'),
+    userId: z.string().min(1).nullable().optional(),
+    hours: businessHoursSchema.nullable().optional(), // null = the tenant's booking hours
+    serviceIds: z.array(z.string().uuid()).max(100).default([]), // empty = all services
+    isActive: z.boolean().default(true)
+});
+
+const updateBookingResourceSchema = z.object({
+    name: z.string().trim().min(1).max(100).optional(),
+    type: z.enum(['staff', 'room', 'equipment'], { error: 'type must be staff, room or equipment' }).optional(),
+    userId: z.string().min(1).nullable().optional(),
+    hours: businessHoursSchema.nullable().optional(),
+    serviceIds: z.array(z.string().uuid()).max(100).optional(),
+    isActive: z.boolean().optional()
+});
+
+const waitlistEntrySchema = z.object({
+    clientId: z.string().uuid(),
+    serviceId: z.string().uuid().nullable().optional(),
+    earliest: z.string().datetime().optional(), // Window the client can make
+    latest: z.string().datetime().optional(),
+    notes: z.string().trim().max(500).optional()
+}).refine(entry => !entry.earliest || !entry.latest || new Date(entry.earliest) < new Date(entry.latest), {
+    error: 'earliest must be before latest',
+    path: ['latest']
+});
+
+// Public booking page (see publicBookingService)
+const bookingSlugSchema = z.string().trim().toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9-]{1,48}[a-z0-9]$/, 'slug must be 3-50 lowercase letters, digits or dashes');
+
+const publicBookingSchema = z.object({
+    name: z.string().trim().min(1, 'name is required').max(100),
+    phone: e164Phone,
+    email: z.string().email().optional(),
+    date: z.string().datetime(), // ISO 8601, a start time from the availability endpoint
+    serviceId: z.string().uuid().optional(),
+    resourceId: z.string().uuid().optional(), // Omitted = whoever is free
+    notes: z.string().trim().max(1000).optional()
+});
+
+const publicRescheduleSchema = z.object({
+    date: z.string().datetime()
+});
+
+const publicCancelSchema = z.object({
+    reason: z.string().trim().max(500).optional()
+});
+
+/**
+ * Flatten zod issues into [{ field, message }] for API responses
+ */
+const formatZodIssues = (error) => (error.issues || []).map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.message
+}));
+
 module.exports = {
     registerSchema,
     loginSchema,
@@ -92,7 +500,40 @@ module.exports = {
     updateBookingSchema,
     createClientSchema,
     updateClientSchema,
+    createWorkflowSchema,
+    updateWorkflowSchema,
+    workflowStepSchema,
+    triggerConfigSchemas,
+    businessHoursSchema,
+    transferConfigSchema,
+    afterHoursConfigSchema,
+    recordingConfigSchema,
+    voiceConfigSchema,
+    voicePreviewSchema,
+    createCampaignSchema,
+    updateCampaignSchema,
+    doNotContactSchema,
+    voiceCampaignSettingsSchema,
+    messageCampaignSettingsSchema,
+    CAMPAIGN_OUTCOMES,
+    conversationReplySchema,
+    updateConversationSchema,
+    bookingConfigSchema,
+    availabilityQuerySchema,
+    bookingResourceSchema,
+    rescheduleBookingSchema,
+    cancelBookingSchema,
+    createBookingSeriesSchema,
+    waitlistEntrySchema,
+    bookingSlugSchema,
+    publicBookingSchema,
+    publicRescheduleSchema,
+    publicCancelSchema,
+    updateBookingResourceSchema,
+    formatZodIssues,
     RoleEnum,
     StatusEnum,
-    PlanEnum
+    PlanEnum,
+    SeriesScopeEnum,
+    HTTP_REQUEST_LIMITS
 };
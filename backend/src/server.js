@@ -97,6 +97,11 @@ wss.on('error', (error) => {
     console.error('WebSocket server error:', error);
 });
 
+// Durable background jobs (emails, workflow events, post-call processing)
+const jobQueueService = require('./services/jobQueueService');
+const { registerJobHandlers } = require('./services/jobHandlers');
+registerJobHandlers();
+
 // Listen on PORT
 // For Render and other cloud platforms, bind to 0.0.0.0 to accept external connections
 const HOST = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost';
@@ -118,6 +123,8 @@ server.listen(PORT, HOST, () => {
     console.log(`   curl http://${HOST}:${PORT}/`);
     console.log(`   curl http://${HOST}:${PORT}/api/chat/status`);
     console.log('');
+
+    jobQueueService.start();
 });
 
 // Graceful shutdown with connection draining
@@ -132,6 +139,9 @@ const shutdown = (signal) => {
         process.exit(0);
     });
 
+    // Stop picking up jobs; unfinished ones are released for the next process
+    jobQueueService.stop().catch(err => console.error('Job queue stop failed:', err.message));
+
     // Close all WebSocket connections
     wss.clients.forEach((client) => {
         client.close();
@@ -0,0 +1,68 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: {
+        findUnique: jest.fn(async () => ({ aiConfig: { faqs: [], voiceTools: { lookup_client: false, create_booking: true } } })),
+        update: jest.fn(async ({ data }) => data)
+    },
+    customTool: {
+        findMany: jest.fn(async () => [{ id: 'tool-1', name: 'check_order', description: 'Order status', isActive: true }])
+    }
+}));
+
+jest.mock('../voiceService', () => ({
+    handleBookAppointment: jest.fn(async () => ({ success: true, bookingId: 'b-1' })),
+    handleSendBookingReminder: jest.fn(async () => ({ success: true }))
+}));
+
+jest.mock('../bookingService', () => ({}));
+jest.mock('../tenantCalendarService', () => ({}));
+
+const prisma = require('../../lib/prisma');
+const voiceService = require('../voiceService');
+const agentToolsService = require('../agentToolsService');
+
+describe('AgentToolsService voice tools', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('offers the tenant-enabled built-ins plus custom tools on voice calls', async () => {
+        const names = (await agentToolsService.getToolsForSession('tenant-1', { channel: 'voice' }))
+            .map(tool => tool.name);
+
+        expect(names).toEqual(expect.arrayContaining([
+            'check_availability', 'create_booking', 'transfer_to_human',
+            'bookAppointment', 'sendBookingReminder', 'check_order'
+        ]));
+        expect(names).not.toContain('lookup_client');
+
+        // Chat keeps the built-in set and never sees the voice-only tools
+        const chatNames = (await agentToolsService.getToolsForSession('tenant-1')).map(tool => tool.name);
+        expect(chatNames).toContain('lookup_client');
+        expect(chatNames).not.toContain('bookAppointment');
+    });
+
+    it('routes legacy voice tools to voiceService with the call session', async () => {
+        const session = { callerPhone: '+15550100' };
+        const args = { phone: '+15550100', dateTime: '2030-01-01T10:00:00Z' };
+
+        const result = await agentToolsService.executeTool('bookAppointment', args, { tenantId: 'tenant-1', session });
+
+        expect(result).toEqual({ success: true, bookingId: 'b-1' });
+        expect(voiceService.handleBookAppointment).toHaveBeenCalledWith(args, 'tenant-1', session);
+    });
+
+    it('validates and merges voice tool settings into aiConfig', async () => {
+        expect(agentToolsService.validateVoiceToolSettings({ launch_rocket: true })).toMatch(/Unknown built-in tool/);
+        expect(agentToolsService.validateVoiceToolSettings({ lookup_client: 'yes' })).toMatch(/true or false/);
+
+        await agentToolsService.updateVoiceToolSettings('tenant-1', { transfer_to_human: false });
+
+        expect(prisma.tenant.update).toHaveBeenCalledWith({
+            where: { id: 'tenant-1' },
+            data: {
+                aiConfig: {
+                    faqs: [],
+                    voiceTools: { lookup_client: false, create_booking: true, transfer_to_human: false }
+                }
+            }
+        });
+    });
+});
@@ -0,0 +1,198 @@
+jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+jest.mock('../tenantCalendarService', () => ({
+    hasTenantCalendar: jest.fn(async () => true),
+    getTenantCalendarBusyRanges: jest.fn(async () => []),
+    getUserCalendarBusyRanges: jest.fn(async () => [])
+}));
+
+const prisma = require('../../lib/prisma');
+const TenantCalendarService = require('../tenantCalendarService');
+const availabilityService = require('../availabilityService');
+
+// Monday 2030-01-07 in New York (UTC-5)
+const MONDAY = '2030-01-07';
+const NOW = new Date('2030-01-01T12:00:00Z');
+const at = (time) => new Date(`${MONDAY}T${time}:00-05:00`);
+const starts = ({ slots }) => slots.map(slot => slot.start.toISOString());
+
+async function seed(bookingConfig = {}) {
+    await prisma.tenant.create({
+        data: {
+            id: 'tenant-1',
+            name: 'Bright Smiles',
+            timezone: 'America/New_York',
+            businessHours: { mon: [{ start: '09:00', end: '12:00' }] },
+            bookingConfig: { slotInterval: 60, minNotice: 60, ...bookingConfig }
+        }
+    });
+    await prisma.client.create({ data: { id: 'client-1', tenantId: 'tenant-1', name: 'Sam Lee' } });
+    await prisma.service.create({
+        data: { id: 'service-1', tenantId: 'tenant-1', name: 'Cleaning', price: 80, duration: 45, bufferAfter: 15 }
+    });
+}
+
+const book = (start, end, extra = {}) => prisma.booking.create({
+    data: { tenantId: 'tenant-1', clientId: 'client-1', date: at(start), endTime: end ? at(end) : null, ...extra }
+});
+
+// Two dentists and a hygienist who only works mornings until 10:00
+async function seedStaff(bookingConfig = {}) {
+    await seed(bookingConfig);
+    await prisma.bookingResource.create({ data: { id: 'lee', tenantId: 'tenant-1', name: 'Dr. Lee', userId: 'user-lee', createdAt: new Date('2029-01-01') } });
+    await prisma.bookingResource.create({ data: { id: 'park', tenantId: 'tenant-1', name: 'Dr. Park', createdAt: new Date('2029-01-02') } });
+    await prisma.bookingResource.create({
+        data: {
+            id: 'kim',
+            tenantId: 'tenant-1',
+            name: 'Kim',
+            hours: { mon: [{ start: '09:00', end: '10:00' }] },
+            serviceIds: ['service-1'],
+            createdAt: new Date('2029-01-03')
+        }
+    });
+}
+
+describe('AvailabilityService', () => {
+    beforeEach(() => {
+        prisma.$reset();
+        jest.clearAllMocks();
+    });
+
+    it('offers service-length slots in the tenant timezone around bookings, buffers and calendar events', async () => {
+        await seed();
+        await book('10:00', '10:30');
+        TenantCalendarService.getTenantCalendarBusyRanges.mockResolvedValueOnce([{ start: at('11:30'), end: at('11:40') }]);
+
+        const availability = await availabilityService.getSlots('tenant-1', { date: MONDAY, serviceId: 'service-1', now: NOW });
+
+        // 09:00 ends with its buffer exactly when the 10:00 booking starts; 11:00 runs into the calendar event
+        expect(starts(availability)).toEqual(['2030-01-07T14:00:00.000Z']);
+        expect(availability).toMatchObject({ timezone: 'America/New_York', duration: 45 });
+        expect(availability.slots[0].end.toISOString()).toBe('2030-01-07T14:45:00.000Z');
+    });
+
+    it('closes holidays, unlisted days and full days and honours the minimum notice', async () => {
+        await seed({ holidays: ['2030-01-14'], maxPerDay: 2 });
+
+        expect(await availabilityService.getSlots('tenant-1', { date: '2030-01-14', now: NOW })).toMatchObject({ closed: 'holiday', slots: [] });
+        expect(await availabilityService.getSlots('tenant-1', { date: '2030-01-08', now: NOW })).toMatchObject({ closed: 'closed', slots: [] });
+
+        // 09:30 local with an hour's notice: 10:00 is too close, 11:00 is fine
+        const soon = await availabilityService.getSlots('tenant-1', { date: MONDAY, now: at('09:30') });
+        expect(starts(soon)).toEqual(['2030-01-07T16:00:00.000Z']);
+
+        // A booking without endTime takes the default hour
+        await book('09:00');
+        expect(starts(await availabilityService.getSlots('tenant-1', { date: MONDAY, now: NOW })))
+            .toEqual(['2030-01-07T15:00:00.000Z', '2030-01-07T16:00:00.000Z']);
+
+        await book('11:00', '12:00');
+        expect(await availabilityService.getSlots('tenant-1', { date: MONDAY, now: NOW })).toMatchObject({ closed: 'full' });
+    });
+
+    it('checks a single start time, with or without the booking rules', async () => {
+        await seed();
+        const booking = await book('10:00', '10:30');
+
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('09:00'), serviceId: 'service-1' }, { now: NOW }))
+            .toMatchObject({ available: true, duration: 45, serviceId: 'service-1', end: at('09:45') });
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('09:30'), serviceId: 'service-1' }, { now: NOW }))
+            .toMatchObject({ available: false, reason: 'conflict' });
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('11:30'), serviceId: 'service-1' }, { now: NOW }))
+            .toMatchObject({ available: false, reason: 'closed' });
+
+        // Staff booking by hand: outside hours is fine, overlaps are not, and a booking never clashes with itself
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('18:00') }, { rules: false, now: NOW }))
+            .toMatchObject({ available: true });
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('10:15') }, { rules: false, now: NOW }))
+            .toMatchObject({ available: false, reason: 'conflict' });
+        expect(await availabilityService.checkSlot('tenant-1', { start: at('10:15'), excludeBookingId: booking.id }, { rules: false, now: NOW }))
+            .toMatchObject({ available: true });
+        // Only the two slots checked against the rules (and inside the hours) asked Google
+        expect(TenantCalendarService.getTenantCalendarBusyRanges).toHaveBeenCalledTimes(2);
+    });
+
+    it('reserves a slot under the tenant booking lock, asking Google before the transaction', async () => {
+        await seed();
+        const order = [];
+        TenantCalendarService.getTenantCalendarBusyRanges.mockImplementationOnce(async () => order.push('calendar') && []);
+        jest.spyOn(prisma, '$executeRaw').mockImplementationOnce(async () => order.push('lock') && 0);
+        const save = jest.fn((tx, slot) => tx.booking.create({
+            data: { tenantId: 'tenant-1', clientId: 'client-1', date: slot.start, endTime: slot.end }
+        }));
+
+        expect(await availabilityService.reserveSlot('tenant-1', { start: at('09:00'), serviceId: 'service-1' }, { rules: true, now: NOW }, save))
+            .toMatchObject({ date: at('09:00'), endTime: at('09:45') });
+        expect(order).toEqual(['calendar', 'lock']);
+        expect(prisma.$executeRaw.mock.calls[0].slice(1)).toEqual(['bookings:tenant-1']);
+
+        // Taken in the meantime: refused without saving
+        await expect(availabilityService.reserveSlot('tenant-1', { start: at('09:30'), serviceId: 'service-1' }, { now: NOW }, save))
+            .rejects.toMatchObject({ statusCode: 409, code: 'BOOKING_CONFLICT' });
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    describe('with staff and rooms', () => {
+        it('checks each resource against its own hours, bookings and calendar', async () => {
+            await seedStaff();
+            await book('09:00', '10:00', { resourceId: 'lee' });
+            TenantCalendarService.getUserCalendarBusyRanges.mockResolvedValue([{ start: at('10:00'), end: at('11:00') }]);
+
+            const slots = (await availabilityService.getSlots('tenant-1', { date: MONDAY, now: NOW })).slots
+                .map(slot => [slot.start.toISOString(), slot.resourceIds]);
+            // Kim only takes cleanings, and Dr. Lee's own calendar is busy at 10:00
+            expect(slots).toEqual([
+                ['2030-01-07T14:00:00.000Z', ['park']],
+                ['2030-01-07T15:00:00.000Z', ['park']],
+                ['2030-01-07T16:00:00.000Z', ['lee', 'park']]
+            ]);
+            expect(TenantCalendarService.getTenantCalendarBusyRanges).not.toHaveBeenCalled();
+
+            expect(starts(await availabilityService.getSlots('tenant-1', { date: MONDAY, serviceId: 'service-1', resourceId: 'kim', now: NOW })))
+                .toEqual(['2030-01-07T14:00:00.000Z']);
+
+            // Asking for someone busy is a conflict even though a colleague is free
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('09:00'), resourceId: 'lee' }, { now: NOW }))
+                .toMatchObject({ available: false, reason: 'conflict', resourceId: 'lee' });
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('09:00') }, { now: NOW }))
+                .toMatchObject({ available: true, resourceId: 'park' });
+        });
+
+        it('only books someone asked for by name for the services they take', async () => {
+            await seedStaff();
+            await prisma.service.create({ data: { id: 'service-2', tenantId: 'tenant-1', name: 'Whitening', price: 200, duration: 60 } });
+
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('09:00'), serviceId: 'service-2', resourceId: 'kim' }, { rules: false, now: NOW }))
+                .toMatchObject({ available: false, reason: 'conflict' });
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('09:00'), serviceId: 'service-2', resourceId: 'park' }, { rules: false, now: NOW }))
+                .toMatchObject({ available: true, resourceId: 'park' });
+        });
+
+        it('treats unassigned bookings as holding everyone', async () => {
+            await seedStaff();
+            await book('11:00', '12:00', { resourceId: null });
+
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('11:00') }, { rules: false, now: NOW }))
+                .toMatchObject({ available: false, reason: 'conflict' });
+        });
+
+        it('assigns round robin by default and by day load when configured', async () => {
+            await seedStaff();
+            await book('09:00', '10:00', { resourceId: 'lee', createdAt: new Date('2029-12-01') });
+            await book('09:00', '10:00', { resourceId: 'lee', date: new Date('2030-01-08T14:00:00Z'), createdAt: new Date('2029-12-02') });
+            await book('10:00', '11:00', { resourceId: 'park', createdAt: new Date('2029-12-03') });
+
+            // Dr. Lee was assigned longest ago
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('11:00') }, { rules: false, now: NOW }))
+                .toMatchObject({ available: true, resourceId: 'lee' });
+
+            await prisma.tenant.update({ where: { id: 'tenant-1' }, data: { bookingConfig: { assignment: 'least_busy' } } });
+            // Same day load (one each), so the tie goes to whoever was assigned longest ago
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('11:00') }, { rules: false, now: NOW }))
+                .toMatchObject({ resourceId: 'lee' });
+            await book('08:00', '08:30', { resourceId: 'lee', createdAt: new Date('2029-11-01') });
+            expect(await availabilityService.checkSlot('tenant-1', { start: at('11:00') }, { rules: false, now: NOW }))
+                .toMatchObject({ resourceId: 'park' });
+        });
+    });
+});
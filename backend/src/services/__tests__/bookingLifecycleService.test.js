@@ -0,0 +1,157 @@
+jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+jest.mock('../tenantCalendarService', () => ({
+    hasTenantCalendar: jest.fn(async () => false),
+    getTenantCalendarBusyRanges: jest.fn(async () => []),
+    getUserCalendarBusyRanges: jest.fn(async () => []),
+    createTenantCalendarEvent: jest.fn(async () => ({ eventId: 'evt-new', meetLink: null })),
+    updateTenantCalendarEvent: jest.fn(async () => ({ success: true })),
+    deleteTenantCalendarEvent: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../notificationService', () => ({
+    queueEmail: jest.fn(async () => {}),
+    sendSMS: jest.fn(async () => {}),
+    createNotification: jest.fn(async () => {})
+}));
+
+const prisma = require('../../lib/prisma');
+const TenantCalendarService = require('../tenantCalendarService');
+const notificationService = require('../notificationService');
+const eventBus = require('../../lib/eventBus');
+const bookingLifecycleService = require('../bookingLifecycleService');
+const waitlistService = require('../waitlistService');
+
+// Monday 2030-01-07 in New York (UTC-5)
+const at = (time, day = '2030-01-07') => new Date(`${day}T${time}:00-05:00`);
+const staff = { type: 'staff', id: 'user-1' };
+
+async function seed(bookingConfig = {}) {
+    await prisma.tenant.create({
+        data: {
+            id: 'tenant-1',
+            name: 'Bright Smiles',
+            timezone: 'America/New_York',
+            businessHours: { mon: [{ start: '09:00', end: '12:00' }] },
+            bookingConfig: { cancellationWindow: 1440, ...bookingConfig }
+        }
+    });
+    await prisma.service.create({ data: { id: 'service-1', tenantId: 'tenant-1', name: 'Cleaning', price: 80, duration: 30 } });
+    for (const [id, name, phone] of [['client-1', 'Ada Park', '+15551230001'], ['client-2', 'Bo Lee', '+15551230002'], ['client-3', 'Cy Diaz', '+15551230003']]) {
+        await prisma.client.create({ data: { id, tenantId: 'tenant-1', name, phone } });
+    }
+    return prisma.booking.create({
+        data: {
+            id: 'booking-1',
+            tenantId: 'tenant-1',
+            clientId: 'client-1',
+            serviceId: 'service-1',
+            date: at('09:00'),
+            endTime: at('09:30'),
+            status: 'Scheduled',
+            calendarEventId: 'evt-1'
+        }
+    });
+}
+
+describe('BookingLifecycleService', () => {
+    beforeEach(() => {
+        prisma.$reset();
+        jest.clearAllMocks();
+    });
+
+    it('reschedules with history, moves the calendar event and offers the old slot to the waitlist', async () => {
+        await seed();
+        await waitlistService.addEntry('tenant-1', { clientId: 'client-2', serviceId: 'service-1' });
+        const rescheduled = jest.fn();
+        eventBus.once('booking:rescheduled', rescheduled);
+
+        const booking = await bookingLifecycleService.reschedule('tenant-1', 'booking-1', { date: at('10:00'), reason: 'Running late' }, { actor: staff });
+
+        expect(booking).toMatchObject({ date: at('10:00'), endTime: at('10:30') });
+        expect(prisma.$rows('BookingEvent')).toEqual([expect.objectContaining({
+            type: 'rescheduled', fromDate: at('09:00'), toDate: at('10:00'), reason: 'Running late', actorType: 'staff', actorId: 'user-1', late: false
+        })]);
+        expect(rescheduled).toHaveBeenCalledWith(expect.objectContaining({ bookingId: 'booking-1', reason: 'Running late' }));
+        expect(TenantCalendarService.updateTenantCalendarEvent).toHaveBeenCalledWith('tenant-1', 'evt-1', expect.objectContaining({ date: at('10:00') }));
+
+        expect(prisma.$rows('WaitlistOffer')).toEqual([expect.objectContaining({ start: at('09:00'), status: 'open' })]);
+        expect(notificationService.sendSMS).toHaveBeenCalledWith('+15551230002', expect.stringContaining('Reply YES'), 'tenant-1');
+        // The client hears about the new time
+        expect(notificationService.sendSMS).toHaveBeenCalledWith('+15551230001', expect.stringContaining('rescheduled'), 'tenant-1');
+    });
+
+    it('holds clients to the cancellation window but lets staff cancel late', async () => {
+        await seed();
+        const now = at('08:00');
+
+        await expect(bookingLifecycleService.cancel('tenant-1', 'booking-1', {}, { actor: { type: 'client', id: 'client-1' }, enforcePolicy: true, now }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'CANCELLATION_WINDOW' });
+        expect(bookingLifecycleService.isChangeableByClient(prisma.$rows('Booking')[0], { cancellationWindow: 1440 }, now)).toBe(false);
+
+        const booking = await bookingLifecycleService.cancel('tenant-1', 'booking-1', { reason: 'Dentist ill' }, { actor: staff, now });
+        expect(booking).toMatchObject({ status: 'Cancelled', cancelReason: 'Dentist ill', cancelledAt: now });
+        expect(prisma.$rows('BookingEvent')).toEqual([expect.objectContaining({ type: 'cancelled', toStatus: 'Cancelled', late: true })]);
+        expect(TenantCalendarService.deleteTenantCalendarEvent).toHaveBeenCalledWith('tenant-1', 'evt-1');
+        expect(prisma.$rows('Booking')[0].calendarEventId).toBeNull();
+
+        await expect(bookingLifecycleService.reschedule('tenant-1', 'booking-1', { date: at('10:00') }, { actor: staff }))
+            .rejects.toMatchObject({ code: 'BOOKING_CLOSED' });
+    });
+
+    it('escapes names in the client email', async () => {
+        await seed();
+        await prisma.client.update({ where: { id: 'client-1' }, data: { name: '<img src=x>', email: 'ada@example.com' } });
+
+        await bookingLifecycleService.cancel('tenant-1', 'booking-1', {}, { actor: staff });
+
+        const [, subject, html] = notificationService.queueEmail.mock.calls[0];
+        expect(subject).toBe('Booking cancelled - Bright Smiles');
+        expect(html).toContain('Hi &lt;img src=x&gt;,');
+        expect(html).not.toContain('<img');
+    });
+
+    it('gives a freed slot to the first waiting client to reply YES', async () => {
+        await seed();
+        // Typed by hand; replies come from Twilio in E.164
+        await prisma.client.update({ where: { id: 'client-3' }, data: { phone: '+1 (555) 123-0003' } });
+        await waitlistService.addEntry('tenant-1', { clientId: 'client-2', serviceId: 'service-1' });
+        await waitlistService.addEntry('tenant-1', { clientId: 'client-3', serviceId: 'service-1' });
+        expect(prisma.$rows('WaitlistEntry').map(entry => entry.phone)).toEqual(['+15551230002', '+15551230003']);
+        await bookingLifecycleService.cancel('tenant-1', 'booking-1', {}, { actor: staff });
+
+        expect(await waitlistService.handleReply('tenant-1', '+15551230003', 'Is it free?')).toBeNull();
+
+        const won = await waitlistService.handleReply('tenant-1', '+15551230003', ' yes ');
+        expect(won).toMatchObject({ outcome: 'claimed', message: expect.stringContaining('Monday, January 7 at 9:00 AM') });
+        const booking = prisma.$rows('Booking').find(row => row.id === won.bookingId);
+        expect(booking).toMatchObject({ clientId: 'client-3', date: at('09:00'), source: 'WAITLIST', status: 'Scheduled' });
+
+        const lost = await waitlistService.handleReply('tenant-1', '+15551230002', 'YES');
+        expect(lost.outcome).toBe('taken');
+        expect(prisma.$rows('WaitlistEntry').map(entry => entry.status)).toEqual(['waiting', 'booked']);
+        expect(prisma.$rows('WaitlistOffer')[0]).toMatchObject({ status: 'claimed', bookingId: won.bookingId });
+    });
+
+    it('marks bookings nobody checked into as no-shows and undoes it on a late check-in', async () => {
+        await seed({ noShowAfter: 15 });
+        await prisma.booking.create({
+            data: { id: 'booking-2', tenantId: 'tenant-1', clientId: 'client-2', date: at('10:00'), endTime: at('10:30'), status: 'Scheduled', checkedInAt: at('09:55') }
+        });
+        // A tenant that hasn't opted in keeps its bookings open
+        await prisma.tenant.create({ data: { id: 'tenant-2', name: 'Other Clinic', bookingConfig: { cancellationWindow: 60 } } });
+        await prisma.booking.create({
+            data: { id: 'booking-3', tenantId: 'tenant-2', clientId: 'client-1', date: at('08:00'), endTime: at('08:30'), status: 'Scheduled' }
+        });
+        const noShow = jest.fn();
+        eventBus.once('booking:no_show', noShow);
+
+        // 09:30 end + 15 minutes hasn't passed yet
+        expect(await bookingLifecycleService.markNoShows(at('09:40'))).toBe(0);
+        expect(await bookingLifecycleService.markNoShows(at('11:00'))).toBe(1);
+        expect(prisma.$rows('Booking').map(row => row.status)).toEqual(['NoShow', 'Scheduled', 'Scheduled']);
+        expect(noShow).toHaveBeenCalledWith({ tenantId: 'tenant-1', bookingId: 'booking-1' });
+
+        const booking = await bookingLifecycleService.checkIn('tenant-1', 'booking-1', { actor: staff, now: at('11:05') });
+        expect(booking).toMatchObject({ status: 'Scheduled', checkedInAt: at('11:05') });
+        expect((await bookingLifecycleService.getHistory('tenant-1', 'booking-1')).map(event => event.type)).toEqual(['no_show', 'checked_in']);
+    });
+});
@@ -0,0 +1,157 @@
+jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+jest.mock('../tenantCalendarService', () => ({
+    hasTenantCalendar: jest.fn(async () => true),
+    getTenantCalendarBusyRanges: jest.fn(async () => []),
+    getUserCalendarBusyRanges: jest.fn(async () => []),
+    createTenantCalendarSeriesEvent: jest.fn(async () => ({ eventId: 'evt-s', meetLink: 'https://meet.example/s' })),
+    updateTenantCalendarSeriesEvent: jest.fn(async () => ({ success: true })),
+    updateTenantCalendarEvent: jest.fn(async () => ({ success: true })),
+    deleteTenantCalendarEvent: jest.fn(async () => ({ success: true })),
+    getInstanceEventId: jest.requireActual('../tenantCalendarService').getInstanceEventId
+}));
+jest.mock('../notificationService', () => ({
+    queueEmail: jest.fn(async () => {}),
+    sendSMS: jest.fn(async () => {}),
+    createNotification: jest.fn(async () => {})
+}));
+
+const prisma = require('../../lib/prisma');
+const TenantCalendarService = require('../tenantCalendarService');
+const notificationService = require('../notificationService');
+const eventBus = require('../../lib/eventBus');
+const bookingLifecycleService = require('../bookingLifecycleService');
+const bookingSeriesService = require('../bookingSeriesService');
+
+// New York: EST (UTC-5) until DST starts on Sunday 2030-03-10, EDT (UTC-4) after
+const est = (day, time) => new Date(`2030-03-${day}T${time}:00-05:00`);
+const edt = (day, time) => new Date(`2030-03-${day}T${time}:00-04:00`);
+const staff = { type: 'staff', id: 'user-1' };
+const weekly = { clientId: 'client-1', serviceId: 'service-1', date: est('04', '09:00'), purpose: 'Therapy', recurrence: 'FREQ=WEEKLY;COUNT=4' };
+
+async function seed() {
+    await prisma.tenant.create({ data: { id: 'tenant-1', name: 'Calm Minds', timezone: 'America/New_York' } });
+    await prisma.service.create({ data: { id: 'service-1', tenantId: 'tenant-1', name: 'Therapy', price: 120, duration: 50 } });
+    await prisma.client.create({ data: { id: 'client-1', tenantId: 'tenant-1', name: 'Ada Park', phone: '+15551230001' } });
+    await prisma.client.create({ data: { id: 'client-2', tenantId: 'tenant-1', name: 'Bo Lee', phone: '+15551230002' } });
+}
+
+const occurrences = () => prisma.$rows('Booking')
+    .filter(booking => booking.seriesId)
+    .sort((a, b) => a.originalDate - b.originalDate);
+
+describe('BookingSeriesService', () => {
+    beforeEach(async () => {
+        prisma.$reset();
+        jest.clearAllMocks();
+        await seed();
+    });
+
+    it('books each occurrence at the same local time across DST and refuses or skips clashes', async () => {
+        await prisma.booking.create({
+            data: { tenantId: 'tenant-1', clientId: 'client-2', date: edt('18', '09:30'), endTime: edt('18', '10:00'), status: 'Scheduled' }
+        });
+
+        await expect(bookingSeriesService.createSeries('tenant-1', weekly))
+            .rejects.toMatchObject({ statusCode: 409, code: 'SERIES_CONFLICT', message: expect.stringContaining('Monday, March 18 at 9:00 AM') });
+        expect(prisma.$rows('BookingSeries')).toHaveLength(0);
+
+        const created = jest.fn();
+        eventBus.on('booking:created', created);
+        const transaction = jest.spyOn(prisma, '$transaction');
+        const { series, skipped } = await bookingSeriesService.createSeries('tenant-1', { ...weekly, skipConflicts: true });
+        eventBus.off('booking:created', created);
+
+        // Sized for the longest series rather than Prisma's 5 s default
+        expect(transaction).toHaveBeenCalledWith(expect.any(Function), { maxWait: 10000, timeout: 10400 });
+        transaction.mockRestore();
+
+        expect(skipped).toEqual([edt('18', '09:00')]);
+        expect(series).toMatchObject({ rrule: 'FREQ=WEEKLY;COUNT=4', timezone: 'America/New_York', calendarEventId: 'evt-s' });
+        expect(series.bookings.map(booking => booking.date)).toEqual([est('04', '09:00'), edt('11', '09:00'), edt('25', '09:00')]);
+        expect(series.bookings[0]).toMatchObject({ endTime: est('04', '09:50'), calendarEventId: 'evt-s_20300304T140000Z', meetingLink: 'https://meet.example/s' });
+        expect(created).toHaveBeenCalledTimes(1);
+
+        // One recurring event, leaving out the skipped week
+        expect(TenantCalendarService.createTenantCalendarSeriesEvent).toHaveBeenCalledWith(
+            'tenant-1', expect.objectContaining({ id: series.id }), { date: est('04', '09:00'), endTime: est('04', '09:50') },
+            'Ada Park', '+15551230001', [edt('18', '09:00')]
+        );
+        expect(notificationService.sendSMS).toHaveBeenCalledWith('+15551230001', expect.stringContaining('recurring appointments from'), 'tenant-1');
+    });
+
+    it('re-checks the occurrences in one query under the booking lock', async () => {
+        // Someone books week three while the series is being checked
+        jest.spyOn(prisma, '$executeRaw').mockImplementationOnce(async () => {
+            await prisma.booking.create({
+                data: { tenantId: 'tenant-1', clientId: 'client-2', date: edt('18', '09:30'), endTime: edt('18', '10:00'), status: 'Scheduled' }
+            });
+            return 0;
+        });
+        const findMany = jest.spyOn(prisma.booking, 'findMany');
+
+        await expect(bookingSeriesService.createSeries('tenant-1', weekly))
+            .rejects.toMatchObject({ statusCode: 409, code: 'SERIES_CONFLICT', message: expect.stringContaining('Monday, March 18 at 9:00 AM') });
+        // One per occurrence before the lock, one after
+        expect(findMany).toHaveBeenCalledTimes(5);
+        findMany.mockRestore();
+        expect(prisma.$rows('BookingSeries')).toHaveLength(0);
+    });
+
+    it('moves one occurrence, then this and the following ones onto a new series', async () => {
+        const { series } = await bookingSeriesService.createSeries('tenant-1', weekly);
+        const [first, second, third] = series.bookings;
+
+        // This occurrence only: its calendar instance moves, the series stays
+        await bookingLifecycleService.reschedule('tenant-1', first.id, { date: est('05', '09:00') }, { actor: staff });
+        expect(TenantCalendarService.updateTenantCalendarEvent).toHaveBeenCalledWith(
+            'tenant-1', 'evt-s_20300304T140000Z', expect.objectContaining({ date: est('05', '09:00') })
+        );
+        expect(prisma.$rows('BookingSeries')).toHaveLength(1);
+
+        // From the third: a day later at 10:00
+        const moved = await bookingSeriesService.reschedule('tenant-1', third.id, { date: edt('19', '10:00'), reason: 'New schedule', scope: 'following' }, { actor: staff });
+
+        expect(moved).toMatchObject({ rrule: 'FREQ=WEEKLY;COUNT=2', startDate: edt('19', '10:00') });
+        expect(moved.bookings.map(booking => booking.date)).toEqual([edt('19', '10:00'), edt('26', '10:00')]);
+        expect(prisma.$rows('BookingSeries').find(row => row.id === series.id).rrule).toBe('FREQ=WEEKLY;UNTIL=20300318T125959Z');
+        expect(occurrences().map(booking => booking.seriesId)).toEqual([series.id, series.id, moved.id, moved.id]);
+        expect(occurrences()[1].date).toEqual(second.date);
+
+        expect(TenantCalendarService.updateTenantCalendarSeriesEvent).toHaveBeenCalledWith('tenant-1', 'evt-s', expect.objectContaining({ id: series.id }), expect.anything(), []);
+        expect(TenantCalendarService.createTenantCalendarSeriesEvent).toHaveBeenCalledTimes(2);
+        expect(prisma.$rows('BookingEvent').filter(event => event.type === 'rescheduled' && event.reason === 'New schedule')).toHaveLength(2);
+    });
+
+    it('moves all upcoming occurrences to the new local time, across DST', async () => {
+        const { series } = await bookingSeriesService.createSeries('tenant-1', weekly);
+
+        const moved = await bookingSeriesService.reschedule('tenant-1', series.bookings[0].id, { date: est('04', '10:30'), scope: 'all' }, { actor: staff });
+
+        expect(moved.id).toBe(series.id);
+        expect(moved.bookings.map(booking => booking.date)).toEqual([est('04', '10:30'), edt('11', '10:30'), edt('18', '10:30'), edt('25', '10:30')]);
+        expect(TenantCalendarService.updateTenantCalendarSeriesEvent).toHaveBeenCalledWith(
+            'tenant-1', 'evt-s', expect.objectContaining({ startDate: est('04', '10:30') }), expect.objectContaining({ date: est('04', '10:30') }), []
+        );
+        expect(occurrences()[1].calendarEventId).toBe('evt-s_20300311T143000Z');
+    });
+
+    it('cancels the upcoming occurrences, keeping the ones that already happened', async () => {
+        const { series } = await bookingSeriesService.createSeries('tenant-1', weekly);
+        const now = est('05', '12:00');
+
+        const cancelled = await bookingSeriesService.cancel('tenant-1', series.bookings[3].id, { reason: 'Moving away', scope: 'all' }, { actor: staff, now });
+
+        expect(cancelled.bookings.map(booking => booking.status)).toEqual(['Scheduled', 'Cancelled', 'Cancelled', 'Cancelled']);
+        expect(cancelled).toMatchObject({ status: 'active', rrule: 'FREQ=WEEKLY;UNTIL=20300311T125959Z' });
+        expect(TenantCalendarService.deleteTenantCalendarEvent).not.toHaveBeenCalled();
+        expect(prisma.$rows('BookingEvent').filter(event => event.type === 'cancelled')).toHaveLength(3);
+
+        // Cancelling from the first occurrence ends the series and removes its event
+        const ended = await bookingSeriesService.cancel('tenant-1', series.bookings[0].id, { scope: 'following' }, { actor: staff, now });
+        expect(ended.status).toBe('cancelled');
+        expect(TenantCalendarService.deleteTenantCalendarEvent).toHaveBeenCalledWith('tenant-1', 'evt-s');
+
+        await expect(bookingSeriesService.cancel('tenant-1', series.bookings[0].id, { scope: 'all' }, { actor: staff }))
+            .rejects.toMatchObject({ code: 'BOOKING_CLOSED' });
+    });
+});
@@ -0,0 +1,110 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: { findMany: jest.fn() },
+    inboundCall: {
+        findFirst: jest.fn(async () => ({ id: 'inbound-1', callerPhone: '+15550123' })),
+        update: jest.fn(async () => ({})),
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    callSession: {
+        upsert: jest.fn(async () => ({ id: 'session-1' })),
+        findMany: jest.fn(),
+        update: jest.fn(async () => ({}))
+    }
+}));
+
+jest.mock('../storageService', () => ({
+    privateBucketName: 'recordings',
+    uploadBuffer: jest.fn(async (buffer, filePath) => filePath),
+    deleteFile: jest.fn(async () => true),
+    getSignedUrl: jest.fn(async () => 'https://storage.example.com/signed')
+}));
+
+const mockRemoveRecording = jest.fn(async () => true);
+jest.mock('../twilioService', () => ({
+    getClientForTenant: jest.fn(async () => ({
+        client: { username: 'AC123', password: 'secret', recordings: () => ({ remove: mockRemoveRecording }) }
+    }))
+}));
+
+jest.mock('../jobQueueService', () => ({ enqueue: jest.fn(async () => ({ id: 'job-1' })) }));
+
+const twilio = require('twilio');
+const prisma = require('../../lib/prisma');
+const storageService = require('../storageService');
+const callRecordingService = require('../callRecordingService');
+
+describe('CallRecordingService', () => {
+    beforeEach(() => jest.clearAllMocks());
+    afterEach(() => jest.restoreAllMocks());
+
+    it('plays the consent disclosure and starts a dual-channel recording only when enabled', () => {
+        const recorded = new twilio.twiml.VoiceResponse();
+        expect(callRecordingService.applyToTwiml(recorded, 'tenant-1', {
+            recording: { enabled: true, consentMessage: 'This call is recorded.' }
+        })).toBe(true);
+
+        const xml = recorded.toString();
+        expect(xml).toContain('<Say>This call is recorded.</Say><Start><Recording channels="dual"');
+        expect(xml).toContain('/api/twilio/webhook/recording?tenantId=tenant-1');
+
+        const plain = new twilio.twiml.VoiceResponse();
+        expect(callRecordingService.applyToTwiml(plain, 'tenant-1', {})).toBe(false);
+        expect(plain.toString()).not.toContain('<Recording');
+    });
+
+    it('moves the finished recording into storage and removes the Twilio copy', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) });
+
+        const result = await callRecordingService.storeRecording('tenant-1', {
+            callSid: 'CA1',
+            recordingSid: 'RE1',
+            recordingUrl: 'https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1',
+            duration: 42
+        });
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.twilio.com/2010-04-01/Accounts/AC123/Recordings/RE1.wav',
+            { headers: { Authorization: `Basic ${Buffer.from('AC123:secret').toString('base64')}` } }
+        );
+        expect(storageService.uploadBuffer).toHaveBeenCalledWith(expect.any(Buffer), 'recordings/tenant-1/CA1-RE1.wav', 'audio/wav');
+        expect(prisma.callSession.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { callSid: 'CA1' },
+            create: expect.objectContaining({ tenantId: 'tenant-1', callerPhone: '+15550123', recordingDuration: 42 })
+        }));
+        expect(prisma.inboundCall.update).toHaveBeenCalledWith({
+            where: { id: 'inbound-1' },
+            data: { recordingUrl: '/api/voice/calls/session-1/recording' }
+        });
+        expect(mockRemoveRecording).toHaveBeenCalled();
+        expect(result).toEqual({ callSessionId: 'session-1', recordingPath: 'recordings/tenant-1/CA1-RE1.wav', bytes: 8 });
+    });
+
+    it('deletes recordings past each tenant retention period', async () => {
+        const now = new Date('2030-06-01T00:00:00Z');
+        prisma.tenant.findMany.mockResolvedValueOnce([
+            { id: 'tenant-1', twilioConfig: { recording: { retentionDays: 30 } } },
+            { id: 'tenant-2', twilioConfig: { recording: { retentionDays: null } } }
+        ]);
+        prisma.callSession.findMany.mockResolvedValueOnce([
+            { id: 'session-1', callSid: 'CA1', recordingPath: 'recordings/tenant-1/CA1-RE1.wav' },
+            { id: 'session-2', callSid: 'CA2', recordingPath: 'recordings/tenant-1/CA2-RE2.wav' }
+        ]);
+        // Storage refused the second delete: its row keeps the path for the next run
+        storageService.deleteFile.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+        expect(await callRecordingService.purgeExpiredRecordings(now)).toBe(1);
+
+        // Tenants that keep recordings forever are not queried
+        expect(prisma.callSession.findMany).toHaveBeenCalledTimes(1);
+        expect(prisma.callSession.findMany.mock.calls[0][0].where).toMatchObject({
+            tenantId: 'tenant-1',
+            recordedAt: { lt: new Date('2030-05-02T00:00:00Z') }
+        });
+        expect(storageService.deleteFile).toHaveBeenCalledWith('recordings/tenant-1/CA1-RE1.wav', 'recordings');
+        expect(prisma.callSession.update).toHaveBeenCalledTimes(1);
+        expect(prisma.callSession.update).toHaveBeenCalledWith({
+            where: { id: 'session-1' },
+            data: { recordingPath: null, recordingSid: null }
+        });
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+jest.mock('../socketService', () => ({ sendToTenant: jest.fn(), emitToTenant: jest.fn() }));
+
+const path = require('path');
+const prisma = require('../../lib/prisma');
+const { FakeVoiceProvider } = require('../voiceProviders');
+const { CallSimulator } = require('../../testing/callSimulator');
+
+const UTTERANCE = path.join(__dirname, '../../testing/fixtures/caller-utterance.wav');
+const BUSINESS_NUMBER = '+15550001111';
+const CALLER = '+15557654321';
+
+describe('voice agent call flow (CallSimulator)', () => {
+    let call;
+
+    beforeEach(async () => {
+        prisma.$reset();
+        await prisma.tenant.create({
+            data: {
+                id: 'tenant-1',
+                name: 'Bright Smiles Dental',
+                phoneNumber: BUSINESS_NUMBER,
+                aiName: 'Ava',
+                aiWelcomeMessage: 'Thanks for calling Bright Smiles, this is Ava.',
+                customSystemPrompt: 'You book dental cleanings.',
+                timezone: 'America/New_York'
+            }
+        });
+    });
+
+    afterEach(async () => {
+        await call?.stop();
+    });
+
+    it('greets the caller, books through the tool and records the call', async () => {
+        const provider = new FakeVoiceProvider({
+            greeting: 'Thanks for calling Bright Smiles, this is Ava.',
+            turns: [{
+                user: 'I would like a cleaning on Friday at 10.',
+                toolCalls: [{
+                    name: 'bookAppointment',
+                    args: { name: 'Sam Lee', phone: CALLER, dateTime: '2030-01-04T15:00:00.000Z', purpose: 'Cleaning' }
+                }],
+                reply: 'You are booked for Friday at 10.',
+                audio: Buffer.alloc(800, 0x2a).toString('base64')
+            }]
+        });
+        call = new CallSimulator({ to: BUSINESS_NUMBER, from: CALLER, provider });
+
+        await call.start();
+        await call.waitFor(() => provider.received.responses.length === 1);
+        expect(provider.received.responses[0]).toContain('Thanks for calling Bright Smiles, this is Ava.');
+
+        await call.say(UTTERANCE);
+        await call.waitFor(() => provider.received.toolResults.length === 1);
+        await call.waitFor(() => call.agentAudioBytes > 0);
+        await call.hangup();
+
+        const [booking] = prisma.$rows('Booking');
+        expect(booking).toMatchObject({ tenantId: 'tenant-1', purpose: 'Cleaning', status: 'Scheduled' });
+        expect(provider.received.toolResults[0].result).toMatchObject({ success: true, bookingId: booking.id });
+
+        const [callSession] = prisma.$rows('CallSession');
+        expect(callSession).toMatchObject({
+            tenantId: 'tenant-1',
+            callSid: call.callSid,
+            callerPhone: CALLER,
+            direction: 'inbound',
+            status: 'completed',
+            bookingId: booking.id,
+            clientId: booking.clientId
+        });
+
+        const messages = prisma.$rows('Message');
+        expect(messages.map(({ role, content }) => [role, content])).toEqual([
+            ['assistant', 'Thanks for calling Bright Smiles, this is Ava.'],
+            ['user', 'I would like a cleaning on Friday at 10.'],
+            ['assistant', 'You are booked for Friday at 10.']
+        ]);
+        expect(messages.every(message => message.callSessionId === callSession.id)).toBe(true);
+
+        const [conversation] = prisma.$rows('Conversation');
+        expect(conversation).toMatchObject({ channel: 'voice', sessionId: call.streamSid, phone: CALLER });
+        expect(prisma.$rows('InboundCall')[0]).toMatchObject({ callSid: call.callSid, status: 'completed' });
+    });
+});
@@ -0,0 +1,75 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: {
+        findUnique: jest.fn(async () => ({
+            timezone: 'America/New_York',
+            twilioConfig: {
+                transfer: {
+                    mode: 'warm',
+                    targets: [
+                        { label: 'Front desk', phone: '+15550100', hours: { mon: [{ start: '09:00', end: '17:00' }] } },
+                        { userId: 'user-1' }
+                    ]
+                }
+            }
+        }))
+    },
+    user: {
+        findFirst: jest.fn(async () => ({ name: 'Ada', phoneNumber: '+15550199' }))
+    },
+    inboundCall: {
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    }
+}));
+
+const prisma = require('../../lib/prisma');
+const callTransferService = require('../callTransferService');
+
+// Monday 2030-01-07 at 10:00 and 20:00 in New York
+const MONDAY_OPEN = new Date('2030-01-07T15:00:00Z');
+const MONDAY_CLOSED = new Date('2030-01-08T01:00:00Z');
+
+describe('CallTransferService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('only rings targets inside their hours and resolves team members to their phone', async () => {
+        const config = await callTransferService.getTransferConfig('tenant-1');
+
+        expect(config).toMatchObject({ mode: 'warm', timeout: 20, timezone: 'America/New_York' });
+        expect(await callTransferService.getAvailableTargets('tenant-1', config, MONDAY_OPEN)).toEqual([
+            { label: 'Front desk', phone: '+15550100' },
+            { label: 'Ada', phone: '+15550199' }
+        ]);
+        expect(await callTransferService.getAvailableTargets('tenant-1', config, MONDAY_CLOSED)).toEqual([
+            { label: 'Ada', phone: '+15550199' }
+        ]);
+        expect(prisma.user.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'user-1', tenantId: 'tenant-1' }
+        }));
+    });
+
+    it('whispers the summary to the answering number on a warm transfer', () => {
+        const whisper = callTransferService.buildWhisperText({ summary: 'Wants to move Friday booking.', callerName: 'Grace' });
+        const twiml = callTransferService.buildDialTwiml({
+            tenantId: 'tenant-1',
+            targets: [{ label: 'Front desk', phone: '+15550100' }],
+            timeout: 20,
+            whisper
+        });
+
+        expect(whisper).toBe('Incoming transfer from Grace. Wants to move Friday booking.');
+        expect(twiml).toContain('<Dial timeout="20"');
+        expect(twiml).toContain('/api/twilio/webhook/transfer/complete?tenantId=tenant-1');
+        expect(twiml).toMatch(/<Number url="[^"]*\/webhook\/transfer\/whisper\?text=Incoming[^"]*" method="POST">\+15550100<\/Number>/);
+    });
+
+    it('falls back to voicemail when no one answers', async () => {
+        const twiml = await callTransferService.handleDialComplete({ CallSid: 'CA1', DialCallStatus: 'no-answer' }, 'tenant-1');
+
+        expect(prisma.inboundCall.updateMany).toHaveBeenCalledWith({
+            where: { callSid: 'CA1', tenantId: 'tenant-1' },
+            data: { transferStatus: 'no_answer' }
+        });
+        expect(twiml).toContain('<Record');
+        expect(twiml).toContain('transcribe="true"');
+    });
+});
@@ -0,0 +1,132 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: { findUnique: jest.fn(async () => ({ name: 'Acme Dental' })) },
+    campaign: {
+        findFirst: jest.fn(async () => ({ status: 'running', sentCount: 0 })),
+        findMany: jest.fn(async () => []),
+        update: jest.fn(async () => ({}))
+    },
+    campaignRecipient: {
+        count: jest.fn(async () => 0),
+        findMany: jest.fn(async () => []),
+        findUnique: jest.fn(),
+        update: jest.fn(async () => ({})),
+        updateMany: jest.fn(async () => ({ count: 1 })),
+        groupBy: jest.fn(async () => [])
+    },
+    doNotContact: {
+        findMany: jest.fn(async () => []),
+        upsert: jest.fn(async ({ create }) => create)
+    }
+}));
+
+jest.mock('../twilioService', () => ({ sendSms: jest.fn(async () => ({ sid: 'SM1' })) }));
+jest.mock('../notificationService', () => ({ deliverEmail: jest.fn(async () => ({ messageId: 'm-1' })) }));
+jest.mock('../socketService', () => ({ sendToTenant: jest.fn() }));
+
+const prisma = require('../../lib/prisma');
+const twilioService = require('../twilioService');
+const notificationService = require('../notificationService');
+const campaignService = require('../campaignService');
+const campaignBroadcastService = require('../campaignBroadcastService');
+
+const smsCampaign = {
+    id: 'campaign-1',
+    tenantId: 'tenant-1',
+    type: 'sms',
+    status: 'running',
+    message: 'Hi {{client.firstName}}, {{tenant.name}} has openings this week!',
+    settings: { ratePerMinute: 2 }
+};
+
+const emailCampaign = {
+    id: 'campaign-2',
+    tenantId: 'tenant-1',
+    type: 'email',
+    subject: '{{client.firstName}}, we miss you',
+    message: '<p>Hi {{client.name}}</p><a href="https://acme.example.com/book?src=email&amp;x=1">Book now</a>'
+};
+
+const recipient = { id: 'r-1', name: 'Ada <Lovelace>', phone: '+15550123', email: 'ada@example.com' };
+
+describe('CampaignBroadcastService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('sends at most ratePerMinute merged texts per batch with an opt-out line', async () => {
+        prisma.campaignRecipient.count.mockResolvedValueOnce(5);
+        prisma.campaignRecipient.findMany.mockResolvedValueOnce([
+            { id: 'r-1', name: 'Ada Lovelace', phone: '+15550123' },
+            { id: 'r-2', name: 'Alan Turing', phone: '+15550124' }
+        ]);
+
+        expect(await campaignBroadcastService.sendBatch(smsCampaign)).toBe(2);
+
+        expect(prisma.campaignRecipient.findMany.mock.calls[0][0].take).toBe(2);
+        expect(twilioService.sendSms).toHaveBeenCalledWith(
+            'tenant-1',
+            '+15550123',
+            'Hi Ada, Acme Dental has openings this week!\nReply STOP to opt out.',
+            { statusCallback: expect.stringContaining('/api/twilio/webhook/campaign/sms-status?tenantId=tenant-1&recipientId=r-1') }
+        );
+        expect(prisma.campaignRecipient.update).toHaveBeenCalledWith({
+            where: { id: 'r-1' },
+            data: expect.objectContaining({ status: 'completed', outcome: 'sent', messageSid: 'SM1' })
+        });
+        expect(prisma.campaign.update).toHaveBeenCalledWith({
+            where: { id: 'campaign-1' },
+            data: { sentCount: { increment: 2 } }
+        });
+    });
+
+    it('skips recipients who replied STOP while the campaign was running', async () => {
+        prisma.campaignRecipient.count.mockResolvedValueOnce(1);
+        prisma.campaignRecipient.findMany.mockResolvedValueOnce([{ id: 'r-1', phone: '+15550123' }]);
+        prisma.doNotContact.findMany.mockResolvedValueOnce([{ phone: '+15550123' }]);
+
+        expect(await campaignBroadcastService.sendBatch(smsCampaign)).toBe(0);
+        expect(twilioService.sendSms).not.toHaveBeenCalled();
+        expect(prisma.doNotContact.findMany.mock.calls[0][0].where.channel).toEqual({ in: ['all', 'sms'] });
+    });
+
+    it('renders emails with escaped merge fields, tracked links, an unsubscribe link and the open pixel', () => {
+        const { subject, html, headers } = campaignBroadcastService.renderEmail(emailCampaign, recipient, { name: 'Acme Dental' });
+
+        expect(subject).toBe('Ada, we miss you');
+        expect(html).toContain('<p>Hi Ada &lt;Lovelace&gt;</p>');
+        expect(html).toContain('href="http://localhost:5000/api/campaigns/track/r-1/click/0"');
+        expect(html).not.toContain('acme.example.com');
+        expect(html).toContain('href="http://localhost:5000/api/campaigns/unsubscribe/r-1"');
+        expect(html).toContain('src="http://localhost:5000/api/campaigns/track/r-1/open.gif"');
+        expect(headers).toEqual({
+            'List-Unsubscribe': '<http://localhost:5000/api/campaigns/unsubscribe/r-1>',
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        });
+    });
+
+    it('redirects clicks to the original link and counts the open once', async () => {
+        prisma.campaignRecipient.findUnique
+            .mockResolvedValueOnce({ ...recipient, tenantId: 'tenant-1', campaignId: 'campaign-2', openedAt: null, campaign: emailCampaign })
+            .mockResolvedValueOnce({ ...recipient, tenantId: 'tenant-1', campaignId: 'campaign-2' });
+
+        expect(await campaignBroadcastService.recordClick('r-1', '0')).toBe('https://acme.example.com/book?src=email&x=1');
+        expect(await campaignBroadcastService.recordClick('r-1', '5')).toBeNull();
+
+        expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+            where: { id: 'r-1', clickedAt: null },
+            data: { clickedAt: expect.any(Date) }
+        });
+        expect(prisma.campaign.update).toHaveBeenCalledWith({
+            where: { id: 'campaign-2' },
+            data: { openCount: { increment: 1 } }
+        });
+    });
+
+    it('adds STOP replies to the SMS do-not-contact list', async () => {
+        expect(await campaignService.handleOptOutKeyword('tenant-1', '+1 (555) 012-3000', ' stop ')).toBe('opt_out');
+        expect(prisma.doNotContact.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId_phone_channel: { tenantId: 'tenant-1', phone: '+15550123000', channel: 'sms' } },
+            create: expect.objectContaining({ channel: 'sms', source: 'sms_stop' })
+        }));
+
+        expect(await campaignService.handleOptOutKeyword('tenant-1', '+15550123', 'Can I book Tuesday?')).toBeNull();
+    });
+});
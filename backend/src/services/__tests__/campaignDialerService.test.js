@@ -0,0 +1,125 @@
+jest.mock('../../lib/prisma', () => ({
+    campaign: {
+        findFirst: jest.fn(),
+        findMany: jest.fn(async () => []),
+        update: jest.fn(async () => ({}))
+    },
+    campaignRecipient: {
+        count: jest.fn(),
+        findMany: jest.fn(async () => []),
+        findFirst: jest.fn(),
+        update: jest.fn(async () => ({})),
+        updateMany: jest.fn(async () => ({ count: 1 })),
+        groupBy: jest.fn(async () => [])
+    },
+    doNotContact: { findMany: jest.fn(async () => []) }
+}));
+
+const mockCreateCall = jest.fn(async () => ({ sid: 'CA-new' }));
+jest.mock('../twilioService', () => ({
+    getClientForTenant: jest.fn(async () => ({ client: { calls: { create: mockCreateCall } }, phoneNumber: '+15550001' }))
+}));
+
+jest.mock('../socketService', () => ({ sendToTenant: jest.fn() }));
+
+const prisma = require('../../lib/prisma');
+const campaignDialerService = require('../campaignDialerService');
+
+// Monday 2030-01-07 at 10:00 in New York
+const OPEN = new Date('2030-01-07T15:00:00Z');
+
+const campaign = {
+    id: 'campaign-1',
+    tenantId: 'tenant-1',
+    status: 'running',
+    settings: { maxConcurrent: 2, retry: { maxAttempts: 2, delayMinutes: 30 } },
+    tenant: { timezone: 'America/New_York', businessHours: { mon: [{ start: '09:00', end: '17:00' }] } }
+};
+
+describe('CampaignDialerService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('fills the free call slots inside the calling window', async () => {
+        prisma.campaign.findFirst.mockResolvedValue(campaign);
+        prisma.campaignRecipient.count.mockResolvedValueOnce(1).mockResolvedValueOnce(5); // calling, pending
+        prisma.campaignRecipient.findMany.mockResolvedValueOnce([{ id: 'r-1', phone: '+15550123', attempts: 0 }]);
+
+        expect(await campaignDialerService.dialCampaign('tenant-1', 'campaign-1', OPEN)).toBe(1);
+
+        expect(prisma.campaignRecipient.findMany.mock.calls[0][0].take).toBe(1);
+        expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+            where: { id: 'r-1', status: 'pending' },
+            data: { status: 'calling', attempts: { increment: 1 }, lastAttemptAt: OPEN }
+        });
+        expect(mockCreateCall).toHaveBeenCalledWith(expect.objectContaining({
+            to: '+15550123',
+            from: '+15550001',
+            machineDetection: 'Enable'
+        }));
+        expect(mockCreateCall.mock.calls[0][0].url)
+            .toContain('/webhook/voice/outbound-stream?tenantId=tenant-1&campaignId=campaign-1&recipientId=r-1');
+    });
+
+    it('does not dial outside the calling window', async () => {
+        prisma.campaign.findFirst.mockResolvedValue(campaign);
+        prisma.campaignRecipient.count.mockResolvedValueOnce(0).mockResolvedValueOnce(5);
+
+        // Same Monday at 20:00 in New York
+        expect(await campaignDialerService.dialCampaign('tenant-1', 'campaign-1', new Date('2030-01-08T01:00:00Z'))).toBe(0);
+        expect(prisma.campaignRecipient.findMany).not.toHaveBeenCalled();
+    });
+
+    it('skips recipients added to the do-not-contact list after the campaign started', async () => {
+        prisma.campaign.findFirst.mockResolvedValue(campaign);
+        prisma.campaignRecipient.count.mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+        prisma.campaignRecipient.findMany.mockResolvedValueOnce([{ id: 'r-1', phone: '+15550123', attempts: 0 }]);
+        prisma.doNotContact.findMany.mockResolvedValueOnce([{ phone: '+15550123' }]);
+
+        expect(await campaignDialerService.dialCampaign('tenant-1', 'campaign-1', OPEN)).toBe(0);
+        expect(mockCreateCall).not.toHaveBeenCalled();
+        expect(prisma.campaignRecipient.update).toHaveBeenCalledWith({
+            where: { id: 'r-1' },
+            data: { status: 'skipped', notes: 'On the do-not-contact list' }
+        });
+    });
+
+    it('retries unanswered calls until the attempts run out', async () => {
+        await campaignDialerService.finishAttempt(campaign, { id: 'r-1', attempts: 1 }, { answered: false });
+        expect(prisma.campaignRecipient.update).toHaveBeenLastCalledWith({
+            where: { id: 'r-1' },
+            data: expect.objectContaining({ status: 'pending', outcome: 'no_answer', nextAttemptAt: expect.any(Date) })
+        });
+
+        await campaignDialerService.finishAttempt(campaign, { id: 'r-1', attempts: 2 }, { answered: false });
+        expect(prisma.campaignRecipient.update).toHaveBeenLastCalledWith({
+            where: { id: 'r-1' },
+            data: { status: 'completed', outcome: 'no_answer' }
+        });
+    });
+
+    it('keeps the outcome the AI recorded and marks machine answers as voicemail', async () => {
+        await campaignDialerService.finishAttempt(campaign, { id: 'r-1', attempts: 1, outcome: 'booked' }, { answered: true });
+        expect(prisma.campaignRecipient.update).toHaveBeenLastCalledWith({
+            where: { id: 'r-1' },
+            data: { status: 'completed', outcome: 'booked' }
+        });
+
+        await campaignDialerService.finishAttempt(campaign, { id: 'r-2', attempts: 1 }, { answered: true, machine: true });
+        expect(prisma.campaignRecipient.update).toHaveBeenLastCalledWith({
+            where: { id: 'r-2' },
+            data: { status: 'completed', outcome: 'voicemail' }
+        });
+    });
+
+    it('completes the campaign once nobody is left to call', async () => {
+        prisma.campaign.findFirst.mockResolvedValue(campaign);
+        prisma.campaignRecipient.count.mockResolvedValue(0);
+
+        await campaignDialerService.dialCampaign('tenant-1', 'campaign-1', OPEN);
+
+        expect(prisma.campaign.update).toHaveBeenCalledWith({
+            where: { id: 'campaign-1' },
+            data: { status: 'completed', completedAt: OPEN }
+        });
+    });
+});
@@ -0,0 +1,131 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: { findFirst: jest.fn(async () => ({ id: 'tenant-1' })) },
+    client: { findFirst: jest.fn(async () => ({ id: 'client-1' })) },
+    callSession: { findMany: jest.fn(async () => []) },
+    inboundCall: { findMany: jest.fn(async () => []) },
+    booking: { findMany: jest.fn(async () => []) },
+    meetingMinute: { findMany: jest.fn(async () => []) },
+    conversation: {
+        findUnique: jest.fn(async () => null),
+        findFirst: jest.fn(),
+        upsert: jest.fn(async ({ create }) => ({ id: 'conv-1', aiPaused: false, ...create })),
+        update: jest.fn(async ({ data }) => ({ id: 'conv-1', unreadCount: 1, ...data })),
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    message: {
+        create: jest.fn(async ({ data }) => ({ id: 'msg-1', createdAt: new Date('2030-01-01T00:00:00Z'), ...data })),
+        findMany: jest.fn(async () => [])
+    },
+    doNotContact: { findMany: jest.fn(async () => []) }
+}));
+
+jest.mock('../chatService', () => ({ processMessage: jest.fn(async () => ({ response: 'Happy to help!' })) }));
+jest.mock('../socketService', () => ({ sendToTenant: jest.fn() }));
+
+const prisma = require('../../lib/prisma');
+const chatService = require('../chatService');
+const socketService = require('../socketService');
+const twilioService = require('../twilioService');
+const conversationService = require('../conversationService');
+
+const conversation = {
+    id: 'conv-1',
+    tenantId: 'tenant-1',
+    channel: 'sms',
+    sessionId: 'sms_15550123',
+    phone: '+15550123',
+    clientId: 'client-1',
+    aiPaused: false
+};
+
+describe('ConversationService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(twilioService, 'sendSms').mockResolvedValue({ sid: 'SM1' });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    it('threads inbound texts by number, links the client and pushes them to the inbox', async () => {
+        await twilioService.handleInboundSms({ To: '+15550001', From: '+15550123', Body: 'Are you open Saturday?' });
+
+        expect(prisma.conversation.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            create: { tenantId: 'tenant-1', channel: 'sms', sessionId: 'sms_15550123', phone: '+15550123', email: null, clientId: 'client-1' }
+        }));
+        expect(prisma.conversation.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ lastMessage: 'Are you open Saturday?', unreadCount: { increment: 1 } })
+        }));
+        expect(socketService.sendToTenant).toHaveBeenCalledWith('tenant-1', 'conversation:message', expect.objectContaining({
+            conversationId: 'conv-1',
+            message: expect.objectContaining({ role: 'user', content: 'Are you open Saturday?' })
+        }));
+        expect(twilioService.sendSms).toHaveBeenCalledWith('tenant-1', '+15550123', 'Happy to help!');
+    });
+
+    it('does not let the AI answer a thread staff has taken over', async () => {
+        prisma.conversation.findUnique.mockResolvedValueOnce({ ...conversation, aiPaused: true });
+
+        const result = await twilioService.handleInboundSms({ To: '+15550001', From: '+15550123', Body: 'Hello?' });
+
+        expect(result).toEqual({ success: true, sessionId: 'sms_15550123', aiPaused: true });
+        expect(chatService.processMessage).not.toHaveBeenCalled();
+        expect(twilioService.sendSms).not.toHaveBeenCalled();
+    });
+
+    it('sends staff replies, stores them and pauses the AI', async () => {
+        prisma.conversation.findFirst.mockResolvedValue(conversation);
+
+        const message = await conversationService.reply('tenant-1', 'conv-1', 'user-1', 'Yes, 9 to 1.');
+
+        expect(twilioService.sendSms).toHaveBeenCalledWith('tenant-1', '+15550123', 'Yes, 9 to 1.');
+        expect(message).toMatchObject({ role: 'staff', userId: 'user-1', sessionId: 'sms_15550123', source: 'sms' });
+        expect(prisma.conversation.update).toHaveBeenCalledWith({
+            where: { id: 'conv-1' },
+            data: { aiPaused: true, aiPausedAt: expect.any(Date), aiPausedById: 'user-1' }
+        });
+        expect(socketService.sendToTenant).toHaveBeenCalledWith('tenant-1', 'conversation:updated', expect.objectContaining({
+            conversationId: 'conv-1',
+            aiPaused: true,
+            aiPausedById: 'user-1'
+        }));
+    });
+
+    it('refuses to text a number that opted out', async () => {
+        prisma.conversation.findFirst.mockResolvedValue(conversation);
+        prisma.doNotContact.findMany.mockResolvedValueOnce([{ phone: '+15550123' }]);
+
+        await expect(conversationService.reply('tenant-1', 'conv-1', 'user-1', 'Hi'))
+            .rejects.toMatchObject({ statusCode: 409, code: 'OPTED_OUT' });
+        expect(twilioService.sendSms).not.toHaveBeenCalled();
+    });
+
+    it('builds a newest-first client timeline without listing AI calls twice', async () => {
+        prisma.client.findFirst.mockResolvedValueOnce({ id: 'client-1', phone: '+15550123', email: 'ada@example.com' });
+        prisma.message.findMany.mockResolvedValueOnce([
+            { id: 'msg-1', content: 'Hi', createdAt: new Date('2030-01-03'), conversation: { id: 'conv-1', channel: 'chat' } }
+        ]);
+        prisma.callSession.findMany.mockResolvedValueOnce([{ id: 'call-1', callSid: 'CA1', createdAt: new Date('2030-01-02') }]);
+        prisma.inboundCall.findMany.mockResolvedValueOnce([
+            { id: 'inbound-1', callSid: 'CA1', createdAt: new Date('2030-01-02') },
+            { id: 'inbound-2', callSid: 'CA2', status: 'voicemail', createdAt: new Date('2030-01-01') }
+        ]);
+        prisma.booking.findMany.mockResolvedValueOnce([{ id: 'booking-1', createdAt: new Date('2030-01-04') }]);
+
+        const { items } = await conversationService.getClientTimeline('tenant-1', 'client-1', { limit: 10 });
+
+        expect(items.map(item => [item.type, item.id, item.channel])).toEqual([
+            ['booking', 'booking-1', undefined],
+            ['message', 'msg-1', 'chat'],
+            ['call', 'call-1', 'voice'],
+            ['call', 'inbound-2', 'voice']
+        ]);
+        expect(prisma.callSession.findMany.mock.calls[0][0].where.OR).toEqual([
+            { clientId: 'client-1' },
+            { callerPhone: { in: ['+15550123'] } }
+        ]);
+    });
+
+    it('has no timeline for a client in another tenant', async () => {
+        prisma.client.findFirst.mockResolvedValueOnce(null);
+        expect(await conversationService.getClientTimeline('tenant-1', 'client-9')).toBeNull();
+    });
+});
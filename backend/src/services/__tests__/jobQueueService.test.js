@@ -0,0 +1,85 @@
+jest.mock('../../lib/prisma', () => ({
+    job: {
+        create: jest.fn(async ({ data }) => ({ id: 'job-1', status: 'pending', attempts: 0, ...data })),
+        update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data })),
+        updateMany: jest.fn(async () => ({ count: 1 })),
+        findMany: jest.fn(async () => []),
+        findUnique: jest.fn(async ({ where }) => ({ id: where.id, status: 'pending' }))
+    },
+    $queryRaw: jest.fn(async () => [])
+}));
+
+const prisma = require('../../lib/prisma');
+const requestContext = require('../../lib/context');
+const jobQueueService = require('../jobQueueService');
+
+const buildJob = (overrides = {}) => ({
+    id: 'job-1',
+    type: 'email.send',
+    tenantId: 'tenant-1',
+    payload: { to: 'ada@example.com' },
+    attempts: 1,
+    maxAttempts: 3,
+    ...overrides
+});
+
+describe('JobQueueService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jobQueueService.handlers.clear();
+        jobQueueService.active.clear();
+    });
+
+    it('runs the handler in the job tenant context and stores the result', async () => {
+        const handler = jest.fn(async () => ({ tenantId: requestContext.getTenantId() }));
+        jobQueueService.register('email.send', handler);
+
+        await jobQueueService.runJob(buildJob(), jobQueueService.handlers.get('email.send'));
+
+        expect(handler).toHaveBeenCalledWith({ to: 'ada@example.com' }, expect.objectContaining({ id: 'job-1' }));
+        expect(prisma.job.update).toHaveBeenCalledWith({
+            where: { id: 'job-1' },
+            data: expect.objectContaining({ status: 'completed', result: { tenantId: 'tenant-1' } })
+        });
+    });
+
+    it('retries with exponential backoff, then dead-letters', async () => {
+        jobQueueService.register('email.send', async () => { throw new Error('SMTP timeout'); }, { backoffMs: 1000 });
+        const options = jobQueueService.handlers.get('email.send');
+        const before = Date.now();
+
+        await jobQueueService.runJob(buildJob({ attempts: 2 }), options);
+        const retry = prisma.job.update.mock.calls[0][0].data;
+        expect(retry).toMatchObject({ status: 'pending', lastError: 'SMTP timeout' });
+        expect(retry.runAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+
+        await jobQueueService.runJob(buildJob({ attempts: 3 }), options);
+        expect(prisma.job.update.mock.calls[1][0].data).toMatchObject({ status: 'dead', runAt: undefined });
+    });
+
+    it('only claims as many jobs as a type has free slots', async () => {
+        let release;
+        jobQueueService.register('call.process', () => new Promise(resolve => { release = resolve; }), { concurrency: 1 });
+        prisma.$queryRaw.mockResolvedValueOnce([buildJob({ type: 'call.process' })]);
+
+        expect(await jobQueueService.poll()).toBe(1);
+        expect(prisma.$queryRaw.mock.calls[0].slice(1)).toContain(1);
+
+        // The slot is busy, so the next poll does not claim anything
+        expect(await jobQueueService.poll()).toBe(0);
+        expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+
+        release();
+        await Promise.allSettled([...jobQueueService.inFlight]);
+        expect(jobQueueService.active.get('call.process')).toBe(0);
+    });
+
+    it('resets attempts when an admin retries a dead job', async () => {
+        await jobQueueService.retryJob('job-1', 'tenant-1');
+
+        expect(prisma.job.updateMany).toHaveBeenCalledWith({
+            where: { id: 'job-1', status: { in: ['dead', 'pending'] }, tenantId: 'tenant-1' },
+            data: expect.objectContaining({ status: 'pending', attempts: 0 })
+        });
+    });
+});
@@ -0,0 +1,108 @@
+jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+jest.mock('../tenantCalendarService', () => ({
+    hasTenantCalendar: jest.fn(async () => false),
+    getTenantCalendarBusyRanges: jest.fn(async () => []),
+    getUserCalendarBusyRanges: jest.fn(async () => [])
+}));
+jest.mock('../notificationService', () => ({
+    queueEmail: jest.fn(async () => {}),
+    sendSMS: jest.fn(async () => {}),
+    createNotification: jest.fn(async () => {})
+}));
+
+const prisma = require('../../lib/prisma');
+const notificationService = require('../notificationService');
+const eventBus = require('../../lib/eventBus');
+const publicBookingService = require('../publicBookingService');
+
+// Monday 2030-01-07 in New York (UTC-5)
+const at = (time, day = '2030-01-07') => `${day}T${time}:00-05:00`;
+const visitor = { name: 'Ada Park', phone: '+15551230001', email: 'ada@example.com' };
+
+async function seed() {
+    await prisma.tenant.create({
+        data: {
+            id: 'tenant-1',
+            name: 'Bright Smiles',
+            slug: 'bright-smiles',
+            timezone: 'America/New_York',
+            businessHours: { mon: [{ start: '09:00', end: '12:00' }] }
+        }
+    });
+    await prisma.user.create({ data: { id: 'user-1', tenantId: 'tenant-1', email: 'owner@example.com', name: 'Owner', password: 'x' } });
+    await prisma.service.create({ data: { id: 'service-1', tenantId: 'tenant-1', name: 'Cleaning', price: 80, duration: 30 } });
+    await prisma.service.create({ data: { id: 'service-2', tenantId: 'tenant-1', name: 'Whitening', price: 200, isActive: false } });
+}
+
+describe('PublicBookingService', () => {
+    beforeEach(async () => {
+        prisma.$reset();
+        jest.clearAllMocks();
+        await seed();
+    });
+
+    it('shows only active services and 404s unknown pages', async () => {
+        const page = await publicBookingService.getPage('Bright-Smiles');
+        expect(page.business).toMatchObject({ name: 'Bright Smiles', timezone: 'America/New_York' });
+        expect(page.services.map(service => service.name)).toEqual(['Cleaning']);
+
+        await expect(publicBookingService.getPage('nope')).rejects.toMatchObject({ statusCode: 404, code: 'BOOKING_PAGE_NOT_FOUND' });
+        await expect(publicBookingService.getSlots('bright-smiles', { date: '2030-01-07', serviceId: 'service-2' }))
+            .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('books a free slot for a new client, confirms it and refuses the same slot twice', async () => {
+        const created = jest.fn();
+        eventBus.once('booking:created', created);
+
+        const { booking, manageToken } = await publicBookingService.createBooking('bright-smiles', {
+            ...visitor, date: at('09:00'), serviceId: 'service-1'
+        });
+
+        expect(booking).toMatchObject({ status: 'Scheduled', service: { name: 'Cleaning' }, changeable: true });
+        expect(manageToken).toMatch(/^[0-9a-f]{48}$/);
+        const [row] = prisma.$rows('Booking');
+        expect(row).toMatchObject({ source: 'BOOKING_PAGE', manageToken, endTime: new Date(at('09:30')) });
+        expect(prisma.$rows('Client')).toEqual([expect.objectContaining({ phone: visitor.phone, source: 'BOOKING_PAGE' })]);
+        expect(created).toHaveBeenCalledWith({ tenantId: 'tenant-1', bookingId: row.id, clientNotified: true });
+        expect(notificationService.sendSMS.mock.calls[0][1]).toContain(`/book/manage/${manageToken}`);
+        expect(notificationService.queueEmail).toHaveBeenCalledWith('ada@example.com', expect.stringContaining('confirmed'), expect.any(String));
+
+        await expect(publicBookingService.createBooking('bright-smiles', { ...visitor, phone: '+15551230002', date: at('09:15') }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'BOOKING_CONFLICT' });
+        // Outside the booking hours
+        await expect(publicBookingService.createBooking('bright-smiles', { ...visitor, date: at('13:00') }))
+            .rejects.toMatchObject({ statusCode: 409, message: 'That time is outside our booking hours.' });
+        // Refused bookings leave no client behind
+        expect(prisma.$rows('Client')).toHaveLength(1);
+    });
+
+    it('never attaches a booking to an existing client with the same phone or email', async () => {
+        await prisma.client.create({ data: { id: 'client-1', tenantId: 'tenant-1', name: 'Ada Park', phone: visitor.phone, email: visitor.email, notes: 'VIP' } });
+
+        await publicBookingService.createBooking('bright-smiles', { ...visitor, name: 'Someone Else', notes: 'Call me', date: at('09:00') });
+
+        const [existing, created] = prisma.$rows('Client');
+        expect(existing).toMatchObject({ id: 'client-1', name: 'Ada Park', notes: 'VIP' });
+        expect(created).toMatchObject({ name: 'Someone Else', notes: 'Booking page: Call me', source: 'BOOKING_PAGE' });
+        expect(prisma.$rows('Booking')).toEqual([expect.objectContaining({ clientId: created.id })]);
+    });
+
+    it('reschedules and cancels through the manage token', async () => {
+        const { manageToken } = await publicBookingService.createBooking('bright-smiles', { ...visitor, date: at('09:00'), serviceId: 'service-1' });
+        const cancelled = jest.fn();
+        eventBus.once('booking:cancelled', cancelled);
+
+        const moved = await publicBookingService.reschedule(manageToken, { date: at('10:00', '2030-01-14') });
+        expect(moved.date).toEqual(new Date(at('10:00', '2030-01-14')));
+        expect(prisma.$rows('Booking')[0].endTime).toEqual(new Date(at('10:30', '2030-01-14')));
+
+        await publicBookingService.cancel(manageToken, { reason: 'Feeling better' });
+        expect(prisma.$rows('Booking')[0].status).toBe('Cancelled');
+        expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ tenantId: 'tenant-1', reason: 'Feeling better' }));
+
+        await expect(publicBookingService.reschedule(manageToken, { date: at('11:00', '2030-01-14') }))
+            .rejects.toMatchObject({ statusCode: 409, code: 'BOOKING_CLOSED' });
+        await expect(publicBookingService.getBooking('not-a-token')).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
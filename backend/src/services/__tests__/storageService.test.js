@@ -0,0 +1,50 @@
+const mockStorage = {
+    getBucket: jest.fn(),
+    createBucket: jest.fn(async () => ({ data: {}, error: null })),
+    upload: jest.fn(async () => ({ data: {}, error: null })),
+    remove: jest.fn(async () => ({ data: [], error: null })),
+    from: jest.fn(() => mockStorage)
+};
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => ({ storage: mockStorage }) }));
+
+process.env.SUPABASE_URL = 'https://project.supabase.co';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'service-role';
+process.env.SUPABASE_RECORDINGS_BUCKET = 'call-recordings';
+
+const storageService = require('../storageService');
+
+describe('StorageService private files', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storageService.checkedPrivateBuckets.clear();
+    });
+
+    it('creates the private bucket on first use and uploads into it', async () => {
+        mockStorage.getBucket.mockResolvedValueOnce({ data: null, error: { message: 'Bucket not found' } });
+
+        const path = await storageService.uploadBuffer(Buffer.from('RIFF'), 'recordings/tenant-1/CA1.wav', 'audio/wav');
+        await storageService.uploadBuffer(Buffer.from('RIFF'), 'recordings/tenant-1/CA2.wav', 'audio/wav');
+
+        expect(path).toBe('recordings/tenant-1/CA1.wav');
+        expect(mockStorage.createBucket).toHaveBeenCalledWith('call-recordings', { public: false });
+        expect(mockStorage.getBucket).toHaveBeenCalledTimes(1);
+        expect(mockStorage.from).toHaveBeenCalledWith('call-recordings');
+        expect(mockStorage.from).not.toHaveBeenCalledWith(storageService.bucketName);
+    });
+
+    it('refuses to put private files in a public bucket', async () => {
+        mockStorage.getBucket.mockResolvedValueOnce({ data: { id: 'call-recordings', public: true }, error: null });
+
+        await expect(storageService.uploadBuffer(Buffer.from('RIFF'), 'recordings/tenant-1/CA1.wav', 'audio/wav'))
+            .rejects.toThrow("Storage bucket 'call-recordings' is public");
+        expect(mockStorage.upload).not.toHaveBeenCalled();
+    });
+
+    it('reports whether a delete worked', async () => {
+        expect(await storageService.deleteFile('recordings/tenant-1/CA1.wav', 'call-recordings')).toBe(true);
+        expect(mockStorage.remove).toHaveBeenCalledWith(['recordings/tenant-1/CA1.wav']);
+
+        mockStorage.remove.mockResolvedValueOnce({ data: null, error: { message: 'Service unavailable' } });
+        expect(await storageService.deleteFile('recordings/tenant-1/CA2.wav', 'call-recordings')).toBe(false);
+    });
+});
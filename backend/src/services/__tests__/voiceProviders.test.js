@@ -0,0 +1,97 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: { findUnique: jest.fn(async () => null), update: jest.fn(async () => ({})) }
+}));
+
+const { encodeMulaw } = require('../../utils/audio');
+const voiceSettingsService = require('../voiceSettingsService');
+const {
+    PipelineVoiceProvider,
+    FakeVoiceProvider,
+    OpenAIRealtimeProvider,
+    createVoiceProvider
+} = require('../voiceProviders');
+
+// 20 ms Twilio media frames (160 μ-law bytes at 8 kHz)
+const toneFrame = () => encodeMulaw(Int16Array.from({ length: 160 }, (_, i) => Math.round(8000 * Math.sin(i / 4)))).toString('base64');
+const silentFrame = () => Buffer.alloc(160, 0xff).toString('base64');
+const speak = (provider, speechFrames = 20, silenceFrames = 30) => {
+    for (let i = 0; i < speechFrames; i++) provider.sendAudio(toneFrame());
+    for (let i = 0; i < silenceFrames; i++) provider.sendAudio(silentFrame());
+};
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const voiceConfig = voiceSettingsService.getVoiceConfig({ voice: { voice: 'sage', provider: 'pipeline' } });
+const tools = [{ type: 'function', name: 'check_availability', description: 'Open slots', parameters: { type: 'object', properties: {} } }];
+
+describe('voiceProviders', () => {
+    afterEach(() => {
+        delete process.env.VOICE_PROVIDER;
+    });
+
+    it('picks the tenant provider unless VOICE_PROVIDER overrides it', () => {
+        expect(createVoiceProvider(voiceConfig, { openai: {} })).toBeInstanceOf(PipelineVoiceProvider);
+        expect(createVoiceProvider({ ...voiceConfig, provider: 'openai_realtime' }, { apiKey: 'sk-test' })).toBeInstanceOf(OpenAIRealtimeProvider);
+
+        process.env.VOICE_PROVIDER = 'fake';
+        expect(createVoiceProvider(voiceConfig)).toBeInstanceOf(FakeVoiceProvider);
+    });
+
+    it('chains speech-to-text, chat with tool calls and phone-rate text-to-speech', async () => {
+        const openai = {
+            audio: {
+                transcriptions: { create: jest.fn(async () => ({ text: 'Any openings Friday?' })) },
+                // 300 ms of 24 kHz PCM
+                speech: { create: jest.fn(async () => ({ arrayBuffer: async () => new Int16Array(7200).buffer })) }
+            },
+            chat: {
+                completions: {
+                    create: jest.fn()
+                        .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: null, tool_calls: [
+                            { id: 'call_1', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2030-01-04"}' } }
+                        ] } }] })
+                        .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'Friday at 10 is open.' } }] })
+                }
+            }
+        };
+        const provider = new PipelineVoiceProvider({ openai });
+        const events = [];
+        for (const type of ['speech_started', 'speech_stopped', 'transcript', 'tool_call', 'audio']) {
+            provider.on(type, data => events.push([type, data]));
+        }
+
+        await provider.connect({ instructions: 'You are Ava.', tools, voiceConfig });
+        speak(provider);
+        await flush();
+
+        expect(openai.audio.transcriptions.create.mock.calls[0][0]).toMatchObject({ model: 'whisper-1', language: 'en' });
+        expect(openai.chat.completions.create.mock.calls[0][0].tools).toEqual([
+            { type: 'function', function: { name: 'check_availability', description: 'Open slots', parameters: { type: 'object', properties: {} } } }
+        ]);
+        expect(events.map(([type]) => type)).toEqual(['speech_started', 'speech_stopped', 'transcript', 'tool_call']);
+        expect(events[3][1]).toEqual({ callId: 'call_1', name: 'check_availability', args: { date: '2030-01-04' } });
+
+        provider.sendToolResult('call_1', { success: true, slots: ['10:00'] });
+        await flush();
+
+        expect(openai.chat.completions.create.mock.calls[1][0].messages.map(message => message.role))
+            .toEqual(['system', 'user', 'assistant', 'tool']);
+        expect(openai.audio.speech.create).toHaveBeenCalledWith(expect.objectContaining({ voice: 'sage', response_format: 'pcm' }));
+
+        const [, audio] = events.find(([type]) => type === 'audio');
+        expect(Buffer.from(audio, 'base64')).toHaveLength(2400); // 300 ms at 8 kHz
+        expect(events[events.length - 1]).toEqual(['transcript', { role: 'assistant', text: 'Friday at 10 is open.' }]);
+    });
+
+    it('ignores clicks shorter than a turn', async () => {
+        const provider = new FakeVoiceProvider({ turns: [{ user: 'Hi', reply: 'Hello!' }] });
+        const transcripts = [];
+        provider.on('transcript', transcript => transcripts.push(transcript));
+
+        await provider.connect({ instructions: '', tools: [], voiceConfig });
+        speak(provider, 3);
+        expect(transcripts).toEqual([]);
+
+        speak(provider);
+        expect(transcripts).toEqual([{ role: 'user', text: 'Hi' }, { role: 'assistant', text: 'Hello!' }]);
+    });
+});
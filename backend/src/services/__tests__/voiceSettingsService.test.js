@@ -0,0 +1,57 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: {
+        findUnique: jest.fn(async () => ({ aiConfig: { faqs: [{ question: 'Q', answer: 'A' }], voice: { voice: 'sage' } } })),
+        update: jest.fn(async () => ({}))
+    }
+}));
+
+const prisma = require('../../lib/prisma');
+const voiceSettingsService = require('../voiceSettingsService');
+
+describe('VoiceSettingsService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('falls back to the config/voice.js defaults', () => {
+        expect(voiceSettingsService.getVoiceConfig(null)).toEqual({
+            provider: 'openai_realtime',
+            voice: 'alloy',
+            language: 'en',
+            speakingStyle: null,
+            temperature: 0.8,
+            vadSensitivity: 'medium',
+            bargeInEnabled: true,
+            maxCallDurationSeconds: 1800,
+            silenceHangupSeconds: 10
+        });
+        // Invalid stored settings never break a call
+        expect(voiceSettingsService.getVoiceConfig({ voice: { voice: 'robot' } }).voice).toBe('alloy');
+    });
+
+    it('applies the tenant settings to the realtime session', () => {
+        const voiceConfig = voiceSettingsService.getVoiceConfig({
+            voice: { voice: 'coral', language: 'es-MX', speakingStyle: 'Warm and unhurried', temperature: 1, vadSensitivity: 'low', bargeInEnabled: false }
+        });
+
+        const session = voiceSettingsService.buildSessionUpdate(voiceConfig, { instructions: 'You are Ava.', tools: [] });
+
+        expect(session).toMatchObject({
+            voice: 'coral',
+            temperature: 1,
+            input_audio_transcription: { model: 'whisper-1', language: 'es' },
+            turn_detection: { type: 'server_vad', threshold: 0.8, silence_duration_ms: 500, interrupt_response: false },
+            tools: []
+        });
+        expect(session.instructions).toBe('You are Ava.\n\nSpeak Mexican Spanish. If the caller speaks another language, switch to it.\nSpeaking style: Warm and unhurried');
+    });
+
+    it('saves settings without touching the rest of aiConfig', async () => {
+        const voiceConfig = voiceSettingsService.getVoiceConfig({ voice: { voice: 'verse' } });
+
+        await voiceSettingsService.saveVoiceConfig('tenant-1', voiceConfig);
+
+        expect(prisma.tenant.update).toHaveBeenCalledWith({
+            where: { id: 'tenant-1' },
+            data: { aiConfig: { faqs: [{ question: 'Q', answer: 'A' }], voice: voiceConfig } }
+        });
+    });
+});
@@ -0,0 +1,90 @@
+jest.mock('../../lib/prisma', () => ({
+    inboundCall: {
+        findFirst: jest.fn(async () => ({ id: 'call-1', callerPhone: '+15550123', callerName: null, recordingUrl: null })),
+        update: jest.fn(async ({ where, data }) => ({ id: where.id, callerPhone: '+15550123', ...data })),
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    client: {
+        findFirst: jest.fn(async () => null),
+        create: jest.fn(async ({ data }) => ({ id: 'client-1', ...data })),
+        update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data }))
+    },
+    user: {
+        findMany: jest.fn(async () => [{ id: 'user-1' }, { id: 'user-2' }])
+    }
+}));
+
+jest.mock('../jobQueueService', () => ({ enqueue: jest.fn(async () => ({ id: 'job-1' })) }));
+jest.mock('../notificationService', () => ({ createNotification: jest.fn(async () => ({ id: 'n-1' })) }));
+jest.mock('../socketService', () => ({ sendToTenant: jest.fn() }));
+
+const prisma = require('../../lib/prisma');
+const jobQueueService = require('../jobQueueService');
+const notificationService = require('../notificationService');
+const socketService = require('../socketService');
+const voicemailService = require('../voicemailService');
+
+const tenant = {
+    timezone: 'America/New_York',
+    businessHours: { mon: [{ start: '09:00', end: '17:00' }] },
+    twilioConfig: { afterHours: { mode: 'voicemail' } }
+};
+
+describe('VoicemailService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('applies the after-hours mode only outside business hours', () => {
+        // Monday 2030-01-07 at 10:00 and 20:00 in New York
+        expect(voicemailService.getAfterHoursConfig(tenant, new Date('2030-01-07T15:00:00Z'))).toBeNull();
+        expect(voicemailService.getAfterHoursConfig(tenant, new Date('2030-01-08T01:00:00Z'))).toEqual({ mode: 'voicemail' });
+        expect(voicemailService.getAfterHoursConfig({ ...tenant, twilioConfig: {} }, new Date('2030-01-08T01:00:00Z')))
+            .toEqual({ mode: 'ai' });
+        expect(voicemailService.getAfterHoursConfig({ ...tenant, businessHours: null })).toBeNull();
+    });
+
+    it('stores the recording and waits for the transcription before notifying', async () => {
+        await voicemailService.handleRecording(
+            { CallSid: 'CA1', RecordingUrl: 'https://api.twilio.com/rec/RE1', RecordingStatus: 'completed' },
+            'tenant-1'
+        );
+
+        expect(prisma.inboundCall.updateMany).toHaveBeenCalledWith({
+            where: { tenantId: 'tenant-1', callSid: 'CA1' },
+            data: { recordingUrl: 'https://api.twilio.com/rec/RE1', status: 'voicemail' }
+        });
+        expect(jobQueueService.enqueue).toHaveBeenCalledWith('voicemail.notify', { callSid: 'CA1' }, {
+            tenantId: 'tenant-1',
+            delayMs: 60000
+        });
+    });
+
+    it('turns a message taken by the AI into a callback lead and notifies the team', async () => {
+        const result = await voicemailService.takeMessage({
+            tenantId: 'tenant-1',
+            callSid: 'CA1',
+            callerName: 'Grace',
+            message: 'Wants a quote',
+            callbackTime: 'tomorrow morning'
+        });
+
+        expect(result.success).toBe(true);
+        expect(prisma.client.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                tenantId: 'tenant-1',
+                name: 'Grace',
+                phone: '+15550123',
+                source: 'AI_AGENT',
+                tags: ['callback']
+            })
+        });
+        expect(notificationService.createNotification).toHaveBeenCalledTimes(2);
+        expect(notificationService.createNotification).toHaveBeenCalledWith(
+            'user-1', 'New Message', expect.stringContaining('Grace (+15550123): Wants a quote'), 'call', '/dashboard/leads'
+        );
+        expect(socketService.sendToTenant).toHaveBeenCalledWith('tenant-1', 'call:voicemail', expect.objectContaining({
+            inboundCallId: 'call-1',
+            clientId: 'client-1',
+            kind: 'message'
+        }));
+    });
+});
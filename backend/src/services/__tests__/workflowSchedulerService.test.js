@@ -0,0 +1,137 @@
+jest.mock('../../lib/prisma', () => ({
+    workflow: {
+        findMany: jest.fn(async () => []),
+        findUnique: jest.fn(),
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    booking: { findMany: jest.fn(async () => []) },
+    tenant: {
+        findUnique: jest.fn(async () => ({ defaultWorkflowKeys: [] })),
+        findMany: jest.fn(async () => []),
+        update: jest.fn(async () => ({}))
+    }
+}));
+
+jest.mock('../workflowService', () => ({
+    executeWorkflow: jest.fn(async () => ({ id: 'run-1', status: 'completed' })),
+    createWorkflow: jest.fn(async (tenantId, data, userId) => ({ id: 'wf-new', tenantId, createdById: userId, ...data })),
+    durationToMs: ({ days = 0, hours = 0, minutes = 0 } = {}) => ((days * 24 + hours) * 60 + minutes) * 60 * 1000
+}));
+
+jest.mock('../eventContextService', () => ({
+    hydrate: jest.fn(async (event, payload) => ({ ...payload, event }))
+}));
+
+const prisma = require('../../lib/prisma');
+const workflowService = require('../workflowService');
+const scheduler = require('../workflowSchedulerService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('WorkflowSchedulerService', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('validates schedule and date_relative configs', () => {
+        expect(scheduler.validateTriggerConfig('schedule', { cron: '0 8 * * 1-5' })).toBeNull();
+        expect(scheduler.validateTriggerConfig('schedule', { cron: 'every morning' })).toMatch(/cron/);
+        expect(scheduler.validateTriggerConfig('date_relative', { field: 'booking.date', offset: { hours: -24 } })).toBeNull();
+        expect(scheduler.validateTriggerConfig('date_relative', { field: 'booking.notes' })).toMatch(/field/);
+        expect(scheduler.validateTriggerConfig('booking:created')).toBeNull();
+    });
+
+    it('fires "24h before booking.date" for bookings whose reminder time just passed', async () => {
+        const now = new Date('2030-01-01T10:00:00.000Z');
+        const lastScheduledAt = new Date(now.getTime() - 60 * 1000);
+        const workflow = {
+            id: 'wf-1',
+            tenantId: 'tenant-1',
+            trigger: 'date_relative',
+            triggerConfig: { field: 'booking.date', offset: { hours: -24 } },
+            lastScheduledAt,
+            createdAt: new Date('2029-01-01T00:00:00.000Z')
+        };
+        prisma.workflow.findMany.mockResolvedValueOnce([workflow]);
+        prisma.booking.findMany.mockResolvedValueOnce([{ id: 'b-1', date: new Date(now.getTime() + 24 * HOUR) }]);
+
+        const started = await scheduler.runRelativeTriggers(now);
+
+        expect(started).toBe(1);
+        expect(prisma.workflow.updateMany).toHaveBeenCalledWith({
+            where: { id: 'wf-1', lastScheduledAt },
+            data: { lastScheduledAt: now }
+        });
+        expect(prisma.booking.findMany.mock.calls[0][0].where).toEqual({
+            tenantId: 'tenant-1',
+            date: {
+                gt: new Date(lastScheduledAt.getTime() + 24 * HOUR),
+                lte: new Date(now.getTime() + 24 * HOUR)
+            }
+        });
+        expect(workflowService.executeWorkflow).toHaveBeenCalledWith(
+            workflow,
+            expect.objectContaining({ bookingId: 'b-1', triggerField: 'booking.date' }),
+            { source: 'schedule' }
+        );
+    });
+
+    it('skips the window when another instance already claimed it', async () => {
+        prisma.workflow.findMany.mockResolvedValueOnce([{
+            id: 'wf-1',
+            tenantId: 'tenant-1',
+            triggerConfig: { field: 'client.createdAt', offset: { days: 3 } },
+            lastScheduledAt: null,
+            createdAt: new Date()
+        }]);
+        prisma.workflow.updateMany.mockResolvedValueOnce({ count: 0 });
+
+        expect(await scheduler.runRelativeTriggers()).toBe(0);
+        expect(workflowService.executeWorkflow).not.toHaveBeenCalled();
+    });
+
+    it('seeds missing default workflows once per tenant', async () => {
+        prisma.workflow.findMany.mockResolvedValueOnce([]);
+        const created = await scheduler.ensureDefaultWorkflows('tenant-1', 'owner-1');
+
+        expect(created.map(wf => wf.templateKey)).toEqual(['booking_reminder', 'booking_reminder_48h']);
+        expect(workflowService.createWorkflow).toHaveBeenCalledWith('tenant-1', expect.objectContaining({
+            templateKey: 'booking_reminder_48h',
+            trigger: 'date_relative',
+            triggerConfig: { field: 'booking.date', offset: { hours: -48 } }
+        }), 'owner-1');
+        expect(prisma.tenant.update).toHaveBeenCalledWith({
+            where: { id: 'tenant-1' },
+            data: { defaultWorkflowKeys: ['booking_reminder', 'booking_reminder_48h'] }
+        });
+
+        // One already exists, the other was seeded before and deleted by the tenant
+        jest.clearAllMocks();
+        prisma.tenant.findUnique.mockResolvedValueOnce({ defaultWorkflowKeys: ['booking_reminder_48h'] });
+        prisma.workflow.findMany.mockResolvedValueOnce([{ templateKey: 'booking_reminder' }]);
+        expect(await scheduler.ensureDefaultWorkflows('tenant-1', 'owner-1')).toHaveLength(0);
+        expect(prisma.tenant.update).toHaveBeenCalledWith({
+            where: { id: 'tenant-1' },
+            data: { defaultWorkflowKeys: ['booking_reminder_48h', 'booking_reminder'] }
+        });
+    });
+
+    it('backfills tenants that are missing a default, carrying on past failures', async () => {
+        prisma.tenant.findMany.mockResolvedValueOnce([
+            { id: 'tenant-1', users: [{ id: 'owner-1' }] },
+            { id: 'tenant-2', users: [] }
+        ]);
+        prisma.tenant.findUnique
+            .mockResolvedValueOnce({ defaultWorkflowKeys: ['booking_reminder'] })
+            .mockResolvedValueOnce({ defaultWorkflowKeys: [] });
+        workflowService.createWorkflow.mockRejectedValueOnce(new Error('Unique constraint failed'));
+
+        expect(await scheduler.backfillDefaultWorkflows()).toBe(2);
+        expect(prisma.tenant.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { NOT: { defaultWorkflowKeys: { hasEvery: ['booking_reminder', 'booking_reminder_48h'] } } }
+        }));
+        expect(workflowService.createWorkflow.mock.calls.map(([tenantId, data, ownerId]) => [tenantId, data.templateKey, ownerId])).toEqual([
+            ['tenant-1', 'booking_reminder_48h', 'owner-1'],
+            ['tenant-2', 'booking_reminder', null],
+            ['tenant-2', 'booking_reminder_48h', null]
+        ]);
+    });
+});
@@ -0,0 +1,366 @@
+jest.mock('../../lib/prisma', () => ({
+    workflowRun: {
+        create: jest.fn(async ({ data }) => ({ id: 'run-1', cursor: null, ...data })),
+        update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data })),
+        updateMany: jest.fn(async () => ({ count: 1 })),
+        findMany: jest.fn(async () => [])
+    },
+    workflowStepRun: {
+        create: jest.fn(async ({ data }) => data),
+        updateMany: jest.fn(async () => ({ count: 1 }))
+    },
+    workflow: { findUnique: jest.fn(), findMany: jest.fn(async () => []) },
+    workflowVersion: {
+        findFirst: jest.fn(async () => null),
+        create: jest.fn(async ({ data }) => data)
+    },
+    auditLog: { create: jest.fn(async () => ({})) }
+}));
+
+jest.mock('../notificationService', () => ({
+    sendEmail: jest.fn(async () => ({})),
+    sendSMS: jest.fn(async () => ({})),
+    createNotification: jest.fn(async () => ({}))
+}));
+
+jest.mock('../twilioService', () => ({
+    sendSms: jest.fn(async () => ({ sid: 'SM123', status: 'queued' }))
+}));
+
+jest.mock('../eventContextService', () => ({
+    hydrate: jest.fn(async (event, payload) => ({ ...payload, event, booking: { id: payload.bookingId } }))
+}));
+
+jest.mock('../clientService', () => ({
+    captureClient: jest.fn(async (data) => ({ id: 'client-9', ...data })),
+    addTags: jest.fn(async (tenantId, id, tags) => ({ id, tags }))
+}));
+
+const prisma = require('../../lib/prisma');
+const clientService = require('../clientService');
+const requestContext = require('../../lib/context');
+const notificationService = require('../notificationService');
+const twilioService = require('../twilioService');
+const workflowService = require('../workflowService');
+
+// Tests below replace global.fetch with mocks
+const realFetch = global.fetch;
+
+const buildWorkflow = (steps) => ({
+    id: 'wf-1',
+    name: 'Reminder',
+    tenantId: 'tenant-1',
+    trigger: 'booking:created',
+    actions: JSON.stringify(steps)
+});
+
+describe('WorkflowService engine', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('takes the else branch when the condition fails', async () => {
+        const workflow = buildWorkflow([{
+            type: 'if',
+            condition: { field: 'client.email', operator: 'exists' },
+            then: [{ type: 'send_email', to: '{{client.email}}', subject: 'Hi', body: 'Hello' }],
+            else: [{ type: 'send_sms', to: '{{client.phone}}', message: 'Hello {{client.name}}' }]
+        }]);
+
+        const run = await workflowService.executeWorkflow(workflow, { client: { name: 'Ada', phone: '+15550001' } });
+
+        expect(notificationService.sendEmail).not.toHaveBeenCalled();
+        expect(twilioService.sendSms).toHaveBeenCalledWith('tenant-1', '+15550001', 'Hello Ada');
+        expect(run.status).toBe('completed');
+
+        const loggedSteps = prisma.workflowStepRun.create.mock.calls.map(([{ data }]) => [data.path, data.status]);
+        expect(loggedSteps).toEqual([['0', 'completed'], ['0.else.0', 'completed']]);
+    });
+
+    it('records a failed step and fails the run instead of throwing', async () => {
+        twilioService.sendSms.mockRejectedValueOnce(new Error('Invalid To number'));
+        const workflow = buildWorkflow([{ type: 'send_sms', to: 'bad', message: 'Hi' }]);
+
+        const run = await workflowService.executeWorkflow(workflow, {}, { source: 'manual', triggeredById: 'user-1' });
+
+        expect(run.status).toBe('failed');
+        expect(run.error).toBe('Invalid To number');
+        expect(prisma.workflowRun.create.mock.calls[0][0].data.source).toBe('manual');
+        expect(prisma.workflowStepRun.create.mock.calls[0][0].data).toMatchObject({
+            status: 'failed',
+            error: 'Invalid To number'
+        });
+    });
+
+    it('pauses on a delay and resumes after it', async () => {
+        const steps = [
+            { type: 'delay', hours: 2 },
+            { type: 'notification', userId: '{{ownerId}}', title: 'No reply yet' }
+        ];
+        const workflow = buildWorkflow(steps);
+
+        const paused = await workflowService.executeWorkflow(workflow, { ownerId: 'user-1' });
+
+        expect(paused.status).toBe('waiting');
+        expect(paused.cursor).toBe('0');
+        expect(notificationService.createNotification).not.toHaveBeenCalled();
+
+        prisma.workflow.findUnique.mockResolvedValue({ ...workflow, isActive: true });
+        const resumed = await workflowService.resumeRun({
+            id: 'run-1',
+            workflowId: 'wf-1',
+            tenantId: 'tenant-1',
+            cursor: '0',
+            context: { ownerId: 'user-1' }
+        });
+
+        expect(resumed.status).toBe('completed');
+        expect(notificationService.createNotification).toHaveBeenCalledWith(
+            'user-1', 'No reply yet', expect.any(String), 'info'
+        );
+    });
+
+    it('waits until an offset relative to a context date', async () => {
+        const bookingDate = new Date(Date.now() + 48 * 60 * 60 * 1000);
+        const workflow = buildWorkflow([
+            { type: 'wait_until', date: '{{booking.date}}', offset: { hours: -24 } },
+            { type: 'send_email', to: 'a@b.c', subject: 'Reminder', body: 'Tomorrow' }
+        ]);
+
+        const run = await workflowService.executeWorkflow(workflow, { booking: { date: bookingDate } });
+
+        expect(run.status).toBe('waiting');
+        expect(run.resumeAt.getTime()).toBe(bookingDate.getTime() - 24 * 60 * 60 * 1000);
+    });
+
+    it('queues runs interrupted while resuming again', async () => {
+        const now = new Date('2030-01-01T12:00:00Z');
+        prisma.workflowRun.updateMany.mockResolvedValueOnce({ count: 2 });
+
+        expect(await workflowService.recoverStaleRuns(now)).toBe(2);
+        expect(prisma.workflowRun.updateMany).toHaveBeenCalledWith({
+            where: { status: 'running', cursor: { not: null }, updatedAt: { lt: new Date('2030-01-01T11:45:00Z') } },
+            data: { status: 'waiting', resumeAt: now }
+        });
+
+        await workflowService.resumeDueRuns();
+        expect(prisma.workflowRun.updateMany).toHaveBeenCalledTimes(2);
+    });
+
+    it('signs http_request payloads and exposes the response to later steps', async () => {
+        const fetchMock = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 503, text: async () => 'busy' })
+            .mockResolvedValueOnce({ ok: true, status: 201, text: async () => '{"id":"crm-42"}' });
+        global.fetch = fetchMock;
+        jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+        const workflow = buildWorkflow([
+            {
+                type: 'http_request',
+                id: 'call_crm',
+                url: 'https://crm.example.com/leads',
+                body: { name: '{{client.name}}', visits: '{{client.visits}}' },
+                signingSecret: 'shh',
+                backoffMs: 1
+            },
+            { type: 'notification', userId: 'user-1', title: 'Lead {{steps.call_crm.response.id}} synced' }
+        ]);
+
+        const run = await workflowService.executeWorkflow(workflow, { client: { name: 'Ada', visits: 3 } });
+
+        expect(run.status).toBe('completed');
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+
+        const [, request] = fetchMock.mock.calls[1];
+        expect(JSON.parse(request.body)).toEqual({ name: 'Ada', visits: 3 });
+        const timestamp = request.headers['X-ScriptishRx-Timestamp'];
+        const expected = require('crypto').createHmac('sha256', 'shh').update(`${timestamp}.${request.body}`).digest('hex');
+        expect(request.headers['X-ScriptishRx-Signature']).toBe(`sha256=${expected}`);
+
+        expect(notificationService.createNotification).toHaveBeenCalledWith(
+            'user-1', 'Lead crm-42 synced', expect.any(String), 'info'
+        );
+        expect(prisma.workflowStepRun.create.mock.calls[0][0].data.input.signingSecret).toBe('[REDACTED]');
+    });
+
+    it('refuses http_request URLs on private or internal addresses', async () => {
+        const fetchMock = jest.fn();
+        global.fetch = fetchMock;
+        jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+
+        for (const url of ['http://169.254.169.254/latest/meta-data', 'http://[::ffff:127.0.0.1]:5432', 'https://intranet.example.com', 'file:///etc/passwd']) {
+            const run = await workflowService.executeWorkflow(buildWorkflow([{ type: 'http_request', url }]), {});
+            expect(run.status).toBe('failed');
+        }
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('refuses hosts that resolve to a private address only when connecting', async () => {
+        const http = require('http');
+        const server = http.createServer((req, res) => res.end('internal'));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const requests = jest.fn();
+        server.on('request', requests);
+        // Public when checked up front; localhost when fetch connects
+        jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        global.fetch = realFetch;
+
+        try {
+            const run = await workflowService.executeWorkflow(buildWorkflow([
+                { type: 'http_request', url: `http://localhost:${server.address().port}/`, retries: 0 }
+            ]), {});
+
+            expect(run).toMatchObject({ status: 'failed', error: 'localhost is a private or internal address' });
+            expect(requests).not.toHaveBeenCalled();
+        } finally {
+            server.close();
+        }
+    });
+
+    it('shares one http_request time budget across the steps of a run', async () => {
+        const start = Date.now();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+        // The first request takes all but a moment of the 5 minute budget
+        const fetchMock = jest.fn(async () => {
+            now.mockReturnValue(start + 5 * 60 * 1000);
+            return { ok: true, status: 200, text: async () => '' };
+        });
+        global.fetch = fetchMock;
+        jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        const step = { type: 'http_request', url: 'https://crm.example.com/leads' };
+
+        const run = await workflowService.executeWorkflow(buildWorkflow([step, step]), {});
+        now.mockRestore();
+
+        expect(run).toMatchObject({ status: 'failed', error: expect.stringContaining('No time left for http_request') });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('shares one http_request time budget across the steps and workflows of a job', async () => {
+        const fetchMock = jest.fn(async () => ({ ok: true, status: 200, text: async () => '' }));
+        global.fetch = fetchMock;
+        jest.spyOn(require('dns').promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        const step = { type: 'http_request', url: 'https://crm.example.com/leads' };
+
+        // Earlier requests of the job took all but a moment of the budget
+        const runs = await requestContext.run({ httpDeadline: Date.now() + 50 }, async () => {
+            const first = await workflowService.executeWorkflow(buildWorkflow([step]), {});
+            await new Promise(resolve => setTimeout(resolve, 60));
+            return [first, await workflowService.executeWorkflow(buildWorkflow([step, step]), {})];
+        });
+
+        expect(runs[0].status).toBe('completed');
+        expect(runs[1]).toMatchObject({ status: 'failed', error: expect.stringContaining('No time left for http_request') });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs CRM actions inside the workflow tenant context', async () => {
+        let scopedTenant = null;
+        clientService.captureClient.mockImplementationOnce(async (data) => {
+            scopedTenant = requestContext.getTenantId();
+            return { id: 'client-9', ...data };
+        });
+
+        const workflow = buildWorkflow([
+            { type: 'create_client', id: 'lead', name: '{{call.callerName}}', phone: '{{call.callerPhone}}' },
+            { type: 'tag_client', clientId: '{{steps.lead.clientId}}', tags: ['high-intent'] }
+        ]);
+
+        const run = await workflowService.executeWorkflow(workflow, {
+            call: { callerName: 'Grace', callerPhone: '+15550002' }
+        });
+
+        expect(run.status).toBe('completed');
+        expect(scopedTenant).toBe('tenant-1');
+        expect(clientService.captureClient).toHaveBeenCalledWith(
+            { name: 'Grace', email: null, phone: '+15550002', notes: null }, 'tenant-1', 'WORKFLOW'
+        );
+        expect(clientService.addTags).toHaveBeenCalledWith('tenant-1', 'client-9', ['high-intent']);
+    });
+
+    it('triggers workflows from legacy event names with a hydrated context', async () => {
+        const workflow = { ...buildWorkflow([]), trigger: 'payment:success' };
+        prisma.workflow.findMany.mockResolvedValueOnce([workflow]);
+
+        const results = await workflowService.handleDomainEvent('payment:success', { tenantId: 'tenant-1', bookingId: 'b-1' });
+
+        expect(prisma.workflow.findMany.mock.calls[0][0].where).toMatchObject({
+            tenantId: 'tenant-1',
+            trigger: { in: ['payment:succeeded', 'payment:received', 'payment:success'] }
+        });
+        expect(prisma.workflowRun.create.mock.calls[0][0].data.context).toMatchObject({
+            event: 'payment:succeeded',
+            booking: { id: 'b-1' }
+        });
+        expect(results).toEqual([{ id: 'wf-1', runId: 'run-1', status: 'completed' }]);
+    });
+
+    it('does not re-trigger the workflow whose action emitted the event', async () => {
+        await requestContext.run({ tenantId: 'tenant-1', workflowId: 'wf-1', workflowDepth: 1 }, () =>
+            workflowService.handleDomainEvent('client:created', { tenantId: 'tenant-1', clientId: 'c-1' })
+        );
+        expect(prisma.workflow.findMany.mock.calls[0][0].where.id).toEqual({ not: 'wf-1' });
+
+        prisma.workflow.findMany.mockClear();
+        await requestContext.run({ tenantId: 'tenant-1', workflowId: 'wf-2', workflowDepth: 3 }, () =>
+            workflowService.handleDomainEvent('client:created', { tenantId: 'tenant-1', clientId: 'c-1' })
+        );
+        expect(prisma.workflow.findMany).not.toHaveBeenCalled();
+    });
+
+    it('renders a dry run without sending or recording anything', () => {
+        const workflow = buildWorkflow([
+            { type: 'delay', hours: 1 },
+            {
+                type: 'if',
+                condition: { field: 'client.email', operator: 'exists' },
+                then: [{ type: 'send_email', to: '{{client.email}}', subject: 'Hi {{client.name}}', body: 'See you {{booking.localDate}}' }],
+                else: [{ type: 'send_sms', to: '{{client.phone}}', message: 'Hi {{client.name}}' }]
+            },
+            { type: 'http_request', url: 'https://hooks.example.com', body: { id: '{{client.id}}' }, signingSecret: 'shh' }
+        ]);
+
+        const { steps, stoppedAt } = workflowService.previewWorkflow(workflow, {
+            client: { id: 'c-1', name: 'Ada', email: 'ada@example.com' }
+        });
+
+        expect(stoppedAt).toBeNull();
+        expect(steps.map(step => step.path)).toEqual(['0', '1', '1.then.0', '2']);
+        expect(steps[2]).toMatchObject({
+            rendered: { to: 'ada@example.com', subject: 'Hi Ada', body: 'See you ' },
+            missingFields: ['booking.localDate']
+        });
+        expect(steps[3].rendered).toMatchObject({ body: { id: 'c-1' }, signingSecret: '[REDACTED]' });
+        expect(notificationService.sendEmail).not.toHaveBeenCalled();
+        expect(prisma.workflowRun.create).not.toHaveBeenCalled();
+    });
+
+    it('evaluates composite conditions', () => {
+        const context = { booking: { status: 'Scheduled', date: '2030-01-01T10:00:00.000Z' } };
+
+        expect(workflowService.evaluateCondition({
+            all: [
+                { field: 'booking.status', operator: 'equals', value: 'Scheduled' },
+                { field: 'booking.date', operator: 'gt', value: '2029-12-31T00:00:00.000Z' }
+            ]
+        }, context)).toBe(true);
+
+        expect(workflowService.evaluateCondition({
+            not: { field: 'client.email', operator: 'not_exists' }
+        }, context)).toBe(false);
+    });
+
+    it('keeps a run on the version it started with', async () => {
+        const workflow = { ...buildWorkflow([{ type: 'send_sms', to: '1', message: 'v2' }]), version: 2 };
+        prisma.workflowVersion.findFirst.mockResolvedValueOnce({
+            version: 1,
+            actions: JSON.stringify([{ type: 'send_sms', to: '1', message: 'v1' }])
+        });
+
+        const steps = await workflowService.getRunSteps({ workflowVersion: 1 }, workflow);
+
+        expect(steps[0].message).toBe('v1');
+        expect(prisma.workflowVersion.findFirst).toHaveBeenCalledWith({
+            where: { workflowId: 'wf-1', version: 1 }
+        });
+        expect((await workflowService.getRunSteps({ workflowVersion: 2 }, workflow))[0].message).toBe('v2');
+    });
+});
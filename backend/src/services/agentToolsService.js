@@ -11,6 +11,13 @@
 const prisma = require('../lib/prisma');
 const bookingService = require('./bookingService');
 const TenantCalendarService = require('./tenantCalendarService');
+const availabilityService = require('./availabilityService');
+const bookingResourceService = require('./bookingResourceService');
+const callTransferService = require('./callTransferService');
+const voicemailService = require('./voicemailService');
+const campaignService = require('./campaignService');
+const { CAMPAIGN_OUTCOMES } = require('../schemas/validation');
+const eventBus = require('../lib/eventBus');
 
 /**
  * Tool definitions for OpenAI Realtime API
@@ -32,6 +39,14 @@ const toolDefinitions = [
                     type: 'string',
                     enum: ['morning', 'afternoon', 'evening', 'any'],
                     description: 'Preferred time of day for the appointment'
+                },
+                service: {
+                    type: 'string',
+                    description: 'Name of the service the caller wants, if they said; it sets the appointment length'
+                },
+                staff: {
+                    type: 'string',
+                    description: 'Name of the staff member the caller asked for, if any'
                 }
             },
             required: ['date']
@@ -52,6 +67,14 @@ const toolDefinitions = [
                     type: 'string',
                     description: 'The purpose or reason for the appointment'
                 },
+                service: {
+                    type: 'string',
+                    description: 'Name of the service being booked, if any'
+                },
+                staff: {
+                    type: 'string',
+                    description: 'Name of the staff member the caller asked for, if any'
+                },
                 clientName: {
                     type: 'string',
                     description: 'The name of the person booking the appointment'
@@ -101,13 +124,17 @@ const toolDefinitions = [
     {
         type: 'function',
         name: 'transfer_to_human',
-        description: 'Transfer the call to a human agent when the AI cannot help or the caller requests it.',
+        description: 'Transfer the call to a human agent when the AI cannot help or the caller requests it. Tell the caller they are being transferred; if no one is available the caller is sent to voicemail.',
         parameters: {
             type: 'object',
             properties: {
                 reason: {
                     type: 'string',
                     description: 'The reason for the transfer'
+                },
+                summary: {
+                    type: 'string',
+                    description: 'One or two sentences summarizing the conversation so far, read to the team member before they are connected'
                 }
             },
             required: ['reason']
@@ -115,11 +142,107 @@ const toolDefinitions = [
     }
 ];
 
+/**
+ * Voice-only tools. bookAppointment and sendBookingReminder come from the original
+ * voice agent; tenant prompts written for it call them by name, so they stay available.
+ */
+const voiceToolDefinitions = [
+    {
+        type: 'function',
+        name: 'bookAppointment',
+        description: 'Books an appointment for the customer.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                phone: { type: 'string' },
+                email: { type: 'string', description: 'Customer email address' },
+                dateTime: { type: 'string', description: 'ISO format date string' },
+                purpose: { type: 'string' },
+                service: { type: 'string', description: 'Name of the service being booked, if any' },
+                staff: { type: 'string', description: 'Name of the staff member the caller asked for, if any' }
+            },
+            required: ['phone', 'dateTime']
+        }
+    },
+    {
+        type: 'function',
+        name: 'sendBookingReminder',
+        description: 'Sends a booking reminder email to the customer and tenant after appointment is booked.',
+        parameters: {
+            type: 'object',
+            properties: {
+                customerEmail: { type: 'string', description: 'Customer email address' },
+                customerPhone: { type: 'string', description: 'Customer phone number' },
+                customerName: { type: 'string', description: 'Customer name' },
+                bookingDate: { type: 'string', description: 'Booking date in ISO format' },
+                product: { type: 'string', description: 'Product/service booked' },
+                bookingId: { type: 'string', description: 'Booking reference ID' }
+            },
+            required: ['customerEmail', 'customerName', 'bookingDate', 'product']
+        }
+    },
+    {
+        type: 'function',
+        name: 'take_message',
+        description: 'Save a message for the team and request a callback, e.g. when the business is closed or no one can take the call.',
+        parameters: {
+            type: 'object',
+            properties: {
+                callerName: { type: 'string', description: "The caller's name" },
+                message: { type: 'string', description: 'What the caller wants, in their words' },
+                callbackTime: { type: 'string', description: 'When the caller would like to be called back' }
+            },
+            required: ['message']
+        }
+    }
+];
+
+/**
+ * Offered only on outbound campaign calls, where it is always on
+ */
+const campaignToolDefinitions = [
+    {
+        type: 'function',
+        name: 'record_call_outcome',
+        description: 'Save the result of this campaign call. Call it once before the call ends.',
+        parameters: {
+            type: 'object',
+            properties: {
+                outcome: {
+                    type: 'string',
+                    enum: CAMPAIGN_OUTCOMES.filter(outcome => outcome !== 'no_answer'),
+                    description: 'How the call went'
+                },
+                notes: { type: 'string', description: 'Short summary of what the person said' },
+                doNotCall: { type: 'boolean', description: 'True if the person asked not to be contacted again' }
+            },
+            required: ['outcome']
+        }
+    }
+];
+
+/**
+ * Built-in tools a voice session gets unless the tenant turns them off in
+ * Tenant.aiConfig.voiceTools (e.g. { lookup_client: false }).
+ * create_booking is off by default because bookAppointment already books on calls.
+ */
+const DEFAULT_VOICE_TOOLS = {
+    check_availability: true,
+    create_booking: false,
+    lookup_client: true,
+    get_business_info: true,
+    transfer_to_human: true,
+    bookAppointment: true,
+    sendBookingReminder: true,
+    take_message: true
+};
+
 /**
  * Execute a tool function and return the result
  * @param {string} toolName - Name of the tool to execute
  * @param {object} args - Arguments passed to the tool
- * @param {object} context - { tenantId, callerPhone, callSessionId }
+ * @param {object} context - { tenantId, callerPhone, callSessionId, session (voice calls) }
  * @returns {object} - Result to send back to OpenAI
  */
 async function executeTool(toolName, args, context) {
@@ -130,7 +253,7 @@ async function executeTool(toolName, args, context) {
     try {
         switch (toolName) {
             case 'check_availability':
-                return await checkAvailability(tenantId, args.date, args.timePreference);
+                return await checkAvailability(tenantId, args.date, args.timePreference, args.service, args.staff);
 
             case 'create_booking':
                 return await createBooking(tenantId, args, callerPhone, callSessionId);
@@ -142,7 +265,31 @@ async function executeTool(toolName, args, context) {
                 return await getBusinessInfo(tenantId, args.query);
 
             case 'transfer_to_human':
-                return await initiateTransfer(tenantId, args.reason, callSessionId);
+                return await initiateTransfer(tenantId, args, context);
+
+            // voiceService requires this module, so load it lazily
+            case 'bookAppointment':
+                return await require('./voiceService').handleBookAppointment(args, tenantId, context.session);
+
+            case 'sendBookingReminder':
+                return await require('./voiceService').handleSendBookingReminder(args, tenantId);
+
+            case 'take_message':
+                return await voicemailService.takeMessage({
+                    tenantId,
+                    callSid: context.callSid,
+                    callerPhone,
+                    callerName: args.callerName,
+                    message: args.message,
+                    callbackTime: args.callbackTime
+                });
+
+            case 'record_call_outcome': {
+                const recipient = await campaignService.recordOutcome(tenantId, context.session?.campaignRecipientId, args);
+                return recipient
+                    ? { success: true, message: 'Outcome saved.' }
+                    : { success: false, error: 'This is not a campaign call' };
+            }
 
             default:
                 if (tenantId) {
@@ -167,84 +314,59 @@ async function executeTool(toolName, args, context) {
 }
 
 /**
- * Check appointment availability for a given date
- * Checks both database bookings AND tenant's Google Calendar
+ * Find an active service by the name the caller used
  */
-async function checkAvailability(tenantId, dateStr, timePreference = 'any') {
-    const targetDate = new Date(dateStr);
-    const startOfDay = new Date(targetDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(targetDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    // 1. Check database bookings for this tenant only
-    const existingBookings = await prisma.booking.findMany({
-        where: {
-            tenantId,
-            date: {
-                gte: startOfDay,
-                lte: endOfDay
-            },
-            status: { not: 'Cancelled' }
-        },
-        select: { date: true }
+async function findService(tenantId, name) {
+    if (!name) return null;
+    return prisma.service.findFirst({
+        where: { tenantId, isActive: true, name: { contains: name.trim(), mode: 'insensitive' } }
     });
+}
 
-    const bookedHours = new Set(existingBookings.map(b => new Date(b.date).getHours()));
-
-    // 2. Check tenant's Google Calendar if connected
-    try {
-        const hasCalendar = await TenantCalendarService.hasTenantCalendar(tenantId);
-        if (hasCalendar) {
-            const calendarBusyHours = await TenantCalendarService.getTenantCalendarBusySlots(
-                tenantId,
-                targetDate
-            );
-            calendarBusyHours.forEach(h => bookedHours.add(h));
-        }
-    } catch (err) {
-        console.warn(`[Availability] Calendar access for tenant ${tenantId} not configured:`, err.message);
-    }
-
-    // 3. Generate available slots
-    const allSlots = [];
-    const startHour = timePreference === 'morning' ? 9 :
-        timePreference === 'afternoon' ? 12 :
-            timePreference === 'evening' ? 16 : 9;
-    const endHour = timePreference === 'morning' ? 12 :
-        timePreference === 'afternoon' ? 16 :
-            timePreference === 'evening' ? 18 : 17;
-
-    for (let hour = startHour; hour <= endHour; hour++) {
-        if (!bookedHours.has(hour)) {
-            const slotTime = new Date(targetDate);
-            slotTime.setHours(hour, 0, 0, 0);
-            allSlots.push({
-                time: slotTime.toISOString(),
-                display: slotTime.toLocaleTimeString('en-US', {
-                    hour: 'numeric',
-                    minute: '2-digit',
-                    hour12: true
-                })
-            });
-        }
-    }
+/**
+ * Check appointment availability for a given date (YYYY-MM-DD in the tenant timezone)
+ * Slots come from availabilityService: business hours, service length, buffers,
+ * bookings and the tenant's (or the staff member's) Google Calendar.
+ * Without a staff preference a slot is open when anyone who offers the service is free.
+ */
+async function checkAvailability(tenantId, dateStr, timePreference = 'any', serviceName, staffName) {
+    const service = await findService(tenantId, serviceName);
+    const staff = await bookingResourceService.findByName(tenantId, staffName);
+    const { slots, timezone, duration, closed } = await availabilityService.getSlots(tenantId, {
+        date: String(dateStr).slice(0, 10),
+        serviceId: service?.id,
+        resourceId: staff?.id,
+        timePreference
+    });
 
-    const dateDisplay = targetDate.toLocaleDateString('en-US', {
+    const dateDisplay = new Date(`${String(dateStr).slice(0, 10)}T12:00:00Z`).toLocaleDateString('en-US', {
         weekday: 'long',
         month: 'long',
-        day: 'numeric'
+        day: 'numeric',
+        timeZone: 'UTC'
     });
 
-    if (allSlots.length === 0) {
+    if (slots.length === 0) {
+        const reason = closed === 'holiday' || closed === 'closed'
+            ? "we're closed that day"
+            : `there are no available slots${staff ? ` with ${staff.name}` : ''}`;
         return {
             success: true,
             available: false,
-            message: `I'm sorry, there are no available slots on ${dateDisplay}. Would you like to check another day?`,
+            message: `I'm sorry, ${reason} on ${dateDisplay}. Would you like to check another day?`,
             date: dateStr
         };
     }
 
+    const allSlots = slots.map(slot => ({
+        time: slot.start.toISOString(),
+        display: slot.start.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true,
+            timeZone: timezone
+        })
+    }));
     const slotsText = allSlots.slice(0, 5).map(s => s.display).join(', ');
 
     return {
@@ -252,8 +374,11 @@ async function checkAvailability(tenantId, dateStr, timePreference = 'any') {
         available: true,
         date: dateStr,
         dateDisplay,
+        service: service?.name,
+        staff: staff?.name,
+        duration,
         slots: allSlots,
-        message: `On ${dateDisplay}, I have the following times available: ${slotsText}. Which would you prefer?`
+        message: `On ${dateDisplay}, ${staff ? `${staff.name} has` : 'I have'} the following times available: ${slotsText}. Which would you prefer?`
     };
 }
 
@@ -264,6 +389,17 @@ async function checkAvailability(tenantId, dateStr, timePreference = 'any') {
 async function createBooking(tenantId, args, callerPhone, callSessionId) {
     const { date, purpose, clientName, clientPhone, clientEmail } = args;
 
+    const service = await findService(tenantId, args.service);
+    const staff = await bookingResourceService.findByName(tenantId, args.staff);
+    const slot = await availabilityService.checkSlot(tenantId, { start: new Date(date), serviceId: service?.id, resourceId: staff?.id });
+    if (!slot.available) {
+        return {
+            success: false,
+            error: slot.reason === 'conflict' ? 'time_conflict' : 'slot_unavailable',
+            message: `I'm sorry, I can't book that time. ${slot.message} Let me check what other times are open for you.`
+        };
+    }
+
     const phone = clientPhone || callerPhone;
     let client = await prisma.client.findFirst({
         where: { tenantId, phone }
@@ -280,6 +416,7 @@ async function createBooking(tenantId, args, callerPhone, callSessionId) {
             }
         });
         console.log(`[AgentTools] Created new client: ${client.id}`);
+        eventBus.emit('client:created', { tenantId, clientId: client.id });
     }
 
     try {
@@ -287,7 +424,10 @@ async function createBooking(tenantId, args, callerPhone, callSessionId) {
         const booking = await bookingService.createBooking(tenantId, {
             clientId: client.id,
             date: new Date(date),
-            purpose: purpose,
+            serviceId: service?.id,
+            // Keep whoever was found free (or picked) under the booking rules
+            resourceId: slot.resourceId,
+            purpose: purpose || service?.name,
             status: 'Scheduled'
         });
 
@@ -304,10 +444,10 @@ async function createBooking(tenantId, args, callerPhone, callSessionId) {
                 );
                 meetingLink = calendarEvent.meetLink;
 
-                // Update booking with meeting link
+                // Update booking with meeting link, and the event so reschedules and cancellations move it
                 await prisma.booking.update({
                     where: { id: booking.id },
-                    data: { meetingLink }
+                    data: { meetingLink, calendarEventId: calendarEvent.eventId }
                 });
 
                 console.log(`[AgentTools] Calendar event created for booking ${booking.id}`);
@@ -353,7 +493,7 @@ async function createBooking(tenantId, args, callerPhone, callSessionId) {
             }
         };
     } catch (error) {
-        if (error.message.includes('CONFLICT')) {
+        if (error.code === 'BOOKING_CONFLICT') {
             return {
                 success: false,
                 error: 'time_conflict',
@@ -465,9 +605,12 @@ function detectQueryType(query) {
 }
 
 /**
- * Initiate transfer to human agent
+ * Transfer the live call to a human (see callTransferService)
  */
-async function initiateTransfer(tenantId, reason, callSessionId) {
+async function initiateTransfer(tenantId, args, context) {
+    const { reason, summary } = args;
+    const { callSessionId, callSid, callerPhone, session } = context;
+
     if (callSessionId) {
         await prisma.callSession.update({
             where: { id: callSessionId },
@@ -483,20 +626,32 @@ async function initiateTransfer(tenantId, reason, callSessionId) {
         }).catch(() => { }); // Ignore if session not found
     }
 
-    return {
-        success: true,
-        action: 'transfer',
-        message: "I'll connect you with one of our team members. Please hold for just a moment.",
-        reason
-    };
+    const result = await callTransferService.transferCall({
+        tenantId,
+        callSid,
+        reason,
+        summary,
+        callerPhone,
+        callerName: session?.lastBooking?.customerName
+    });
+
+    return { ...result, reason };
 }
 
 /**
  * Get tool definitions formatted for OpenAI Realtime session (Flat format)
- * Includes built-in tools plus tenant's custom tools
+ * Includes built-in tools plus tenant's custom tools.
+ * For voice, built-ins are filtered by the tenant's voice tool settings.
+ * @param {object} options - { channel: 'voice' | 'chat', campaign: outbound campaign call }
  */
-async function getToolsForSession(tenantId = null) {
-    const tools = [...toolDefinitions];
+async function getToolsForSession(tenantId = null, { channel = 'chat', campaign = false } = {}) {
+    let tools = [...toolDefinitions];
+
+    if (channel === 'voice') {
+        const settings = await getVoiceToolSettings(tenantId);
+        tools = [...toolDefinitions, ...voiceToolDefinitions].filter(tool => settings[tool.name]);
+        if (campaign) tools.push(...campaignToolDefinitions);
+    }
 
     if (tenantId) {
         try {
@@ -522,6 +677,97 @@ async function getToolsForSession(tenantId = null) {
     return tools;
 }
 
+/**
+ * Which built-in tools are enabled on a tenant's voice calls
+ * @returns {object} - { [toolName]: boolean } for every built-in tool
+ */
+async function getVoiceToolSettings(tenantId) {
+    let overrides = {};
+
+    if (tenantId) {
+        try {
+            const tenant = await prisma.tenant.findUnique({
+                where: { id: tenantId },
+                select: { aiConfig: true }
+            });
+            overrides = tenant?.aiConfig?.voiceTools || {};
+        } catch (e) {
+            console.error('[AgentTools] Error loading voice tool settings:', e);
+        }
+    }
+
+    const settings = {};
+    for (const name of Object.keys(DEFAULT_VOICE_TOOLS)) {
+        settings[name] = typeof overrides[name] === 'boolean' ? overrides[name] : DEFAULT_VOICE_TOOLS[name];
+    }
+    return settings;
+}
+
+/**
+ * Validate a voice tool settings update
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateVoiceToolSettings(updates) {
+    const unknown = Object.keys(updates).filter(name => !(name in DEFAULT_VOICE_TOOLS));
+    if (unknown.length > 0) {
+        return `Unknown built-in tool: ${unknown.join(', ')}`;
+    }
+    const invalid = Object.keys(updates).filter(name => typeof updates[name] !== 'boolean');
+    if (invalid.length > 0) {
+        return `Tool setting must be true or false: ${invalid.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Enable or disable built-in voice tools for a tenant
+ * @param {object} updates - { [toolName]: boolean }, checked with validateVoiceToolSettings
+ */
+async function updateVoiceToolSettings(tenantId, updates = {}) {
+    // Read-modify-write so other aiConfig keys (faqs, prompts) are preserved
+    const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+        select: { aiConfig: true }
+    });
+    const aiConfig = tenant?.aiConfig || {};
+
+    await prisma.tenant.update({
+        where: { id: tenantId },
+        data: {
+            aiConfig: {
+                ...aiConfig,
+                voiceTools: { ...(aiConfig.voiceTools || {}), ...updates }
+            }
+        }
+    });
+
+    return getVoiceToolSettings(tenantId);
+}
+
+/**
+ * Built-in and custom tools with their voice status, for the dashboard
+ */
+async function listVoiceTools(tenantId) {
+    const settings = await getVoiceToolSettings(tenantId);
+    const customTools = await getCustomTools(tenantId);
+
+    return [
+        ...[...toolDefinitions, ...voiceToolDefinitions].map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            builtIn: true,
+            enabled: settings[tool.name]
+        })),
+        ...customTools.map(tool => ({
+            id: tool.id,
+            name: tool.name,
+            description: tool.description,
+            builtIn: false,
+            enabled: tool.isActive
+        }))
+    ];
+}
+
 /**
  * Get tool definitions formatted for OpenAI Chat Completions (Nested format)
  */
@@ -735,11 +981,20 @@ async function deleteCustomTool(tenantId, toolId) {
 
 module.exports = {
     toolDefinitions,
+    voiceToolDefinitions,
+    campaignToolDefinitions,
+    DEFAULT_VOICE_TOOLS,
     executeTool,
     getToolsForSession,
     getToolsForChat,
+    // Voice tool settings
+    getVoiceToolSettings,
+    validateVoiceToolSettings,
+    updateVoiceToolSettings,
+    listVoiceTools,
     checkAvailability,
     createBooking,
+    findService,
     lookupClient,
     getBusinessInfo,
     // Custom tools
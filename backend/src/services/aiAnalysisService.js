@@ -6,6 +6,8 @@
  */
 
 const OpenAI = require('openai');
+const prisma = require('../lib/prisma');
+const eventBus = require('../lib/eventBus');
 
 const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
@@ -59,6 +61,61 @@ Be accurate and concise.`
         }
     }
 
+    /**
+     * chat.analyze job: score the lead behind a chat message and raise a
+     * priority alert when needed
+     * @param {Object} payload - { tenantId, sessionId, message }
+     */
+    async analyzeChatMessage({ tenantId, sessionId, message }) {
+        // Analyze customer sentiment
+        const analysis = await this.analyzeSentiment(message);
+
+        // Check if we should trigger a priority alert
+        const alertCheck = this.shouldTriggerAlert(analysis);
+
+        // Find the client behind the session
+        let clientId = null;
+        if (sessionId) {
+            const sessionMessages = await prisma.message.findFirst({
+                where: { sessionId, tenantId },
+                include: { callSession: true }
+            });
+            if (sessionMessages?.callSession?.clientId) {
+                clientId = sessionMessages.callSession.clientId;
+            }
+        }
+
+        // Update lead score if we have a client
+        if (clientId) {
+            const client = await prisma.client.findUnique({ where: { id: clientId } });
+            if (client) {
+                const newScore = this.calculateLeadScore(analysis, client.leadScore || 0);
+                await prisma.client.update({
+                    where: { id: clientId },
+                    data: {
+                        leadScore: newScore,
+                        lastSentiment: analysis.sentiment
+                    }
+                });
+            }
+        }
+
+        // Emit priority alert if needed
+        if (alertCheck.shouldAlert) {
+            eventBus.emit('lead:priority_alert', {
+                tenantId,
+                clientId,
+                analysis,
+                message,
+                priority: alertCheck.priority,
+                reason: alertCheck.reason
+            });
+        }
+
+        console.log(`[AIAnalysis] Chat sentiment: ${analysis.sentiment}, Intent: ${analysis.intent}, Alert: ${alertCheck.shouldAlert}`);
+        return { clientId, sentiment: analysis.sentiment, intent: analysis.intent, alert: alertCheck.shouldAlert };
+    }
+
     /**
      * Calculate cumulative lead score based on analysis
      * @param {Object} analysis - The sentiment analysis result
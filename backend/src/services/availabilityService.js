@@ -0,0 +1,408 @@
+const prisma = require('../lib/prisma');
+const TenantCalendarService = require('./tenantCalendarService');
+const { bookingConfigSchema } = require('../schemas/validation');
+const AppError = require('../utils/AppError');
+const { DAYS, getLocalDate, getLocalTime, toMinutes, zonedTimeToUtc } = require('../utils/businessHours');
+
+const MINUTE = 60 * 1000;
+
+// Bookings being moved don't block their own new times; several when a recurring series moves together
+const excludeBookings = (excludeBookingId) => {
+    if (!excludeBookingId) return {};
+    return { id: Array.isArray(excludeBookingId) ? { notIn: excludeBookingId } : { not: excludeBookingId } };
+};
+
+// Bookable hours when a tenant has set neither bookingConfig.hours nor businessHours
+const DEFAULT_HOURS = Object.fromEntries(DAYS.map(day => [day, [{ start: '09:00', end: '17:00' }]]));
+
+// Local start times each timePreference covers, in minutes since midnight
+const TIME_PREFERENCES = {
+    morning: [0, 12 * 60],
+    afternoon: [12 * 60, 17 * 60],
+    evening: [17 * 60, 48 * 60],
+    any: [0, 48 * 60]
+};
+
+// Why a slot can't be booked, worded for the caller
+const UNAVAILABLE_MESSAGES = {
+    holiday: 'We are closed that day.',
+    closed: 'That time is outside our booking hours.',
+    too_soon: 'That time is too soon to book.',
+    day_full: 'That day is fully booked.',
+    conflict: 'That time is already booked.'
+};
+
+const overlaps = (ranges, start, end) => ranges.some(range => range.start < end && range.end > start);
+
+/**
+ * Scheduling engine: which times a tenant can be booked, and with whom.
+ * Slots come from the weekly hours (bookingConfig.hours, else Tenant.businessHours) in
+ * Tenant.timezone minus holidays, are as long as the Service.duration, keep the service's
+ * (or tenant's) buffers clear, respect the minimum notice and max bookings per day, and skip
+ * anything busy in the bookings table or Google Calendar.
+ *
+ * Tenants with BookingResources (staff, rooms) are checked per resource: its own working hours,
+ * its bookings plus unassigned ones (those hold the whole business), and for staff their own
+ * Google Calendar. Tenants without resources are checked as one calendar against the tenant's
+ * Google Calendar.
+ * Voice and chat (agentToolsService) and the dashboard (bookings routes) all ask this service.
+ */
+class AvailabilityService {
+    /**
+     * Tenant.bookingConfig with defaults and the weekly hours to use
+     * @param {object} tenant - { bookingConfig, businessHours }
+     */
+    getBookingConfig(tenant) {
+        const parsed = bookingConfigSchema.safeParse(tenant?.bookingConfig || {});
+        const config = parsed.success ? parsed.data : bookingConfigSchema.parse({});
+        const businessHours = tenant?.businessHours && Object.keys(tenant.businessHours).length > 0 ? tenant.businessHours : null;
+        return { ...config, hours: config.hours || businessHours || DEFAULT_HOURS };
+    }
+
+    /**
+     * Open windows of a local date, in minutes since its midnight
+     * A range past midnight belongs to the day it starts on.
+     * @param {object} [resource] - Uses its working hours when it has them
+     */
+    getWindows(config, localDate, resource = null) {
+        if (config.holidays.includes(localDate)) return [];
+        const hours = resource?.hours || config.hours;
+        const day = DAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()];
+        return (hours[day] || []).map(({ start, end }) => {
+            const from = toMinutes(start);
+            const to = toMinutes(end);
+            return { from, to: to > from ? to : to + 24 * 60 };
+        });
+    }
+
+    async loadTenant(tenantId, client = prisma) {
+        const tenant = await client.tenant.findUnique({
+            where: { id: tenantId },
+            select: { id: true, timezone: true, businessHours: true, bookingConfig: true }
+        });
+        if (!tenant) throw new AppError('Organization not found', 404, 'TENANT_NOT_FOUND');
+        return tenant;
+    }
+
+    /**
+     * Length and buffers of a booking for a service (or the tenant defaults without one)
+     */
+    async getServiceRules(tenantId, serviceId, config, client = prisma) {
+        let service = null;
+        if (serviceId) {
+            service = await client.service.findFirst({ where: { id: serviceId, tenantId } });
+            if (!service) throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+        }
+        return {
+            serviceId: service?.id || null,
+            duration: service?.duration || config.defaultDuration,
+            bufferBefore: service?.bufferBefore ?? config.bufferBefore,
+            bufferAfter: service?.bufferAfter ?? config.bufferAfter
+        };
+    }
+
+    /**
+     * Who a booking could be with
+     * @param {string|null|undefined} resourceId - A resource (none when it doesn't take the service); null = the whole business;
+     *   undefined = any active resource taking the service (or any unrestricted one without a service)
+     * @returns {Array<object|null>} Resources, or [null] for a tenant without any
+     */
+    async getResources(tenantId, { serviceId, resourceId }, client = prisma) {
+        if (resourceId === null) return [null];
+        if (resourceId) {
+            const resource = await client.bookingResource.findFirst({ where: { id: resourceId, tenantId, isActive: true } });
+            if (!resource) throw new AppError('Staff member or resource not found', 404, 'RESOURCE_NOT_FOUND');
+            // Nobody free when they don't take the service
+            return serviceId && resource.serviceIds.length > 0 && !resource.serviceIds.includes(serviceId) ? [] : [resource];
+        }
+
+        const resources = await client.bookingResource.findMany({
+            where: { tenantId, isActive: true },
+            orderBy: { createdAt: 'asc' }
+        });
+        if (resources.length === 0) return [null];
+        // Resources limited to some services only take those
+        return resources.filter(resource => resource.serviceIds.length === 0 || resource.serviceIds.includes(serviceId));
+    }
+
+    /**
+     * Busy ranges between two moments: bookings that aren't cancelled, plus Google free/busy
+     * @param {object} options - { client, resource (null = whole business), calendar (include Google),
+     *   excludeBookingId, defaultDuration }
+     * @returns {Array<{start: Date, end: Date, resourceId?: string|null}>} resourceId for bookings
+     */
+    async getBusyRanges(tenantId, from, to, { client = prisma, resource = null, calendar = true, excludeBookingId, defaultDuration = 60 } = {}) {
+        const bookings = await client.booking.findMany({
+            where: {
+                tenantId,
+                status: { not: 'Cancelled' },
+                ...excludeBookings(excludeBookingId),
+                ...(resource ? { OR: [{ resourceId: resource.id }, { resourceId: null }] } : {}),
+                // Bookings are at most 12 hours long, so one starting a day earlier can't reach `from`
+                date: { gte: new Date(from.getTime() - 24 * 60 * MINUTE), lt: to }
+            },
+            select: { date: true, endTime: true, resourceId: true }
+        });
+
+        const busy = bookings.map(booking => ({
+            start: new Date(booking.date),
+            end: booking.endTime ? new Date(booking.endTime) : new Date(new Date(booking.date).getTime() + defaultDuration * MINUTE),
+            resourceId: booking.resourceId
+        }));
+
+        if (calendar) {
+            try {
+                if (resource?.userId) {
+                    busy.push(...await TenantCalendarService.getUserCalendarBusyRanges(resource.userId, from, to));
+                } else if (!resource && await TenantCalendarService.hasTenantCalendar(tenantId)) {
+                    busy.push(...await TenantCalendarService.getTenantCalendarBusyRanges(tenantId, from, to));
+                }
+            } catch (err) {
+                console.warn(`[Availability] Calendar access for tenant ${tenantId} not configured:`, err.message);
+            }
+        }
+
+        return busy.filter(range => range.start < to && range.end > from).sort((a, b) => a.start - b.start);
+    }
+
+    async countBookingsOn(tenantId, localDate, timezone, client = prisma, { excludeBookingId, resourceId } = {}) {
+        return client.booking.count({
+            where: {
+                tenantId,
+                status: { not: 'Cancelled' },
+                ...excludeBookings(excludeBookingId),
+                ...(resourceId ? { resourceId } : {}),
+                date: { gte: zonedTimeToUtc(localDate, 0, timezone), lt: zonedTimeToUtc(localDate, 24 * 60, timezone) }
+            }
+        });
+    }
+
+    /**
+     * Bookable start times on a date
+     * @param {object} query - { date: 'YYYY-MM-DD' in the tenant timezone, serviceId, resourceId, timePreference, now }
+     * @returns {{ date, timezone, duration, slots: Array<{start: Date, end: Date, resourceIds: string[]}>, closed?: 'holiday'|'closed'|'full' }}
+     *   resourceIds lists who is free at each start (empty for a tenant without resources)
+     */
+    async getSlots(tenantId, { date, serviceId, resourceId, timePreference = 'any', now = new Date() }, { client = prisma } = {}) {
+        const tenant = await this.loadTenant(tenantId, client);
+        const timezone = tenant.timezone || 'UTC';
+        const config = this.getBookingConfig(tenant);
+        const { duration, bufferBefore, bufferAfter } = await this.getServiceRules(tenantId, serviceId, config, client);
+        const resources = await this.getResources(tenantId, { serviceId, resourceId }, client);
+        const result = { date, timezone, duration, slots: [] };
+
+        if (!resources.some(resource => this.getWindows(config, date, resource).length > 0)) {
+            return { ...result, closed: config.holidays.includes(date) ? 'holiday' : 'closed' };
+        }
+
+        if (config.maxPerDay && await this.countBookingsOn(tenantId, date, timezone, client) >= config.maxPerDay) {
+            return { ...result, closed: 'full' };
+        }
+
+        const earliest = now.getTime() + config.minNotice * MINUTE;
+        const [preferFrom, preferTo] = TIME_PREFERENCES[timePreference] || TIME_PREFERENCES.any;
+        const step = config.slotInterval || duration;
+        const slots = new Map(); // start time -> slot
+
+        for (const resource of resources) {
+            const windows = this.getWindows(config, date, resource);
+            if (windows.length === 0) continue;
+
+            const busy = await this.getBusyRanges(
+                tenantId,
+                zonedTimeToUtc(date, Math.min(...windows.map(window => window.from)) - bufferBefore, timezone),
+                zonedTimeToUtc(date, Math.max(...windows.map(window => window.to)) + bufferAfter, timezone),
+                { client, resource, defaultDuration: config.defaultDuration }
+            );
+
+            for (const window of windows) {
+                for (let minutes = window.from; minutes + duration <= window.to; minutes += step) {
+                    if (minutes < preferFrom || minutes >= preferTo) continue;
+
+                    const start = zonedTimeToUtc(date, minutes, timezone);
+                    const end = new Date(start.getTime() + duration * MINUTE);
+                    if (start.getTime() < earliest) continue;
+                    if (overlaps(busy, new Date(start.getTime() - bufferBefore * MINUTE), new Date(end.getTime() + bufferAfter * MINUTE))) continue;
+
+                    const slot = slots.get(start.getTime()) || { start, end, resourceIds: [] };
+                    if (resource) slot.resourceIds.push(resource.id);
+                    slots.set(start.getTime(), slot);
+                }
+            }
+        }
+
+        result.slots = [...slots.values()].sort((a, b) => a.start - b.start);
+        return result;
+    }
+
+    /**
+     * Whether a booking can start at a moment, and with whom
+     * Without a resourceId, a tenant with resources gets one assigned by bookingConfig.assignment:
+     * round_robin (whoever was assigned least recently) or least_busy (fewest bookings that day).
+     * @param {object} slot - { start, serviceId, resourceId (see getResources), excludeBookingId (when moving a booking; an array when moving several) }
+     * @param {object} options - { client (transaction), rules: false checks only conflicts with
+     *   other bookings (staff booking by hand), calendar: include Google free/busy (with the rules by default), now }
+     * @returns {{ available: boolean, reason?: string, message?: string, start: Date, end: Date, duration: number,
+     *   bufferBefore: number, bufferAfter: number, serviceId: string|null, resourceId: string|null }}
+     */
+    async checkSlot(tenantId, { start, serviceId, resourceId, excludeBookingId }, { client = prisma, rules = true, calendar = rules, now = new Date() } = {}) {
+        const tenant = await this.loadTenant(tenantId, client);
+        const timezone = tenant.timezone || 'UTC';
+        const config = this.getBookingConfig(tenant);
+        const service = await this.getServiceRules(tenantId, serviceId, config, client);
+        const resources = await this.getResources(tenantId, { serviceId: service.serviceId, resourceId }, client);
+
+        const startAt = new Date(start);
+        const end = new Date(startAt.getTime() + service.duration * MINUTE);
+        // With the service's length, buffers and id
+        const base = { start: startAt, end, ...service };
+        const unavailable = (reason, resource = null) => ({
+            ...base, resourceId: resource?.id || null, available: false, reason, message: UNAVAILABLE_MESSAGES[reason]
+        });
+
+        const localDate = getLocalDate(startAt, timezone);
+        if (rules) {
+            if (startAt.getTime() < now.getTime() + config.minNotice * MINUTE) return unavailable('too_soon');
+            if (config.maxPerDay && await this.countBookingsOn(tenantId, localDate, timezone, client, { excludeBookingId }) >= config.maxPerDay) {
+                return unavailable('day_full');
+            }
+        }
+        if (resources.length === 0) return unavailable('conflict');
+
+        const free = [];
+        let firstProblem = null;
+        for (const resource of resources) {
+            if (rules && !this.fitsHours(config, startAt, service.duration, timezone, resource)) {
+                firstProblem = firstProblem || unavailable(config.holidays.includes(localDate) ? 'holiday' : 'closed', resource);
+                continue;
+            }
+
+            const busy = await this.getBusyRanges(
+                tenantId,
+                new Date(startAt.getTime() - service.bufferBefore * MINUTE),
+                new Date(end.getTime() + service.bufferAfter * MINUTE),
+                { client, resource, calendar, excludeBookingId, defaultDuration: config.defaultDuration }
+            );
+            if (busy.length > 0) {
+                firstProblem = firstProblem || unavailable('conflict', resource);
+                continue;
+            }
+            free.push(resource);
+        }
+
+        if (free.length === 0) return firstProblem;
+
+        const chosen = free.length === 1
+            ? free[0]
+            : await this.pickResource(tenantId, free, { strategy: config.assignment, localDate, timezone, client });
+        return { ...base, resourceId: chosen?.id || null, available: true };
+    }
+
+    /**
+     * Check a slot and save a booking into it, so two requests can't take the same time.
+     * The rules and Google Calendar are checked first, outside the transaction (free/busy is an
+     * HTTP call). Then, holding the tenant's booking lock, the bookings table is checked again
+     * and `save` runs.
+     * @param {object} slot - As for checkSlot
+     * @param {object} options - { rules, now }
+     * @param {Function} save - (tx, slot) => the saved booking, inside the transaction
+     * @throws {AppError} 409 BOOKING_CONFLICT when the slot is taken
+     */
+    async reserveSlot(tenantId, slot, { rules = false, now = new Date() } = {}, save) {
+        const conflict = (checked) => new AppError(rules ? checked.message : 'Slot is already booked', 409, 'BOOKING_CONFLICT');
+
+        let resourceId = slot.resourceId;
+        if (rules) {
+            const checked = await this.checkSlot(tenantId, slot, { rules, now });
+            if (!checked.available) throw conflict(checked);
+            // Keep whoever was free in their calendar
+            resourceId = checked.resourceId;
+        }
+
+        return prisma.$transaction(async (tx) => {
+            await this.lockBookings(tx, tenantId);
+            const checked = await this.checkSlot(tenantId, { ...slot, resourceId }, { client: tx, rules, calendar: false, now });
+            if (!checked.available) throw conflict(checked);
+            return save(tx, checked);
+        });
+    }
+
+    /**
+     * Which of many checked slots other bookings have taken since, with one query over their whole
+     * range: for re-checking a recurring series under the booking lock without a checkSlot per occurrence.
+     * A slot with a staff member/room clashes with their bookings and unassigned ones; a slot
+     * without one clashes with every booking.
+     * @param {Array<object>} slots - checkSlot results
+     * @param {object} options - { client (transaction), excludeBookingId }
+     * @returns {Array<object>} The slots that are taken
+     */
+    async findTaken(tenantId, slots, { client = prisma, excludeBookingId } = {}) {
+        if (slots.length === 0) return [];
+        const tenant = await this.loadTenant(tenantId, client);
+        const reach = slots.map(slot => ({
+            slot,
+            start: new Date(slot.start.getTime() - slot.bufferBefore * MINUTE),
+            end: new Date(slot.end.getTime() + slot.bufferAfter * MINUTE)
+        }));
+
+        const busy = await this.getBusyRanges(
+            tenantId,
+            new Date(Math.min(...reach.map(range => range.start.getTime()))),
+            new Date(Math.max(...reach.map(range => range.end.getTime()))),
+            { client, calendar: false, excludeBookingId, defaultDuration: this.getBookingConfig(tenant).defaultDuration }
+        );
+
+        return reach
+            .filter(({ slot, start, end }) => overlaps(
+                slot.resourceId ? busy.filter(range => !range.resourceId || range.resourceId === slot.resourceId) : busy,
+                start,
+                end
+            ))
+            .map(({ slot }) => slot);
+    }
+
+    /**
+     * Hold the tenant's booking lock until the transaction ends. Per tenant rather than per
+     * staff member or room: unassigned bookings block every resource and maxPerDay counts all.
+     * @param {object} tx - Interactive transaction client
+     */
+    async lockBookings(tx, tenantId) {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtextextended(${`bookings:${tenantId}`}, 0))`;
+    }
+
+    // Whether [start, start + duration) is inside a resource's (or the tenant's) hours
+    fitsHours(config, start, duration, timezone, resource) {
+        const localDate = getLocalDate(start, timezone);
+        const { minutes } = getLocalTime(start, timezone);
+        const previousDate = getLocalDate(new Date(start.getTime() - 24 * 60 * MINUTE), timezone);
+
+        return this.getWindows(config, localDate, resource)
+            .some(window => minutes >= window.from && minutes + duration <= window.to)
+            // A range past midnight that started the day before
+            || this.getWindows(config, previousDate, resource)
+                .some(window => minutes + 24 * 60 + duration <= window.to);
+    }
+
+    /**
+     * Auto-assignment among free resources (in their creation order on ties)
+     */
+    async pickResource(tenantId, resources, { strategy, localDate, timezone, client = prisma }) {
+        const scored = [];
+        for (const resource of resources) {
+            const last = await client.booking.findFirst({
+                where: { tenantId, resourceId: resource.id },
+                orderBy: { createdAt: 'desc' },
+                select: { createdAt: true }
+            });
+            const dayCount = strategy === 'least_busy'
+                ? await this.countBookingsOn(tenantId, localDate, timezone, client, { resourceId: resource.id })
+                : 0;
+            scored.push({ resource, dayCount, lastAssigned: last ? new Date(last.createdAt).getTime() : 0 });
+        }
+
+        scored.sort((a, b) => a.dayCount - b.dayCount || a.lastAssigned - b.lastAssigned);
+        return scored[0].resource;
+    }
+}
+
+module.exports = new AvailabilityService();
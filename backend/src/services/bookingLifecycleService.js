@@ -0,0 +1,336 @@
+const prisma = require('../lib/prisma');
+const AppError = require('../utils/AppError');
+const eventBus = require('../lib/eventBus');
+const TenantCalendarService = require('./tenantCalendarService');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const notificationService = require('./notificationService');
+const waitlistService = require('./waitlistService');
+const { formatLocalDateTime } = require('../utils/businessHours');
+const { escapeHtml } = require('../utils/html');
+
+const MINUTE = 60 * 1000;
+
+// Bookings that can no longer be moved, cancelled or checked into
+const CLOSED_STATUSES = ['Cancelled', 'Completed', 'NoShow'];
+// Bookings still expected to happen
+const OPEN_STATUSES = ['Scheduled', 'Confirmed', 'Pending'];
+
+const CLOSED_LABELS = { Cancelled: 'cancelled', Completed: 'completed', NoShow: 'marked as a no-show' };
+
+const SYSTEM = { type: 'system', id: null };
+
+const BOOKING_INCLUDE = {
+    client: { select: { id: true, name: true, phone: true, email: true } },
+    resource: { select: { id: true, name: true, type: true, userId: true } }
+};
+
+/**
+ * What happens to a booking after it is made: reschedules and cancellations (with reasons
+ * and the tenant's cancellation window), check-ins and automatic no-shows. Every change is
+ * kept as a BookingEvent, moved on the tenant's Google Calendar, emitted on the event bus,
+ * and a freed slot is offered to the service's waitlist (waitlistService).
+ *
+ * Policy (Tenant.bookingConfig): clients can't change a booking themselves within
+ * cancellationWindow minutes of the start; staff can, and the change is marked late.
+ * Bookings not checked into noShowAfter minutes after they end become NoShow (null = off).
+ */
+class BookingLifecycleService {
+    async getBooking(tenantId, id) {
+        const booking = await prisma.booking.findFirst({
+            where: { id, tenantId },
+            include: { ...BOOKING_INCLUDE, tenant: true }
+        });
+        if (!booking) throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+        return booking;
+    }
+
+    isClosed(booking) {
+        return CLOSED_STATUSES.includes(booking.status);
+    }
+
+    // Whether a change now falls inside the tenant's cancellation window
+    isLate(booking, config, now = new Date()) {
+        return config.cancellationWindow > 0
+            && new Date(booking.date).getTime() - now.getTime() < config.cancellationWindow * MINUTE;
+    }
+
+    /**
+     * Whether the client may still reschedule or cancel from their link
+     */
+    isChangeableByClient(booking, config, now = new Date()) {
+        return !CLOSED_STATUSES.includes(booking.status)
+            && new Date(booking.date) > now
+            && !this.isLate(booking, config, now);
+    }
+
+    assertChangeable(booking, config, { enforcePolicy, now }) {
+        if (CLOSED_STATUSES.includes(booking.status)) {
+            throw new AppError(`This booking is already ${CLOSED_LABELS[booking.status]}`, 409, 'BOOKING_CLOSED');
+        }
+        if (!enforcePolicy) return;
+        if (new Date(booking.date) <= now) {
+            throw new AppError('This booking has already started', 409, 'BOOKING_STARTED');
+        }
+        if (this.isLate(booking, config, now)) {
+            const hours = Math.round(config.cancellationWindow / 60);
+            throw new AppError(
+                `Bookings can't be changed within ${hours} hour${hours === 1 ? '' : 's'} of the start. Please contact us.`,
+                409,
+                'CANCELLATION_WINDOW'
+            );
+        }
+    }
+
+    /**
+     * Move a booking to a new start time, with the same service
+     * @param {object} change - { date, resourceId (omitted = the same staff member/room), reason }
+     * @param {object} options - { actor: { type: staff|client|system, id }, rules: apply the booking rules
+     *   (self-service), enforcePolicy: refuse inside the cancellation window, notify: tell the client }
+     */
+    async reschedule(tenantId, id, { date, resourceId, reason }, { actor = SYSTEM, rules = false, enforcePolicy = false, notify = true, now = new Date() } = {}) {
+        const existing = await this.getBooking(tenantId, id);
+        const config = availabilityService.getBookingConfig(existing.tenant);
+        this.assertChangeable(existing, config, { enforcePolicy, now });
+
+        const booking = await availabilityService.reserveSlot(tenantId, {
+            start: new Date(date),
+            serviceId: existing.serviceId,
+            resourceId: resourceId !== undefined ? resourceId : existing.resourceId,
+            excludeBookingId: id
+        }, { rules, now }, (tx, slot) => tx.booking.update({
+            where: { id },
+            data: { date: slot.start, endTime: slot.end, resourceId: slot.resourceId },
+            include: BOOKING_INCLUDE
+        }));
+
+        await this.recordChange(tenantId, existing, booking, { reason, actor, now });
+        if (notify) await this.notifyClient(existing.tenant, booking, 'rescheduled');
+        return booking;
+    }
+
+    /**
+     * @param {object} options - As for reschedule
+     */
+    async cancel(tenantId, id, { reason } = {}, { actor = SYSTEM, enforcePolicy = false, notify = true, now = new Date() } = {}) {
+        const existing = await this.getBooking(tenantId, id);
+        const config = availabilityService.getBookingConfig(existing.tenant);
+        this.assertChangeable(existing, config, { enforcePolicy, now });
+
+        const booking = await prisma.booking.update({
+            where: { id },
+            data: { status: 'Cancelled', cancelledAt: now, cancelReason: reason || null },
+            include: BOOKING_INCLUDE
+        });
+
+        await this.recordChange(tenantId, existing, booking, { reason, actor, now });
+        if (notify) await this.notifyClient(existing.tenant, booking, 'cancelled');
+        return booking;
+    }
+
+    /**
+     * The client has arrived. A booking already marked NoShow goes back to Scheduled.
+     */
+    async checkIn(tenantId, id, { actor = SYSTEM, now = new Date() } = {}) {
+        const existing = await this.getBooking(tenantId, id);
+        if (existing.status === 'Cancelled' || existing.status === 'Completed') {
+            throw new AppError(`This booking is already ${CLOSED_LABELS[existing.status]}`, 409, 'BOOKING_CLOSED');
+        }
+        if (existing.checkedInAt) return existing;
+
+        const status = existing.status === 'NoShow' ? 'Scheduled' : existing.status;
+        const booking = await prisma.booking.update({
+            where: { id },
+            data: { checkedInAt: now, status },
+            include: BOOKING_INCLUDE
+        });
+
+        await prisma.bookingEvent.create({
+            data: {
+                tenantId,
+                bookingId: id,
+                type: 'checked_in',
+                fromStatus: existing.status,
+                toStatus: status,
+                actorType: actor.type,
+                actorId: actor.id || null
+            }
+        });
+        eventBus.emit('booking:checked_in', { tenantId, bookingId: id, late: existing.status === 'NoShow' });
+        if (status !== existing.status) {
+            bookingService.emitUpdateEvents(tenantId, existing, booking, { status });
+        }
+        return booking;
+    }
+
+    /**
+     * History, events, calendar and waitlist after a booking's time or status changed.
+     * The lifecycle operations, PATCH /api/bookings/:id and workflow actions all end here.
+     * @param {object} options - { reason, actor, changes (all fields the caller changed, for booking:updated), now,
+     *   calendar / waitlist: false when the caller updates the calendar or offers freed slots itself (series changes) }
+     */
+    async recordChange(tenantId, before, after, { reason, actor = SYSTEM, changes, now = new Date(), calendar = true, waitlist = true } = {}) {
+        const moved = new Date(before.date).getTime() !== new Date(after.date).getTime();
+        const statusChanged = before.status !== after.status;
+
+        bookingService.emitUpdateEvents(tenantId, before, after, {
+            ...(changes || { date: moved ? after.date : undefined, status: statusChanged ? after.status : undefined }),
+            ...(moved || statusChanged ? { reason } : {})
+        });
+        if (!moved && !statusChanged) return;
+
+        const tenant = before.tenant || await availabilityService.loadTenant(tenantId);
+        const late = this.isLate(before, availabilityService.getBookingConfig(tenant), now);
+        const base = { tenantId, bookingId: after.id, reason: reason || null, actorType: actor.type, actorId: actor.id || null };
+
+        if (moved) {
+            await prisma.bookingEvent.create({ data: { ...base, type: 'rescheduled', fromDate: before.date, toDate: after.date, late } });
+            eventBus.emit('booking:rescheduled', { tenantId, bookingId: after.id, from: before.date, to: after.date, reason: reason || null, late });
+        }
+        if (statusChanged) {
+            const type = { Cancelled: 'cancelled', NoShow: 'no_show' }[after.status] || 'status_changed';
+            await prisma.bookingEvent.create({
+                data: { ...base, type, fromStatus: before.status, toStatus: after.status, late: type === 'cancelled' && late }
+            });
+            if (type === 'no_show') eventBus.emit('booking:no_show', { tenantId, bookingId: after.id });
+        }
+
+        if (calendar) await this.syncCalendar(tenantId, after);
+
+        // The old time is free again for anyone waiting
+        const freed = waitlist && (moved || after.status === 'Cancelled') && !CLOSED_STATUSES.includes(before.status) && new Date(before.date) > now;
+        if (freed) {
+            try {
+                await waitlistService.offerSlot(tenantId, { start: before.date, serviceId: before.serviceId, resourceId: before.resourceId }, { now });
+            } catch (error) {
+                console.error(`[BookingLifecycle] Waitlist offer failed for booking ${after.id}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Keep the booking's event on the tenant's Google Calendar in step with it
+     * @param {object} options - { create: add an event when the booking has none (new bookings) }
+     */
+    async syncCalendar(tenantId, booking, { create = false } = {}) {
+        try {
+            if (booking.status === 'Cancelled') {
+                if (booking.calendarEventId) {
+                    await TenantCalendarService.deleteTenantCalendarEvent(tenantId, booking.calendarEventId);
+                    await prisma.booking.update({ where: { id: booking.id }, data: { calendarEventId: null } });
+                }
+                return;
+            }
+
+            if (booking.calendarEventId) {
+                await TenantCalendarService.updateTenantCalendarEvent(tenantId, booking.calendarEventId, booking);
+            } else if (create && await TenantCalendarService.hasTenantCalendar(tenantId)) {
+                const { eventId, meetLink } = await TenantCalendarService.createTenantCalendarEvent(
+                    tenantId, booking, booking.client?.name || 'Client', booking.client?.phone
+                );
+                await prisma.booking.update({
+                    where: { id: booking.id },
+                    data: { calendarEventId: eventId, meetingLink: booking.meetingLink || meetLink }
+                });
+            }
+        } catch (error) {
+            console.warn(`[BookingLifecycle] Calendar sync failed for booking ${booking.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Mark bookings that ended without a check-in as NoShow, for tenants that set noShowAfter
+     * @returns {number} Bookings marked
+     */
+    async markNoShows(now = new Date()) {
+        // Only tenants that opted in, each in date order, so the rest can't crowd them out
+        const tenants = await prisma.tenant.findMany({
+            where: { bookingConfig: { path: ['noShowAfter'], gte: 0 } },
+            select: { id: true, timezone: true, bookingConfig: true, businessHours: true }
+        });
+
+        let marked = 0;
+        for (const tenant of tenants) {
+            const config = availabilityService.getBookingConfig(tenant);
+            if (config.noShowAfter === null) continue;
+
+            const candidates = await prisma.booking.findMany({
+                where: {
+                    tenantId: tenant.id,
+                    status: { in: OPEN_STATUSES },
+                    checkedInAt: null,
+                    date: { lt: now, gte: new Date(now.getTime() - 7 * 24 * 60 * MINUTE) }
+                },
+                orderBy: { date: 'asc' },
+                take: 500
+            });
+
+            for (const booking of candidates) {
+                const end = booking.endTime
+                    ? new Date(booking.endTime)
+                    : new Date(new Date(booking.date).getTime() + config.defaultDuration * MINUTE);
+                if (end.getTime() + config.noShowAfter * MINUTE > now.getTime()) continue;
+
+                // Skip bookings checked into or changed since they were read
+                const { count } = await prisma.booking.updateMany({
+                    where: { id: booking.id, status: booking.status, checkedInAt: null },
+                    data: { status: 'NoShow' }
+                });
+                if (count === 0) continue;
+
+                await this.recordChange(tenant.id, { ...booking, tenant }, { ...booking, status: 'NoShow' }, { now });
+                marked++;
+            }
+        }
+        return marked;
+    }
+
+    async getHistory(tenantId, id) {
+        await this.getBooking(tenantId, id);
+        return prisma.bookingEvent.findMany({
+            where: { tenantId, bookingId: id },
+            orderBy: { createdAt: 'asc' }
+        });
+    }
+
+    manageUrl(token) {
+        const base = process.env.FRONTEND_URL || 'https://scriptishrx.net';
+        return `${base}/book/manage/${token}`;
+    }
+
+    /**
+     * Email and SMS the client about their booking, with the reschedule/cancel link when it has one
+     * @param {'confirmed'|'rescheduled'|'cancelled'} change
+     * @param {object} options - { recurring: the booking is the first of several occurrences changed together }
+     */
+    async notifyClient(tenant, booking, change, { recurring = false } = {}) {
+        const when = formatLocalDateTime(booking.date, tenant.timezone);
+        const [what, from, verb] = recurring ? ['recurring appointments', 'from', 'are'] : ['appointment', 'on', 'is'];
+        const link = change !== 'cancelled' && booking.manageToken ? this.manageUrl(booking.manageToken) : null;
+        const { client } = booking;
+        if (!client) return;
+
+        try {
+            if (client.email) {
+                await notificationService.queueEmail(
+                    client.email,
+                    `Booking ${change} - ${tenant.name}`,
+                    `<p>Hi ${escapeHtml(client.name)},</p>
+                    <p>Your ${what} with ${escapeHtml(tenant.name)} ${from} <strong>${when}</strong> ${verb} ${change}.</p>
+                    ${link ? `<p>Need to change it? <a href="${link}">Reschedule or cancel</a></p>` : ''}`
+                );
+            }
+            if (client.phone) {
+                await notificationService.sendSMS(
+                    client.phone,
+                    `[${tenant.name}] Your ${what} ${from} ${when} ${verb} ${change}.${link ? ` Reschedule or cancel: ${link}` : ''}`,
+                    tenant.id
+                );
+            }
+        } catch (error) {
+            console.error(`[BookingLifecycle] Failed to send ${change} notice for booking ${booking.id}:`, error.message);
+        }
+    }
+}
+
+module.exports = new BookingLifecycleService();
@@ -0,0 +1,96 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const AppError = require('../utils/AppError');
+
+const USER_SELECT = { id: true, name: true, email: true };
+
+/**
+ * Staff members and rooms/chairs bookings are assigned to (BookingResource).
+ * Availability per resource lives in availabilityService.
+ */
+class BookingResourceService {
+    async listResources(tenantId, { includeInactive = false } = {}) {
+        return prisma.bookingResource.findMany({
+            where: { tenantId, ...(includeInactive ? {} : { isActive: true }) },
+            include: { user: { select: USER_SELECT } },
+            orderBy: { createdAt: 'asc' }
+        });
+    }
+
+    async getResource(tenantId, id) {
+        const resource = await prisma.bookingResource.findFirst({
+            where: { id, tenantId },
+            include: { user: { select: USER_SELECT } }
+        });
+        if (!resource) throw new AppError('Staff member or resource not found', 404, 'RESOURCE_NOT_FOUND');
+        return resource;
+    }
+
+    /**
+     * Find an active resource by the name a caller used ("Dr. Lee", "Lee")
+     */
+    async findByName(tenantId, name) {
+        if (!name?.trim()) return null;
+        return prisma.bookingResource.findFirst({
+            where: { tenantId, isActive: true, name: { contains: name.trim(), mode: 'insensitive' } }
+        });
+    }
+
+    // The linked user and the services must belong to the tenant
+    async validateLinks(tenantId, { userId, serviceIds }) {
+        if (userId) {
+            const user = await prisma.user.findFirst({ where: { id: userId, tenantId } });
+            if (!user) throw new AppError('User not found in this organization', 400, 'INVALID_USER');
+        }
+        if (serviceIds?.length) {
+            const found = await prisma.service.count({ where: { tenantId, id: { in: serviceIds } } });
+            if (found !== new Set(serviceIds).size) throw new AppError('Unknown service in serviceIds', 400, 'INVALID_SERVICE');
+        }
+    }
+
+    async createResource(tenantId, data) {
+        await this.validateLinks(tenantId, data);
+        try {
+            return await prisma.bookingResource.create({
+                data: { ...data, hours: data.hours ?? undefined, tenantId },
+                include: { user: { select: USER_SELECT } }
+            });
+        } catch (error) {
+            if (error.code === 'P2002') throw new AppError(`"${data.name}" already exists`, 409, 'RESOURCE_NAME_TAKEN');
+            throw error;
+        }
+    }
+
+    async updateResource(tenantId, id, data) {
+        await this.getResource(tenantId, id);
+        await this.validateLinks(tenantId, data);
+        try {
+            return await prisma.bookingResource.update({
+                where: { id },
+                // Prisma needs DbNull to clear a Json column
+                data: { ...data, hours: data.hours === null ? Prisma.DbNull : data.hours },
+                include: { user: { select: USER_SELECT } }
+            });
+        } catch (error) {
+            if (error.code === 'P2002') throw new AppError(`"${data.name}" already exists`, 409, 'RESOURCE_NAME_TAKEN');
+            throw error;
+        }
+    }
+
+    /**
+     * Resources with bookings are deactivated so their history keeps its assignee
+     * @returns {{ deleted: boolean }}
+     */
+    async deleteResource(tenantId, id) {
+        await this.getResource(tenantId, id);
+        const bookings = await prisma.booking.count({ where: { tenantId, resourceId: id } });
+        if (bookings > 0) {
+            await prisma.bookingResource.update({ where: { id }, data: { isActive: false } });
+            return { deleted: false };
+        }
+        await prisma.bookingResource.delete({ where: { id } });
+        return { deleted: true };
+    }
+}
+
+module.exports = new BookingResourceService();
@@ -0,0 +1,357 @@
+const prisma = require('../lib/prisma');
+const AppError = require('../utils/AppError');
+const eventBus = require('../lib/eventBus');
+const TenantCalendarService = require('./tenantCalendarService');
+const availabilityService = require('./availabilityService');
+const bookingLifecycleService = require('./bookingLifecycleService');
+const { parseRRule, formatRRule, expandOccurrences, shiftLocal, MAX_OCCURRENCES } = require('../utils/recurrence');
+const { formatLocalDateTime } = require('../utils/businessHours');
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Under the booking lock a series takes one conflict query and up to MAX_OCCURRENCES writes,
+// past Prisma's 5 s default for the longest series: allow a tenth of a second per occurrence
+const SERIES_TRANSACTION = { maxWait: 10 * SECOND, timeout: MAX_OCCURRENCES * SECOND / 10 };
+
+const BOOKING_INCLUDE = {
+    client: { select: { id: true, name: true, phone: true, email: true } },
+    resource: { select: { id: true, name: true, type: true, userId: true } }
+};
+
+/**
+ * Recurring bookings. A BookingSeries keeps the rule (utils/recurrence); every occurrence is an
+ * ordinary Booking (seriesId, originalDate), conflict-checked on its own, so availability,
+ * reminders and bookingLifecycleService treat it like any other booking. On the tenant's
+ * Google Calendar the series is one recurring event and each occurrence points at its instance.
+ *
+ * Changes take a scope. 'this' is a plain bookingLifecycleService change of one occurrence.
+ * 'following' splits the series: the old rule ends the moment before the occurrence and a new
+ * series carries on from it. 'all' does the same from the next upcoming occurrence, so the
+ * ones that already happened stay as they were.
+ */
+class BookingSeriesService {
+    async getSeries(tenantId, id) {
+        const series = await prisma.bookingSeries.findFirst({
+            where: { id, tenantId },
+            include: {
+                client: { select: { id: true, name: true, phone: true, email: true } },
+                bookings: { include: { resource: { select: { id: true, name: true, type: true } } } }
+            }
+        });
+        if (!series) throw new AppError('Recurring booking not found', 404, 'SERIES_NOT_FOUND');
+        series.bookings.sort((a, b) => new Date(a.date) - new Date(b.date));
+        return series;
+    }
+
+    /**
+     * Book every occurrence of a recurrence rule in one transaction. Each occurrence is checked
+     * (and assigned) first; holding the tenant's booking lock, one query then finds any taken since.
+     * @param {object} data - createBookingSeriesSchema: { clientId, date (first occurrence), serviceId,
+     *   resourceId, purpose, recurrence (RRULE), skipConflicts }
+     * @returns {{ series: object, skipped: Date[] }} skipped: occurrences left out because they clash
+     * @throws {AppError} 409 SERIES_CONFLICT naming the clashing occurrences (unless skipConflicts)
+     */
+    async createSeries(tenantId, data, { now = new Date() } = {}) {
+        const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+        if (!tenant) throw new AppError('Organization not found', 404, 'TENANT_NOT_FOUND');
+        const timezone = tenant.timezone || 'UTC';
+
+        const rule = parseRRule(data.recurrence, timezone);
+        const starts = expandOccurrences(data.date, rule, timezone);
+        if (starts.length > MAX_OCCURRENCES) {
+            throw new AppError(`A recurring booking can have at most ${MAX_OCCURRENCES} occurrences`, 400, 'SERIES_TOO_LONG');
+        }
+
+        const client = await prisma.client.findFirst({ where: { id: data.clientId, tenantId } });
+        if (!client) throw new AppError('Client not found', 404);
+
+        // Every occurrence stays with the staff member/room the first free one is assigned
+        let resourceId = data.resourceId;
+        const checked = [];
+        for (const start of starts) {
+            const slot = await availabilityService.checkSlot(tenantId, { start, serviceId: data.serviceId, resourceId }, { rules: false, now });
+            if (slot.available && resourceId === undefined) resourceId = slot.resourceId;
+            checked.push(slot);
+        }
+
+        const { series, bookings, skipped } = await prisma.$transaction(async (tx) => {
+            await availabilityService.lockBookings(tx, tenantId);
+            const taken = await availabilityService.findTaken(tenantId, checked.filter(slot => slot.available), { client: tx });
+            const slots = checked.map(slot => (taken.includes(slot) ? { ...slot, available: false, reason: 'conflict' } : slot));
+
+            const conflicts = slots.filter(slot => !slot.available);
+            if (conflicts.length === slots.length || (conflicts.length > 0 && !data.skipConflicts)) {
+                throw this.conflictError(conflicts, slots.length, timezone);
+            }
+
+            const series = await tx.bookingSeries.create({
+                data: {
+                    tenantId,
+                    clientId: client.id,
+                    serviceId: slots[0].serviceId,
+                    resourceId: resourceId ?? null,
+                    purpose: data.purpose || null,
+                    rrule: formatRRule(rule),
+                    timezone,
+                    startDate: starts[0]
+                }
+            });
+
+            const bookings = [];
+            for (const slot of slots.filter(candidate => candidate.available)) {
+                bookings.push(await tx.booking.create({
+                    data: {
+                        tenantId,
+                        clientId: client.id,
+                        date: slot.start,
+                        endTime: slot.end,
+                        serviceId: slot.serviceId,
+                        resourceId: slot.resourceId,
+                        purpose: data.purpose || '',
+                        status: 'Scheduled',
+                        seriesId: series.id,
+                        originalDate: slot.start
+                    },
+                    include: BOOKING_INCLUDE
+                }));
+            }
+            return { series, bookings, skipped: conflicts.map(slot => slot.start) };
+        }, SERIES_TRANSACTION);
+
+        // One booking:created for the series, so workflows confirm it once rather than per occurrence
+        eventBus.emit('booking:created', { tenantId, bookingId: bookings[0].id, seriesId: series.id, clientNotified: true });
+        await this.syncCalendar(tenantId, series.id, { create: true });
+        await bookingLifecycleService.notifyClient(tenant, bookings[0], 'confirmed', { recurring: bookings.length > 1 });
+
+        return { series: await this.getSeries(tenantId, series.id), skipped };
+    }
+
+    /**
+     * Move this and the following occurrences, or all upcoming ones, by the same change of day
+     * and time as the chosen occurrence
+     * @param {object} change - { date (the chosen occurrence's new start), resourceId, reason, scope: 'following'|'all' }
+     * @param {object} options - { actor, now }
+     */
+    async reschedule(tenantId, id, { date, resourceId, reason, scope }, { actor, now = new Date() } = {}) {
+        const { existing, series, targets } = await this.getScope(tenantId, id, scope, now);
+        const move = (moment) => shiftLocal(moment, existing.date, date, series.timezone);
+
+        // The occurrences being moved can't block each other's new times
+        const ids = targets.map(booking => booking.id);
+        const slots = [];
+        for (const booking of targets) {
+            slots.push(await availabilityService.checkSlot(tenantId, {
+                start: move(booking.date),
+                serviceId: booking.serviceId,
+                resourceId: resourceId !== undefined ? resourceId : booking.resourceId,
+                excludeBookingId: ids
+            }, { rules: false, now }));
+        }
+        const unavailable = slots.filter(slot => !slot.available);
+        if (unavailable.length > 0) throw this.conflictError(unavailable, slots.length, series.timezone);
+
+        const { current, moved } = await prisma.$transaction(async (tx) => {
+            await availabilityService.lockBookings(tx, tenantId);
+            const conflicts = await availabilityService.findTaken(tenantId, slots, { client: tx, excludeBookingId: ids });
+            if (conflicts.length > 0) throw this.conflictError(conflicts, slots.length, series.timezone);
+
+            const current = await this.splitSeries(tx, series, targets[0].originalDate, { move, resourceId });
+            const moved = [];
+            for (const [index, booking] of targets.entries()) {
+                moved.push(await tx.booking.update({
+                    where: { id: booking.id },
+                    data: {
+                        date: slots[index].start,
+                        endTime: slots[index].end,
+                        resourceId: slots[index].resourceId,
+                        seriesId: current.id,
+                        originalDate: move(booking.originalDate),
+                        calendarEventId: null
+                    },
+                    include: BOOKING_INCLUDE
+                }));
+            }
+            return { current, moved };
+        }, SERIES_TRANSACTION);
+
+        await this.recordChanges(tenantId, targets, moved, { reason, actor, now });
+        await this.syncCalendar(tenantId, series.id);
+        if (current.id !== series.id) await this.syncCalendar(tenantId, current.id, { create: true });
+        await bookingLifecycleService.notifyClient(existing.tenant, moved[0], 'rescheduled', { recurring: moved.length > 1 });
+
+        return this.getSeries(tenantId, current.id);
+    }
+
+    /**
+     * Cancel this and the following occurrences, or all upcoming ones; the series ends before them
+     * @param {object} change - { reason, scope: 'following'|'all' }
+     */
+    async cancel(tenantId, id, { reason, scope }, { actor, now = new Date() } = {}) {
+        const { existing, series, targets } = await this.getScope(tenantId, id, scope, now);
+
+        const cancelled = await prisma.$transaction(async (tx) => {
+            const from = targets[0].originalDate;
+            await tx.bookingSeries.update({
+                where: { id: series.id },
+                data: new Date(from).getTime() === new Date(series.startDate).getTime()
+                    ? { status: 'cancelled' }
+                    : { rrule: this.endRuleBefore(series, from) }
+            });
+
+            const cancelled = [];
+            for (const booking of targets) {
+                cancelled.push(await tx.booking.update({
+                    where: { id: booking.id },
+                    data: { status: 'Cancelled', cancelledAt: now, cancelReason: reason || null, calendarEventId: null },
+                    include: BOOKING_INCLUDE
+                }));
+            }
+            return cancelled;
+        }, SERIES_TRANSACTION);
+
+        await this.recordChanges(tenantId, targets, cancelled, { reason, actor, now });
+        await this.syncCalendar(tenantId, series.id);
+        await bookingLifecycleService.notifyClient(existing.tenant, cancelled[0], 'cancelled', { recurring: cancelled.length > 1 });
+
+        return this.getSeries(tenantId, series.id);
+    }
+
+    /**
+     * The chosen occurrence, its series and the open occurrences a 'following'/'all' change covers, earliest first
+     */
+    async getScope(tenantId, id, scope, now) {
+        const existing = await bookingLifecycleService.getBooking(tenantId, id);
+        if (!existing.seriesId) {
+            throw new AppError('This booking is not part of a recurring series', 400, 'NOT_RECURRING');
+        }
+        bookingLifecycleService.assertChangeable(existing, availabilityService.getBookingConfig(existing.tenant), { enforcePolicy: false, now });
+
+        const series = await prisma.bookingSeries.findFirst({ where: { id: existing.seriesId, tenantId } });
+        const occurrences = await prisma.booking.findMany({
+            where: { tenantId, seriesId: series.id },
+            include: BOOKING_INCLUDE
+        });
+        const targets = occurrences
+            .filter(booking => !bookingLifecycleService.isClosed(booking))
+            .filter(booking => (scope === 'following'
+                ? new Date(booking.originalDate) >= new Date(existing.originalDate)
+                : booking.id === existing.id || new Date(booking.date) >= now))
+            .sort((a, b) => new Date(a.originalDate) - new Date(b.originalDate));
+
+        return { existing, series, targets };
+    }
+
+    /**
+     * Give the occurrences from `from` on their own series with the moved start (the whole series
+     * when `from` is its first occurrence)
+     * @returns {object} The series the occurrences belong to now
+     */
+    async splitSeries(tx, series, from, { move, resourceId }) {
+        const rule = parseRRule(series.rrule, series.timezone);
+        const until = rule.until && move(rule.until);
+        const assigned = resourceId !== undefined ? resourceId : series.resourceId;
+
+        if (new Date(from).getTime() === new Date(series.startDate).getTime()) {
+            return tx.bookingSeries.update({
+                where: { id: series.id },
+                data: { startDate: move(series.startDate), rrule: formatRRule({ ...rule, until }), resourceId: assigned }
+            });
+        }
+
+        const earlier = expandOccurrences(series.startDate, rule, series.timezone).filter(start => start < new Date(from)).length;
+        await tx.bookingSeries.update({ where: { id: series.id }, data: { rrule: this.endRuleBefore(series, from) } });
+        return tx.bookingSeries.create({
+            data: {
+                tenantId: series.tenantId,
+                clientId: series.clientId,
+                serviceId: series.serviceId,
+                resourceId: assigned,
+                purpose: series.purpose,
+                rrule: formatRRule({ ...rule, count: rule.count && rule.count - earlier, until }),
+                timezone: series.timezone,
+                startDate: move(from)
+            }
+        });
+    }
+
+    // The series' rule, ending the moment before an occurrence
+    endRuleBefore(series, from) {
+        const rule = parseRRule(series.rrule, series.timezone);
+        return formatRRule({ ...rule, count: null, until: new Date(new Date(from).getTime() - SECOND) });
+    }
+
+    async recordChanges(tenantId, before, after, { reason, actor, now }) {
+        for (const [index, booking] of after.entries()) {
+            // The series' calendar event is updated once afterwards; only the nearest freed time
+            // goes to the waitlist rather than every week of the series
+            await bookingLifecycleService.recordChange(tenantId, before[index], booking, {
+                reason, actor, now, calendar: false, waitlist: index === 0
+            });
+        }
+    }
+
+    conflictError(conflicts, total, timezone) {
+        const dates = conflicts.slice(0, 5).map(slot => formatLocalDateTime(slot.start, timezone)).join('; ');
+        const more = conflicts.length > 5 ? ` and ${conflicts.length - 5} more` : '';
+        return new AppError(`${conflicts.length} of ${total} occurrences clash with other bookings: ${dates}${more}`, 409, 'SERIES_CONFLICT');
+    }
+
+    /**
+     * Keep the series' recurring event on the tenant's Google Calendar in step with it:
+     * the rule, the first occurrence's time, and EXDATEs for occurrences not (or no longer) booked
+     * @param {object} options - { create: add the event when the series has none }
+     */
+    async syncCalendar(tenantId, seriesId, { create = false } = {}) {
+        try {
+            const series = await prisma.bookingSeries.findFirst({
+                where: { id: seriesId, tenantId },
+                include: { bookings: true, client: true }
+            });
+            const booked = series.bookings.filter(booking => booking.status !== 'Cancelled');
+
+            if (series.status === 'cancelled' || booked.length === 0) {
+                if (series.calendarEventId) {
+                    await TenantCalendarService.deleteTenantCalendarEvent(tenantId, series.calendarEventId);
+                    await prisma.bookingSeries.update({ where: { id: series.id }, data: { calendarEventId: null } });
+                }
+                return;
+            }
+
+            const kept = new Set(booked.map(booking => new Date(booking.originalDate).getTime()));
+            const excluded = expandOccurrences(series.startDate, parseRRule(series.rrule, series.timezone), series.timezone)
+                .filter(start => !kept.has(start.getTime()));
+            const sample = booked[0];
+            const duration = sample.endTime ? new Date(sample.endTime) - new Date(sample.date) : HOUR;
+            const first = { date: series.startDate, endTime: new Date(new Date(series.startDate).getTime() + duration) };
+
+            let eventId = series.calendarEventId;
+            let meetLink = null;
+            if (eventId) {
+                await TenantCalendarService.updateTenantCalendarSeriesEvent(tenantId, eventId, series, first, excluded);
+            } else if (create && await TenantCalendarService.hasTenantCalendar(tenantId)) {
+                ({ eventId, meetLink } = await TenantCalendarService.createTenantCalendarSeriesEvent(
+                    tenantId, series, first, series.client?.name || 'Client', series.client?.phone, excluded
+                ));
+                await prisma.bookingSeries.update({ where: { id: series.id }, data: { calendarEventId: eventId } });
+            } else {
+                return;
+            }
+
+            // Each occurrence points at its instance, so one-off moves and cancellations reach the calendar
+            for (const booking of booked) {
+                await prisma.booking.update({
+                    where: { id: booking.id },
+                    data: {
+                        calendarEventId: TenantCalendarService.getInstanceEventId(eventId, booking.originalDate),
+                        ...(meetLink && !booking.meetingLink ? { meetingLink: meetLink } : {})
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn(`[BookingSeries] Calendar sync failed for series ${seriesId}:`, error.message);
+        }
+    }
+}
+
+module.exports = new BookingSeriesService();
@@ -2,6 +2,8 @@ const prisma = require('../lib/prisma');
 const notificationService = require('./notificationService');
 const workflowService = require('./workflowService');
 const eventBus = require('../lib/eventBus');
+const availabilityService = require('./availabilityService');
+const AppError = require('../utils/AppError');
 
 class BookingService {
     async getBookings(tenantId) {
@@ -12,46 +14,35 @@ class BookingService {
         });
     }
 
-    async createBooking(tenantId, data) {
-        const { clientId, date, purpose, status, meetingLink } = data;
-        const requestedDate = new Date(date);
-
-        const conflict = await prisma.booking.findFirst({
-            where: {
-                tenantId,
-                date: requestedDate,
-                status: { not: 'Cancelled' }
-            }
-        });
-
-        if (conflict) {
-            throw new Error('CONFLICT: This time slot is already booked.');
-        }
-
-        const booking = await prisma.booking.create({
+    /**
+     * Create a booking, holding the tenant's booking lock (see availabilityService.reserveSlot)
+     * Used by the voice and chat agents and the workflow create_booking action.
+     * @param {object} options - { rules: also apply the booking rules (hours, notice, calendars) }
+     * @throws {AppError} 409 BOOKING_CONFLICT when the slot is taken
+     */
+    async createBooking(tenantId, data, { rules = false } = {}) {
+        const { clientId, date, serviceId, resourceId, purpose, status, meetingLink } = data;
+
+        // Overlap with the staff member's/room's other bookings over the service's length and buffers
+        // (one is assigned when resourceId is left out)
+        const booking = await availabilityService.reserveSlot(tenantId, { start: new Date(date), serviceId, resourceId }, { rules }, (tx, slot) => tx.booking.create({
             data: {
                 clientId,
                 tenantId,
-                date: requestedDate,
+                date: slot.start,
+                endTime: slot.end,
+                serviceId: slot.serviceId,
+                resourceId: slot.resourceId,
                 purpose,
                 status: status || 'Scheduled',
                 meetingLink: meetingLink || null
             },
             include: { client: true, tenant: true }
-        });
-
-
+        }));
 
         if (booking.client) {
             // Emit Event instead of direct calls
-            eventBus.emit('booking:created', {
-                tenantId,
-                client: booking.client,
-                tenant: booking.tenant,
-                booking,
-                date: booking.date,
-                status: booking.status
-            });
+            eventBus.emit('booking:created', { tenantId, bookingId: booking.id });
         }
 
         try {
@@ -77,6 +68,44 @@ class BookingService {
         return booking;
     }
 
+    /**
+     * Conflict check and create, holding the tenant's booking lock (see availabilityService.reserveSlot)
+     * so two requests can't take the same slot.
+     * Used by staff (POST /api/bookings).
+     * @param {object} data - { clientId, date, serviceId, resourceId, purpose, status, meetingLink, source, manageToken }
+     * @param {object} options - { rules: also apply the booking rules (hours, notice, calendars), as for self-service }
+     * @throws {AppError} 404 when the client isn't the tenant's, 409 BOOKING_CONFLICT when the slot is taken
+     */
+    async reserveBooking(tenantId, data, { rules = false } = {}) {
+        const { clientId, date, serviceId, resourceId, purpose, status, meetingLink, source, manageToken } = data;
+
+        const client = await prisma.client.findFirst({ where: { id: clientId, tenantId } });
+        if (!client) {
+            throw new AppError('Client not found', 404);
+        }
+
+        // Overlaps over the service length and buffers, per staff member/room (one is assigned without a resourceId)
+        return availabilityService.reserveSlot(tenantId, { start: new Date(date), serviceId, resourceId }, { rules }, (tx, slot) => tx.booking.create({
+            data: {
+                clientId,
+                tenantId,
+                date: slot.start,
+                endTime: slot.end,
+                serviceId: slot.serviceId,
+                resourceId: slot.resourceId,
+                purpose: purpose || '',
+                status: status || 'Scheduled',
+                meetingLink: meetingLink || null,
+                source: source || null,
+                manageToken: manageToken || null
+            },
+            include: {
+                client: { select: { id: true, name: true, phone: true, email: true } },
+                resource: { select: { id: true, name: true, type: true, userId: true } }
+            }
+        }));
+    }
+
     async updateBooking(tenantId, id, data) {
         const existingBooking = await prisma.booking.findFirst({
             where: { id, tenantId },
@@ -84,37 +113,42 @@ class BookingService {
         });
         if (!existingBooking) throw new Error('NOT_FOUND: Booking not found');
 
-        const { date, purpose, status, meetingLink } = data;
-
-        if (date && new Date(date).getTime() !== new Date(existingBooking.date).getTime()) {
-            const requestedDate = new Date(date);
-            const conflict = await prisma.booking.findFirst({
-                where: {
-                    tenantId,
-                    date: requestedDate,
-                    status: { not: 'Cancelled' },
-                    id: { not: id }
-                }
-            });
-
-            if (conflict) {
-                throw new Error('CONFLICT: This time slot is already booked.');
-            }
-        }
-
-        const updatedBooking = await prisma.booking.update({
+        const { date, serviceId, resourceId, purpose, status, meetingLink, reason } = data;
+        const cancelling = status === 'Cancelled' && existingBooking.status !== 'Cancelled';
+
+        const fields = {
+            date: date ? new Date(date) : undefined,
+            purpose,
+            status,
+            meetingLink: meetingLink !== undefined ? meetingLink : undefined,
+            cancelledAt: cancelling ? new Date() : undefined,
+            cancelReason: cancelling ? reason || null : undefined
+        };
+        const update = (client, slot = null) => client.booking.update({
             where: { id },
-            data: {
-                date: date ? new Date(date) : undefined,
-                purpose,
-                status,
-                meetingLink: meetingLink !== undefined ? meetingLink : undefined
-            },
+            data: slot ? { ...fields, endTime: slot.end, serviceId: slot.serviceId, resourceId: slot.resourceId } : fields,
             include: { client: true, tenant: true }
         });
 
+        // Moving the booking or changing its service or assignee changes the time it takes up, and whose,
+        // so it is checked and saved under the tenant's booking lock
+        const moved = date && new Date(date).getTime() !== new Date(existingBooking.date).getTime();
+        let updatedBooking;
+        if (moved
+            || (serviceId !== undefined && serviceId !== existingBooking.serviceId)
+            || (resourceId !== undefined && resourceId !== existingBooking.resourceId)) {
+            updatedBooking = await availabilityService.reserveSlot(tenantId, {
+                start: date ? new Date(date) : existingBooking.date,
+                serviceId: serviceId !== undefined ? serviceId : existingBooking.serviceId,
+                resourceId: resourceId !== undefined ? resourceId : existingBooking.resourceId,
+                excludeBookingId: id
+            }, {}, update);
+        } else {
+            updatedBooking = await update(prisma);
+        }
+
         if (status && status !== existingBooking.status && updatedBooking.client) {
-            await notificationService.sendEmail(
+            await notificationService.queueEmail(
                 updatedBooking.client.email,
                 `Booking Update - ${updatedBooking.tenant.name}`,
                 `<p>Hi ${updatedBooking.client.name},</p><p>Your appointment status has changed to: <strong>${updatedBooking.status}</strong>.</p>`
@@ -129,9 +163,33 @@ class BookingService {
             }
         }
 
+        // bookingLifecycleService requires this module, so load it lazily
+        await require('./bookingLifecycleService').recordChange(tenantId, existingBooking, updatedBooking, {
+            reason,
+            changes: { date, purpose, status, meetingLink }
+        });
+
         return updatedBooking;
     }
 
+    /**
+     * Emit booking:updated (and booking:cancelled on a transition to Cancelled)
+     * @param {object} changes - The fields the caller asked to change
+     */
+    emitUpdateEvents(tenantId, before, after, changes = {}) {
+        const applied = Object.fromEntries(
+            Object.entries(changes).filter(([, value]) => value !== undefined)
+        );
+        if (Object.keys(applied).length === 0) return;
+
+        const payload = { tenantId, bookingId: after.id, previousStatus: before.status, changes: applied };
+        eventBus.emit('booking:updated', payload);
+
+        if (after.status === 'Cancelled' && before.status !== 'Cancelled') {
+            eventBus.emit('booking:cancelled', { ...payload, reason: changes.reason || null });
+        }
+    }
+
     async deleteBooking(tenantId, id) {
         const booking = await prisma.booking.findFirst({ where: { id, tenantId } });
         if (!booking) throw new Error('NOT_FOUND: Booking not found');
@@ -0,0 +1,176 @@
+const prisma = require('../lib/prisma');
+const { twilioWebhookUrl } = require('../utils/webhookUrl');
+const { recordingConfigSchema } = require('../schemas/validation');
+const jobQueueService = require('./jobQueueService');
+const storageService = require('./storageService');
+
+// Signed playback links are short-lived; the dashboard asks for a new one each time
+const SIGNED_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * Dual-channel recording of AI calls
+ * Twilio records the call (caller and agent on separate channels) after the consent
+ * disclosure. When the recording is ready it is copied into storageService's private bucket
+ * (played back through short-lived signed URLs only) and deleted from Twilio, so the
+ * tenant's retention setting is the only copy that matters.
+ */
+class CallRecordingService {
+    /**
+     * Tenant recording settings (twilioConfig.recording) with defaults applied
+     */
+    getRecordingConfig(twilioConfig) {
+        const parsed = recordingConfigSchema.safeParse(twilioConfig?.recording || {});
+        return parsed.success ? parsed.data : recordingConfigSchema.parse({});
+    }
+
+    /**
+     * Add the consent disclosure and <Start><Recording> to a call's TwiML, ahead of <Connect>
+     * @param {VoiceResponse} voiceResponse - TwiML being built for the AI call
+     * @returns {boolean} Whether the call will be recorded
+     */
+    applyToTwiml(voiceResponse, tenantId, twilioConfig) {
+        const config = this.getRecordingConfig(twilioConfig);
+        if (!tenantId || !config.enabled) return false;
+
+        voiceResponse.say(config.consentMessage);
+        voiceResponse.start().recording({
+            channels: 'dual',
+            track: 'both',
+            recordingStatusCallback: twilioWebhookUrl('/webhook/recording', { tenantId }),
+            recordingStatusCallbackEvent: ['completed']
+        });
+        return true;
+    }
+
+    /**
+     * Recording status callback: copy finished recordings into storage in the background
+     * @param {object} params - Twilio webhook body (CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration)
+     */
+    async handleRecordingStatus(params, tenantId) {
+        const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration } = params;
+        if (!tenantId || RecordingStatus !== 'completed') return null;
+
+        return jobQueueService.enqueue('recording.store', {
+            callSid: CallSid,
+            recordingSid: RecordingSid,
+            recordingUrl: RecordingUrl,
+            duration: RecordingDuration ? parseInt(RecordingDuration, 10) : null
+        }, { tenantId });
+    }
+
+    /**
+     * Job handler for 'recording.store'
+     */
+    async storeRecording(tenantId, { callSid, recordingSid, recordingUrl, duration }) {
+        // Loaded lazily: twilioService -> chatService -> agentToolsService -> ... -> jobQueueService
+        const twilioService = require('./twilioService');
+        const { client } = await twilioService.getClientForTenant(tenantId);
+
+        const response = await fetch(`${recordingUrl}.wav`, {
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${client.username}:${client.password}`).toString('base64')}`
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`Recording download failed with HTTP ${response.status}`);
+        }
+        const audio = Buffer.from(await response.arrayBuffer());
+
+        const recordingPath = await storageService.uploadBuffer(
+            audio,
+            `recordings/${tenantId}/${callSid}-${recordingSid}.wav`,
+            'audio/wav'
+        );
+
+        // Inbound AI calls only have an InboundCall so far; give the recording a call session
+        const inboundCall = await prisma.inboundCall.findFirst({ where: { tenantId, callSid } });
+        const recording = { recordingSid, recordingPath, recordingDuration: duration, recordedAt: new Date() };
+        const callSession = await prisma.callSession.upsert({
+            where: { callSid },
+            update: recording,
+            create: {
+                tenantId,
+                callSid,
+                callerPhone: inboundCall?.callerPhone,
+                status: 'completed',
+                direction: 'inbound',
+                ...recording
+            }
+        });
+
+        if (inboundCall) {
+            await prisma.inboundCall.update({
+                where: { id: inboundCall.id },
+                data: { recordingUrl: `/api/voice/calls/${callSession.id}/recording` }
+            });
+        }
+
+        await client.recordings(recordingSid).remove();
+
+        return { callSessionId: callSession.id, recordingPath, bytes: audio.length };
+    }
+
+    /**
+     * Signed playback URL for a call's recording
+     * @param {string} id - CallSession id, or the id of the InboundCall for the same call
+     * @returns {object|null} { url, expiresIn, duration } or null when the call has no recording
+     */
+    async getRecordingUrl(tenantId, id) {
+        let callSession = await prisma.callSession.findFirst({ where: { id, tenantId } });
+
+        if (!callSession) {
+            const inboundCall = await prisma.inboundCall.findFirst({ where: { id, tenantId } });
+            if (inboundCall?.callSid) {
+                callSession = await prisma.callSession.findFirst({ where: { callSid: inboundCall.callSid, tenantId } });
+            }
+        }
+
+        if (!callSession?.recordingPath) return null;
+
+        const url = await storageService.getSignedUrl(callSession.recordingPath, SIGNED_URL_TTL_SECONDS, storageService.privateBucketName);
+        if (!url) return null;
+
+        return { url, expiresIn: SIGNED_URL_TTL_SECONDS, duration: callSession.recordingDuration };
+    }
+
+    /**
+     * Delete recordings older than each tenant's retention period (daily cron)
+     * @returns {number} Recordings deleted
+     */
+    async purgeExpiredRecordings(now = new Date()) {
+        const tenants = await prisma.tenant.findMany({
+            where: { callSessions: { some: { recordingPath: { not: null } } } },
+            select: { id: true, twilioConfig: true }
+        });
+
+        let deleted = 0;
+        for (const tenant of tenants) {
+            const { retentionDays } = this.getRecordingConfig(tenant.twilioConfig);
+            if (!retentionDays) continue;
+
+            const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+            const expired = await prisma.callSession.findMany({
+                where: { tenantId: tenant.id, recordingPath: { not: null }, recordedAt: { lt: cutoff } },
+                select: { id: true, callSid: true, recordingPath: true }
+            });
+
+            for (const callSession of expired) {
+                // Kept for the next run when storage can't delete the file, rather than losing track of it
+                if (!await storageService.deleteFile(callSession.recordingPath, storageService.privateBucketName)) continue;
+                await prisma.callSession.update({
+                    where: { id: callSession.id },
+                    data: { recordingPath: null, recordingSid: null }
+                });
+                await prisma.inboundCall.updateMany({
+                    where: { tenantId: tenant.id, callSid: callSession.callSid, recordingUrl: { startsWith: '/api/voice/calls/' } },
+                    data: { recordingUrl: null }
+                });
+                deleted++;
+            }
+        }
+
+        return deleted;
+    }
+}
+
+module.exports = new CallRecordingService();
@@ -0,0 +1,207 @@
+const twilio = require('twilio');
+const prismaDefault = require('../lib/prisma');
+// Use the concurrent client to avoid prepared statement conflicts (runs during live calls)
+const prisma = prismaDefault.concurrent || prismaDefault;
+const { twilioWebhookUrl } = require('../utils/webhookUrl');
+const { isOpen } = require('../utils/businessHours');
+const { transferConfigSchema } = require('../schemas/validation');
+const voicemailService = require('./voicemailService');
+
+// Give the AI time to tell the caller they are being transferred before the
+// call leaves the media stream
+const HOLD_MESSAGE_MS = 4000;
+
+const TRANSFER_STATUS = {
+    REQUESTED: 'requested',
+    CONNECTED: 'connected',
+    NO_ANSWER: 'no_answer',
+    VOICEMAIL: 'voicemail'
+};
+
+/**
+ * Moves a live AI call to a human.
+ * The call is redirected out of the <Stream> into a <Dial> that rings every target
+ * available now; a warm transfer whispers the AI's summary to whoever answers.
+ * No targets, no answer or a failed dial end in voicemail.
+ */
+class CallTransferService {
+    /**
+     * Tenant transfer settings (twilioConfig.transfer) with defaults applied
+     */
+    async getTransferConfig(tenantId) {
+        const tenant = await prisma.tenant.findUnique({
+            where: { id: tenantId },
+            select: { timezone: true, twilioConfig: true }
+        });
+
+        const parsed = transferConfigSchema.safeParse(tenant?.twilioConfig?.transfer || {});
+        if (!parsed.success) {
+            console.warn(`[CallTransfer] Invalid transfer config for tenant ${tenantId}, transfers go to voicemail`);
+        }
+
+        return {
+            ...(parsed.success ? parsed.data : transferConfigSchema.parse({})),
+            timezone: tenant?.timezone || 'UTC'
+        };
+    }
+
+    /**
+     * Targets that can take a call right now, with team members resolved to their phone
+     * @returns {Array<{ label: string, phone: string }>}
+     */
+    async getAvailableTargets(tenantId, config, now = new Date()) {
+        const available = [];
+
+        for (const target of config.targets) {
+            if (!isOpen(target.hours, config.timezone, now)) continue;
+
+            let { phone, label } = target;
+            if (!phone && target.userId) {
+                const user = await prisma.user.findFirst({
+                    where: { id: target.userId, tenantId },
+                    select: { name: true, phoneNumber: true }
+                });
+                phone = user?.phoneNumber;
+                label = label || user?.name;
+            }
+
+            if (phone) available.push({ label: label || phone, phone });
+        }
+
+        return available;
+    }
+
+    /**
+     * Start a transfer for a live call. Called from the transfer_to_human voice tool.
+     * @param {object} options - { tenantId, callSid, reason, summary, callerPhone, callerName }
+     * @returns {object} Tool result for the AI to relay to the caller
+     */
+    async transferCall({ tenantId, callSid, reason, summary, callerPhone, callerName }) {
+        if (!tenantId || !callSid) {
+            return {
+                success: false,
+                message: "I'm not able to transfer this call right now. Can I take a message for the team instead?"
+            };
+        }
+
+        const config = await this.getTransferConfig(tenantId);
+        const targets = await this.getAvailableTargets(tenantId, config);
+
+        let twiml;
+        let result;
+        if (targets.length > 0) {
+            const whisper = config.mode === 'warm'
+                ? this.buildWhisperText({ reason, summary, callerPhone, callerName })
+                : null;
+            twiml = this.buildDialTwiml({ tenantId, targets, timeout: config.timeout, whisper });
+            result = {
+                success: true,
+                action: 'transfer',
+                mode: config.mode,
+                message: "I'll connect you with one of our team members now. Please hold for just a moment."
+            };
+        } else {
+            twiml = voicemailService.buildVoicemailTwiml({ tenantId, greeting: config.voicemailGreeting });
+            result = {
+                success: true,
+                action: 'voicemail',
+                message: "No one from the team is available right now, so I'll put you through to voicemail. Please leave a message after the tone."
+            };
+        }
+
+        await this.recordTransfer(tenantId, callSid, {
+            transferStatus: targets.length > 0 ? TRANSFER_STATUS.REQUESTED : TRANSFER_STATUS.VOICEMAIL,
+            transferTarget: targets.map(target => target.label).join(', ') || null
+        });
+
+        const timer = setTimeout(() => this.redirectCall(tenantId, callSid, twiml), HOLD_MESSAGE_MS);
+        timer.unref?.();
+
+        return result;
+    }
+
+    /**
+     * Replace the TwiML of a live call. Ends the <Stream>, so the AI session closes.
+     */
+    async redirectCall(tenantId, callSid, twiml) {
+        try {
+            // Loaded lazily: twilioService -> chatService -> agentToolsService -> this service
+            const twilioService = require('./twilioService');
+            const { client } = await twilioService.getClientForTenant(tenantId);
+            await client.calls(callSid).update({ twiml });
+            console.log(`[CallTransfer] Call ${callSid} redirected`);
+        } catch (error) {
+            console.error(`[CallTransfer] Failed to redirect call ${callSid}:`, error.message);
+        }
+    }
+
+    buildWhisperText({ reason, summary, callerPhone, callerName }) {
+        const caller = callerName || (callerPhone ? `caller ${callerPhone.split('').join(' ')}` : 'a caller');
+        const details = summary || reason || 'The caller asked to speak with someone.';
+        return `Incoming transfer from ${caller}. ${details}`.slice(0, 500);
+    }
+
+    buildDialTwiml({ tenantId, targets, timeout, whisper }) {
+        const response = new twilio.twiml.VoiceResponse();
+        const dial = response.dial({
+            timeout,
+            action: twilioWebhookUrl('/webhook/transfer/complete', { tenantId }),
+            method: 'POST'
+        });
+
+        // All targets ring at once; the first to answer gets the caller
+        for (const target of targets) {
+            const attributes = whisper
+                ? { url: twilioWebhookUrl('/webhook/transfer/whisper', { text: whisper }), method: 'POST' }
+                : {};
+            dial.number(attributes, target.phone);
+        }
+
+        return response.toString();
+    }
+
+    /**
+     * TwiML played to the human who answered a warm transfer, before the caller is connected
+     */
+    buildWhisperTwiml(text) {
+        const response = new twilio.twiml.VoiceResponse();
+        response.say(text || 'Incoming call transfer.');
+        return response.toString();
+    }
+
+    /**
+     * <Dial> finished: hang up after a completed conversation, otherwise take a voicemail
+     * @param {object} params - Twilio webhook body (CallSid, DialCallStatus)
+     */
+    async handleDialComplete(params, tenantId) {
+        const { CallSid, DialCallStatus } = params;
+
+        if (DialCallStatus === 'completed' || DialCallStatus === 'answered') {
+            await this.recordTransfer(tenantId, CallSid, { transferStatus: TRANSFER_STATUS.CONNECTED });
+            const response = new twilio.twiml.VoiceResponse();
+            response.hangup();
+            return response.toString();
+        }
+
+        console.log(`[CallTransfer] Transfer of ${CallSid} ended with ${DialCallStatus}, falling back to voicemail`);
+        await this.recordTransfer(tenantId, CallSid, { transferStatus: TRANSFER_STATUS.NO_ANSWER });
+
+        const config = tenantId ? await this.getTransferConfig(tenantId) : {};
+        return voicemailService.buildVoicemailTwiml({ tenantId, greeting: config.voicemailGreeting });
+    }
+
+    async recordTransfer(tenantId, callSid, data) {
+        if (!callSid) return;
+        try {
+            await prisma.inboundCall.updateMany({
+                where: { callSid, ...(tenantId ? { tenantId } : {}) },
+                data
+            });
+        } catch (error) {
+            console.error(`[CallTransfer] Failed to record transfer for ${callSid}:`, error.message);
+        }
+    }
+}
+
+module.exports = new CallTransferService();
+module.exports.TRANSFER_STATUS = TRANSFER_STATUS;
@@ -0,0 +1,330 @@
+const prisma = require('../lib/prisma');
+const { appUrl, twilioWebhookUrl } = require('../utils/webhookUrl');
+const { escapeHtml } = require('../utils/html');
+const campaignService = require('./campaignService');
+const notificationService = require('./notificationService');
+const twilioService = require('./twilioService');
+const workflowService = require('./workflowService');
+
+const { CAMPAIGN_STATUS, RECIPIENT_STATUS } = campaignService;
+
+// A message stuck in "sending" this long was interrupted (e.g. by a restart)
+const STALE_SEND_MS = 30 * 60 * 1000;
+
+// Twilio SMS statuses after which the message will not be delivered
+const UNDELIVERED_STATUSES = ['failed', 'undelivered'];
+
+// 1x1 transparent GIF served for email opens
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const LINK_PATTERN = /href="(https?:\/\/[^"]+)"/gi;
+
+/**
+ * Sends SMS and email campaigns.
+ * Scheduled campaigns are launched when due; running ones send up to
+ * settings.ratePerMinute messages per cron tick. SMS delivery comes back through
+ * the Twilio status callback, email opens and clicks through the tracking routes.
+ */
+class CampaignBroadcastService {
+    /**
+     * Cron entry point: launch due campaigns and send the next batch of each running one
+     * @returns {number} Messages sent
+     */
+    async tick(now = new Date()) {
+        await this.launchDueCampaigns(now);
+        await this.failStaleSends(now);
+
+        const campaigns = await prisma.campaign.findMany({
+            where: { type: { in: ['sms', 'email'] }, status: CAMPAIGN_STATUS.RUNNING }
+        });
+
+        let sent = 0;
+        for (const campaign of campaigns) {
+            try {
+                sent += await this.sendBatch(campaign, now);
+            } catch (error) {
+                console.error(`[CampaignBroadcast] Failed to send campaign ${campaign.id}:`, error.message);
+            }
+        }
+        return sent;
+    }
+
+    async launchDueCampaigns(now = new Date()) {
+        const due = await prisma.campaign.findMany({
+            where: { status: CAMPAIGN_STATUS.SCHEDULED, scheduledAt: { lte: now } }
+        });
+
+        for (const campaign of due) {
+            try {
+                await campaignService.launchCampaign(campaign);
+            } catch (error) {
+                // Nobody left to reach since it was scheduled
+                if (error.code !== 'EMPTY_AUDIENCE') throw error;
+                await prisma.campaign.update({
+                    where: { id: campaign.id },
+                    data: { status: CAMPAIGN_STATUS.COMPLETED, startedAt: now, completedAt: now }
+                });
+            }
+        }
+        return due.length;
+    }
+
+    /**
+     * Send the next batch, or complete the campaign when everyone was reached
+     * @returns {number} Messages sent
+     */
+    async sendBatch(campaign, now = new Date()) {
+        const { id: campaignId, tenantId } = campaign;
+
+        const remaining = await prisma.campaignRecipient.count({
+            where: { campaignId, status: { in: [RECIPIENT_STATUS.PENDING, RECIPIENT_STATUS.SENDING] } }
+        });
+        if (remaining === 0) {
+            await prisma.campaign.update({
+                where: { id: campaignId },
+                data: { status: CAMPAIGN_STATUS.COMPLETED, completedAt: now }
+            });
+            await campaignService.emitProgress(tenantId, campaignId);
+            return 0;
+        }
+
+        const batch = await prisma.campaignRecipient.findMany({
+            where: { campaignId, status: RECIPIENT_STATUS.PENDING },
+            orderBy: { createdAt: 'asc' },
+            take: campaign.settings?.ratePerMinute || 60
+        });
+        if (batch.length === 0) return 0;
+
+        const tenant = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { name: true } });
+
+        let sent = 0;
+        for (const recipient of batch) {
+            // Claim the recipient so an overlapping tick cannot message them twice
+            const { count } = await prisma.campaignRecipient.updateMany({
+                where: { id: recipient.id, status: RECIPIENT_STATUS.PENDING },
+                data: { status: RECIPIENT_STATUS.SENDING, attempts: { increment: 1 }, lastAttemptAt: now }
+            });
+            if (count === 0) continue;
+
+            // Opt-outs (STOP replies, unsubscribes) arrive while the campaign runs
+            const address = campaign.type === 'email' ? recipient.email : recipient.phone;
+            if (await campaignService.isBlocked(tenantId, address, campaign.type)) {
+                await prisma.campaignRecipient.update({
+                    where: { id: recipient.id },
+                    data: { status: RECIPIENT_STATUS.SKIPPED, notes: 'On the do-not-contact list' }
+                });
+                continue;
+            }
+
+            if (await this.sendMessage(campaign, recipient, tenant)) sent++;
+        }
+
+        if (sent > 0) {
+            await prisma.campaign.update({ where: { id: campaignId }, data: { sentCount: { increment: sent } } });
+        }
+        await campaignService.emitProgress(tenantId, campaignId);
+        return sent;
+    }
+
+    /**
+     * Send one recipient their message and record the result
+     * @returns {boolean} Whether the message was handed to Twilio or the mail server
+     */
+    async sendMessage(campaign, recipient, tenant) {
+        try {
+            let messageSid = null;
+
+            if (campaign.type === 'sms') {
+                const message = await twilioService.sendSms(campaign.tenantId, recipient.phone, this.renderSms(campaign, recipient, tenant), {
+                    statusCallback: twilioWebhookUrl('/webhook/campaign/sms-status', {
+                        tenantId: campaign.tenantId,
+                        recipientId: recipient.id
+                    })
+                });
+                messageSid = message.sid;
+            } else {
+                const { subject, html, headers } = this.renderEmail(campaign, recipient, tenant);
+                await notificationService.deliverEmail(recipient.email, subject, html, { headers });
+            }
+
+            await prisma.campaignRecipient.update({
+                where: { id: recipient.id },
+                data: { status: RECIPIENT_STATUS.COMPLETED, outcome: 'sent', sentAt: new Date(), messageSid }
+            });
+            return true;
+        } catch (error) {
+            console.error(`[CampaignBroadcast] Message to recipient ${recipient.id} failed:`, error.message);
+            await prisma.campaignRecipient.update({
+                where: { id: recipient.id },
+                data: { status: RECIPIENT_STATUS.COMPLETED, outcome: 'failed', notes: error.message }
+            });
+            return false;
+        }
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Merge fields available in campaign messages: {{client.name}}, {{client.firstName}},
+     * {{client.email}}, {{client.phone}}, {{tenant.name}} and {{unsubscribe_url}}
+     */
+    getMergeContext(recipient, tenant, escape = (value) => value) {
+        const name = recipient.name || '';
+        return {
+            client: {
+                name: escape(name),
+                firstName: escape(name.split(' ')[0]),
+                email: escape(recipient.email || ''),
+                phone: escape(recipient.phone || '')
+            },
+            tenant: { name: escape(tenant?.name || '') },
+            unsubscribe_url: appUrl(`/api/campaigns/unsubscribe/${recipient.id}`)
+        };
+    }
+
+    renderSms(campaign, recipient, tenant) {
+        const text = workflowService.resolveField(campaign.message, this.getMergeContext(recipient, tenant));
+        // Carriers expect every marketing text to say how to opt out
+        return /\bSTOP\b/i.test(text) ? text : `${text}\nReply STOP to opt out.`;
+    }
+
+    /**
+     * Merged email with tracked links, an unsubscribe link and the open pixel, and the
+     * List-Unsubscribe headers mail clients use for their one-click unsubscribe (RFC 8058)
+     * @returns {{ subject: string, html: string, headers: object }}
+     */
+    renderEmail(campaign, recipient, tenant) {
+        const subject = workflowService.resolveField(campaign.subject, this.getMergeContext(recipient, tenant));
+        const unsubscribeUrl = appUrl(`/api/campaigns/unsubscribe/${recipient.id}`);
+        let html = this.mergeEmailBody(campaign, recipient, tenant);
+
+        // Links are numbered in order; recordClick finds the target by the same numbering
+        let index = 0;
+        html = html.replace(LINK_PATTERN, (match, url) => {
+            const link = index++;
+            return url === unsubscribeUrl
+                ? match
+                : `href="${appUrl(`/api/campaigns/track/${recipient.id}/click/${link}`)}"`;
+        });
+
+        if (!campaign.message.includes('{{unsubscribe_url}}')) {
+            html += `<p style="font-size:12px;color:#888">Don't want these emails? <a href="${unsubscribeUrl}">Unsubscribe</a></p>`;
+        }
+        html += `<img src="${appUrl(`/api/campaigns/track/${recipient.id}/open.gif`)}" width="1" height="1" alt="" />`;
+
+        const headers = {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        };
+        return { subject, html, headers };
+    }
+
+    mergeEmailBody(campaign, recipient, tenant) {
+        return workflowService.resolveField(campaign.message, this.getMergeContext(recipient, tenant, escapeHtml));
+    }
+
+    // ==================== TRACKING ====================
+
+    /**
+     * Twilio SMS status callback for a campaign message
+     * @param {object} params - Twilio webhook body (MessageStatus, ErrorCode)
+     */
+    async handleSmsStatus(params, { tenantId, recipientId }) {
+        const recipient = await prisma.campaignRecipient.findFirst({ where: { id: recipientId, tenantId } });
+        if (!recipient || recipient.outcome === 'delivered') return;
+
+        let data;
+        if (params.MessageStatus === 'delivered') {
+            data = { outcome: 'delivered', deliveredAt: new Date() };
+        } else if (UNDELIVERED_STATUSES.includes(params.MessageStatus)) {
+            data = { outcome: 'failed', notes: `Not delivered${params.ErrorCode ? ` (Twilio error ${params.ErrorCode})` : ''}` };
+        } else {
+            return;
+        }
+
+        await prisma.campaignRecipient.update({ where: { id: recipient.id }, data });
+        await campaignService.emitProgress(tenantId, recipient.campaignId);
+    }
+
+    /**
+     * Email opened (tracking pixel loaded); only the first open counts
+     */
+    async recordOpen(recipientId) {
+        const recipient = await prisma.campaignRecipient.findUnique({ where: { id: recipientId } });
+        if (!recipient) return;
+
+        const { count } = await prisma.campaignRecipient.updateMany({
+            where: { id: recipientId, openedAt: null },
+            data: { openedAt: new Date() }
+        });
+        if (count > 0) {
+            await prisma.campaign.update({ where: { id: recipient.campaignId }, data: { openCount: { increment: 1 } } });
+            await campaignService.emitProgress(recipient.tenantId, recipient.campaignId);
+        }
+    }
+
+    /**
+     * Link clicked: record it and return where to send the reader.
+     * Only links that are in the email can be targets, so this is not an open redirect.
+     * @returns {string|null} The original link
+     */
+    async recordClick(recipientId, linkIndex) {
+        const recipient = await prisma.campaignRecipient.findUnique({
+            where: { id: recipientId },
+            include: { campaign: true }
+        });
+        if (!recipient || recipient.campaign.type !== 'email') return null;
+
+        const tenant = await prisma.tenant.findUnique({ where: { id: recipient.tenantId }, select: { name: true } });
+        const html = this.mergeEmailBody(recipient.campaign, recipient, tenant);
+        const links = [...html.matchAll(LINK_PATTERN)].map(match => match[1].replace(/&amp;/g, '&'));
+        const target = links[Number(linkIndex)];
+        if (!target) return null;
+
+        const now = new Date();
+        // A click means the email was opened, even when images were blocked
+        await prisma.campaignRecipient.updateMany({ where: { id: recipientId, clickedAt: null }, data: { clickedAt: now } });
+        if (!recipient.openedAt) await this.recordOpen(recipientId);
+
+        return target;
+    }
+
+    /**
+     * Unsubscribe link in a campaign email, or opt-out for an SMS recipient
+     * @returns {object|null} The do-not-contact entry
+     */
+    async unsubscribe(recipientId) {
+        const recipient = await prisma.campaignRecipient.findUnique({
+            where: { id: recipientId },
+            include: { campaign: { select: { type: true } } }
+        });
+        if (!recipient) return null;
+
+        const email = recipient.campaign.type === 'email';
+        return campaignService.addDoNotContact(recipient.tenantId, {
+            phone: email ? undefined : recipient.phone,
+            email: email ? recipient.email : undefined,
+            channel: email ? 'email' : 'sms',
+            reason: 'Unsubscribed from a campaign',
+            source: 'unsubscribe'
+        });
+    }
+
+    /**
+     * A message stuck in "sending" may or may not have gone out; record it as failed
+     * rather than risk messaging the person twice
+     */
+    async failStaleSends(now = new Date()) {
+        const { count } = await prisma.campaignRecipient.updateMany({
+            where: {
+                status: RECIPIENT_STATUS.SENDING,
+                lastAttemptAt: { lt: new Date(now.getTime() - STALE_SEND_MS) }
+            },
+            data: { status: RECIPIENT_STATUS.COMPLETED, outcome: 'failed', notes: 'Sending was interrupted' }
+        });
+        return count;
+    }
+}
+
+module.exports = new CampaignBroadcastService();
+module.exports.TRACKING_PIXEL = TRACKING_PIXEL;
@@ -0,0 +1,252 @@
+const twilio = require('twilio');
+const prisma = require('../lib/prisma');
+const { isOpen } = require('../utils/businessHours');
+const { twilioWebhookUrl } = require('../utils/webhookUrl');
+const campaignService = require('./campaignService');
+const twilioService = require('./twilioService');
+
+const { CAMPAIGN_STATUS, RECIPIENT_STATUS } = campaignService;
+
+// Twilio call statuses that mean nobody picked up; these are retried
+const UNANSWERED_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+// A call stuck in "calling" this long lost its status callback
+const STALE_CALL_MS = 30 * 60 * 1000;
+
+/**
+ * Places the calls of running voice campaigns.
+ * Each campaign keeps up to settings.maxConcurrent calls open inside its calling
+ * window. The cron tick and every finished call top the campaign back up.
+ */
+class CampaignDialerService {
+    /**
+     * Cron entry point: dial every running voice campaign
+     * @returns {number} Calls placed
+     */
+    async tick(now = new Date()) {
+        await this.releaseStaleCalls(now);
+
+        const campaigns = await prisma.campaign.findMany({
+            where: { type: 'voice', status: CAMPAIGN_STATUS.RUNNING },
+            select: { id: true, tenantId: true }
+        });
+
+        let placed = 0;
+        for (const campaign of campaigns) {
+            try {
+                placed += await this.dialCampaign(campaign.tenantId, campaign.id, now);
+            } catch (error) {
+                console.error(`[CampaignDialer] Failed to dial campaign ${campaign.id}:`, error.message);
+            }
+        }
+        return placed;
+    }
+
+    /**
+     * Fill the campaign's free call slots, or complete it when everyone was reached
+     * @returns {number} Calls placed
+     */
+    async dialCampaign(tenantId, campaignId, now = new Date()) {
+        const campaign = await prisma.campaign.findFirst({
+            where: { id: campaignId, tenantId },
+            include: { tenant: { select: { timezone: true, businessHours: true } } }
+        });
+        if (!campaign || campaign.status !== CAMPAIGN_STATUS.RUNNING) return 0;
+
+        const settings = campaign.settings || {};
+        const [active, remaining] = await Promise.all([
+            prisma.campaignRecipient.count({ where: { campaignId, status: RECIPIENT_STATUS.CALLING } }),
+            prisma.campaignRecipient.count({ where: { campaignId, status: RECIPIENT_STATUS.PENDING } })
+        ]);
+
+        if (active === 0 && remaining === 0) {
+            await prisma.campaign.update({
+                where: { id: campaignId },
+                data: { status: CAMPAIGN_STATUS.COMPLETED, completedAt: now }
+            });
+            await campaignService.emitProgress(tenantId, campaignId);
+            return 0;
+        }
+
+        const window = settings.callingWindow || campaign.tenant?.businessHours;
+        if (!isOpen(window, campaign.tenant?.timezone || 'UTC', now)) return 0;
+
+        const slots = (settings.maxConcurrent || 1) - active;
+        if (slots <= 0) return 0;
+
+        const due = await prisma.campaignRecipient.findMany({
+            where: { campaignId, status: RECIPIENT_STATUS.PENDING, nextAttemptAt: { lte: now } },
+            orderBy: { nextAttemptAt: 'asc' },
+            take: slots
+        });
+
+        let placed = 0;
+        for (const recipient of due) {
+            // Claim the recipient so an overlapping tick cannot call them twice
+            const { count } = await prisma.campaignRecipient.updateMany({
+                where: { id: recipient.id, status: RECIPIENT_STATUS.PENDING },
+                data: {
+                    status: RECIPIENT_STATUS.CALLING,
+                    attempts: { increment: 1 },
+                    lastAttemptAt: now
+                }
+            });
+            if (count === 0) continue;
+
+            // The list can grow while the campaign runs
+            if (await campaignService.isBlocked(tenantId, recipient.phone, 'voice')) {
+                await prisma.campaignRecipient.update({
+                    where: { id: recipient.id },
+                    data: { status: RECIPIENT_STATUS.SKIPPED, notes: 'On the do-not-contact list' }
+                });
+                continue;
+            }
+
+            if (await this.placeCall(campaign, recipient)) placed++;
+        }
+
+        if (due.length > 0) await campaignService.emitProgress(tenantId, campaignId);
+        return placed;
+    }
+
+    /**
+     * Start one AI call. The AI joins through the outbound media stream webhook.
+     * @returns {boolean} Whether Twilio accepted the call
+     */
+    async placeCall(campaign, recipient) {
+        const query = { tenantId: campaign.tenantId, campaignId: campaign.id, recipientId: recipient.id };
+
+        try {
+            const { client, phoneNumber } = await twilioService.getClientForTenant(campaign.tenantId);
+
+            const call = await client.calls.create({
+                to: recipient.phone,
+                from: phoneNumber,
+                url: twilioWebhookUrl('/webhook/voice/outbound-stream', query),
+                machineDetection: 'Enable',
+                statusCallback: twilioWebhookUrl('/webhook/campaign/status', query),
+                statusCallbackEvent: ['completed']
+            });
+
+            await prisma.campaignRecipient.update({
+                where: { id: recipient.id },
+                data: { callSid: call.sid }
+            });
+            await prisma.campaign.update({
+                where: { id: campaign.id },
+                data: { sentCount: { increment: 1 } }
+            });
+            return true;
+        } catch (error) {
+            console.error(`[CampaignDialer] Call to recipient ${recipient.id} failed:`, error.message);
+            await this.finishAttempt(campaign, { ...recipient, attempts: recipient.attempts + 1 }, { answered: false });
+            return false;
+        }
+    }
+
+    /**
+     * Status callback for a campaign call
+     * @param {object} params - Twilio webhook body (CallStatus, AnsweredBy)
+     * @param {object} query - { tenantId, campaignId, recipientId } from the callback URL
+     */
+    async handleCallStatus(params, { tenantId, campaignId, recipientId }) {
+        const [campaign, recipient] = await Promise.all([
+            prisma.campaign.findFirst({ where: { id: campaignId, tenantId } }),
+            prisma.campaignRecipient.findFirst({ where: { id: recipientId, tenantId } })
+        ]);
+        if (!campaign || !recipient || recipient.status !== RECIPIENT_STATUS.CALLING) return;
+
+        const answered = !UNANSWERED_STATUSES.includes(params.CallStatus);
+        const machine = String(params.AnsweredBy || '').startsWith('machine');
+        await this.finishAttempt(campaign, recipient, { answered, machine });
+
+        // Free slot: call the next person straight away
+        await this.dialCampaign(tenantId, campaignId);
+    }
+
+    /**
+     * Close the current attempt: keep the AI's outcome, retry unanswered calls while
+     * the retry policy allows, otherwise settle on no_answer
+     */
+    async finishAttempt(campaign, recipient, { answered, machine = false }) {
+        const retry = campaign.settings?.retry || {};
+        const maxAttempts = retry.maxAttempts || 1;
+        let data;
+
+        if (answered && !machine) {
+            // Outcome comes from the AI (record_call_outcome); drop a no_answer left by an earlier attempt
+            data = {
+                status: RECIPIENT_STATUS.COMPLETED,
+                outcome: recipient.outcome === 'no_answer' ? null : recipient.outcome
+            };
+        } else if (answered && machine) {
+            data = { status: RECIPIENT_STATUS.COMPLETED, outcome: 'voicemail' };
+        } else if (recipient.attempts < maxAttempts && campaign.status !== CAMPAIGN_STATUS.CANCELLED) {
+            data = {
+                status: RECIPIENT_STATUS.PENDING,
+                outcome: 'no_answer',
+                nextAttemptAt: new Date(Date.now() + (retry.delayMinutes || 60) * 60 * 1000)
+            };
+        } else {
+            data = { status: RECIPIENT_STATUS.COMPLETED, outcome: 'no_answer' };
+        }
+
+        await prisma.campaignRecipient.update({ where: { id: recipient.id }, data });
+        await campaignService.emitProgress(campaign.tenantId, campaign.id);
+    }
+
+    /**
+     * TwiML for a campaign call answered by a machine: leave the voicemail message, if any
+     */
+    async buildMachineTwiml(tenantId, campaignId) {
+        const campaign = await prisma.campaign.findFirst({
+            where: { id: campaignId, tenantId },
+            select: { settings: true }
+        });
+
+        const response = new twilio.twiml.VoiceResponse();
+        if (campaign?.settings?.voicemailMessage) {
+            response.pause({ length: 1 });
+            response.say(campaign.settings.voicemailMessage);
+        }
+        response.hangup();
+        return response.toString();
+    }
+
+    /**
+     * What the AI needs to run a campaign call (voiceService, on stream start)
+     */
+    async getCallContext(tenantId, recipientId) {
+        const recipient = await prisma.campaignRecipient.findFirst({
+            where: { id: recipientId, tenantId },
+            include: { campaign: { select: { id: true, name: true, script: true, goal: true } } }
+        });
+        if (!recipient) return null;
+
+        return {
+            recipientId: recipient.id,
+            campaignId: recipient.campaign.id,
+            campaignName: recipient.campaign.name,
+            script: recipient.campaign.script,
+            goal: recipient.campaign.goal,
+            recipientName: recipient.name,
+            phone: recipient.phone
+        };
+    }
+
+    /**
+     * Put calls whose status callback never arrived back in the queue
+     */
+    async releaseStaleCalls(now = new Date()) {
+        const { count } = await prisma.campaignRecipient.updateMany({
+            where: {
+                status: RECIPIENT_STATUS.CALLING,
+                lastAttemptAt: { lt: new Date(now.getTime() - STALE_CALL_MS) }
+            },
+            data: { status: RECIPIENT_STATUS.PENDING }
+        });
+        return count;
+    }
+}
+
+module.exports = new CampaignDialerService();
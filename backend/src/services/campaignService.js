@@ -0,0 +1,412 @@
+const prisma = require('../lib/prisma');
+const socketService = require('./socketService');
+const AppError = require('../utils/AppError');
+const { normalizePhone, normalizeEmail } = require('../utils/contact');
+const { voiceCampaignSettingsSchema, messageCampaignSettingsSchema, formatZodIssues } = require('../schemas/validation');
+
+const CAMPAIGN_STATUS = {
+    DRAFT: 'draft',
+    SCHEDULED: 'scheduled',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const RECIPIENT_STATUS = {
+    PENDING: 'pending',
+    CALLING: 'calling', // Voice
+    SENDING: 'sending', // SMS and email
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped'
+};
+
+// Replies that opt a number out of, or back into, SMS (the keywords Twilio honours)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+
+// The campaign type is also the do-not-contact channel it checks
+const usesEmail = (type) => type === 'email';
+
+/**
+ * Campaigns: audience, lifecycle, do-not-contact list and progress.
+ * Placing the calls is campaignDialerService's job; sending SMS and email is
+ * campaignBroadcastService's.
+ */
+class CampaignService {
+    async createCampaign(tenantId, data, userId) {
+        return prisma.campaign.create({
+            data: {
+                tenantId,
+                name: data.name,
+                type: data.type,
+                status: CAMPAIGN_STATUS.DRAFT,
+                script: data.script,
+                goal: data.goal,
+                subject: data.subject,
+                message: data.message,
+                scheduledAt: data.scheduledAt,
+                segment: data.segment,
+                settings: data.settings,
+                createdById: userId
+            }
+        });
+    }
+
+    /**
+     * Edit a campaign. The audience is fixed once the campaign has started.
+     */
+    async updateCampaign(tenantId, id, data) {
+        const campaign = await this.getCampaign(tenantId, id);
+        if (!campaign) return null;
+
+        const notStarted = [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED];
+        if (![...notStarted, CAMPAIGN_STATUS.PAUSED].includes(campaign.status)) {
+            throw new AppError(`A ${campaign.status} campaign cannot be edited`, 409, 'CAMPAIGN_STATE');
+        }
+        if (data.segment && !notStarted.includes(campaign.status)) {
+            throw new AppError('The audience cannot be changed after the campaign has started', 409, 'CAMPAIGN_STATE');
+        }
+
+        // settings is replaced as a whole, with the defaults of the campaign's type
+        if (data.settings) {
+            const schema = campaign.type === 'voice' ? voiceCampaignSettingsSchema : messageCampaignSettingsSchema;
+            const parsed = schema.safeParse(data.settings);
+            if (!parsed.success) {
+                const [issue] = formatZodIssues(parsed.error);
+                throw new AppError(`Invalid settings: ${issue.field} ${issue.message}`.trim(), 400, 'VALIDATION_ERROR');
+            }
+            data = { ...data, settings: parsed.data };
+        }
+
+        return prisma.campaign.update({ where: { id }, data });
+    }
+
+    getCampaign(tenantId, id) {
+        return prisma.campaign.findFirst({ where: { id, tenantId } });
+    }
+
+    /**
+     * Clients and uploaded contacts a segment selects, one entry per phone number
+     * (voice, sms) or email address (email)
+     * @returns {Array<{ clientId: string|null, name: string|null, phone: string|null, email: string|null }>}
+     */
+    async resolveAudience(tenantId, segment, type = 'voice') {
+        const audience = new Map();
+        const field = usesEmail(type) ? 'email' : 'phone';
+        const keyOf = (person) => (usesEmail(type) ? normalizeEmail(person.email) : normalizePhone(person.phone));
+
+        const filters = [];
+        if (segment.clientIds?.length) filters.push({ id: { in: segment.clientIds } });
+        if (segment.tags?.length) filters.push({ tags: { hasSome: segment.tags } });
+        if (segment.source) filters.push({ source: segment.source });
+
+        const lastBooking = [];
+        if (segment.lastBookingAfter) {
+            lastBooking.push({ bookings: { some: { date: { gte: new Date(segment.lastBookingAfter) } } } });
+        }
+        if (segment.lastBookingBefore) {
+            const before = new Date(segment.lastBookingBefore);
+            lastBooking.push({ bookings: { some: { date: { lt: before } }, none: { date: { gte: before } } } });
+        }
+
+        if (filters.length > 0 || lastBooking.length > 0) {
+            const clients = await prisma.client.findMany({
+                where: {
+                    tenantId,
+                    [field]: { not: null },
+                    AND: [...(filters.length > 0 ? [{ OR: filters }] : []), ...lastBooking]
+                },
+                select: { id: true, name: true, phone: true, email: true }
+            });
+            for (const client of clients) {
+                const key = keyOf(client);
+                if (key && !audience.has(key)) {
+                    audience.set(key, {
+                        clientId: client.id,
+                        name: client.name,
+                        phone: normalizePhone(client.phone),
+                        email: normalizeEmail(client.email)
+                    });
+                }
+            }
+        }
+
+        for (const contact of segment.contacts || []) {
+            const key = keyOf(contact);
+            if (key && !audience.has(key)) {
+                audience.set(key, {
+                    clientId: null,
+                    name: contact.name || null,
+                    phone: normalizePhone(contact.phone),
+                    email: normalizeEmail(contact.email)
+                });
+            }
+        }
+
+        return [...audience.values()];
+    }
+
+    /**
+     * Start a draft campaign. SMS and email campaigns with a future scheduledAt wait
+     * in "scheduled" until campaignBroadcastService launches them.
+     */
+    async startCampaign(tenantId, id, now = new Date()) {
+        const campaign = await this.getCampaign(tenantId, id);
+        if (!campaign) return null;
+        if (campaign.status !== CAMPAIGN_STATUS.DRAFT) {
+            throw new AppError(`Only draft campaigns can be started (this one is ${campaign.status})`, 409, 'CAMPAIGN_STATE');
+        }
+
+        if (campaign.type !== 'voice' && campaign.scheduledAt > now) {
+            const audience = await this.resolveAudience(tenantId, campaign.segment || {}, campaign.type);
+            if (audience.length === 0) throw this.emptyAudienceError(campaign.type);
+
+            return prisma.campaign.update({ where: { id }, data: { status: CAMPAIGN_STATUS.SCHEDULED } });
+        }
+
+        return this.launchCampaign(campaign);
+    }
+
+    /**
+     * Snapshot the audience into recipients, minus the do-not-contact list, and set the
+     * campaign running for the dialer or broadcaster to pick up
+     */
+    async launchCampaign(campaign) {
+        const { id, tenantId, type } = campaign;
+
+        const audience = await this.resolveAudience(tenantId, campaign.segment || {}, type);
+        if (audience.length === 0) throw this.emptyAudienceError(type);
+
+        const addressOf = (person) => (usesEmail(type) ? person.email : person.phone);
+        const blocked = await this.getBlocked(tenantId, audience.map(addressOf), type);
+
+        await prisma.campaignRecipient.createMany({
+            data: audience.map(person => ({
+                campaignId: id,
+                tenantId,
+                clientId: person.clientId,
+                name: person.name,
+                phone: person.phone,
+                email: person.email,
+                ...(blocked.has(addressOf(person))
+                    ? { status: RECIPIENT_STATUS.SKIPPED, notes: 'On the do-not-contact list' }
+                    : {})
+            }))
+        });
+
+        const started = await prisma.campaign.update({
+            where: { id },
+            data: { status: CAMPAIGN_STATUS.RUNNING, startedAt: new Date() }
+        });
+
+        await this.emitProgress(tenantId, id);
+        return started;
+    }
+
+    emptyAudienceError(type) {
+        const contact = usesEmail(type) ? 'an email address' : 'a phone number';
+        return new AppError(`The campaign segment does not match anyone with ${contact}`, 400, 'EMPTY_AUDIENCE');
+    }
+
+    /**
+     * Pause, resume or cancel a campaign
+     * Calls already in progress finish; cancelling skips everyone not yet reached.
+     */
+    async setStatus(tenantId, id, status) {
+        const campaign = await this.getCampaign(tenantId, id);
+        if (!campaign) return null;
+
+        const allowed = {
+            [CAMPAIGN_STATUS.PAUSED]: [CAMPAIGN_STATUS.RUNNING],
+            [CAMPAIGN_STATUS.RUNNING]: [CAMPAIGN_STATUS.PAUSED],
+            [CAMPAIGN_STATUS.CANCELLED]: [
+                CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.RUNNING, CAMPAIGN_STATUS.PAUSED
+            ]
+        };
+        if (!allowed[status]?.includes(campaign.status)) {
+            throw new AppError(`Cannot change a ${campaign.status} campaign to ${status}`, 409, 'CAMPAIGN_STATE');
+        }
+
+        if (status === CAMPAIGN_STATUS.CANCELLED) {
+            await prisma.campaignRecipient.updateMany({
+                where: { campaignId: id, status: RECIPIENT_STATUS.PENDING },
+                data: { status: RECIPIENT_STATUS.SKIPPED, notes: 'Campaign cancelled' }
+            });
+        }
+
+        const updated = await prisma.campaign.update({
+            where: { id },
+            data: {
+                status,
+                completedAt: status === CAMPAIGN_STATUS.CANCELLED ? new Date() : undefined
+            }
+        });
+
+        await this.emitProgress(tenantId, id);
+        return updated;
+    }
+
+    /**
+     * Recipient counts by status and by outcome, plus email opens and link clicks
+     */
+    async getStats(campaignId) {
+        const [byStatus, byOutcome, opened, clicked] = await Promise.all([
+            prisma.campaignRecipient.groupBy({ by: ['status'], where: { campaignId }, _count: { _all: true } }),
+            prisma.campaignRecipient.groupBy({ by: ['outcome'], where: { campaignId, outcome: { not: null } }, _count: { _all: true } }),
+            prisma.campaignRecipient.count({ where: { campaignId, openedAt: { not: null } } }),
+            prisma.campaignRecipient.count({ where: { campaignId, clickedAt: { not: null } } })
+        ]);
+
+        const status = Object.fromEntries(byStatus.map(row => [row.status, row._count._all]));
+        const outcomes = Object.fromEntries(byOutcome.map(row => [row.outcome, row._count._all]));
+        const total = Object.values(status).reduce((sum, count) => sum + count, 0);
+
+        return { total, status, outcomes, opened, clicked };
+    }
+
+    async emitProgress(tenantId, campaignId) {
+        try {
+            const [campaign, stats] = await Promise.all([
+                prisma.campaign.findFirst({ where: { id: campaignId, tenantId }, select: { status: true, sentCount: true } }),
+                this.getStats(campaignId)
+            ]);
+            socketService.sendToTenant(tenantId, 'campaign:progress', {
+                campaignId,
+                status: campaign?.status,
+                sent: campaign?.sentCount || 0,
+                ...stats,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`[CampaignService] Failed to emit progress for ${campaignId}:`, error.message);
+        }
+    }
+
+    /**
+     * Save what a campaign call achieved (record_call_outcome voice tool)
+     * @param {object} options - { outcome, notes, doNotCall }
+     */
+    async recordOutcome(tenantId, recipientId, { outcome, notes, doNotCall }) {
+        if (!recipientId) return null;
+        const recipient = await prisma.campaignRecipient.findFirst({ where: { id: recipientId, tenantId } });
+        if (!recipient) return null;
+
+        const updated = await prisma.campaignRecipient.update({
+            where: { id: recipientId },
+            data: {
+                outcome,
+                notes: notes || recipient.notes
+            }
+        });
+
+        if (doNotCall && recipient.phone) {
+            await this.addDoNotContact(tenantId, {
+                phone: recipient.phone,
+                channel: 'all',
+                reason: 'Asked not to be contacted during a campaign call',
+                source: 'call'
+            });
+        }
+
+        await this.emitProgress(tenantId, recipient.campaignId);
+        return updated;
+    }
+
+    // ==================== DO-NOT-CONTACT ====================
+
+    /**
+     * Phones (voice, sms) or email addresses (email) from the list that must not be
+     * contacted on a channel
+     * @returns {Set<string>}
+     */
+    async getBlocked(tenantId, addresses, channel) {
+        const field = usesEmail(channel) ? 'email' : 'phone';
+        const values = addresses.filter(Boolean);
+        if (values.length === 0) return new Set();
+
+        const entries = await prisma.doNotContact.findMany({
+            where: {
+                tenantId,
+                [field]: { in: values },
+                // "all" covers every phone channel; email opt-outs are kept separately
+                channel: { in: usesEmail(channel) ? ['email'] : ['all', channel] }
+            },
+            select: { [field]: true }
+        });
+        return new Set(entries.map(entry => entry[field]));
+    }
+
+    async isBlocked(tenantId, address, channel) {
+        const normalized = usesEmail(channel) ? normalizeEmail(address) : normalizePhone(address);
+        return (await this.getBlocked(tenantId, [normalized], channel)).size > 0;
+    }
+
+    addDoNotContact(tenantId, { phone, email, channel = 'all', reason, source = 'manual' }) {
+        if (usesEmail(channel)) {
+            const normalized = normalizeEmail(email);
+            return prisma.doNotContact.upsert({
+                where: { tenantId_email_channel: { tenantId, email: normalized, channel } },
+                update: { reason },
+                create: { tenantId, email: normalized, channel, reason, source }
+            });
+        }
+
+        const normalized = normalizePhone(phone);
+        return prisma.doNotContact.upsert({
+            where: { tenantId_phone_channel: { tenantId, phone: normalized, channel } },
+            update: { reason },
+            create: { tenantId, phone: normalized, channel, reason, source }
+        });
+    }
+
+    /**
+     * Lift an opt-out for one channel, e.g. when someone texts START after STOP
+     */
+    async removeDoNotContactFor(tenantId, { phone, email, channel }) {
+        const where = usesEmail(channel)
+            ? { tenantId, email: normalizeEmail(email), channel }
+            : { tenantId, phone: normalizePhone(phone), channel };
+        const { count } = await prisma.doNotContact.deleteMany({ where });
+        return count > 0;
+    }
+
+    /**
+     * Opt-out keywords in an inbound SMS (carrier standard STOP / START words)
+     * @returns {'opt_out'|'opt_in'|null} What the message did, or null for an ordinary message
+     */
+    async handleOptOutKeyword(tenantId, phone, body) {
+        const keyword = String(body || '').trim().toUpperCase();
+
+        if (OPT_OUT_KEYWORDS.includes(keyword)) {
+            await this.addDoNotContact(tenantId, { phone, channel: 'sms', reason: `Replied ${keyword}`, source: 'sms_stop' });
+            return 'opt_out';
+        }
+        // "YES" is also an ordinary answer; it only counts when the number had opted out
+        if (OPT_IN_KEYWORDS.includes(keyword) && await this.removeDoNotContactFor(tenantId, { phone, channel: 'sms' })) {
+            return 'opt_in';
+        }
+        return null;
+    }
+
+    listDoNotContact(tenantId, { page = 1, limit = 50 } = {}) {
+        return Promise.all([
+            prisma.doNotContact.findMany({
+                where: { tenantId },
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.doNotContact.count({ where: { tenantId } })
+        ]);
+    }
+
+    async removeDoNotContact(tenantId, id) {
+        const { count } = await prisma.doNotContact.deleteMany({ where: { id, tenantId } });
+        return count > 0;
+    }
+}
+
+module.exports = new CampaignService();
+module.exports.CAMPAIGN_STATUS = CAMPAIGN_STATUS;
+module.exports.RECIPIENT_STATUS = RECIPIENT_STATUS;
@@ -418,12 +418,12 @@ function getProviderInfo() {
  * Groups messages by call session for voice calls
  */
 async function getUnifiedHistory(tenantId, options = {}) {
-    const { limit = 100 } = options;
+    const { limit = 100, clientId } = options;
 
     try {
-        // Get all messages
+        // Get all messages, or one client's across their conversations
         const messages = await prisma.message.findMany({
-            where: { tenantId },
+            where: { tenantId, ...(clientId ? { conversation: { clientId } } : {}) },
             orderBy: { createdAt: 'asc' },
             take: limit,
             include: {
@@ -444,6 +444,7 @@ async function getUnifiedHistory(tenantId, options = {}) {
             role: msg.role,
             content: msg.content,
             source: msg.source,
+            conversationId: msg.conversationId,
             timestamp: msg.createdAt,
             callContext: msg.callSession ? {
                 sessionId: msg.callSession.id,
@@ -1,4 +1,5 @@
 const prisma = require('../lib/prisma');
+const eventBus = require('../lib/eventBus');
 
 class ClientService {
     async getClients(tenantId, search) {
@@ -106,7 +107,7 @@ class ClientService {
                 });
             }
 
-            return prisma.client.create({
+            const client = await prisma.client.create({
                 data: {
                     tenantId,
                     name,
@@ -116,6 +117,9 @@ class ClientService {
                     source
                 }
             });
+
+            eventBus.emit('client:created', { tenantId, clientId: client.id });
+            return client;
         } catch (error) {
             console.error('[ClientService] captureClient Error:', error);
             return null;
@@ -128,7 +132,7 @@ class ClientService {
 
         // potential duplicate check could go here
 
-        return prisma.client.create({
+        const client = await prisma.client.create({
             data: {
                 tenantId,
                 name,
@@ -137,6 +141,9 @@ class ClientService {
                 notes
             }
         });
+
+        eventBus.emit('client:created', { tenantId, clientId: client.id });
+        return client;
     }
 
 
@@ -151,6 +158,43 @@ class ClientService {
         });
     }
 
+    async updateClientNotes(tenantId, id, notes, { append = true } = {}) {
+        const client = await prisma.client.findFirst({ where: { id, tenantId } });
+        if (!client) throw new Error('NOT_FOUND: Client not found');
+
+        return prisma.client.update({
+            where: { id },
+            data: {
+                notes: append && client.notes ? `${client.notes}\n${notes}` : notes
+            }
+        });
+    }
+
+    async addTags(tenantId, id, tags) {
+        const client = await prisma.client.findFirst({ where: { id, tenantId } });
+        if (!client) throw new Error('NOT_FOUND: Client not found');
+
+        const merged = [...new Set([...(client.tags || []), ...tags.map(t => t.trim()).filter(Boolean)])];
+
+        return prisma.client.update({
+            where: { id },
+            data: { tags: merged }
+        });
+    }
+
+    async assignClient(tenantId, id, userId) {
+        const client = await prisma.client.findFirst({ where: { id, tenantId } });
+        if (!client) throw new Error('NOT_FOUND: Client not found');
+
+        const user = await prisma.user.findFirst({ where: { id: userId, tenantId } });
+        if (!user) throw new Error('NOT_FOUND: User not found in this organization');
+
+        return prisma.client.update({
+            where: { id },
+            data: { assignedToId: user.id }
+        });
+    }
+
     async deleteClient(tenantId, id) {
         const client = await prisma.client.findFirst({ where: { id, tenantId } });
         if (!client) throw new Error('NOT_FOUND: Client not found');
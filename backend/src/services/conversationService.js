@@ -0,0 +1,327 @@
+const prisma = require('../lib/prisma');
+const eventBus = require('../lib/eventBus');
+const socketService = require('./socketService');
+const campaignService = require('./campaignService');
+const AppError = require('../utils/AppError');
+const { normalizePhone, normalizeEmail } = require('../utils/contact');
+
+// Inbox previews are cut to this length
+const PREVIEW_LENGTH = 160;
+
+const CHANNELS = ['sms', 'chat', 'voice', 'email'];
+
+const smsSessionId = (phone) => `sms_${String(phone).replace(/\D/g, '')}`;
+const emailSessionId = (email) => `email_${normalizeEmail(email)}`;
+
+const CLIENT_SELECT = { id: true, name: true, email: true, phone: true };
+
+/**
+ * Conversations across channels. A conversation is one thread (an SMS number, a web chat
+ * session, a call, an email address) holding its Message rows, linked to the Client with
+ * the same phone or email so the client's timeline shows every channel.
+ * New messages and staff actions are pushed to the tenant's dashboards over socket.io.
+ */
+class ConversationService {
+    /**
+     * The client a phone number or email address belongs to
+     * @returns {string|null} Client id
+     */
+    async findClientId(tenantId, { phone, email }) {
+        const match = [];
+        if (phone) match.push({ phone }, { phone: normalizePhone(phone) });
+        if (email) match.push({ email: { equals: email, mode: 'insensitive' } });
+        if (match.length === 0) return null;
+
+        const client = await prisma.client.findFirst({ where: { tenantId, OR: match }, select: { id: true } });
+        return client?.id || null;
+    }
+
+    /**
+     * The conversation for a thread, created on first contact and linked to the matching client
+     * @param {object} thread - { channel, sessionId, phone, email, clientId }
+     */
+    async getOrCreateConversation(tenantId, { channel, sessionId, phone = null, email = null, clientId = null }) {
+        const existing = await prisma.conversation.findUnique({
+            where: { tenantId_sessionId: { tenantId, sessionId } }
+        });
+        if (existing) {
+            // Chat visitors can share their details part-way through
+            if (!existing.clientId && (phone || email || clientId)) {
+                const matched = clientId || await this.findClientId(tenantId, { phone, email });
+                if (matched) {
+                    return prisma.conversation.update({ where: { id: existing.id }, data: { clientId: matched } });
+                }
+            }
+            return existing;
+        }
+
+        phone = normalizePhone(phone);
+        email = normalizeEmail(email);
+        return prisma.conversation.upsert({
+            where: { tenantId_sessionId: { tenantId, sessionId } },
+            update: {},
+            create: {
+                tenantId,
+                channel,
+                sessionId,
+                phone,
+                email,
+                clientId: clientId || await this.findClientId(tenantId, { phone, email })
+            }
+        });
+    }
+
+    getOrCreateSmsConversation(tenantId, phone) {
+        return this.getOrCreateConversation(tenantId, { channel: 'sms', sessionId: smsSessionId(phone), phone });
+    }
+
+    getOrCreateEmailConversation(tenantId, email, clientId = null) {
+        return this.getOrCreateConversation(tenantId, { channel: 'email', sessionId: emailSessionId(email), email, clientId });
+    }
+
+    /**
+     * Store a message in a conversation and push it to the inbox
+     * @param {object} message - { role: 'user' | 'assistant' | 'staff' | 'campaign', content, userId, callSessionId }
+     */
+    async addMessage(conversation, { role, content, userId = null, callSessionId = null }) {
+        const saved = await prisma.message.create({
+            data: {
+                tenantId: conversation.tenantId,
+                sessionId: conversation.sessionId,
+                conversationId: conversation.id,
+                role,
+                content,
+                userId,
+                callSessionId,
+                source: conversation.channel
+            }
+        });
+
+        const updated = await prisma.conversation.update({
+            where: { id: conversation.id },
+            data: {
+                lastMessage: content.slice(0, PREVIEW_LENGTH),
+                lastActivityAt: saved.createdAt,
+                // Only the customer's messages are unread for staff; a new one reopens the thread
+                ...(role === 'user' ? { unreadCount: { increment: 1 }, status: 'open' } : {})
+            }
+        });
+
+        socketService.sendToTenant(conversation.tenantId, 'conversation:message', {
+            conversationId: conversation.id,
+            channel: conversation.channel,
+            clientId: conversation.clientId,
+            message: saved,
+            unreadCount: updated.unreadCount
+        });
+        return saved;
+    }
+
+    /**
+     * Inbox list, most recent activity first
+     * @param {object} options - { page, limit, channel, status, assigneeId, clientId, aiPaused, unread }
+     * @returns {[Array, number]} Conversations and the total count
+     */
+    listConversations(tenantId, { page = 1, limit = 20, channel, status, assigneeId, clientId, aiPaused, unread } = {}) {
+        const where = {
+            tenantId,
+            ...(channel ? { channel } : {}),
+            ...(status ? { status } : {}),
+            ...(assigneeId ? { assigneeId } : {}),
+            ...(clientId ? { clientId } : {}),
+            ...(aiPaused !== undefined ? { aiPaused } : {}),
+            ...(unread ? { unreadCount: { gt: 0 } } : {})
+        };
+
+        return Promise.all([
+            prisma.conversation.findMany({
+                where,
+                orderBy: { lastActivityAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit,
+                include: {
+                    client: { select: CLIENT_SELECT },
+                    assignee: { select: { id: true, name: true, email: true } }
+                }
+            }),
+            prisma.conversation.count({ where })
+        ]);
+    }
+
+    getConversation(tenantId, id) {
+        return prisma.conversation.findFirst({
+            where: { id, tenantId },
+            include: {
+                client: { select: CLIENT_SELECT },
+                assignee: { select: { id: true, name: true, email: true } }
+            }
+        });
+    }
+
+    /**
+     * A page of the thread, oldest first. Pass `before` (a message timestamp) for older pages.
+     */
+    async getMessages(conversation, { limit = 50, before } = {}) {
+        const messages = await prisma.message.findMany({
+            where: {
+                tenantId: conversation.tenantId,
+                conversationId: conversation.id,
+                ...(before ? { createdAt: { lt: new Date(before) } } : {})
+            },
+            orderBy: { createdAt: 'desc' },
+            take: limit
+        });
+        return messages.reverse();
+    }
+
+    async markRead(tenantId, id) {
+        const { count } = await prisma.conversation.updateMany({
+            where: { id, tenantId },
+            data: { unreadCount: 0 }
+        });
+        return count > 0;
+    }
+
+    /**
+     * Text the customer as a staff member. Replying takes the thread over from the AI.
+     */
+    async reply(tenantId, id, userId, body) {
+        const conversation = await this.getConversation(tenantId, id);
+        if (!conversation) return null;
+
+        if (conversation.channel !== 'sms') {
+            throw new AppError(`Replies are not supported on ${conversation.channel} conversations`, 400, 'UNSUPPORTED_CHANNEL');
+        }
+        if (await campaignService.isBlocked(tenantId, conversation.phone, 'sms')) {
+            throw new AppError('This number has opted out of text messages', 409, 'OPTED_OUT');
+        }
+
+        // Loaded lazily: twilioService requires this module
+        const twilioService = require('./twilioService');
+        await twilioService.sendSms(tenantId, conversation.phone, body);
+
+        const message = await this.addMessage(conversation, { role: 'staff', content: body, userId });
+        if (!conversation.aiPaused) {
+            await this.setAiPaused(tenantId, id, true, userId);
+        }
+        await this.markRead(tenantId, id);
+        return message;
+    }
+
+    /**
+     * Pause or resume the AI on one thread
+     */
+    async setAiPaused(tenantId, id, paused, userId) {
+        return this.updateConversation(tenantId, id, {
+            aiPaused: paused,
+            aiPausedAt: paused ? new Date() : null,
+            aiPausedById: paused ? userId : null
+        });
+    }
+
+    /**
+     * Change status, assignee or AI pause and tell the dashboards
+     * @param {object} data - { status, assigneeId, aiPaused, ... }
+     */
+    async updateConversation(tenantId, id, data) {
+        const conversation = await this.getConversation(tenantId, id);
+        if (!conversation) return null;
+
+        if (data.assigneeId) {
+            const assignee = await prisma.user.findFirst({ where: { id: data.assigneeId, tenantId }, select: { id: true } });
+            if (!assignee) throw new AppError('Assignee must be a member of this organization', 400, 'INVALID_ASSIGNEE');
+        }
+
+        const updated = await prisma.conversation.update({ where: { id }, data });
+
+        socketService.sendToTenant(tenantId, 'conversation:updated', {
+            conversationId: id,
+            status: updated.status,
+            assigneeId: updated.assigneeId,
+            aiPaused: updated.aiPaused,
+            aiPausedById: updated.aiPausedById
+        });
+        return updated;
+    }
+
+    /**
+     * Attach a client's earlier conversations once the client exists (client:created)
+     * @returns {number} Conversations linked
+     */
+    async linkClientConversations(tenantId, clientId) {
+        const client = await prisma.client.findFirst({ where: { id: clientId, tenantId }, select: { phone: true, email: true } });
+        if (!client || (!client.phone && !client.email)) return 0;
+
+        const match = [];
+        if (client.phone) match.push({ phone: normalizePhone(client.phone) });
+        if (client.email) match.push({ email: normalizeEmail(client.email) });
+
+        const { count } = await prisma.conversation.updateMany({
+            where: { tenantId, clientId: null, OR: match },
+            data: { clientId }
+        });
+        return count;
+    }
+
+    /**
+     * Everything that happened with a client, newest first: messages on every channel,
+     * calls, bookings and meeting minutes. Pass `before` (an item timestamp) for older pages.
+     * @returns {object|null} { client, items: [{ type, id, timestamp, channel, data }] }
+     */
+    async getClientTimeline(tenantId, clientId, { limit = 50, before } = {}) {
+        const client = await prisma.client.findFirst({ where: { id: clientId, tenantId }, select: CLIENT_SELECT });
+        if (!client) return null;
+
+        const createdBefore = before ? { createdAt: { lt: new Date(before) } } : {};
+        const phones = client.phone ? [...new Set([client.phone, normalizePhone(client.phone)])] : [];
+        const page = { orderBy: { createdAt: 'desc' }, take: limit };
+
+        const [messages, callSessions, inboundCalls, bookings, minutes] = await Promise.all([
+            prisma.message.findMany({
+                where: { tenantId, conversation: { clientId }, ...createdBefore },
+                include: { conversation: { select: { id: true, channel: true } } },
+                ...page
+            }),
+            prisma.callSession.findMany({
+                where: {
+                    tenantId,
+                    OR: [{ clientId }, ...(phones.length ? [{ callerPhone: { in: phones } }] : [])],
+                    ...createdBefore
+                },
+                ...page
+            }),
+            phones.length
+                ? prisma.inboundCall.findMany({ where: { tenantId, callerPhone: { in: phones }, ...createdBefore }, ...page })
+                : [],
+            prisma.booking.findMany({ where: { tenantId, clientId, ...createdBefore }, ...page }),
+            prisma.meetingMinute.findMany({ where: { tenantId, clientId, ...createdBefore }, ...page })
+        ]);
+
+        // AI-handled calls have both rows; keep the session, which carries the summary
+        const sessionCallSids = new Set(callSessions.map(call => call.callSid));
+
+        const items = [
+            ...messages.map(({ conversation, ...message }) => ({
+                type: 'message', id: message.id, timestamp: message.createdAt, channel: conversation.channel, data: message
+            })),
+            ...callSessions.map(call => ({ type: 'call', id: call.id, timestamp: call.createdAt, channel: 'voice', data: call })),
+            ...inboundCalls
+                .filter(call => !call.callSid || !sessionCallSids.has(call.callSid))
+                .map(call => ({ type: 'call', id: call.id, timestamp: call.createdAt, channel: 'voice', data: call })),
+            ...bookings.map(booking => ({ type: 'booking', id: booking.id, timestamp: booking.createdAt, data: booking })),
+            ...minutes.map(minute => ({ type: 'minutes', id: minute.id, timestamp: minute.createdAt, data: minute }))
+        ];
+
+        items.sort((a, b) => b.timestamp - a.timestamp);
+        return { client, items: items.slice(0, limit) };
+    }
+}
+
+module.exports = new ConversationService();
+module.exports.CHANNELS = CHANNELS;
+module.exports.smsSessionId = smsSessionId;
+
+eventBus.on('client:created', ({ tenantId, clientId }) => {
+    module.exports.linkClientConversations(tenantId, clientId)
+        .catch(err => console.error(`[ConversationService] Failed to link conversations to client ${clientId}:`, err.message));
+});
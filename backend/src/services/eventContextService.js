@@ -0,0 +1,151 @@
+const prisma = require('../lib/prisma');
+
+// Tenant fields that are safe to expose to workflow templates (no credentials/config)
+const TENANT_SELECT = {
+    id: true, name: true, location: true, timezone: true,
+    phoneNumber: true, brandColor: true, logoUrl: true, aiName: true
+};
+
+const USER_SELECT = { id: true, name: true, email: true, role: true, phoneNumber: true };
+
+// Payload keys that are replaced by hydrated objects rather than copied through
+const ENTITY_KEYS = ['tenant', 'owner', 'client', 'booking', 'call', 'minute', 'invite', 'user'];
+
+class EventContextService {
+    /**
+     * Resolve the tenant an event belongs to.
+     * Older emitters pass full objects instead of a tenantId.
+     */
+    getTenantId(payload = {}) {
+        return payload.tenantId
+            || payload.tenant?.id
+            || payload.booking?.tenantId
+            || payload.client?.tenantId
+            || payload.user?.tenantId
+            || null;
+    }
+
+    /**
+     * Turn an event payload (IDs or partial objects) into the workflow context
+     * documented in config/workflowEvents.js.
+     * Lookups are best-effort: a missing record leaves its key unset.
+     */
+    async hydrate(eventName, payload = {}) {
+        const tenantId = this.getTenantId(payload);
+        const extras = Object.fromEntries(
+            Object.entries(payload).filter(([key]) => !ENTITY_KEYS.includes(key))
+        );
+
+        const context = {
+            ...extras,
+            tenantId,
+            event: eventName,
+            occurredAt: new Date().toISOString()
+        };
+
+        if (!tenantId) return context;
+
+        const [tenant, owner] = await Promise.all([
+            prisma.tenant.findUnique({ where: { id: tenantId }, select: TENANT_SELECT }),
+            prisma.user.findFirst({ where: { tenantId, role: 'OWNER' }, select: USER_SELECT })
+        ]);
+        context.tenant = tenant;
+        context.owner = owner;
+
+        const bookingId = payload.bookingId || payload.booking?.id;
+        if (bookingId) {
+            const booking = await prisma.booking.findFirst({
+                where: { id: bookingId, tenantId },
+                include: { client: true }
+            });
+            if (booking) {
+                const { client, ...rest } = booking;
+                context.booking = { ...rest, localDate: this.formatLocalDate(rest.date, tenant?.timezone) };
+                context.client = client;
+            }
+        }
+
+        const callSessionId = payload.callSessionId || payload.call?.id;
+        if (callSessionId || payload.inboundCallId) {
+            context.call = await this.loadCall(tenantId, callSessionId, payload.inboundCallId);
+        }
+
+        const minuteId = payload.minuteId || payload.minute?.id;
+        if (minuteId) {
+            context.minute = await prisma.meetingMinute.findFirst({ where: { id: minuteId, tenantId } });
+        } else if (payload.content) {
+            context.minute = { content: payload.content, clientId: payload.clientId || payload.client?.id };
+        }
+
+        const inviteId = payload.inviteId || payload.invite?.id;
+        if (inviteId) {
+            context.invite = await prisma.invite.findFirst({
+                where: { id: inviteId, tenantId },
+                select: { id: true, email: true, role: true, acceptedAt: true, metadata: true }
+            });
+        }
+
+        const userId = payload.userId || payload.user?.id;
+        if (userId) {
+            context.user = await prisma.user.findFirst({ where: { id: userId, tenantId }, select: USER_SELECT });
+        }
+
+        if (!context.client) {
+            const clientId = payload.clientId
+                || payload.client?.id
+                || context.call?.clientId
+                || context.minute?.clientId;
+            if (clientId) {
+                context.client = await prisma.client.findFirst({ where: { id: clientId, tenantId } });
+            } else if (context.call?.callerPhone) {
+                context.client = await prisma.client.findFirst({
+                    where: { tenantId, phone: context.call.callerPhone },
+                    orderBy: { createdAt: 'desc' }
+                });
+            }
+        }
+
+        if (payload.reference || payload.amount !== undefined) {
+            context.payment = {
+                reference: payload.reference,
+                amount: payload.amount,
+                currency: payload.currency || 'USD',
+                plan: payload.plan
+            };
+        }
+
+        return context;
+    }
+
+    /**
+     * Human readable date in the tenant's timezone, for messages sent to clients
+     */
+    formatLocalDate(date, timezone) {
+        const options = { dateStyle: 'medium', timeStyle: 'short', timeZone: timezone || 'UTC' };
+        try {
+            return new Date(date).toLocaleString('en-US', options);
+        } catch (error) {
+            // Unknown timezone names throw a RangeError
+            return new Date(date).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+        }
+    }
+
+    /**
+     * Load a call from CallSession, falling back to the InboundCall log
+     */
+    async loadCall(tenantId, callSessionId, inboundCallId) {
+        if (callSessionId) {
+            const session = await prisma.callSession.findFirst({ where: { id: callSessionId, tenantId } });
+            if (session) return session;
+        }
+
+        if (inboundCallId) {
+            const inbound = await prisma.inboundCall.findFirst({ where: { id: inboundCallId, tenantId } });
+            if (inbound) return { ...inbound, direction: 'inbound' };
+        }
+
+        return null;
+    }
+}
+
+module.exports = new EventContextService();
@@ -0,0 +1,56 @@
+const jobQueueService = require('./jobQueueService');
+const notificationService = require('./notificationService');
+const workflowService = require('./workflowService');
+const aiAnalysisService = require('./aiAnalysisService');
+const summarizeService = require('./summarizeService');
+const voicemailService = require('./voicemailService');
+const callRecordingService = require('./callRecordingService');
+const prisma = require('../lib/prisma');
+const requestContext = require('../lib/context');
+
+/**
+ * Register the handler for every job type the app enqueues.
+ * Concurrency is per process; keep it low since the worker shares the web dyno.
+ */
+function registerJobHandlers() {
+    jobQueueService.register('email.send', async ({ to, subject, html }) => {
+        const info = await notificationService.deliverEmail(to, subject, html);
+        return { messageId: info?.messageId || null };
+    }, { concurrency: 2, maxAttempts: 5 });
+
+    jobQueueService.register('workflow.event', async ({ eventName, payload, parentWorkflowId, workflowDepth }) => {
+        const store = { ...requestContext.getStore(), workflowId: parentWorkflowId, workflowDepth };
+        const results = await requestContext.run(store, () => workflowService.handleDomainEvent(eventName, payload));
+        return { runs: (results || []).map(result => result.runId).filter(Boolean) };
+    }, { concurrency: 2, maxAttempts: 3 });
+
+    jobQueueService.register('call.process', async ({ callSessionId }) => {
+        const callSession = await prisma.callSession.findUnique({
+            where: { id: callSessionId },
+            select: { transcript: true }
+        });
+        // Calls without a conversation (e.g. scripted outbound calls) have nothing to summarize
+        if (!callSession?.transcript) return { skipped: 'No transcript' };
+
+        const minuteData = await summarizeService.processCompletedCall(callSessionId, { createMeetingMinute: true });
+        return { clientId: minuteData.clientId || null };
+    }, { concurrency: 1, maxAttempts: 3, backoffMs: 60 * 1000 });
+
+    jobQueueService.register('voicemail.notify', ({ callSid }, job) => voicemailService.notifyVoicemail(job.tenantId, callSid), {
+        concurrency: 1,
+        maxAttempts: 3
+    });
+
+    jobQueueService.register('recording.store', (payload, job) => callRecordingService.storeRecording(job.tenantId, payload), {
+        concurrency: 1,
+        maxAttempts: 5,
+        backoffMs: 60 * 1000
+    });
+
+    jobQueueService.register('chat.analyze', (payload) => aiAnalysisService.analyzeChatMessage(payload), {
+        concurrency: 2,
+        maxAttempts: 3
+    });
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,333 @@
+const os = require('os');
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const requestContext = require('../lib/context');
+
+const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    DEAD: 'dead'
+};
+
+const DEFAULT_OPTIONS = {
+    concurrency: 1,
+    maxAttempts: 5,
+    backoffMs: 30 * 1000
+};
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000', 10);
+
+// A job still 'running' after this long belongs to a worker that crashed or was redeployed
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Durable job queue on the jobs table.
+ * Runs inside the web process (single Render dyno); several processes can share
+ * the table safely because jobs are claimed with FOR UPDATE SKIP LOCKED.
+ */
+class JobQueueService {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.handlers = new Map(); // type -> { handler, concurrency, maxAttempts, backoffMs }
+        this.active = new Map();   // type -> number of jobs running in this process
+        this.inFlight = new Set();
+        this.timer = null;
+        this.started = false;
+        this.ticking = false;
+        this.wakeRequested = false;
+    }
+
+    /**
+     * Register the handler for a job type
+     * @param {string} type - e.g. 'email.send'
+     * @param {function} handler - async (payload, job) => result; throw to retry
+     * @param {object} options - { concurrency, maxAttempts, backoffMs }
+     */
+    register(type, handler, options = {}) {
+        this.handlers.set(type, { handler, ...DEFAULT_OPTIONS, ...options });
+    }
+
+    /**
+     * Persist a job. The tenant is taken from the request context when not given.
+     * @param {object} options - { tenantId, delayMs, runAt, maxAttempts }
+     */
+    async enqueue(type, payload = {}, options = {}) {
+        const registered = this.handlers.get(type);
+        const runAt = options.runAt
+            ? new Date(options.runAt)
+            : new Date(Date.now() + (options.delayMs || 0));
+
+        const job = await prisma.job.create({
+            data: {
+                type,
+                tenantId: options.tenantId !== undefined ? options.tenantId : (requestContext.getTenantId() || null),
+                payload: JSON.parse(JSON.stringify(payload)),
+                maxAttempts: options.maxAttempts || registered?.maxAttempts || DEFAULT_OPTIONS.maxAttempts,
+                runAt
+            }
+        });
+
+        if (runAt <= new Date()) this.wake();
+        return job;
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        console.log(`[JobQueue] Worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')})`);
+        this.schedule(0);
+    }
+
+    /**
+     * Stop polling and wait for running jobs. Jobs that do not finish in time are
+     * released so the next process picks them up without waiting for the stale lock.
+     */
+    async stop(timeoutMs = 10000) {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        let timeout;
+        await Promise.race([
+            Promise.allSettled([...this.inFlight]),
+            new Promise(resolve => { timeout = setTimeout(resolve, timeoutMs); })
+        ]);
+        clearTimeout(timeout);
+
+        if (this.inFlight.size > 0) {
+            await prisma.job.updateMany({
+                where: { status: JOB_STATUS.RUNNING, lockedBy: this.workerId },
+                data: { status: JOB_STATUS.PENDING, lockedAt: null, lockedBy: null }
+            }).catch(err => console.error('[JobQueue] Failed to release jobs:', err.message));
+        }
+    }
+
+    schedule(delayMs) {
+        if (!this.started) return;
+        this.timer = setTimeout(() => this.tick(), delayMs);
+        this.timer.unref?.();
+    }
+
+    /**
+     * Poll again right away, e.g. after an enqueue or when a slot frees up
+     */
+    wake() {
+        if (!this.started) return;
+        if (this.ticking) {
+            this.wakeRequested = true;
+            return;
+        }
+        clearTimeout(this.timer);
+        this.schedule(0);
+    }
+
+    async tick() {
+        this.ticking = true;
+        this.wakeRequested = false;
+        try {
+            await this.poll();
+        } catch (error) {
+            console.error('[JobQueue] Poll failed:', error.message);
+        } finally {
+            this.ticking = false;
+            this.schedule(this.wakeRequested ? 0 : POLL_INTERVAL_MS);
+        }
+    }
+
+    /**
+     * Claim and start as many jobs as each type has free slots for
+     * @returns {number} Jobs started
+     */
+    async poll() {
+        let started = 0;
+        for (const [type, options] of this.handlers) {
+            const free = options.concurrency - (this.active.get(type) || 0);
+            if (free <= 0) continue;
+
+            const jobs = await this.claim(type, free);
+            for (const job of jobs) {
+                const promise = this.runJob(job, options).finally(() => {
+                    this.inFlight.delete(promise);
+                    this.wake();
+                });
+                this.inFlight.add(promise);
+                started++;
+            }
+        }
+        return started;
+    }
+
+    async claim(type, limit) {
+        return prisma.$queryRaw`
+            UPDATE "jobs"
+            SET "status" = 'running', "attempts" = "attempts" + 1,
+                "lockedAt" = NOW(), "lockedBy" = ${this.workerId}, "updatedAt" = NOW()
+            WHERE "id" IN (
+                SELECT "id" FROM "jobs"
+                WHERE "type" = ${type} AND "status" = 'pending' AND "runAt" <= NOW()
+                ORDER BY "runAt" ASC
+                LIMIT ${limit}
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *`;
+    }
+
+    async runJob(job, options) {
+        this.active.set(job.type, (this.active.get(job.type) || 0) + 1);
+        try {
+            const run = () => options.handler(job.payload, job);
+            const result = job.tenantId
+                ? await requestContext.run({ tenantId: job.tenantId }, run)
+                : await run();
+
+            await prisma.job.update({
+                where: { id: job.id },
+                data: {
+                    status: JOB_STATUS.COMPLETED,
+                    completedAt: new Date(),
+                    lockedAt: null,
+                    lockedBy: null,
+                    result: result === undefined ? undefined : JSON.parse(JSON.stringify(result))
+                }
+            });
+        } catch (error) {
+            await this.fail(job, options, error);
+        } finally {
+            this.active.set(job.type, this.active.get(job.type) - 1);
+        }
+    }
+
+    /**
+     * Schedule a retry with exponential backoff, or dead-letter the job once
+     * it has used all its attempts
+     */
+    async fail(job, options, error) {
+        const dead = job.attempts >= job.maxAttempts;
+        const message = error?.message || String(error);
+        console.error(`[JobQueue] ${job.type} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, message);
+
+        try {
+            await prisma.job.update({
+                where: { id: job.id },
+                data: {
+                    status: dead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+                    runAt: dead ? undefined : new Date(Date.now() + this.backoffDelay(job.attempts, options.backoffMs)),
+                    lastError: message.slice(0, 2000),
+                    lockedAt: null,
+                    lockedBy: null
+                }
+            });
+        } catch (updateError) {
+            // The stale lock recovery will retry it
+            console.error(`[JobQueue] Failed to record failure of ${job.id}:`, updateError.message);
+        }
+    }
+
+    backoffDelay(attempts, baseMs = DEFAULT_OPTIONS.backoffMs) {
+        return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+    }
+
+    /**
+     * Return jobs abandoned by a crashed worker to the queue (or dead-letter them
+     * when that was their last attempt)
+     * @returns {number} Jobs recovered
+     */
+    async recoverStaleJobs(now = new Date()) {
+        const where = {
+            status: JOB_STATUS.RUNNING,
+            lockedAt: { lt: new Date(now.getTime() - STALE_LOCK_MS) }
+        };
+
+        const stale = await prisma.job.findMany({ where, select: { id: true, attempts: true, maxAttempts: true } });
+        for (const job of stale) {
+            const dead = job.attempts >= job.maxAttempts;
+            await prisma.job.updateMany({
+                where: { ...where, id: job.id },
+                data: {
+                    status: dead ? JOB_STATUS.DEAD : JOB_STATUS.PENDING,
+                    runAt: now,
+                    lastError: 'Worker stopped while the job was running',
+                    lockedAt: null,
+                    lockedBy: null
+                }
+            });
+        }
+        return stale.length;
+    }
+
+    /**
+     * Delete completed jobs older than the retention period; dead jobs are kept for inspection
+     */
+    async pruneCompleted(olderThanDays = 7) {
+        const { count } = await prisma.job.deleteMany({
+            where: {
+                status: JOB_STATUS.COMPLETED,
+                completedAt: { lt: new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000) }
+            }
+        });
+        return count;
+    }
+
+    // ==================== ADMIN ====================
+
+    async listJobs({ status, type, tenantId, limit = 50, offset = 0 } = {}) {
+        const where = {};
+        if (status) where.status = status;
+        if (type) where.type = type;
+        if (tenantId) where.tenantId = tenantId;
+
+        const [jobs, total] = await Promise.all([
+            prisma.job.findMany({
+                where,
+                orderBy: { createdAt: 'desc' },
+                take: Math.min(limit, 200),
+                skip: offset
+            }),
+            prisma.job.count({ where })
+        ]);
+        return { jobs, total };
+    }
+
+    /**
+     * Job counts by type and status
+     */
+    async getStats(tenantId = null) {
+        const groups = await prisma.job.groupBy({
+            by: ['type', 'status'],
+            where: tenantId ? { tenantId } : {},
+            _count: { id: true }
+        });
+
+        return groups.reduce((acc, group) => {
+            acc[group.type] = acc[group.type] || {};
+            acc[group.type][group.status] = group._count.id;
+            return acc;
+        }, {});
+    }
+
+    /**
+     * Put a dead (or waiting-to-retry) job back on the queue with a fresh set of attempts
+     * @returns {object|null} The job, or null when it is not retryable
+     */
+    async retryJob(id, tenantId = null) {
+        const where = {
+            id,
+            status: { in: [JOB_STATUS.DEAD, JOB_STATUS.PENDING] },
+            ...(tenantId ? { tenantId } : {})
+        };
+
+        const { count } = await prisma.job.updateMany({
+            where,
+            data: { status: JOB_STATUS.PENDING, attempts: 0, runAt: new Date() }
+        });
+        if (count === 0) return null;
+
+        this.wake();
+        return prisma.job.findUnique({ where: { id } });
+    }
+}
+
+module.exports = new JobQueueService();
+module.exports.JOB_STATUS = JOB_STATUS;
@@ -34,7 +34,7 @@ async function sendTrialEndingEmail(user, daysLeft) {
         // You can extend with more dynamic data as needed
     };
     // Prefer Instantly (handled inside NotificationService)
-    await notificationService.sendTemplatedEmail(
+    await notificationService.queueTemplatedEmail(
         user.email,
         'TRIAL_ENDING',
         templateData
@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const twilio = require('twilio');
 const prisma = require('../lib/prisma');
 const socketService = require('./socketService');
+const jobQueueService = require('./jobQueueService');
 
 const EMAIL_TEMPLATES = {
     'WELCOME_EMAIL': (data) => ({
@@ -120,27 +121,59 @@ class NotificationService {
     }
 
     async sendEmail(to, subject, html) {
+        try {
+            return await this.deliverEmail(to, subject, html);
+        } catch (error) {
+            console.error(`❌ [Nodemailer] Email failed (${to}):`, error.message);
+        }
+    }
+
+    /**
+     * Send an email and let failures propagate (used by the email.send job so it can retry)
+     * @param {object} options - { headers: extra headers, e.g. List-Unsubscribe }
+     */
+    async deliverEmail(to, subject, html, { headers } = {}) {
         if (!to) return;
 
         const senderEmail = process.env.EMAIL_FROM || 'noreply@scriptishrx.com';
         const senderName = process.env.EMAIL_FROM_NAME || 'ScriptishRx';
 
-        if (this.transporter) {
-            try {
-                const info = await this.transporter.sendMail({
-                    from: `"${senderName}" <${senderEmail}>`, // sender address
-                    to: to, // list of receivers
-                    subject: subject, // Subject line
-                    html: html, // html body
-                });
-                console.log(`📧 Email sent to ${to} | Subject: ${subject} | MessageId: ${info.messageId}`);
-                return info;
-            } catch (error) {
-                console.error(`❌ [Nodemailer] Email failed (${to}):`, error.message);
-            }
-        } else {
+        if (!this.transporter) {
             console.log(`[MOCK EMAIL] To: ${to} | Subject: ${subject}`);
+            return;
+        }
+
+        const info = await this.transporter.sendMail({
+            from: `"${senderName}" <${senderEmail}>`, // sender address
+            to: to, // list of receivers
+            subject: subject, // Subject line
+            html: html, // html body
+            headers
+        });
+        console.log(`📧 Email sent to ${to} | Subject: ${subject} | MessageId: ${info.messageId}`);
+        return info;
+    }
+
+    /**
+     * Send an email through the durable job queue (retried on SMTP failures).
+     * Use this instead of sendEmail when the caller does not need the result.
+     */
+    async queueEmail(to, subject, html, options = {}) {
+        if (!to) return;
+        return jobQueueService.enqueue('email.send', { to, subject, html }, options);
+    }
+
+    async queueTemplatedEmail(to, templateType, data, options = {}) {
+        if (!to) return;
+
+        const template = EMAIL_TEMPLATES[templateType];
+        if (!template) {
+            console.error(`[NotificationService] Unknown template: ${templateType}`);
+            return;
         }
+
+        const { subject, html } = template(data);
+        return this.queueEmail(to, subject, html, options);
     }
 
     async sendSMS(to, body, tenantId = null) {
@@ -203,7 +203,7 @@ class PaymentService {
                 <p>Your subscription is now active.</p>
             </div>
         `;
-        await notificationService.sendEmail(user.email, subject, body);
+        await notificationService.queueEmail(user.email, subject, body);
     }
 
     async createPortalSession(userId) {
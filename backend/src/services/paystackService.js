@@ -176,6 +176,8 @@ class PaystackService {
 
                     // Emit Event
                     eventBus.emit('payment:success', {
+                        tenantId: user.tenantId,
+                        userId: user.id,
                         user,
                         amount: amount * 100, // in cents for consistency
                         reference,
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const AppError = require('../utils/AppError');
+const eventBus = require('../lib/eventBus');
+const availabilityService = require('./availabilityService');
+const bookingLifecycleService = require('./bookingLifecycleService');
+const notificationService = require('./notificationService');
+
+const SOURCE = 'BOOKING_PAGE';
+
+/**
+ * Self-service booking page: what an unauthenticated visitor can see and do for a tenant,
+ * found by Tenant.slug. Slots and conflict checks come from availabilityService with the
+ * full booking rules, and the booking is saved under the tenant's booking lock.
+ * Each booking gets a manageToken, the secret in the client's reschedule/cancel links; those
+ * changes go through bookingLifecycleService under the tenant's cancellation window.
+ */
+class PublicBookingService {
+    async getTenant(slug) {
+        const tenant = await prisma.tenant.findUnique({ where: { slug: String(slug).toLowerCase() } });
+        if (!tenant) throw new AppError('Booking page not found', 404, 'BOOKING_PAGE_NOT_FOUND');
+        return tenant;
+    }
+
+    /**
+     * Business details, active services and bookable staff/rooms for the page
+     */
+    async getPage(slug) {
+        const tenant = await this.getTenant(slug);
+        const [services, resources] = await Promise.all([
+            prisma.service.findMany({
+                where: { tenantId: tenant.id, isActive: true },
+                select: { id: true, name: true, description: true, price: true, currency: true, duration: true },
+                orderBy: { name: 'asc' }
+            }),
+            prisma.bookingResource.findMany({
+                where: { tenantId: tenant.id, isActive: true },
+                select: { id: true, name: true, type: true, serviceIds: true },
+                orderBy: { createdAt: 'asc' }
+            })
+        ]);
+
+        return {
+            business: {
+                name: tenant.name,
+                slug: tenant.slug,
+                location: tenant.location,
+                timezone: tenant.timezone || 'UTC',
+                brandColor: tenant.brandColor,
+                logoUrl: tenant.logoUrl
+            },
+            services,
+            resources
+        };
+    }
+
+    async getSlots(slug, query) {
+        const tenant = await this.getTenant(slug);
+        if (query.serviceId) await this.getActiveService(tenant.id, query.serviceId);
+        return availabilityService.getSlots(tenant.id, query);
+    }
+
+    async getActiveService(tenantId, serviceId) {
+        const service = await prisma.service.findFirst({ where: { id: serviceId, tenantId, isActive: true } });
+        if (!service) throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+        return service;
+    }
+
+    /**
+     * Book from the page: the slot is checked and taken in one transaction, together with a new
+     * Client for the visitor. The details aren't verified, so they never match, change or get
+     * messages meant for an existing client; staff can merge duplicates.
+     * @param {object} data - publicBookingSchema
+     * @returns {{ booking: object, manageToken: string }}
+     */
+    async createBooking(slug, data) {
+        const tenant = await this.getTenant(slug);
+        const service = data.serviceId ? await this.getActiveService(tenant.id, data.serviceId) : null;
+
+        const manageToken = crypto.randomBytes(24).toString('hex');
+        const booking = await availabilityService.reserveSlot(tenant.id, {
+            start: new Date(data.date),
+            serviceId: service?.id,
+            resourceId: data.resourceId
+        }, { rules: true }, async (tx, slot) => {
+            const client = await tx.client.create({
+                data: {
+                    tenantId: tenant.id,
+                    name: data.name,
+                    phone: data.phone,
+                    email: data.email || null,
+                    notes: data.notes ? `Booking page: ${data.notes}` : null,
+                    source: SOURCE
+                }
+            });
+            return tx.booking.create({
+                data: {
+                    tenantId: tenant.id,
+                    clientId: client.id,
+                    date: slot.start,
+                    endTime: slot.end,
+                    serviceId: slot.serviceId,
+                    resourceId: slot.resourceId,
+                    purpose: service?.name || 'Online booking',
+                    status: 'Scheduled',
+                    source: SOURCE,
+                    manageToken
+                },
+                include: {
+                    client: { select: { id: true, name: true, phone: true, email: true } },
+                    resource: { select: { id: true, name: true, type: true, userId: true } }
+                }
+            });
+        });
+
+        eventBus.emit('client:created', { tenantId: tenant.id, clientId: booking.clientId });
+        eventBus.emit('booking:created', { tenantId: tenant.id, bookingId: booking.id, clientNotified: true });
+        await bookingLifecycleService.syncCalendar(tenant.id, booking, { create: true });
+        await this.notifyStaff(tenant.id, `New online booking with ${booking.client.name} on ${new Date(booking.date).toLocaleDateString()}`);
+        await bookingLifecycleService.notifyClient(tenant, booking, 'confirmed');
+
+        return { booking: this.toPublic(booking, tenant, service), manageToken };
+    }
+
+    /**
+     * The booking behind a reschedule/cancel link
+     */
+    async getByToken(token) {
+        const booking = await prisma.booking.findUnique({
+            where: { manageToken: String(token) },
+            include: {
+                tenant: true,
+                service: true,
+                client: { select: { id: true, name: true, phone: true, email: true } },
+                resource: { select: { id: true, name: true, type: true } }
+            }
+        });
+        if (!booking) throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+        return booking;
+    }
+
+    async getBooking(token) {
+        const booking = await this.getByToken(token);
+        return this.toPublic(booking, booking.tenant, booking.service);
+    }
+
+    // Changes from the link are the client's own, so the booking rules and cancellation window apply
+    clientChange(booking) {
+        return { actor: { type: 'client', id: booking.clientId }, rules: true, enforcePolicy: true };
+    }
+
+    /**
+     * Move a booking to another free start time, with the same service and staff member
+     */
+    async reschedule(token, { date }) {
+        const existing = await this.getByToken(token);
+        const booking = await bookingLifecycleService.reschedule(existing.tenantId, existing.id, { date }, this.clientChange(existing));
+        await this.notifyStaff(existing.tenantId, `${existing.client.name} moved their booking to ${new Date(booking.date).toLocaleString()}`);
+        return this.toPublic(booking, existing.tenant, existing.service);
+    }
+
+    async cancel(token, { reason } = {}) {
+        const existing = await this.getByToken(token);
+        const booking = await bookingLifecycleService.cancel(existing.tenantId, existing.id, { reason }, this.clientChange(existing));
+        await this.notifyStaff(existing.tenantId, `${existing.client.name} cancelled their booking on ${new Date(booking.date).toLocaleString()}`);
+        return this.toPublic(booking, existing.tenant, existing.service);
+    }
+
+    // What the page may show about a booking (no internal ids beyond the booking's own)
+    toPublic(booking, tenant, service) {
+        return {
+            id: booking.id,
+            date: booking.date,
+            endTime: booking.endTime,
+            status: booking.status,
+            service: service ? { id: service.id, name: service.name } : null,
+            with: booking.resource?.name || null,
+            business: { name: tenant.name, slug: tenant.slug, timezone: tenant.timezone || 'UTC' },
+            changeable: bookingLifecycleService.isChangeableByClient(booking, availabilityService.getBookingConfig(tenant))
+        };
+    }
+
+    async notifyStaff(tenantId, message) {
+        try {
+            const users = await prisma.user.findMany({ where: { tenantId }, select: { id: true } });
+            for (const user of users) {
+                await notificationService.createNotification(user.id, 'Online Booking', message, 'booking');
+            }
+        } catch (error) {
+            console.error('[PublicBooking] Failed to notify tenant users:', error.message);
+        }
+    }
+}
+
+module.exports = new PublicBookingService();
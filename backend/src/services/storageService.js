@@ -8,8 +8,9 @@ const fs = require('fs');
  */
 class StorageService {
     async uploadFile(file, folder) { throw new Error('Not implemented'); }
-    async deleteFile(filePath) { throw new Error('Not implemented'); }
-    async getSignedUrl(filePath) { throw new Error('Not implemented'); }
+    async uploadBuffer(buffer, filePath, contentType, bucket) { throw new Error('Not implemented'); }
+    async deleteFile(filePath, bucket) { throw new Error('Not implemented'); }
+    async getSignedUrl(filePath, expiresIn, bucket) { throw new Error('Not implemented'); }
     async getPublicUrl(filePath) { throw new Error('Not implemented'); }
 }
 
@@ -23,6 +24,9 @@ class SupabaseStorageProvider extends StorageService {
         const url = process.env.SUPABASE_URL || process.env.PUBLIC_SUPABASE_URL;
         const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY || process.env.PUBLIC_SUPABASE_ANON_KEY;
         this.bucketName = process.env.SUPABASE_STORAGE_BUCKET || 'uploads';
+        // Private files (call recordings) never go to the public bucket above
+        this.privateBucketName = process.env.SUPABASE_RECORDINGS_BUCKET || 'recordings';
+        this.checkedPrivateBuckets = new Set();
 
         if (!url || !key) {
             console.warn('⚠️ Supabase Storage not fully configured. Missing URL or Key.');
@@ -53,21 +57,69 @@ class SupabaseStorageProvider extends StorageService {
         return this.getPublicUrl(fileName);
     }
 
-    async deleteFile(filePath) {
-        if (!this.client) return;
+    /**
+     * Upload raw bytes to an exact path in a private bucket. Returns the storage path
+     * (not a URL), so files such as call recordings are only reachable via getSignedUrl.
+     */
+    async uploadBuffer(buffer, filePath, contentType = 'application/octet-stream', bucket = this.privateBucketName) {
+        if (!this.client) {
+            throw new Error('Storage is not configured');
+        }
+        await this.ensurePrivateBucket(bucket);
+
+        const { error } = await this.client.storage
+            .from(bucket)
+            .upload(filePath, buffer, {
+                contentType,
+                upsert: true
+            });
+
+        if (error) {
+            console.error('[Storage] Supabase Upload Error:', error);
+            throw error;
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Create the bucket as private on first use
+     * @throws {Error} When it already exists as a public bucket
+     */
+    async ensurePrivateBucket(bucket) {
+        if (this.checkedPrivateBuckets.has(bucket)) return;
+
+        const { data } = await this.client.storage.getBucket(bucket);
+        if (!data) {
+            const { error } = await this.client.storage.createBucket(bucket, { public: false });
+            if (error) throw error;
+        } else if (data.public) {
+            throw new Error(`Storage bucket '${bucket}' is public; private files need a private bucket`);
+        }
+        this.checkedPrivateBuckets.add(bucket);
+    }
+
+    /**
+     * Remove a file (a storage path, or a public URL in the bucket). Returns whether it was removed:
+     * false when storage isn't configured or the delete failed, so callers can keep it to retry.
+     */
+    async deleteFile(filePath, bucket = this.bucketName) {
+        if (!this.client) return false;
 
         // Extract relative path if full URL is provided
-        const relativePath = filePath.includes(this.bucketName)
-            ? filePath.split(`${this.bucketName}/`)[1]
+        const relativePath = /^https?:\/\//.test(filePath)
+            ? filePath.split(`/${bucket}/`)[1]
             : filePath;
 
         const { error } = await this.client.storage
-            .from(this.bucketName)
+            .from(bucket)
             .remove([relativePath]);
 
         if (error) {
             console.error('[Storage] Supabase Delete Error:', error);
+            return false;
         }
+        return true;
     }
 
     getPublicUrl(fileName) {
@@ -80,11 +132,11 @@ class SupabaseStorageProvider extends StorageService {
         return data.publicUrl;
     }
 
-    async getSignedUrl(fileName, expiresInt = 3600) {
+    async getSignedUrl(fileName, expiresInt = 3600, bucket = this.bucketName) {
         if (!this.client) return null;
 
         const { data, error } = await this.client.storage
-            .from(this.bucketName)
+            .from(bucket)
             .createSignedUrl(fileName, expiresInt);
 
         if (error) {
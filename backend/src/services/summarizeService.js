@@ -6,6 +6,7 @@
 
 const OpenAI = require('openai');
 const prisma = require('../lib/prisma');
+const eventBus = require('../lib/eventBus');
 
 // Initialize OpenAI client
 const openai = process.env.OPENAI_API_KEY
@@ -231,10 +232,14 @@ function formatMeetingMinutes({ date, duration, participants, callerPhone, summa
 async function processCompletedCall(callSessionId, options = {}) {
     try {
         const minuteData = await generateMeetingMinutes(callSessionId);
+        if (minuteData.summary.error) {
+            // Thrown so the call.process job retries instead of saving an empty summary
+            throw new Error(`Summary failed: ${minuteData.summary.error}`);
+        }
 
         // Optionally create a MeetingMinute record
         if (options.createMeetingMinute && minuteData.clientId) {
-            await prisma.meetingMinute.create({
+            const minute = await prisma.meetingMinute.create({
                 data: {
                     clientId: minuteData.clientId,
                     tenantId: minuteData.tenantId,
@@ -242,8 +247,23 @@ async function processCompletedCall(callSessionId, options = {}) {
                 }
             });
             console.log(`[SummarizeService] MeetingMinute created for call ${callSessionId}`);
+            eventBus.emit('minute:created', { tenantId: minuteData.tenantId, minuteId: minute.id });
         }
 
+        const actionItems = minuteData.summary.actionItems || [];
+        eventBus.emit('call:analyzed', {
+            tenantId: minuteData.tenantId,
+            callSessionId,
+            clientId: minuteData.clientId,
+            analysis: {
+                summary: minuteData.summary.summary,
+                keyPoints: minuteData.summary.keyPoints || [],
+                actionItems,
+                followUpRequired: actionItems.length > 0
+            },
+            followUpRequired: actionItems.length > 0
+        });
+
         return minuteData;
     } catch (error) {
         console.error('[SummarizeService] Error processing completed call:', error);
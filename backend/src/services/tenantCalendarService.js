@@ -6,6 +6,7 @@
 
 const { google } = require('googleapis');
 const prisma = require('../lib/prisma');
+const { toICalDate } = require('../utils/recurrence');
 
 class TenantCalendarService {
   /**
@@ -86,45 +87,88 @@ class TenantCalendarService {
   }
 
   /**
-   * Get busy time slots from tenant's Google Calendar
-   * Used to check availability before booking
+   * Get busy ranges from tenant's Google Calendar (free/busy, to the minute)
+   * Used by availabilityService before offering or booking a slot
    * @param {string} tenantId - The tenant ID
-   * @param {Date} date - The date to check
-   * @returns {Array<number>} Array of busy hours (0-23)
+   * @param {Date} timeMin - Start of the window
+   * @param {Date} timeMax - End of the window
+   * @returns {Array<{start: Date, end: Date}>} Busy ranges; empty if the calendar can't be read
    */
-  static async getTenantCalendarBusySlots(tenantId, date) {
+  static async getTenantCalendarBusyRanges(tenantId, timeMin, timeMax) {
     try {
       const oauth2Client = await this.getOAuth2Client(tenantId);
       const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
 
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
-
       const response = await calendar.freebusy.query({
         requestBody: {
-          timeMin: startOfDay.toISOString(),
-          timeMax: endOfDay.toISOString(),
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
           items: [{ id: 'primary' }]
         }
       });
 
-      const busySlots = response.data.calendars.primary.busy || [];
-      const busyHours = new Set();
+      const busy = (response.data.calendars.primary.busy || [])
+        .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }));
 
-      busySlots.forEach(slot => {
-        const startHour = new Date(slot.start).getHours();
-        const endHour = new Date(slot.end).getHours();
-        for (let h = startHour; h < endHour; h++) {
-          busyHours.add(h);
+      console.log(`[TenantCalendar] ${busy.length} busy range(s) for tenant ${tenantId} between ${timeMin.toISOString()} and ${timeMax.toISOString()}`);
+      return busy;
+    } catch (err) {
+      console.error(`[TenantCalendar] Error fetching busy ranges for tenant ${tenantId}:`, err.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get busy ranges from a staff member's own Google Calendar (connected under /api/auth/google)
+   * @param {string} userId - The user ID
+   * @param {Date} timeMin - Start of the window
+   * @param {Date} timeMax - End of the window
+   * @returns {Array<{start: Date, end: Date}>} Busy ranges; empty if not connected or unreadable
+   */
+  static async getUserCalendarBusyRanges(userId, timeMin, timeMax) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { googleAccessToken: true, googleRefreshToken: true, googleTokenExpiry: true }
+      });
+      if (!user?.googleAccessToken) return [];
+
+      const oauth2Client = new google.auth.OAuth2(
+        process.env.GOOGLE_CLIENT_ID,
+        process.env.GOOGLE_CLIENT_SECRET,
+        process.env.GOOGLE_REDIRECT_URI
+      );
+      oauth2Client.setCredentials({
+        access_token: user.googleAccessToken,
+        refresh_token: user.googleRefreshToken,
+        expiry_date: user.googleTokenExpiry ? Number(user.googleTokenExpiry) : null
+      });
+      oauth2Client.on('tokens', async (tokens) => {
+        if (tokens.access_token) {
+          await prisma.user.update({
+            where: { id: userId },
+            data: {
+              googleAccessToken: tokens.access_token,
+              googleTokenExpiry: tokens.expiry_date,
+              ...(tokens.refresh_token ? { googleRefreshToken: tokens.refresh_token } : {})
+            }
+          });
         }
       });
 
-      console.log(`[TenantCalendar] Busy hours for tenant ${tenantId} on ${date.toDateString()}:`, Array.from(busyHours));
-      return Array.from(busyHours);
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      const response = await calendar.freebusy.query({
+        requestBody: {
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          items: [{ id: 'primary' }]
+        }
+      });
+
+      return (response.data.calendars.primary.busy || [])
+        .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }));
     } catch (err) {
-      console.error(`[TenantCalendar] Error fetching busy slots for tenant ${tenantId}:`, err.message);
+      console.error(`[TenantCalendar] Error fetching busy ranges for user ${userId}:`, err.message);
       return [];
     }
   }
@@ -144,7 +188,8 @@ class TenantCalendarService {
       const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
 
       const startTime = new Date(booking.date);
-      const endTime = new Date(startTime.getTime() + 60 * 60 * 1000); // 1 hour duration
+      // Older bookings have no endTime; they were an hour long
+      const endTime = booking.endTime ? new Date(booking.endTime) : new Date(startTime.getTime() + 60 * 60 * 1000);
 
       const event = {
         summary: `${booking.purpose || 'Appointment'} - ${clientName}`,
@@ -177,6 +222,137 @@ class TenantCalendarService {
     }
   }
 
+  /**
+   * Move a calendar event to a booking's new time (when it is rescheduled)
+   * @param {string} tenantId - The tenant ID
+   * @param {string} eventId - The Google Calendar event ID
+   * @param {object} booking - { date, endTime }
+   */
+  static async updateTenantCalendarEvent(tenantId, eventId, booking) {
+    try {
+      const oauth2Client = await this.getOAuth2Client(tenantId);
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+      const startTime = new Date(booking.date);
+      const endTime = booking.endTime ? new Date(booking.endTime) : new Date(startTime.getTime() + 60 * 60 * 1000);
+
+      await calendar.events.patch({
+        calendarId: 'primary',
+        eventId,
+        resource: {
+          start: { dateTime: startTime.toISOString(), timeZone: 'UTC' },
+          end: { dateTime: endTime.toISOString(), timeZone: 'UTC' }
+        }
+      });
+
+      console.log(`[TenantCalendar] Event moved for tenant ${tenantId}:`, eventId);
+      return { success: true };
+    } catch (err) {
+      console.error(`[TenantCalendar] Error moving event for tenant ${tenantId}:`, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Create a recurring Google Calendar event for a booking series
+   * Instances repeat in the series timezone; occurrences that weren't booked are left out with EXDATE.
+   * @param {string} tenantId - The tenant ID
+   * @param {object} series - BookingSeries with rrule, timezone, purpose
+   * @param {object} booking - The first occurrence, with date and endTime
+   * @param {string} clientName - Name of the client
+   * @param {string} clientPhone - Phone of the client (optional)
+   * @param {Date[]} excluded - Occurrence start times to leave out
+   * @returns {object} { eventId, meetLink }
+   */
+  static async createTenantCalendarSeriesEvent(tenantId, series, booking, clientName, clientPhone = null, excluded = []) {
+    try {
+      const oauth2Client = await this.getOAuth2Client(tenantId);
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+      const event = {
+        summary: `${series.purpose || 'Appointment'} - ${clientName}`,
+        description: `Recurring booking via AI Voice Agent\nClient: ${clientName}${clientPhone ? `\nPhone: ${clientPhone}` : ''}\nSeries ID: ${series.id}`,
+        ...this.seriesEventTimes(series, booking, excluded),
+        conferenceData: {
+          createRequest: {
+            requestId: series.id,
+            conferenceSolutionKey: { type: 'hangoutsMeet' }
+          }
+        }
+      };
+
+      const createdEvent = await calendar.events.insert({
+        calendarId: 'primary',
+        resource: event,
+        conferenceDataVersion: 1
+      });
+
+      console.log(`[TenantCalendar] Recurring event created for tenant ${tenantId}:`, createdEvent.data.id);
+
+      return {
+        eventId: createdEvent.data.id,
+        meetLink: createdEvent.data.hangoutLink || null
+      };
+    } catch (err) {
+      console.error(`[TenantCalendar] Error creating recurring event for tenant ${tenantId}:`, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Change a recurring event's times and rule (the series was moved or cut short)
+   * @param {string} tenantId - The tenant ID
+   * @param {string} eventId - The recurring event's ID
+   * @param {object} series - BookingSeries with rrule and timezone
+   * @param {object} booking - The series' first occurrence, with date and endTime
+   * @param {Date[]} excluded - Occurrence start times to leave out
+   */
+  static async updateTenantCalendarSeriesEvent(tenantId, eventId, series, booking, excluded = []) {
+    try {
+      const oauth2Client = await this.getOAuth2Client(tenantId);
+      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+
+      await calendar.events.patch({
+        calendarId: 'primary',
+        eventId,
+        resource: this.seriesEventTimes(series, booking, excluded)
+      });
+
+      console.log(`[TenantCalendar] Recurring event updated for tenant ${tenantId}:`, eventId);
+      return { success: true };
+    } catch (err) {
+      console.error(`[TenantCalendar] Error updating recurring event for tenant ${tenantId}:`, err.message);
+      throw err;
+    }
+  }
+
+  /**
+   * Start, end and recurrence of a series' event
+   */
+  static seriesEventTimes(series, booking, excluded = []) {
+    const startTime = new Date(booking.date);
+    const endTime = booking.endTime ? new Date(booking.endTime) : new Date(startTime.getTime() + 60 * 60 * 1000);
+    const timeZone = series.timezone || 'UTC';
+
+    return {
+      start: { dateTime: startTime.toISOString(), timeZone },
+      end: { dateTime: endTime.toISOString(), timeZone },
+      recurrence: [
+        `RRULE:${series.rrule}`,
+        ...(excluded.length ? [`EXDATE:${excluded.map(toICalDate).join(',')}`] : [])
+      ]
+    };
+  }
+
+  /**
+   * ID of one instance of a recurring event, which can be moved or deleted on its own
+   * @param {string} eventId - The recurring event's ID
+   * @param {Date} originalStart - The instance's start by the recurrence rule
+   */
+  static getInstanceEventId(eventId, originalStart) {
+    return `${eventId}_${toICalDate(originalStart)}`;
+  }
+
   /**
    * Delete a calendar event (useful when booking is cancelled)
    * @param {string} tenantId - The tenant ID
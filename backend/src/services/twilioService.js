@@ -3,6 +3,10 @@ const prismaDefault = require('../lib/prisma');
 // Use the concurrent client to avoid prepared statement conflicts
 const prisma = prismaDefault.concurrent || prismaDefault;
 const chatService = require('./chatService');
+const voicemailService = require('./voicemailService');
+const callRecordingService = require('./callRecordingService');
+const campaignService = require('./campaignService');
+const conversationService = require('./conversationService');
 
 class TwilioService {
     /**
@@ -56,8 +60,9 @@ class TwilioService {
 
     /**
      * Send SMS
+     * @param {object} options - Extra message options, e.g. { statusCallback }
      */
-    async sendSms(tenantId, to, body) {
+    async sendSms(tenantId, to, body, options = {}) {
         try {
             const { client, phoneNumber } = await this.getClientForTenant(tenantId);
 
@@ -68,7 +73,8 @@ class TwilioService {
             const message = await client.messages.create({
                 body,
                 from: phoneNumber,
-                to
+                to,
+                ...options
             });
 
             console.log(`[Twilio] SMS sent for Tenant ${tenantId}: ${message.sid}`);
@@ -137,7 +143,7 @@ class TwilioService {
                             { phoneNumber: `+${cleanTo}` }
                         ]
                     },
-                    select: { id: true, name: true }
+                    select: { id: true, name: true, timezone: true, businessHours: true, twilioConfig: true }
                 });
                 if (tenant) {
                     logger.info('Tenant identified', { tenantId: tenant.id, name: tenant.name });
@@ -163,6 +169,13 @@ class TwilioService {
                 logger.error('Tenant lookup error', { error: dbErr.message, stack: dbErr.stack });
             }
 
+            // Outside business hours: plain voicemail, or the AI takes a message (see voiceService)
+            const afterHours = tenant ? voicemailService.getAfterHoursConfig(tenant) : null;
+            if (afterHours?.mode === 'voicemail') {
+                logger.info('After hours, sending call to voicemail', { tenantId: tenant.id, callSid: CallSid });
+                return voicemailService.buildVoicemailTwiml({ tenantId: tenant.id, greeting: afterHours.voicemailGreeting });
+            }
+
             const voiceResponse = new twilio.twiml.VoiceResponse();
 
             let host = 'localhost:5000';
@@ -174,6 +187,9 @@ class TwilioService {
                 logger.warn('Invalid APP_URL, using localhost', { error: e.message });
             }
 
+            // Consent disclosure + dual-channel recording when the tenant turned recording on
+            callRecordingService.applyToTwiml(voiceResponse, tenant?.id, tenant?.twilioConfig);
+
             const connect = voiceResponse.connect();
             const stream = connect.stream({ url: `wss://${host}/api/voice/stream` }); // Stream connection
 
@@ -181,6 +197,9 @@ class TwilioService {
             if (tenant && tenant.id) {
                 stream.parameter({ name: 'tenantId', value: tenant.id });
             }
+            if (From) stream.parameter({ name: 'From', value: From });
+            if (CallSid) stream.parameter({ name: 'CallSid', value: CallSid });
+            if (afterHours) stream.parameter({ name: 'afterHours', value: 'true' });
 
             return voiceResponse.toString();
         } catch (err) {
@@ -207,31 +226,34 @@ class TwilioService {
             return null;
         }
 
-        const sessionId = `sms_${From.replace(/\D/g, '')}`;
+        const conversation = await conversationService.getOrCreateSmsConversation(tenant.id, From);
+        const { sessionId } = conversation;
 
-        await prisma.message.create({
-            data: {
-                tenantId: tenant.id,
-                sessionId,
-                role: 'user',
-                content: Body,
-                source: 'sms'
-            }
-        });
+        await conversationService.addMessage(conversation, { role: 'user', content: Body });
+
+        // STOP / START keywords update the do-not-contact list; Twilio sends the confirmation
+        const optOut = await campaignService.handleOptOutKeyword(tenant.id, From, Body);
+        if (optOut) {
+            return { success: true, sessionId, optOut };
+        }
+
+        // YES to a waitlist slot offer; waitlistService requires the booking services, which require this one
+        const waitlist = await require('./waitlistService').handleReply(tenant.id, From, Body);
+        if (waitlist) {
+            await conversationService.addMessage(conversation, { role: 'assistant', content: waitlist.message });
+            await this.sendSms(tenant.id, From, waitlist.message);
+            return { success: true, sessionId, waitlist: waitlist.outcome };
+        }
+
+        // Staff took the thread over from the inbox
+        if (conversation.aiPaused) {
+            return { success: true, sessionId, aiPaused: true };
+        }
 
         const response = await chatService.processMessage(Body, tenant.id);
 
         if (response?.response) {
-            await prisma.message.create({
-                data: {
-                    tenantId: tenant.id,
-                    sessionId,
-                    role: 'assistant',
-                    content: response.response,
-                    source: 'sms'
-                }
-            });
-
+            await conversationService.addMessage(conversation, { role: 'assistant', content: response.response });
             await this.sendSms(tenant.id, From, response.response);
         }
 
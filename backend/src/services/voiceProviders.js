@@ -0,0 +1,487 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const voiceDefaults = require('../config/voice');
+const voiceSettingsService = require('./voiceSettingsService');
+const { decodeMulaw, encodeMulaw, resample, level, pcm16ToWav } = require('../utils/audio');
+
+const PHONE_SAMPLE_RATE = voiceDefaults.twilio.sampleRate;
+
+/**
+ * Realtime Voice Provider Interface
+ * What voiceService needs from a speech backend. Audio in and out is base64 G.711 μ-law
+ * at 8 kHz, the framing Twilio Media Streams use.
+ *
+ * Events:
+ *   ready                          - session configured, audio and respond() accepted
+ *   audio (payload)                - agent speech to play to the caller
+ *   speech_started, speech_stopped - the caller started or finished a turn
+ *   transcript ({ role, text })    - a finished caller ('user') or agent ('assistant') turn
+ *   tool_call ({ callId, name, args }) - answer with sendToolResult
+ *   error (err), close
+ */
+class RealtimeVoiceProvider extends EventEmitter {
+    /**
+     * @param {object} session - { instructions, tools, voiceConfig }
+     */
+    async connect(session) { throw new Error('Not implemented'); }
+    sendAudio(payload) { throw new Error('Not implemented'); }
+    /** Have the agent speak now, e.g. the greeting */
+    respond(instructions) { throw new Error('Not implemented'); }
+    sendToolResult(callId, result) { throw new Error('Not implemented'); }
+    /** Stop the current response (the caller barged in) */
+    cancel() { throw new Error('Not implemented'); }
+    close() { throw new Error('Not implemented'); }
+    get isOpen() { return false; }
+}
+
+/**
+ * OpenAI Realtime Provider
+ * Speech-to-speech over the realtime WebSocket, with server-side VAD and transcription
+ */
+class OpenAIRealtimeProvider extends RealtimeVoiceProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+        super();
+        if (!apiKey) throw new Error('OPENAI_API_KEY is missing');
+        this.apiKey = apiKey;
+        this.ws = null;
+    }
+
+    connect({ instructions, tools, voiceConfig }) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(`${voiceDefaults.openai.url}?model=${voiceDefaults.openai.model}`, {
+                headers: {
+                    Authorization: `Bearer ${this.apiKey}`,
+                    'OpenAI-Beta': 'realtime=v1'
+                }
+            });
+            this.ws = ws;
+
+            ws.on('open', () => {
+                this.send({
+                    type: 'session.update',
+                    session: voiceSettingsService.buildSessionUpdate(voiceConfig, { instructions, tools })
+                });
+                this.emit('ready');
+                resolve();
+            });
+            ws.on('message', data => {
+                try {
+                    this.handleEvent(JSON.parse(data));
+                } catch (err) {
+                    console.error('[VoiceProvider] OpenAI event error:', err);
+                }
+            });
+            ws.on('error', err => {
+                this.emit('error', err);
+                reject(err);
+            });
+            ws.on('close', () => this.emit('close'));
+        });
+    }
+
+    handleEvent(msg) {
+        switch (msg.type) {
+            case 'input_audio_buffer.speech_started':
+                this.emit('speech_started');
+                break;
+            case 'input_audio_buffer.speech_stopped':
+                this.emit('speech_stopped');
+                break;
+            case 'response.audio.delta':
+                this.emit('audio', msg.delta);
+                break;
+            case 'response.audio_transcript.done':
+                this.emit('transcript', { role: 'assistant', text: msg.transcript });
+                break;
+            case 'conversation.item.input_audio_transcription.completed':
+                this.emit('transcript', { role: 'user', text: msg.transcript });
+                break;
+            case 'response.function_call_arguments.done': {
+                let args = {};
+                try {
+                    args = JSON.parse(msg.arguments || '{}');
+                } catch (parseError) {
+                    console.error(`[VoiceProvider] Invalid arguments for ${msg.name}:`, parseError.message);
+                }
+                this.emit('tool_call', { callId: msg.call_id, name: msg.name, args });
+                break;
+            }
+            case 'response.done':
+                if (msg.response?.status === 'failed') {
+                    console.error('[VoiceProvider] Response Failed:', JSON.stringify(msg.response?.status_details));
+                }
+                break;
+            case 'error':
+                console.error('[VoiceProvider] OpenAI error:', msg.error?.message);
+                break;
+        }
+    }
+
+    send(event) {
+        if (this.isOpen) this.ws.send(JSON.stringify(event));
+    }
+
+    sendAudio(payload) {
+        this.send({ type: 'input_audio_buffer.append', audio: payload });
+    }
+
+    respond(instructions) {
+        this.send({ type: 'response.create', response: { modalities: ['audio', 'text'], instructions } });
+    }
+
+    sendToolResult(callId, result) {
+        this.send({
+            type: 'conversation.item.create',
+            item: { type: 'function_call_output', call_id: callId, output: JSON.stringify(result) }
+        });
+        this.send({ type: 'response.create' });
+    }
+
+    cancel() {
+        this.send({ type: 'response.cancel' });
+    }
+
+    close() {
+        if (this.isOpen) this.ws.close();
+    }
+
+    get isOpen() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+}
+
+/**
+ * Energy-based turn detection for providers without server-side VAD.
+ * A turn starts after minSpeechMs of audio above the level and ends after silenceMs below it.
+ */
+class TurnDetector {
+    constructor({ threshold, silenceMs, minSpeechMs = voiceDefaults.pipeline.minSpeechMs }) {
+        this.threshold = threshold;
+        this.silenceMs = silenceMs;
+        this.minSpeechMs = minSpeechMs;
+        this.reset();
+    }
+
+    reset() {
+        this.speaking = false;
+        this.speechMs = 0;
+        this.quietMs = 0;
+        this.chunks = [];
+    }
+
+    /**
+     * @param {Buffer} mulaw - Caller audio
+     * @returns {'speech_started'|'speech_stopped'|null}
+     */
+    push(mulaw) {
+        const pcm = decodeMulaw(mulaw);
+        const ms = (pcm.length / PHONE_SAMPLE_RATE) * 1000;
+
+        if (level(pcm) >= this.threshold) {
+            this.chunks.push(pcm);
+            this.speechMs += ms;
+            this.quietMs = 0;
+            if (!this.speaking && this.speechMs >= this.minSpeechMs) {
+                this.speaking = true;
+                return 'speech_started';
+            }
+            return null;
+        }
+
+        if (!this.speaking) {
+            // A click or a breath, not a turn
+            this.speechMs = 0;
+            this.chunks = [];
+            return null;
+        }
+
+        this.chunks.push(pcm);
+        this.quietMs += ms;
+        if (this.quietMs < this.silenceMs) return null;
+
+        this.turn = concatPcm(this.chunks);
+        this.reset();
+        return 'speech_stopped';
+    }
+
+    /** PCM of the turn that just ended */
+    takeTurn() {
+        const turn = this.turn;
+        this.turn = null;
+        return turn;
+    }
+}
+
+function concatPcm(chunks) {
+    const out = new Int16Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return out;
+}
+
+const createTurnDetector = (voiceConfig) => new TurnDetector({
+    threshold: voiceDefaults.pipeline.vadLevels[voiceConfig.vadSensitivity],
+    silenceMs: voiceDefaults.system.endOfTurnSilenceMs
+});
+
+// Realtime tool definitions are flat; chat completions nest them under `function`
+const toChatTool = ({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } });
+
+/**
+ * Pipeline Provider
+ * Speech-to-text → chat completion → text-to-speech, one request per turn. Slower than
+ * realtime, but only needs the standard audio and chat APIs.
+ */
+class PipelineVoiceProvider extends RealtimeVoiceProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY, openai = null } = {}) {
+        super();
+        if (!openai && !apiKey) throw new Error('OPENAI_API_KEY is missing');
+        this.openai = openai || new OpenAI({ apiKey });
+        this.open = false;
+        this.generation = 0; // Bumped by each new turn and cancel(); stale results are dropped
+        this.pendingToolCalls = new Set();
+    }
+
+    async connect({ instructions, tools, voiceConfig }) {
+        const styleInstructions = voiceSettingsService.getInstructions(voiceConfig);
+        this.voiceConfig = voiceConfig;
+        this.tools = tools.map(toChatTool);
+        this.messages = [{ role: 'system', content: styleInstructions ? `${instructions}\n\n${styleInstructions}` : instructions }];
+        this.detector = createTurnDetector(voiceConfig);
+        this.open = true;
+        this.emit('ready');
+    }
+
+    sendAudio(payload) {
+        if (!this.open) return;
+
+        const event = this.detector.push(Buffer.from(payload, 'base64'));
+        if (event) this.emit(event);
+        if (event === 'speech_stopped') {
+            this.handleTurn(this.detector.takeTurn()).catch(err => this.emit('error', err));
+        }
+    }
+
+    async handleTurn(pcm) {
+        const generation = ++this.generation;
+        const transcription = await this.openai.audio.transcriptions.create({
+            file: await toFile(pcm16ToWav(pcm, PHONE_SAMPLE_RATE), 'turn.wav'),
+            model: voiceDefaults.openai.transcriptionModel,
+            language: this.voiceConfig.language.split('-')[0]
+        });
+
+        const text = transcription.text?.trim();
+        if (!text || !this.open) return;
+
+        this.emit('transcript', { role: 'user', text });
+        this.messages.push({ role: 'user', content: text });
+        if (generation === this.generation) await this.generate(generation);
+    }
+
+    respond(instructions) {
+        const generation = ++this.generation;
+        this.generate(generation, instructions).catch(err => this.emit('error', err));
+    }
+
+    async generate(generation, instructions = null) {
+        // The reply waits until every tool result is in (see sendToolResult)
+        if (this.pendingToolCalls.size > 0) return;
+
+        const completion = await this.openai.chat.completions.create({
+            model: voiceDefaults.pipeline.chatModel,
+            messages: [...this.messages, ...(instructions ? [{ role: 'system', content: instructions }] : [])],
+            tools: this.tools.length ? this.tools : undefined,
+            temperature: this.voiceConfig.temperature
+        });
+        if (generation !== this.generation || !this.open) return;
+
+        const message = completion.choices[0].message;
+        this.messages.push(message);
+
+        if (message.tool_calls?.length) {
+            for (const call of message.tool_calls) this.pendingToolCalls.add(call.id);
+            for (const call of message.tool_calls) {
+                let args = {};
+                try {
+                    args = JSON.parse(call.function.arguments || '{}');
+                } catch (parseError) {
+                    console.error(`[VoiceProvider] Invalid arguments for ${call.function.name}:`, parseError.message);
+                }
+                this.emit('tool_call', { callId: call.id, name: call.function.name, args });
+            }
+            return;
+        }
+
+        if (message.content) {
+            await this.speak(message.content, generation);
+        }
+    }
+
+    async speak(text, generation) {
+        const speech = await this.openai.audio.speech.create({
+            model: voiceDefaults.openai.ttsModel,
+            voice: this.voiceConfig.voice,
+            input: text,
+            instructions: voiceSettingsService.getInstructions(this.voiceConfig) || undefined,
+            response_format: 'pcm'
+        });
+        const pcm = new Int16Array(await speech.arrayBuffer());
+        if (generation !== this.generation || !this.open) return;
+
+        this.emit('audio', encodeMulaw(resample(pcm, voiceDefaults.pipeline.ttsSampleRate, PHONE_SAMPLE_RATE)).toString('base64'));
+        this.emit('transcript', { role: 'assistant', text });
+    }
+
+    sendToolResult(callId, result) {
+        if (!this.pendingToolCalls.delete(callId)) return;
+
+        // Keep each result right after the assistant message that asked for it
+        const askedAt = this.messages.findIndex(message => message.tool_calls?.some(call => call.id === callId));
+        let insertAt = askedAt + 1;
+        while (this.messages[insertAt]?.role === 'tool') insertAt++;
+        this.messages.splice(insertAt, 0, { role: 'tool', tool_call_id: callId, content: JSON.stringify(result) });
+
+        if (this.pendingToolCalls.size === 0) {
+            this.generate(this.generation).catch(err => this.emit('error', err));
+        }
+    }
+
+    cancel() {
+        this.generation++;
+    }
+
+    close() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+
+    get isOpen() {
+        return this.open;
+    }
+}
+
+/**
+ * Fake Provider
+ * Scripted and offline, for tests and local runs. Caller turns are detected like the
+ * pipeline's; each one plays the next scripted turn:
+ *   { user: 'caller transcript', toolCalls: [{ name, args }], reply: 'agent transcript', audio: base64 μ-law }
+ * respond() (the greeting) plays `greeting`. Everything the agent was sent is kept for assertions.
+ */
+class FakeVoiceProvider extends RealtimeVoiceProvider {
+    constructor({ turns = [], greeting = 'Hello, how can I help?' } = {}) {
+        super();
+        this.turns = [...turns];
+        this.greeting = greeting;
+        this.open = false;
+        this.session = null;
+        this.received = { audioBytes: 0, responses: [], toolResults: [], cancels: 0 };
+        this.pendingTurn = null;
+        this.callCount = 0;
+    }
+
+    async connect(session) {
+        this.session = session;
+        this.detector = createTurnDetector(session.voiceConfig);
+        this.open = true;
+        this.emit('ready');
+    }
+
+    sendAudio(payload) {
+        if (!this.open) return;
+
+        const audio = Buffer.from(payload, 'base64');
+        this.received.audioBytes += audio.length;
+
+        const event = this.detector.push(audio);
+        if (event) this.emit(event);
+        if (event === 'speech_stopped') {
+            this.detector.takeTurn();
+            this.playTurn(this.turns.shift());
+        }
+    }
+
+    playTurn(turn) {
+        if (!turn) return;
+        if (turn.user) this.emit('transcript', { role: 'user', text: turn.user });
+
+        if (turn.toolCalls?.length) {
+            this.pendingTurn = { ...turn, waiting: new Set() };
+            for (const { name, args = {} } of turn.toolCalls) {
+                const callId = `call_${++this.callCount}`;
+                this.pendingTurn.waiting.add(callId);
+                this.emit('tool_call', { callId, name, args });
+            }
+            return;
+        }
+        this.speak(turn);
+    }
+
+    speak({ reply, audio }) {
+        if (!reply || !this.open) return;
+        // 100 ms of μ-law silence stands in for speech when the script has no audio
+        this.emit('audio', audio || Buffer.alloc(PHONE_SAMPLE_RATE / 10, 0xff).toString('base64'));
+        this.emit('transcript', { role: 'assistant', text: reply });
+    }
+
+    respond(instructions) {
+        this.received.responses.push(instructions);
+        this.speak({ reply: this.greeting });
+    }
+
+    sendToolResult(callId, result) {
+        this.received.toolResults.push({ callId, result });
+
+        const turn = this.pendingTurn;
+        if (!turn?.waiting.delete(callId) || turn.waiting.size > 0) return;
+        this.pendingTurn = null;
+        this.speak(turn);
+    }
+
+    cancel() {
+        this.received.cancels++;
+    }
+
+    close() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+
+    get isOpen() {
+        return this.open;
+    }
+}
+
+const PROVIDERS = {
+    openai_realtime: OpenAIRealtimeProvider,
+    pipeline: PipelineVoiceProvider,
+    fake: FakeVoiceProvider
+};
+
+/**
+ * The provider for a call. VOICE_PROVIDER overrides the tenant's choice for every call
+ * (e.g. VOICE_PROVIDER=fake for local runs without an API key).
+ * @param {object} voiceConfig - Tenant voice settings (voiceSettingsService.getVoiceConfig)
+ */
+function createVoiceProvider(voiceConfig, options = {}) {
+    const name = process.env.VOICE_PROVIDER || voiceConfig.provider;
+    const Provider = PROVIDERS[name];
+    if (!Provider) throw new Error(`Unknown voice provider: ${name}`);
+    return new Provider(options);
+}
+
+module.exports = {
+    RealtimeVoiceProvider,
+    OpenAIRealtimeProvider,
+    PipelineVoiceProvider,
+    FakeVoiceProvider,
+    TurnDetector,
+    PROVIDERS,
+    createVoiceProvider
+};
@@ -4,7 +4,7 @@
  * - Stable greeting playback (Dynamic & Strict)
  * - Safe barge-in handling
  * - Twilio Media Streams
- * - OpenAI Realtime API (Tools & VAD)
+ * - Pluggable speech backends (OpenAI Realtime, STT → chat → TTS; see voiceProviders)
  * - Dashboard Logs Support
  * - Real-time WebSocket updates
  */
@@ -14,6 +14,15 @@ const prismaDefault = require('../lib/prisma');
 // Use the concurrent client to avoid prepared statement conflicts
 const prisma = prismaDefault.concurrent || prismaDefault;
 const socketService = require('./socketService');
+const eventBus = require('../lib/eventBus');
+const agentToolsService = require('./agentToolsService');
+const campaignDialerService = require('./campaignDialerService');
+const conversationService = require('./conversationService');
+const voiceSettingsService = require('./voiceSettingsService');
+const voiceProviders = require('./voiceProviders');
+const availabilityService = require('./availabilityService');
+const bookingResourceService = require('./bookingResourceService');
+const bookingService = require('./bookingService');
 
 // Phone number helpers
 function normalizeDigits(num) {
@@ -30,6 +39,9 @@ function lastNDigits(num, n = 10) {
 const CHUNK_SIZE = 320;
 const SILENCE_BYTE = 0xff;
 
+// Lets the provider settle the session before the agent speaks
+const GREETING_DELAY_MS = 400;
+
 class VoiceService {
     constructor() {
         this.sessions = new Map();
@@ -282,14 +294,17 @@ class VoiceService {
 
             session = {
                 streamSid: msg.start.streamSid,
+                callSid: msg.start.callSid,
                 tenant: currentTenant,
-                openAiWs: null,
+                provider: null, // RealtimeVoiceProvider (see voiceProviders)
                 audioQueue: [],
                 remainder: Buffer.alloc(0),
                 pacer: null,
                 lastAudioAt: Date.now(),
                 callerPhone: msg.start.customParameters?.From,  // Store caller phone
                 callStartTime: Date.now(),
+                afterHours: msg.start.customParameters?.afterHours === 'true', // Closed: take a message
+                campaignRecipientId: msg.start.customParameters?.campaignRecipientId, // Outbound campaign call
             };
 
             this.sessions.set(ws, session);
@@ -308,9 +323,13 @@ class VoiceService {
                     if (callSid) {
                         inboundData.callSid = callSid;
                     }
-                    const inboundCall = await prisma.inboundCall.create({
-                        data: inboundData
-                    });
+                    // The voice webhook already logged this call; reuse its row
+                    const existingCall = callSid
+                        ? await prisma.inboundCall.findFirst({ where: { tenantId: currentTenant.id, callSid } })
+                        : null;
+                    const inboundCall = existingCall
+                        ? await prisma.inboundCall.update({ where: { id: existingCall.id }, data: { status: 'in_progress' } })
+                        : await prisma.inboundCall.create({ data: inboundData });
                     console.log(`[VoiceService] InboundCall created: ${inboundCall.id} from ${callerPhone}`);
                     session.inboundCallId = inboundCall.id;
                 } else {
@@ -320,8 +339,30 @@ class VoiceService {
                 console.error('[VoiceService] Failed to save InboundCall:', err.message);
                 console.error('[VoiceService] Full error:', JSON.stringify(err, null, 2));
             }
-            
-            this.connectToOpenAI(ws);
+
+            // The call's CallSession: transcript messages, bookings and the status webhook attach to it.
+            // Outbound calls already have one from initiateOutboundCall or the campaign dialer.
+            if (session.callSid && currentTenant.id !== 'fallback') {
+                try {
+                    const callSession = await prisma.callSession.upsert({
+                        where: { callSid: session.callSid },
+                        update: { status: 'in_progress' },
+                        create: {
+                            tenantId: currentTenant.id,
+                            callSid: session.callSid,
+                            callerPhone: session.callerPhone,
+                            clientId: await conversationService.findClientId(currentTenant.id, { phone: session.callerPhone }),
+                            direction: session.campaignRecipientId ? 'outbound' : 'inbound',
+                            status: 'in_progress'
+                        }
+                    });
+                    session.callSessionId = callSession.id;
+                } catch (err) {
+                    console.error('[VoiceService] Failed to save CallSession:', err.message);
+                }
+            }
+
+            this.connectVoiceProvider(ws);
 
             // Emit real-time update to frontend
             try {
@@ -337,12 +378,9 @@ class VoiceService {
             return;
         }
 
-        if (msg.event === 'media' && session?.openAiWs?.readyState === WebSocket.OPEN) {
+        if (msg.event === 'media' && session?.provider?.isOpen) {
             session.lastAudioAt = Date.now();
-            session.openAiWs.send(JSON.stringify({
-                type: 'input_audio_buffer.append',
-                audio: msg.media.payload
-            }));
+            session.provider.sendAudio(msg.media.payload);
         }
 
         if (msg.event === 'stop') {
@@ -358,9 +396,9 @@ class VoiceService {
         session.pacer = setInterval(() => {
             if (ws.readyState !== WebSocket.OPEN) return;
 
-            const chunk =
-                session.audioQueue.shift() ||
-                Buffer.alloc(CHUNK_SIZE, SILENCE_BYTE);
+            const queued = session.audioQueue.shift();
+            if (queued) session.lastSpeechAt = Date.now();
+            const chunk = queued || Buffer.alloc(CHUNK_SIZE, SILENCE_BYTE);
 
             ws.send(JSON.stringify({
                 event: 'media',
@@ -384,14 +422,10 @@ class VoiceService {
         this.startPacer(ws, session);
     }
 
-    /* -------------------- OPENAI -------------------- */
+    /* -------------------- VOICE PROVIDER -------------------- */
 
-    async connectToOpenAI(ws) {
+    async connectVoiceProvider(ws) {
         const session = this.sessions.get(ws);
-        if (!process.env.OPENAI_API_KEY) {
-            console.error('[VoiceService] CRITICAL: OPENAI_API_KEY is missing!');
-            return;
-        }
 
         // 1. FORCE FRESH FETCH: Always reload tenant data from database for LATEST customSystemPrompt
         // This ensures any recent database updates are picked up immediately
@@ -549,188 +583,187 @@ RESTRICTIONS
             systemPrompt += `\n\nPricing Information:\n${pricing}`;
         }*/
 
-        console.log('[VoiceService] Initiating OpenAI WebSocket connection');
+        if (session.afterHours) {
+            systemPrompt += `
+
+The business is currently closed. Do not book appointments or transfer the call.
+Let the caller know the team is away, then take a message: ask for their name, what the call is about and the best time to call back.
+Read the message back to confirm it, save it with the take_message tool and tell the caller someone will call them back.`;
+        }
+
+        // Outbound campaign call: the campaign script and goal drive the conversation
+        if (session.campaignRecipientId && tenant?.id) {
+            session.campaign = await campaignDialerService.getCallContext(tenant.id, session.campaignRecipientId);
+        }
+        if (session.campaign) {
+            const { campaignName, script, goal, recipientName } = session.campaign;
+            systemPrompt += `
+
+You are making an outbound call for the "${campaignName}" campaign${recipientName ? ` to ${recipientName}` : ''}.
+Follow this script:
+${script}
+${goal ? `\nThe goal of the call: ${goal}\n` : ''}
+Be brief and polite. If the person asks not to be called again, apologize and end the call.
+Before the call ends, always save the result with the record_call_outcome tool.`;
+        }
+
+        // Built-ins the tenant enabled for voice plus their custom tools
+        const tools = await agentToolsService.getToolsForSession(tenant?.id, {
+            channel: 'voice',
+            campaign: Boolean(session.campaign)
+        });
+        console.log(`[VoiceService] Voice tools: ${tools.map(tool => tool.name).join(', ')}`);
+
+        // Tenant voice, language, VAD and hangup settings (aiConfig.voice)
+        const voiceConfig = voiceSettingsService.getVoiceConfig(tenant?.aiConfig);
+        session.voiceConfig = voiceConfig;
+        this.startCallWatchdog(ws, session);
+
+        let provider;
+        try {
+            provider = voiceProviders.createVoiceProvider(voiceConfig);
+        } catch (err) {
+            console.error('[VoiceService] CRITICAL: Cannot start voice provider:', err.message);
+            return;
+        }
+        session.provider = provider;
+
+        console.log(`[VoiceService] Connecting ${provider.constructor.name}`);
         console.log('[VoiceService] System Prompt:', systemPrompt.slice(0, 500) + '...');
-        const apiKey = process.env.OPENAI_API_KEY;
-
-        const openAiWs = new WebSocket(
-            'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview',
-            {
-                headers: {
-                    Authorization: `Bearer ${apiKey}`,
-                    'OpenAI-Beta': 'realtime=v1'
-                }
+
+        // Barge‑in: user starts speaking
+        provider.on('speech_started', () => {
+            session.callerSpeaking = true;
+            if (voiceConfig.bargeInEnabled) {
+                session.audioQueue = [];
+                session.remainder = Buffer.alloc(0);
+                ws.send(JSON.stringify({ event: 'clear', streamSid: session.streamSid }));
+                provider.cancel();
+                console.log('User barged in – clearing AI audio');
             }
-        );
-
-        session.openAiWs = openAiWs;
-
-        // ----- OpenAI WebSocket opened -----
-        openAiWs.on('open', () => {
-            console.log('[VoiceService] OpenAI WebSocket opened');
-            // Send session configuration (including tools & VAD)
-            openAiWs.send(JSON.stringify({
-                type: 'session.update',
-                session: {
-                    input_audio_format: 'g711_ulaw',
-                    output_audio_format: 'g711_ulaw',
-                    voice: 'alloy',
-                    instructions: systemPrompt,
-                    modalities: ['audio', 'text'],
-                    input_audio_transcription: {
-                        model: 'whisper-1'
-                    },
-                    turn_detection: {
-                        type: 'server_vad',
-                        threshold: 0.8,
-                        prefix_padding_ms: 300,
-                        silence_duration_ms: 500
-                    },
-                    tools: [{
-                        type: 'function',
-                        name: 'bookAppointment',
-                        description: 'Books an appointment for the customer.',
-                        parameters: {
-                            type: 'object',
-                            properties: {
-                                name: { type: 'string' },
-                                phone: { type: 'string' },
-                                email: { type: 'string', description: 'Customer email address' },
-                                dateTime: { type: 'string', description: 'ISO format date string' },
-                                purpose: { type: 'string' }
-                            },
-                            required: ['phone', 'dateTime']
-                        }
-                    },
-                    {
-                        type: 'function',
-                        name: 'sendBookingReminder',
-                        description: 'Sends a booking reminder email to the customer and tenant after appointment is booked.',
-                        parameters: {
-                            type: 'object',
-                            properties: {
-                                customerEmail: { type: 'string', description: 'Customer email address' },
-                                customerPhone: { type: 'string', description: 'Customer phone number' },
-                                customerName: { type: 'string', description: 'Customer name' },
-                                bookingDate: { type: 'string', description: 'Booking date in ISO format' },
-                                product: { type: 'string', description: 'Product/service booked' },
-                                bookingId: { type: 'string', description: 'Booking reference ID' }
-                            },
-                            required: ['customerEmail', 'customerName', 'bookingDate', 'product']
-                        }
-                    }]
-                }
-            }));
+        });
 
-            // Send greeting after a short delay
-            setTimeout(async () => {
-                if (openAiWs.readyState === WebSocket.OPEN) {
-                    if (!tenant || !tenant.id) {
-                        console.error('[VoiceService] ❌ Cannot send greeting: tenant is null or has no ID');
-                        return;
-                    }
-                    const personalizedGreeting = await this.getGreeting(tenant.id, tenant?.timezone);
-                    console.log('[VoiceService] Sending greeting:', personalizedGreeting);
-                    openAiWs.send(JSON.stringify({
-                        type: 'response.create',
-                        response: {
-                            modalities: ['audio', 'text'],
-                            instructions: `You are starting a new call. Speak the following greeting immediately and then wait for the user to respond: "${personalizedGreeting}"`
-                        }
-                    }));
-                }
-            }, 400);
+        provider.on('speech_stopped', () => {
+            session.callerSpeaking = false;
+            session.lastSpeechAt = Date.now();
         });
 
-        // ----- Message handling -----
-        openAiWs.on('message', async data => {
+        provider.on('audio', payload => this.enqueue(session, payload, ws));
+
+        provider.on('transcript', ({ role, text }) => {
+            console.log(`[VoiceService] ${role === 'user' ? 'User' : 'AI'} Transcript: "${text}"`);
+            if (session.tenant) {
+                this.saveMessage(session, role, text).catch(err =>
+                    console.error(`[VoiceService] Error saving ${role} transcript:`, err.message)
+                );
+            }
+        });
+
+        provider.on('tool_call', async ({ callId, name, args }) => {
             try {
-                const msg = JSON.parse(data);
-
-                // LOG EVERY EVENT FROM OPENAI
-                // if (msg.type) {
-                //      console.log(`[VoiceService] OpenAI Event: ${msg.type}`);
-                // }
-
-                // Barge‑in: user starts speaking
-                if (msg.type === 'input_audio_buffer.speech_started') {
-                    session.audioQueue = [];
-                    session.remainder = Buffer.alloc(0);
-                    ws.send(JSON.stringify({ event: 'clear', streamSid: session.streamSid }));
-                    openAiWs.send(JSON.stringify({ type: 'response.cancel' }));
-                    console.log('User barged in – clearing AI audio');
-                }
+                // Use session.tenant.id to ensure we have the correct tenant from the inbound call
+                const tenantIdForTool = session?.tenant?.id || tenant?.id;
+                session.toolRunning = true;
+
+                const result = await agentToolsService.executeTool(name, args, {
+                    tenantId: tenantIdForTool,
+                    callerPhone: session?.callerPhone,
+                    callSid: session?.callSid,
+                    callSessionId: session?.callSessionId,
+                    session
+                });
+                console.log(`[VoiceService] Tool ${name} ${result?.success ? 'succeeded' : 'failed'}:`, result);
+                provider.sendToolResult(callId, result);
+            } catch (e) {
+                console.error(`[VoiceService] Tool ${name} error:`, e);
+                provider.sendToolResult(callId, { success: false, message: 'The tool failed. Apologize and offer to take a message.' });
+            } finally {
+                session.toolRunning = false;
+                session.lastSpeechAt = Date.now();
+            }
+        });
 
-                // Audio delta from OpenAI
-                if (msg.type === 'response.audio.delta') {
-                    this.enqueue(session, msg.delta, ws);
-                }
+        provider.on('error', e => {
+            console.error('❌ Voice provider error:', e.message);
+            this.closeSession(ws);
+        });
 
-                // AI Transcript
-                if (msg.type === 'response.audio_transcript.done') {
-                    const transcript = msg.transcript;
-                    console.log(`[VoiceService] AI Transcript: "${transcript}"`);
-                    if (session.tenant) {
-                        this.saveMessage(session, 'assistant', transcript).catch(err => 
-                            console.error('[VoiceService] Error saving AI transcript:', err.message)
-                        );
-                    }
-                }
+        provider.once('ready', () => {
+            console.log('[VoiceService] Voice provider ready');
 
-                // User Transcript
-                if (msg.type === 'conversation.item.input_audio_transcription.completed') {
-                    const transcript = msg.transcript;
-                    console.log(`[VoiceService] User Transcript: "${transcript}"`);
-                    if (session.tenant) {
-                        this.saveMessage(session, 'user', transcript).catch(err => 
-                            console.error('[VoiceService] Error saving user transcript:', err.message)
-                        );
-                    }
+            // Send greeting after a short delay
+            setTimeout(async () => {
+                if (!provider.isOpen) return;
+                if (!tenant || !tenant.id) {
+                    console.error('[VoiceService] ❌ Cannot send greeting: tenant is null or has no ID');
+                    return;
                 }
-
-                if (msg.type === 'response.done') {
-                    if (msg.response?.status === 'failed') {
-                        console.error('[VoiceService] Response Failed:', JSON.stringify(msg.response?.status_details));
-                    }
+                if (session.campaign) {
+                    // We called them: open with the campaign script instead of the inbound greeting
+                    provider.respond('The person just answered your call. Greet them, say who you are calling from and open with the campaign script, then wait for them to respond.');
+                    return;
                 }
 
-                // Tool call handling
-                if (msg.type === 'response.function_call_arguments.done') {
-                    const args = JSON.parse(msg.arguments);
-                    let result = { success: false, message: "Action failed" };
-                    
-                    // Use session.tenant.id to ensure we have the correct tenant from the inbound call
-                    const tenantIdForTool = session?.tenant?.id || tenant?.id;
-                    
-                    if (msg.name === 'bookAppointment') {
-                        result = await this.handleBookAppointment(args, tenantIdForTool, session);
-                        console.log(`\x1b[1m\x1b[36m[VoiceService] bookAppointment tool called successfully\x1b[0m`);
-                        console.log(`\x1b[1m${result.success ? '\x1b[32m✓ RECORDED TO DB SUCCESSFULLY' : '\x1b[31m✗ FAILED TO RECORD TO DB'}\x1b[0m`);
-                        console.log(`\x1b[1mTool Result:\x1b[0m`, result);
-                    } else if (msg.name === 'sendBookingReminder') {
-                        result = await this.handleSendBookingReminder(args, tenantIdForTool);
-                    }
-                    
-                    openAiWs.send(JSON.stringify({
-                        type: 'conversation.item.create',
-                        item: {
-                            type: 'function_call_output',
-                            call_id: msg.call_id,
-                            output: JSON.stringify(result)
-                        }
-                    }));
-                    openAiWs.send(JSON.stringify({ type: 'response.create' }));
+                let personalizedGreeting = await this.getGreeting(tenant.id, tenant?.timezone);
+                if (session.afterHours) {
+                    personalizedGreeting += ' Our office is closed right now, but I can take a message for the team.';
                 }
-            } catch (e) {
-                console.error('OpenAI Message Error', e);
-            }
+                console.log('[VoiceService] Sending greeting:', personalizedGreeting);
+                provider.respond(`You are starting a new call. Speak the following greeting immediately and then wait for the user to respond: "${personalizedGreeting}"`);
+            }, GREETING_DELAY_MS);
         });
 
-        // ----- Error handling -----
-        openAiWs.on('error', e => {
-            console.error('❌ OpenAI WS Error Detailed:', e.message);
-            this.closeSession(ws);
-        });
+        try {
+            await provider.connect({ instructions: systemPrompt, tools, voiceConfig });
+        } catch (err) {
+            // Reported through the provider's error event
+        }
+    }
+
+    /**
+     * Hang up calls that run past the tenant's max duration or go quiet for too long.
+     * Silence means neither side has spoken (or a tool was running) for silenceHangupSeconds.
+     */
+    startCallWatchdog(ws, session) {
+        if (session.watchdog) return;
+        session.lastSpeechAt = Date.now();
+
+        session.watchdog = setInterval(() => {
+            const { maxCallDurationSeconds, silenceHangupSeconds } = session.voiceConfig;
+            const now = Date.now();
+
+            if (now - session.callStartTime >= maxCallDurationSeconds * 1000) {
+                this.endCall(ws, session, 'max_duration');
+                return;
+            }
+
+            const active = session.callerSpeaking || session.toolRunning || session.audioQueue.length > 0;
+            if (silenceHangupSeconds && !active && now - session.lastSpeechAt >= silenceHangupSeconds * 1000) {
+                this.endCall(ws, session, 'silence');
+            }
+        }, 1000);
+    }
+
+    /**
+     * End the call from our side: hang up through Twilio, then close the stream
+     */
+    async endCall(ws, session, reason) {
+        if (session.endReason) return;
+        session.endReason = reason;
+        console.log(`[VoiceService] Ending call ${session.callSid} (${reason})`);
+
+        if (session.callSid && session.tenant?.id && session.tenant.id !== 'fallback') {
+            try {
+                // Loaded lazily: twilioService pulls in the chat and campaign services
+                const twilioService = require('./twilioService');
+                await twilioService.hangupCall(session.tenant.id, session.callSid);
+            } catch (err) {
+                console.error('[VoiceService] Hangup failed, closing the stream:', err.message);
+            }
+        }
+
+        this.closeSession(ws);
+        if (ws.readyState === WebSocket.OPEN) ws.close();
     }
 
     closeSession(ws) {
@@ -738,9 +771,8 @@ RESTRICTIONS
         if (!session) return;
 
         if (session.pacer) clearInterval(session.pacer);
-        if (session.openAiWs?.readyState === WebSocket.OPEN) {
-            session.openAiWs.close();
-        }
+        if (session.watchdog) clearInterval(session.watchdog);
+        session.provider?.close();
 
         // Update InboundCall record with duration
         if (session.inboundCallId && session.callStartTime) {
@@ -752,18 +784,37 @@ RESTRICTIONS
                         status: 'completed',
                         duration
                     }
+                }).then(() => {
+                    eventBus.emit('call:completed', {
+                        tenantId: session.tenant?.id,
+                        inboundCallId: session.inboundCallId,
+                        callerPhone: session.callerPhone,
+                        duration
+                    });
                 }).catch(err => console.error('[VoiceService] Failed to update InboundCall:', err.message));
             } catch (err) {
                 console.error('[VoiceService] Error finalizing InboundCall:', err.message);
             }
         }
 
+        if (session.callSessionId) {
+            prisma.callSession.update({
+                where: { id: session.callSessionId },
+                data: {
+                    status: 'completed',
+                    endedAt: new Date(),
+                    duration: Math.floor((Date.now() - session.callStartTime) / 1000)
+                }
+            }).catch(err => console.error('[VoiceService] Failed to update CallSession:', err.message));
+        }
+
         // Emit real-time update to frontend
         try {
             if (session.tenant) {
                 socketService.sendToTenant(session.tenant.id, 'call:ended', {
                     streamSid: session.streamSid,
                     tenantId: session.tenant.id,
+                    reason: session.endReason || 'completed',
                     timestamp: new Date().toISOString()
                 });
             }
@@ -788,6 +839,17 @@ RESTRICTIONS
         }
 
         try {
+            const service = await agentToolsService.findService(tenantId, args.service);
+            const staff = await bookingResourceService.findByName(tenantId, args.staff);
+            const slot = await availabilityService.checkSlot(tenantId, {
+                start: new Date(dateTime),
+                serviceId: service?.id,
+                resourceId: staff?.id
+            });
+            if (!slot.available) {
+                return { success: false, message: `That time can't be booked. ${slot.message} Offer the caller other times from check_availability.` };
+            }
+
             // 1. Find or Create Client
             let client = await prisma.client.findFirst({
                 where: {
@@ -806,6 +868,7 @@ RESTRICTIONS
                         source: 'Voice AI'
                     }
                 });
+                eventBus.emit('client:created', { tenantId, clientId: client.id });
             } else if (email && !client.email) {
                 // Update client email if it was just provided
                 client = await prisma.client.update({
@@ -814,27 +877,23 @@ RESTRICTIONS
                 });
             }
 
-            // 2. Create Booking
-            const booking = await prisma.booking.create({
-                data: {
-                    tenantId,
-                    clientId: client.id,
-                    date: new Date(dateTime),
-                    purpose: purpose || 'General Consultation',
-                    status: 'Scheduled'
-                },
-                include: {
-                    client: {
-                        select: {
-                            id: true,
-                            name: true,
-                            phone: true,
-                            email: true
-                        }
-                    }
-                }
+            // 2. Create Booking, under the tenant's booking lock (keeping whoever was found free above)
+            const booking = await bookingService.createBooking(tenantId, {
+                clientId: client.id,
+                date: new Date(dateTime),
+                serviceId: slot.serviceId,
+                resourceId: slot.resourceId,
+                purpose: purpose || service?.name || 'General Consultation',
+                status: 'Scheduled'
             });
 
+            if (session?.callSessionId) {
+                await prisma.callSession.update({
+                    where: { id: session.callSessionId },
+                    data: { bookingId: booking.id, clientId: client.id }
+                });
+            }
+
             // Store booking info in session for later use
             if (session) {
                 session.lastBooking = {
@@ -862,6 +921,9 @@ RESTRICTIONS
             };
 
         } catch (error) {
+            if (error.code === 'BOOKING_CONFLICT') {
+                return { success: false, message: 'That time was just taken. Offer the caller other times from check_availability.' };
+            }
             console.error('Booking Error:', error);
             return { success: false, message: "There was an error saving your appointment." };
         }
@@ -891,16 +953,14 @@ RESTRICTIONS
                 return;
             }
 
-            // Use concurrent client to avoid prepared statement conflicts during high concurrency
-            await prisma.message.create({
-                data: {
-                    sessionId: session.streamSid,
-                    role: role,
-                    content: content,
-                    tenantId: session.tenant.id,
-                    source: 'voice'
-                }
-            });
+            // One voice conversation per call, linked to the caller's client record
+            session.conversationPromise = session.conversationPromise || conversationService.getOrCreateConversation(
+                session.tenant.id,
+                { channel: 'voice', sessionId: session.streamSid, phone: session.callerPhone || session.campaign?.phone }
+            );
+            const conversation = await session.conversationPromise;
+
+            await conversationService.addMessage(conversation, { role, content, callSessionId: session.callSessionId || null });
         } catch (error) {
             console.error('[VoiceService] Failed to save message:', error?.message || error);
         }
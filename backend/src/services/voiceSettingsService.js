@@ -0,0 +1,113 @@
+const OpenAI = require('openai');
+const prisma = require('../lib/prisma');
+const voiceDefaults = require('../config/voice');
+const { voiceConfigSchema } = require('../schemas/validation');
+const AppError = require('../utils/AppError');
+
+// server_vad threshold per sensitivity: a more sensitive agent reacts to quieter speech
+const VAD_THRESHOLDS = {
+    low: 0.8,
+    medium: voiceDefaults.system.inputThreshold,
+    high: 0.3
+};
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Per-tenant voice agent settings (aiConfig.voice): the realtime voice, language,
+ * speaking style, turn detection, barge-in and when calls are hung up.
+ * Missing values fall back to config/voice.js.
+ */
+class VoiceSettingsService {
+    /**
+     * Voice settings from a tenant's aiConfig with defaults applied
+     */
+    getVoiceConfig(aiConfig) {
+        const parsed = voiceConfigSchema.safeParse(aiConfig?.voice || {});
+        return parsed.success ? parsed.data : voiceConfigSchema.parse({});
+    }
+
+    async getTenantVoiceConfig(tenantId) {
+        const tenant = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { aiConfig: true } });
+        return this.getVoiceConfig(tenant?.aiConfig);
+    }
+
+    /**
+     * Store validated settings under aiConfig.voice
+     * Read-modify-write so other aiConfig keys (faqs, prompts, voiceTools) are preserved
+     */
+    async saveVoiceConfig(tenantId, voiceConfig) {
+        const tenant = await prisma.tenant.findUnique({ where: { id: tenantId }, select: { aiConfig: true } });
+        await prisma.tenant.update({
+            where: { id: tenantId },
+            data: { aiConfig: { ...(tenant?.aiConfig || {}), voice: voiceConfig } }
+        });
+        return voiceConfig;
+    }
+
+    /**
+     * Prompt lines for the language and speaking style
+     */
+    getInstructions(voiceConfig) {
+        const lines = [];
+        if (voiceConfig.language !== 'en') {
+            const language = languageNames.of(voiceConfig.language) || voiceConfig.language;
+            lines.push(`Speak ${language}. If the caller speaks another language, switch to it.`);
+        }
+        if (voiceConfig.speakingStyle) {
+            lines.push(`Speaking style: ${voiceConfig.speakingStyle}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * The realtime `session.update` payload for a call
+     */
+    buildSessionUpdate(voiceConfig, { instructions, tools }) {
+        const styleInstructions = this.getInstructions(voiceConfig);
+
+        return {
+            input_audio_format: voiceDefaults.twilio.mediaFormat,
+            output_audio_format: voiceDefaults.twilio.mediaFormat,
+            voice: voiceConfig.voice,
+            instructions: styleInstructions ? `${instructions}\n\n${styleInstructions}` : instructions,
+            modalities: ['audio', 'text'],
+            temperature: voiceConfig.temperature,
+            input_audio_transcription: {
+                model: voiceDefaults.openai.transcriptionModel,
+                language: voiceConfig.language.split('-')[0]
+            },
+            turn_detection: {
+                type: 'server_vad',
+                threshold: VAD_THRESHOLDS[voiceConfig.vadSensitivity],
+                prefix_padding_ms: voiceDefaults.system.prefixPaddingMs,
+                silence_duration_ms: voiceDefaults.system.endOfTurnSilenceMs,
+                interrupt_response: voiceConfig.bargeInEnabled
+            },
+            tools
+        };
+    }
+
+    /**
+     * Speak a greeting with the given settings so the dashboard can preview them
+     * @returns {Buffer} MP3 audio
+     */
+    async previewGreeting(voiceConfig, text) {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new AppError('Voice previews are not available', 503, 'VOICE_PREVIEW_UNAVAILABLE');
+        }
+
+        const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        const speech = await openai.audio.speech.create({
+            model: voiceDefaults.openai.ttsModel,
+            voice: voiceConfig.voice,
+            input: text,
+            instructions: this.getInstructions(voiceConfig) || undefined,
+            response_format: 'mp3'
+        });
+        return Buffer.from(await speech.arrayBuffer());
+    }
+}
+
+module.exports = new VoiceSettingsService();
+module.exports.VAD_THRESHOLDS = VAD_THRESHOLDS;
@@ -0,0 +1,210 @@
+const twilio = require('twilio');
+const prismaDefault = require('../lib/prisma');
+// Use the concurrent client to avoid prepared statement conflicts (runs during live calls)
+const prisma = prismaDefault.concurrent || prismaDefault;
+const { twilioWebhookUrl } = require('../utils/webhookUrl');
+const eventBus = require('../lib/eventBus');
+const jobQueueService = require('./jobQueueService');
+const notificationService = require('./notificationService');
+const socketService = require('./socketService');
+const { isOpen } = require('../utils/businessHours');
+const { afterHoursConfigSchema } = require('../schemas/validation');
+
+const DEFAULT_VOICEMAIL_GREETING = 'Sorry, no one is available to take your call. Please leave a message after the tone and we will call you back.';
+
+// Twilio posts the transcription well after the recording; wait for it before notifying
+const TRANSCRIPTION_WAIT_MS = 60 * 1000;
+
+const CALLBACK_TAG = 'callback';
+
+/**
+ * Voicemail and messages taken by the AI
+ * Both end the same way: the InboundCall holds the message, the caller lands in the
+ * lead list tagged for a callback and the team gets a notification.
+ */
+class VoicemailService {
+    /**
+     * After-hours settings when the tenant is closed right now, otherwise null
+     * @param {object} tenant - { businessHours, timezone, twilioConfig }
+     * @returns {{ mode: 'ai'|'voicemail', voicemailGreeting?: string }|null}
+     */
+    getAfterHoursConfig(tenant, now = new Date()) {
+        if (!tenant?.businessHours || isOpen(tenant.businessHours, tenant.timezone || 'UTC', now)) return null;
+
+        const parsed = afterHoursConfigSchema.safeParse(tenant.twilioConfig?.afterHours || {});
+        return parsed.success ? parsed.data : afterHoursConfigSchema.parse({});
+    }
+
+    buildVoicemailTwiml({ tenantId, greeting }) {
+        const response = new twilio.twiml.VoiceResponse();
+        response.say(greeting || DEFAULT_VOICEMAIL_GREETING);
+        response.record({
+            maxLength: 120,
+            playBeep: true,
+            transcribe: true,
+            transcribeCallback: twilioWebhookUrl('/webhook/voicemail/transcription', { tenantId }),
+            recordingStatusCallback: twilioWebhookUrl('/webhook/voicemail/recording', { tenantId }),
+            recordingStatusCallbackEvent: 'completed',
+            action: twilioWebhookUrl('/webhook/voicemail/complete')
+        });
+        return response.toString();
+    }
+
+    /**
+     * Recording status callback for a voicemail
+     * @param {object} params - Twilio webhook body (CallSid, RecordingUrl, RecordingStatus)
+     */
+    async handleRecording(params, tenantId) {
+        const { CallSid, RecordingUrl, RecordingStatus } = params;
+        if (!tenantId || (RecordingStatus && RecordingStatus !== 'completed')) return;
+
+        await prisma.inboundCall.updateMany({
+            where: { tenantId, callSid: CallSid },
+            data: { recordingUrl: RecordingUrl, status: 'voicemail' }
+        });
+
+        await jobQueueService.enqueue('voicemail.notify', { callSid: CallSid }, {
+            tenantId,
+            delayMs: TRANSCRIPTION_WAIT_MS
+        });
+    }
+
+    /**
+     * Transcription callback for a voicemail
+     * @param {object} params - Twilio webhook body (CallSid, TranscriptionText, TranscriptionStatus)
+     */
+    async handleTranscription(params, tenantId) {
+        const { CallSid, TranscriptionText, TranscriptionStatus } = params;
+        if (!tenantId || TranscriptionStatus !== 'completed' || !TranscriptionText) return;
+
+        await prisma.inboundCall.updateMany({
+            where: { tenantId, callSid: CallSid },
+            data: { transcript: TranscriptionText }
+        });
+    }
+
+    /**
+     * Job handler for 'voicemail.notify': follow up once the transcription had time to arrive
+     */
+    async notifyVoicemail(tenantId, callSid) {
+        const inboundCall = await prisma.inboundCall.findFirst({ where: { tenantId, callSid } });
+        if (!inboundCall) return { skipped: 'Inbound call not found' };
+
+        return this.followUp(tenantId, inboundCall, {
+            message: inboundCall.transcript || 'Voicemail left (no transcription available).',
+            kind: 'voicemail'
+        });
+    }
+
+    /**
+     * Message taken by the AI agent during a call (take_message voice tool)
+     * @param {object} options - { tenantId, callSid, callerPhone, callerName, message, callbackTime }
+     */
+    async takeMessage({ tenantId, callSid, callerPhone, callerName, message, callbackTime }) {
+        if (!tenantId || !message) {
+            return { success: false, message: 'I need the message to pass on before I can save it.' };
+        }
+
+        const notes = callbackTime ? `${message}\nBest time to call back: ${callbackTime}` : message;
+
+        let inboundCall = callSid
+            ? await prisma.inboundCall.findFirst({ where: { tenantId, callSid } })
+            : null;
+
+        if (inboundCall) {
+            inboundCall = await prisma.inboundCall.update({
+                where: { id: inboundCall.id },
+                data: { notes, callerName: callerName || inboundCall.callerName }
+            });
+        } else if (callerPhone) {
+            inboundCall = await prisma.inboundCall.create({
+                data: { tenantId, callerPhone, callSid, callerName, notes }
+            });
+        } else {
+            return { success: false, message: "I couldn't save the message because I don't have your phone number." };
+        }
+
+        await this.followUp(tenantId, inboundCall, { callerName, message: notes, kind: 'message' });
+
+        return {
+            success: true,
+            message: 'Your message has been passed on and someone from the team will call you back.'
+        };
+    }
+
+    /**
+     * Tag the caller for a callback in the lead list and tell the team
+     */
+    async followUp(tenantId, inboundCall, { callerName, message, kind }) {
+        const name = callerName || inboundCall.callerName;
+        const caller = name ? `${name} (${inboundCall.callerPhone})` : inboundCall.callerPhone;
+
+        const client = await this.createCallbackLead(tenantId, {
+            phone: inboundCall.callerPhone,
+            name,
+            note: message
+        });
+
+        const title = kind === 'voicemail' ? 'New Voicemail' : 'New Message';
+        const users = await prisma.user.findMany({ where: { tenantId }, select: { id: true } });
+        for (const user of users) {
+            await notificationService.createNotification(
+                user.id,
+                title,
+                `${caller}: ${message.slice(0, 200)}`,
+                'call',
+                '/dashboard/leads'
+            );
+        }
+
+        socketService.sendToTenant(tenantId, 'call:voicemail', {
+            inboundCallId: inboundCall.id,
+            clientId: client?.id || null,
+            callerPhone: inboundCall.callerPhone,
+            callerName: name || null,
+            kind,
+            message,
+            recordingUrl: inboundCall.recordingUrl || null,
+            timestamp: new Date().toISOString()
+        });
+
+        return { inboundCallId: inboundCall.id, clientId: client?.id || null, notified: users.length };
+    }
+
+    /**
+     * Find or create the caller as a lead and tag them for a callback
+     */
+    async createCallbackLead(tenantId, { phone, name, note }) {
+        if (!phone) return null;
+
+        const stamp = `[Callback ${new Date().toISOString().slice(0, 16).replace('T', ' ')}]: ${note}`;
+        const existing = await prisma.client.findFirst({ where: { tenantId, phone } });
+
+        if (existing) {
+            return prisma.client.update({
+                where: { id: existing.id },
+                data: {
+                    notes: existing.notes ? `${existing.notes}\n${stamp}` : stamp,
+                    tags: existing.tags.includes(CALLBACK_TAG) ? existing.tags : [...existing.tags, CALLBACK_TAG]
+                }
+            });
+        }
+
+        const client = await prisma.client.create({
+            data: {
+                tenantId,
+                name: name || phone,
+                phone,
+                notes: stamp,
+                source: 'AI_AGENT',
+                tags: [CALLBACK_TAG]
+            }
+        });
+
+        eventBus.emit('client:created', { tenantId, clientId: client.id });
+        return client;
+    }
+}
+
+module.exports = new VoicemailService();
+module.exports.CALLBACK_TAG = CALLBACK_TAG;
@@ -0,0 +1,232 @@
+const prisma = require('../lib/prisma');
+const AppError = require('../utils/AppError');
+const eventBus = require('../lib/eventBus');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const notificationService = require('./notificationService');
+const { normalizePhone } = require('../utils/contact');
+const { formatLocalDateTime } = require('../utils/businessHours');
+
+const MINUTE = 60 * 1000;
+
+// Waiting clients texted per freed slot; the next batch gets it if nobody answers in time
+const OFFER_BATCH = 5;
+const YES_KEYWORDS = ['YES', 'Y'];
+
+const TAKEN_MESSAGE = "Sorry, that slot has already been taken. You're still on the waitlist and we'll text you when another opens up.";
+
+/**
+ * Per-service waitlist. When a booking is cancelled or moved (bookingLifecycleService), the
+ * freed slot is texted to the clients who have waited longest for that service; the first
+ * to reply YES gets it. Offers are held for bookingConfig.waitlistOfferMinutes, then passed
+ * on to the next clients by the scheduled jobs.
+ */
+class WaitlistService {
+    async listEntries(tenantId, { status = 'waiting' } = {}) {
+        return prisma.waitlistEntry.findMany({
+            where: { tenantId, status },
+            include: {
+                client: { select: { id: true, name: true, phone: true, email: true } },
+                service: { select: { id: true, name: true } }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+    }
+
+    /**
+     * @param {object} data - waitlistEntrySchema
+     */
+    async addEntry(tenantId, data) {
+        const client = await prisma.client.findFirst({ where: { id: data.clientId, tenantId } });
+        if (!client) throw new AppError('Client not found', 404, 'CLIENT_NOT_FOUND');
+        if (!client.phone) {
+            throw new AppError('Waitlist offers are sent by SMS, so the client needs a phone number', 400, 'CLIENT_HAS_NO_PHONE');
+        }
+        if (data.serviceId) {
+            const service = await prisma.service.findFirst({ where: { id: data.serviceId, tenantId, isActive: true } });
+            if (!service) throw new AppError('Service not found', 404, 'SERVICE_NOT_FOUND');
+        }
+
+        const entry = await prisma.waitlistEntry.create({
+            data: {
+                tenantId,
+                clientId: client.id,
+                serviceId: data.serviceId || null,
+                // As Twilio's E.164 From will be, for matching replies
+                phone: normalizePhone(client.phone),
+                earliest: data.earliest ? new Date(data.earliest) : null,
+                latest: data.latest ? new Date(data.latest) : null,
+                notes: data.notes || null
+            }
+        });
+        eventBus.emit('waitlist:joined', { tenantId, entryId: entry.id, clientId: client.id });
+        return entry;
+    }
+
+    async removeEntry(tenantId, id) {
+        const { count } = await prisma.waitlistEntry.updateMany({
+            where: { id, tenantId, status: 'waiting' },
+            data: { status: 'removed' }
+        });
+        if (count === 0) throw new AppError('Waitlist entry not found', 404, 'WAITLIST_ENTRY_NOT_FOUND');
+    }
+
+    /**
+     * Text a freed slot to the next waiting clients for its service
+     * @param {object} slot - { start, serviceId, resourceId } of the booking that freed it
+     * @param {object} options - { exclude: entry ids already offered this slot, now }
+     * @returns {object|null} The WaitlistOffer, or null when the slot isn't free or nobody fits
+     */
+    async offerSlot(tenantId, { start, serviceId = null, resourceId = null }, { exclude = [], now = new Date() } = {}) {
+        const startAt = new Date(start);
+        const slot = await availabilityService.checkSlot(tenantId, { start: startAt, serviceId, resourceId }, { now });
+        if (!slot.available) return null;
+
+        const entries = await prisma.waitlistEntry.findMany({
+            where: {
+                tenantId,
+                status: 'waiting',
+                serviceId,
+                ...(exclude.length ? { id: { notIn: exclude } } : {}),
+                AND: [
+                    { OR: [{ earliest: null }, { earliest: { lte: startAt } }] },
+                    { OR: [{ latest: null }, { latest: { gte: startAt } }] }
+                ]
+            },
+            orderBy: { createdAt: 'asc' },
+            take: OFFER_BATCH
+        });
+        if (entries.length === 0) return null;
+
+        const tenant = await prisma.tenant.findUnique({ where: { id: tenantId } });
+        const config = availabilityService.getBookingConfig(tenant);
+        const service = serviceId ? await prisma.service.findFirst({ where: { id: serviceId, tenantId } }) : null;
+
+        const offer = await prisma.waitlistOffer.create({
+            data: {
+                tenantId,
+                serviceId,
+                resourceId,
+                start: startAt,
+                entryIds: entries.map(entry => entry.id),
+                expiresAt: new Date(Math.min(now.getTime() + config.waitlistOfferMinutes * MINUTE, startAt.getTime()))
+            }
+        });
+
+        const message = `[${tenant.name}] A ${service?.name || 'booking'} slot opened up on `
+            + `${formatLocalDateTime(startAt, tenant.timezone)}. Reply YES to book it - the first reply gets it.`;
+        for (const entry of entries) {
+            await notificationService.sendSMS(entry.phone, message, tenantId);
+        }
+
+        eventBus.emit('waitlist:offered', { tenantId, offerId: offer.id, start: startAt, entryIds: offer.entryIds });
+        return offer;
+    }
+
+    /**
+     * An SMS reply to an offer. YES from a client it was sent to claims it; only the
+     * first claim wins.
+     * @returns {{ outcome: 'claimed'|'taken', message: string, bookingId?: string }|null}
+     *   null when the text isn't a reply to an offer (so the AI answers it as usual)
+     */
+    async handleReply(tenantId, phone, body, { now = new Date() } = {}) {
+        if (!YES_KEYWORDS.includes(String(body || '').trim().toUpperCase())) return null;
+
+        const entries = await prisma.waitlistEntry.findMany({
+            where: { tenantId, status: 'waiting', OR: [{ phone }, { phone: normalizePhone(phone) }] }
+        });
+        if (entries.length === 0) return null;
+
+        const [offer] = await prisma.waitlistOffer.findMany({
+            where: { tenantId, OR: entries.map(entry => ({ entryIds: { has: entry.id } })) },
+            orderBy: { createdAt: 'desc' },
+            take: 1
+        });
+        if (!offer) return null;
+        if (offer.status !== 'open' || new Date(offer.expiresAt) <= now) {
+            return { outcome: 'taken', message: TAKEN_MESSAGE };
+        }
+        const entry = entries.find(candidate => offer.entryIds.includes(candidate.id));
+
+        // First to confirm wins: only one reply can move the offer out of open
+        const { count } = await prisma.waitlistOffer.updateMany({
+            where: { id: offer.id, status: 'open' },
+            data: { status: 'claimed', claimedById: entry.id }
+        });
+        if (count === 0) return { outcome: 'taken', message: TAKEN_MESSAGE };
+
+        let booking;
+        try {
+            const service = offer.serviceId ? await prisma.service.findFirst({ where: { id: offer.serviceId, tenantId } }) : null;
+            booking = await bookingService.reserveBooking(tenantId, {
+                clientId: entry.clientId,
+                date: offer.start,
+                serviceId: offer.serviceId,
+                resourceId: offer.resourceId,
+                purpose: service?.name || 'Waitlist booking',
+                source: 'WAITLIST'
+            });
+        } catch (error) {
+            // Booked some other way since the offer went out
+            await prisma.waitlistOffer.update({ where: { id: offer.id }, data: { status: 'expired' } });
+            if (error.code === 'BOOKING_CONFLICT') return { outcome: 'taken', message: TAKEN_MESSAGE };
+            throw error;
+        }
+
+        await prisma.waitlistOffer.update({ where: { id: offer.id }, data: { bookingId: booking.id } });
+        await prisma.waitlistEntry.update({ where: { id: entry.id }, data: { status: 'booked', bookingId: booking.id } });
+
+        eventBus.emit('booking:created', { tenantId, bookingId: booking.id });
+        // bookingLifecycleService requires this module, so load it lazily
+        await require('./bookingLifecycleService').syncCalendar(tenantId, booking, { create: true });
+        eventBus.emit('waitlist:claimed', { tenantId, offerId: offer.id, entryId: entry.id, bookingId: booking.id });
+
+        const tenant = await availabilityService.loadTenant(tenantId);
+        return {
+            outcome: 'claimed',
+            bookingId: booking.id,
+            message: `You're booked for ${formatLocalDateTime(booking.date, tenant.timezone)}. See you then!`
+        };
+    }
+
+    /**
+     * Expire offers nobody took in time, passing the slot on to the next clients,
+     * and entries whose window has passed
+     * @returns {number} Offers expired
+     */
+    async expireOffers(now = new Date()) {
+        const offers = await prisma.waitlistOffer.findMany({
+            where: { status: 'open', expiresAt: { lte: now } },
+            take: 100
+        });
+
+        let expired = 0;
+        for (const offer of offers) {
+            const { count } = await prisma.waitlistOffer.updateMany({
+                where: { id: offer.id, status: 'open' },
+                data: { status: 'expired' }
+            });
+            if (count === 0) continue;
+            expired++;
+
+            if (new Date(offer.start) <= now) continue;
+            try {
+                // Everyone texted about this slot before
+                const earlier = await prisma.waitlistOffer.findMany({
+                    where: { tenantId: offer.tenantId, start: offer.start, serviceId: offer.serviceId }
+                });
+                await this.offerSlot(offer.tenantId, offer, { exclude: earlier.flatMap(previous => previous.entryIds), now });
+            } catch (error) {
+                console.error(`[Waitlist] Failed to pass on offer ${offer.id}:`, error.message);
+            }
+        }
+
+        await prisma.waitlistEntry.updateMany({
+            where: { status: 'waiting', latest: { lt: now } },
+            data: { status: 'expired' }
+        });
+        return expired;
+    }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,237 @@
+const cron = require('node-cron');
+const prisma = require('../lib/prisma');
+const workflowService = require('./workflowService');
+const eventContextService = require('./eventContextService');
+const { RELATIVE_FIELDS } = require('../config/workflowEvents');
+const { triggerConfigSchemas } = require('../schemas/validation');
+const { DEFAULT_WORKFLOWS } = require('../config/defaultWorkflows');
+
+// After downtime, date_relative triggers older than this are dropped instead of
+// fired late (a "24h before" reminder an hour after the appointment is useless)
+const MAX_CATCH_UP_MS = 60 * 60 * 1000;
+
+const startOfMinute = (date) => {
+    const minute = new Date(date);
+    minute.setSeconds(0, 0);
+    return minute;
+};
+
+class WorkflowSchedulerService {
+    constructor() {
+        // workflowId -> { key, task } for 'schedule' workflows registered with node-cron
+        this.tasks = new Map();
+    }
+
+    /**
+     * Validate the triggerConfig for scheduler-driven triggers
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateTriggerConfig(trigger, config) {
+        const schema = triggerConfigSchemas[trigger];
+        if (!schema) return null;
+
+        const result = schema.safeParse(config);
+        return result.success ? null : result.error.issues[0].message;
+    }
+
+    /**
+     * Reconcile node-cron tasks with the active 'schedule' workflows.
+     * Called every minute so created, edited and deactivated workflows are picked up.
+     */
+    async syncSchedules() {
+        const workflows = await prisma.workflow.findMany({
+            where: { trigger: 'schedule', isActive: true },
+            select: { id: true, triggerConfig: true, tenant: { select: { timezone: true } } }
+        });
+
+        const active = new Set();
+        for (const workflow of workflows) {
+            const expression = workflow.triggerConfig?.cron;
+            const timezone = workflow.tenant?.timezone || 'UTC';
+            if (!expression || !cron.validate(expression)) continue;
+
+            const key = `${expression}|${timezone}`;
+            const existing = this.tasks.get(workflow.id);
+            active.add(workflow.id);
+            if (existing?.key === key) continue;
+
+            existing?.task.destroy();
+            try {
+                const task = cron.schedule(expression, () => this.runScheduledWorkflow(workflow.id), {
+                    timezone,
+                    name: `workflow-${workflow.id}`
+                });
+                this.tasks.set(workflow.id, { key, task });
+            } catch (error) {
+                // Usually an invalid Tenant.timezone
+                console.error(`[WorkflowScheduler] Cannot schedule workflow ${workflow.id}:`, error.message);
+                this.tasks.delete(workflow.id);
+            }
+        }
+
+        for (const [id, { task }] of this.tasks) {
+            if (!active.has(id)) {
+                task.destroy();
+                this.tasks.delete(id);
+            }
+        }
+
+        return this.tasks.size;
+    }
+
+    /**
+     * Fire a 'schedule' workflow for the current minute.
+     * The lastScheduledAt claim keeps multiple app instances from running it twice.
+     */
+    async runScheduledWorkflow(workflowId, now = new Date()) {
+        const minute = startOfMinute(now);
+
+        try {
+            const claimed = await prisma.workflow.updateMany({
+                where: {
+                    id: workflowId,
+                    trigger: 'schedule',
+                    isActive: true,
+                    OR: [{ lastScheduledAt: null }, { lastScheduledAt: { lt: minute } }]
+                },
+                data: { lastScheduledAt: minute }
+            });
+            if (claimed.count === 0) return null;
+
+            const workflow = await prisma.workflow.findUnique({ where: { id: workflowId } });
+            const context = await eventContextService.hydrate('schedule', {
+                tenantId: workflow.tenantId,
+                scheduledAt: minute.toISOString()
+            });
+
+            return await workflowService.executeWorkflow(workflow, context, { source: 'schedule' });
+        } catch (error) {
+            console.error(`[WorkflowScheduler] Scheduled workflow ${workflowId} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fire 'date_relative' workflows for every record whose anchor date plus
+     * offset fell since the previous scan.
+     * @returns {number} Number of runs started
+     */
+    async runRelativeTriggers(now = new Date()) {
+        const workflows = await prisma.workflow.findMany({
+            where: { trigger: 'date_relative', isActive: true }
+        });
+
+        let started = 0;
+        for (const workflow of workflows) {
+            try {
+                started += await this.runRelativeWorkflow(workflow, now);
+            } catch (error) {
+                console.error(`[WorkflowScheduler] Relative workflow ${workflow.id} failed:`, error.message);
+            }
+        }
+        return started;
+    }
+
+    async runRelativeWorkflow(workflow, now) {
+        const config = workflow.triggerConfig || {};
+        const source = RELATIVE_FIELDS[config.field];
+        if (!source) return 0;
+
+        const since = new Date(Math.max(
+            new Date(workflow.lastScheduledAt || workflow.createdAt).getTime(),
+            now.getTime() - MAX_CATCH_UP_MS
+        ));
+
+        // Claim the window (since, now]; another instance that got here first wins
+        const claimed = await prisma.workflow.updateMany({
+            where: { id: workflow.id, lastScheduledAt: workflow.lastScheduledAt },
+            data: { lastScheduledAt: now }
+        });
+        if (claimed.count === 0) return 0;
+
+        // The trigger fires at anchor + offset, so the anchor lies in (since - offset, now - offset]
+        const offsetMs = workflowService.durationToMs(config.offset);
+        const records = await prisma[source.model].findMany({
+            where: {
+                tenantId: workflow.tenantId,
+                [source.column]: {
+                    gt: new Date(since.getTime() - offsetMs),
+                    lte: new Date(now.getTime() - offsetMs)
+                }
+            },
+            select: { id: true, [source.column]: true }
+        });
+
+        for (const record of records) {
+            const context = await eventContextService.hydrate('date_relative', {
+                tenantId: workflow.tenantId,
+                [source.idKey]: record.id,
+                triggerField: config.field,
+                triggerDate: record[source.column]
+            });
+            await workflowService.executeWorkflow(workflow, context, { source: 'schedule' });
+        }
+
+        return records.length;
+    }
+
+    /**
+     * Create the default workflows a tenant has not been given yet.
+     * Seeded keys are recorded on the tenant, so a default the tenant deleted stays deleted.
+     * @param {string} ownerId - Set as creator so the workflows are visible to the owner
+     */
+    async ensureDefaultWorkflows(tenantId, ownerId = null) {
+        const [tenant, existing] = await Promise.all([
+            prisma.tenant.findUnique({ where: { id: tenantId }, select: { defaultWorkflowKeys: true } }),
+            prisma.workflow.findMany({
+                where: { tenantId, templateKey: { in: DEFAULT_WORKFLOWS.map(wf => wf.key) } },
+                select: { templateKey: true }
+            })
+        ]);
+        const recorded = tenant?.defaultWorkflowKeys || [];
+        const seeded = new Set([...recorded, ...existing.map(wf => wf.templateKey)]);
+
+        const created = [];
+        for (const template of DEFAULT_WORKFLOWS) {
+            if (seeded.has(template.key)) continue;
+
+            const { key, ...definition } = template;
+            created.push(await workflowService.createWorkflow(tenantId, { ...definition, templateKey: key }, ownerId));
+            seeded.add(key);
+        }
+
+        if (tenant && seeded.size !== recorded.length) {
+            await prisma.tenant.update({ where: { id: tenantId }, data: { defaultWorkflowKeys: [...seeded] } });
+        }
+        return created;
+    }
+
+    /**
+     * Seed the default workflows for every tenant missing one, e.g. tenants created before
+     * a template was added. Runs at startup; safe to re-run.
+     * @returns {number} Workflows created
+     */
+    async backfillDefaultWorkflows() {
+        const keys = DEFAULT_WORKFLOWS.map(wf => wf.key);
+        const tenants = await prisma.tenant.findMany({
+            where: { NOT: { defaultWorkflowKeys: { hasEvery: keys } } },
+            select: {
+                id: true,
+                users: { where: { role: 'OWNER' }, select: { id: true }, orderBy: { createdAt: 'asc' }, take: 1 }
+            }
+        });
+
+        let created = 0;
+        for (const tenant of tenants) {
+            try {
+                created += (await this.ensureDefaultWorkflows(tenant.id, tenant.users[0]?.id || null)).length;
+            } catch (error) {
+                // e.g. another instance seeding the same tenant (unique tenantId + templateKey)
+                console.error(`[WorkflowScheduler] Default workflow backfill failed for tenant ${tenant.id}:`, error.message);
+            }
+        }
+        return created;
+    }
+}
+
+module.exports = new WorkflowSchedulerService();
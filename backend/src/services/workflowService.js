@@ -1,5 +1,57 @@
 const prisma = require('../lib/prisma');
 const notificationService = require('./notificationService');
+const twilioService = require('./twilioService');
+const clientService = require('./clientService');
+const requestContext = require('../lib/context');
+const eventBus = require('../lib/eventBus');
+const eventContextService = require('./eventContextService');
+const jobQueueService = require('./jobQueueService');
+const workflowEvents = require('../config/workflowEvents');
+const { StatusEnum, HTTP_REQUEST_LIMITS } = require('../schemas/validation');
+const { assertPublicUrl, publicAgent } = require('../utils/outboundUrl');
+const crypto = require('crypto');
+
+const RUN_STATUS = {
+    RUNNING: 'running',
+    WAITING: 'waiting',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+// Step fields that must never be written to the execution log
+const REDACTED_FIELDS = ['signingSecret'];
+const REDACTED_HEADERS = ['authorization', 'x-api-key'];
+
+// Actions that write CRM data. They run inside a tenant context so the Prisma
+// extension scopes every query to the workflow's tenant.
+const CRM_ACTIONS = {
+    create_client: 'handleCreateClientAction',
+    update_client_notes: 'handleUpdateClientNotesAction',
+    tag_client: 'handleTagClientAction',
+    assign_to_user: 'handleAssignToUserAction',
+    create_booking: 'handleCreateBookingAction',
+    update_booking_status: 'handleUpdateBookingStatusAction',
+    create_meeting_minute: 'handleCreateMeetingMinuteAction'
+};
+
+// Workflow actions can emit events that trigger further workflows; stop the chain here
+const MAX_WORKFLOW_DEPTH = 3;
+
+// A resumed run still 'running' this long after it was claimed was interrupted (crash or deploy)
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+// All http_request attempts and backoff of one workflow.event job, across every step of every
+// workflow it runs: jobQueueService re-runs a job (repeating every action) once it has held its
+// lock for 10 minutes. Runs outside a job (resumed by the scheduler, run by hand) get it per run.
+const HTTP_REQUEST_BUDGET_MS = 5 * 60 * 1000;
+
+const STEP_STATUS = {
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    WAITING: 'waiting'
+};
 
 class WorkflowService {
     /**
@@ -7,17 +59,20 @@ class WorkflowService {
      * @param {string} eventName - The event trigger (e.g., 'booking:created')
      * @param {string} tenantId - The tenant ID
      * @param {object} data - Context data for the workflow
+     * @param {object} options - { excludeWorkflowId } to skip the workflow that caused the event
      */
-    async trigger(eventName, tenantId, data) {
+    async trigger(eventName, tenantId, data, { excludeWorkflowId } = {}) {
         console.log(`[Workflow] Triggering '${eventName}' for tenant ${tenantId}`);
 
         try {
-            // Find active workflows matching this trigger
+            // Find active workflows matching this trigger (including legacy event names)
+            const canonical = workflowEvents.resolveEventName(eventName);
             const workflows = await prisma.workflow.findMany({
                 where: {
                     tenantId,
-                    trigger: eventName,
-                    isActive: true
+                    trigger: canonical ? { in: workflowEvents.getEventNames(canonical) } : eventName,
+                    isActive: true,
+                    ...(excludeWorkflowId && { id: { not: excludeWorkflowId } })
                 }
             });
 
@@ -28,13 +83,13 @@ class WorkflowService {
 
             console.log(`[Workflow] Found ${workflows.length} workflows to execute.`);
 
-            // Execute each workflow
+            // Execute each workflow (failures are recorded on the WorkflowRun)
             const results = await Promise.all(workflows.map(async (wf) => {
                 try {
-                    await this.executeWorkflow(wf, data);
-                    return { id: wf.id, status: 'success' };
+                    const run = await this.executeWorkflow(wf, data, { source: 'event' });
+                    return { id: wf.id, runId: run?.id, status: run?.status || 'success' };
                 } catch (e) {
-                    console.error(`[Workflow] Failed to execute workflow ${wf.id}:`, e);
+                    console.error(`[Workflow] Failed to execute workflow ${wf.id}:`, e.message);
                     return { id: wf.id, status: 'error', error: e.message };
                 }
             }));
@@ -46,23 +101,183 @@ class WorkflowService {
         }
     }
 
+    /**
+     * Event bus listener: persist the event as a workflow.event job so an event
+     * emitted just before a crash or deploy still runs its workflows.
+     * The emitting workflow and chain depth travel with the job for loop protection.
+     */
+    async enqueueDomainEvent(eventName, payload = {}) {
+        const parent = requestContext.getStore() || {};
+        try {
+            return await jobQueueService.enqueue('workflow.event', {
+                eventName,
+                payload,
+                parentWorkflowId: parent.workflowId || null,
+                workflowDepth: parent.workflowDepth || 0
+            }, { tenantId: eventContextService.getTenantId(payload) });
+        } catch (error) {
+            console.error(`[Workflow] Failed to queue '${eventName}' event:`, error.message);
+        }
+    }
+
+    /**
+     * workflow.event job handler: hydrate the payload and trigger matching workflows.
+     * Runs outside the caller's user context so workflow privacy filters don't
+     * hide other team members' workflows, and skips the workflow that emitted
+     * the event to avoid loops. Hydration errors are thrown so the job is retried;
+     * failures inside a workflow are recorded on its run instead.
+     */
+    async handleDomainEvent(eventName, payload = {}) {
+        const httpDeadline = Date.now() + HTTP_REQUEST_BUDGET_MS;
+        const canonical = workflowEvents.resolveEventName(eventName) || eventName;
+        const parent = requestContext.getStore() || {};
+        const depth = parent.workflowDepth || 0;
+
+        if (depth >= MAX_WORKFLOW_DEPTH) {
+            console.warn(`[Workflow] Not triggering '${canonical}': workflow chain too deep`);
+            return;
+        }
+
+        const context = await eventContextService.hydrate(canonical, payload);
+        if (!context.tenantId) {
+            console.warn(`[Workflow] Ignoring '${eventName}' event without tenant`);
+            return;
+        }
+
+        return requestContext.run({ tenantId: context.tenantId, workflowDepth: depth, httpDeadline }, () =>
+            this.trigger(canonical, context.tenantId, context, { excludeWorkflowId: parent.workflowId })
+        );
+    }
+
+    /**
+     * Create a workflow together with its version 1 snapshot
+     * @param {object} data - { name, trigger, triggerConfig, actions (array), templateKey }
+     */
+    async createWorkflow(tenantId, data, userId = null) {
+        const workflow = await prisma.workflow.create({
+            data: {
+                tenantId,
+                createdById: userId,
+                name: data.name,
+                trigger: workflowEvents.resolveEventName(data.trigger) || data.trigger,
+                triggerConfig: data.triggerConfig || undefined,
+                templateKey: data.templateKey,
+                actions: JSON.stringify(data.actions || [])
+            }
+        });
+
+        await this.snapshotVersion(workflow, userId);
+        return workflow;
+    }
+
+    /**
+     * Apply an edit as a new version. Runs already in flight keep the version they started on.
+     * @param {object} workflow - The current workflow row
+     * @param {object} changes - Any of { name, trigger, triggerConfig, actions (array) }
+     */
+    async updateWorkflow(workflow, changes, userId = null) {
+        const data = { version: { increment: 1 } };
+        if (changes.name !== undefined) data.name = changes.name;
+        if (changes.trigger !== undefined) data.trigger = workflowEvents.resolveEventName(changes.trigger) || changes.trigger;
+        if (changes.triggerConfig !== undefined) data.triggerConfig = changes.triggerConfig ?? null;
+        if (changes.actions !== undefined) data.actions = JSON.stringify(changes.actions);
+
+        // A new schedule or anchor restarts the scan from now instead of replaying the past
+        if (data.trigger !== undefined || data.triggerConfig !== undefined) {
+            data.lastScheduledAt = new Date();
+        }
+
+        const updated = await prisma.workflow.update({
+            where: { id: workflow.id },
+            data
+        });
+
+        await this.snapshotVersion(updated, userId);
+        return updated;
+    }
+
+    /**
+     * Restore an earlier version. History is kept: the restored definition becomes a new version.
+     * @returns {object|null} The updated workflow, or null when the version does not exist
+     */
+    async rollbackWorkflow(workflow, version, userId = null) {
+        const snapshot = await prisma.workflowVersion.findFirst({
+            where: { workflowId: workflow.id, tenantId: workflow.tenantId, version }
+        });
+        if (!snapshot) return null;
+
+        return this.updateWorkflow(workflow, {
+            name: snapshot.name,
+            trigger: snapshot.trigger,
+            triggerConfig: snapshot.triggerConfig,
+            actions: JSON.parse(snapshot.actions)
+        }, userId);
+    }
+
+    async snapshotVersion(workflow, userId = null) {
+        return prisma.workflowVersion.create({
+            data: {
+                workflowId: workflow.id,
+                tenantId: workflow.tenantId,
+                version: workflow.version,
+                name: workflow.name,
+                trigger: workflow.trigger,
+                triggerConfig: workflow.triggerConfig ?? undefined,
+                actions: workflow.actions,
+                createdById: userId
+            }
+        });
+    }
+
+    /**
+     * Steps a run should execute: the version it started on, even if the workflow was edited since
+     */
+    async getRunSteps(run, workflow) {
+        let actions = workflow.actions;
+
+        if (run.workflowVersion && run.workflowVersion !== workflow.version) {
+            const snapshot = await prisma.workflowVersion.findFirst({
+                where: { workflowId: workflow.id, version: run.workflowVersion }
+            });
+            if (snapshot) actions = snapshot.actions;
+        }
+
+        return JSON.parse(actions);
+    }
+
     /**
      * Execute a single workflow
+     * Creates a WorkflowRun so the run can pause on delays and be resumed later.
+     * @param {object} workflow - The workflow to run
+     * @param {object} context - Context data for the workflow
+     * @param {object} options - { source: 'event' | 'manual' | 'schedule', triggeredById }
+     * @returns {object|null} The persisted run
      */
-    async executeWorkflow(workflow, context) {
-        let actions = [];
+    async executeWorkflow(workflow, context, options = {}) {
+        const run = await prisma.workflowRun.create({
+            data: {
+                workflowId: workflow.id,
+                tenantId: workflow.tenantId,
+                trigger: workflow.trigger,
+                workflowVersion: workflow.version ?? null,
+                source: options.source || 'event',
+                triggeredById: options.triggeredById || null,
+                status: RUN_STATUS.RUNNING,
+                context: this.toJsonContext(context)
+            }
+        });
+
+        let steps = [];
         try {
-            actions = JSON.parse(workflow.actions);
+            steps = JSON.parse(workflow.actions);
         } catch (e) {
             console.error(`[Workflow] Invalid JSON actions for workflow ${workflow.id}`);
-            return;
+            return this.finishRun(run, RUN_STATUS.FAILED, 'Invalid JSON actions');
         }
 
-        console.log(`[Workflow] Executing ${workflow.name} (${actions.length} actions)`);
+        console.log(`[Workflow] Executing ${workflow.name} (${steps.length} steps)`);
 
-        for (const action of actions) {
-            await this.performAction(action, context, workflow.tenantId);
-        }
+        const result = await this.runSteps(run, steps);
 
         // Log execution
         await prisma.auditLog.create({
@@ -72,25 +287,422 @@ class WorkflowService {
                 details: `Executed workflow '${workflow.name}' (Trigger: ${workflow.trigger})`,
             }
         }).catch(err => console.error('AuditLog Error:', err)); // Non-blocking
+
+        return result;
+    }
+
+    /**
+     * Run (or continue) a workflow's steps for a persisted run.
+     * Pauses the run at the first delay that has not elapsed yet.
+     * @returns {object} The updated run (status waiting, completed or failed)
+     */
+    async runSteps(run, steps) {
+        const store = requestContext.getStore();
+        if (!store?.httpDeadline) {
+            return requestContext.run({ ...store, httpDeadline: Date.now() + HTTP_REQUEST_BUDGET_MS }, () => this.runSteps(run, steps));
+        }
+
+        const resume = run.cursor ? run.cursor.split('.') : null;
+
+        try {
+            const outcome = await this.executeSteps(steps, run, '', resume);
+
+            if (outcome && outcome.status === RUN_STATUS.WAITING) {
+                console.log(`[Workflow] Run ${run.id} waiting until ${outcome.resumeAt.toISOString()}`);
+                return prisma.workflowRun.update({
+                    where: { id: run.id },
+                    data: {
+                        status: RUN_STATUS.WAITING,
+                        cursor: outcome.cursor,
+                        resumeAt: outcome.resumeAt
+                    }
+                });
+            }
+
+            return this.finishRun(run, RUN_STATUS.COMPLETED);
+        } catch (error) {
+            // The failure is kept on the run (and its step log) rather than thrown
+            return this.finishRun(run, RUN_STATUS.FAILED, error.message);
+        }
+    }
+
+    async finishRun(run, status, error = null) {
+        if (status === RUN_STATUS.FAILED) {
+            console.error(`[Workflow] Run ${run.id} failed: ${error}`);
+        }
+
+        return prisma.workflowRun.update({
+            where: { id: run.id },
+            data: {
+                status,
+                error,
+                cursor: null,
+                resumeAt: null,
+                finishedAt: new Date()
+            }
+        });
+    }
+
+    /**
+     * Execute a list of steps in order.
+     * @param {Array} steps - Step definitions
+     * @param {object} run - The WorkflowRun being executed
+     * @param {string} prefix - Path of the list within the workflow ('' for the root)
+     * @param {Array|null} resume - Remaining cursor segments when resuming a paused run
+     * @returns {object|null} An outcome that stops execution ({ status: 'waiting' | 'stopped' }), or null when the list finished
+     */
+    async executeSteps(steps, run, prefix, resume = null) {
+        const start = resume && resume.length ? Number(resume[0]) : 0;
+
+        for (let i = start; i < steps.length; i++) {
+            const step = steps[i];
+            const path = prefix ? `${prefix}.${i}` : `${i}`;
+
+            if (resume && i === start) {
+                const rest = resume.slice(1);
+
+                if (rest.length === 0) {
+                    // This is the delay the run was paused on, and it has now elapsed
+                    await this.completeWaitingStep(run, path);
+                    continue;
+                }
+
+                // Re-enter the branch that was taken before the run paused
+                const branch = rest[0];
+                const outcome = await this.executeSteps(step[branch] || [], run, `${path}.${branch}`, rest.slice(1));
+                if (outcome) return outcome;
+                continue;
+            }
+
+            const outcome = await this.executeStep(step, run, path);
+            if (outcome) return outcome;
+        }
+
+        return null;
+    }
+
+    /**
+     * Execute a single step: control-flow nodes are handled here, everything else is an action.
+     * Every step is recorded as a WorkflowStepRun.
+     */
+    async executeStep(step, run, path) {
+        const context = run.context || {};
+        const startedAt = new Date();
+
+        if (step.type === 'if') {
+            const branch = this.evaluateCondition(step.condition, context) ? 'then' : 'else';
+            await this.recordStep(run, step, path, startedAt, { status: STEP_STATUS.COMPLETED, output: { branch } });
+            return this.executeSteps(step[branch] || [], run, `${path}.${branch}`);
+        }
+
+        let outcome = null;
+        let output = null;
+        try {
+            switch (step.type) {
+                case 'delay': {
+                    const resumeAt = new Date(Date.now() + this.durationToMs(step.duration || step));
+                    outcome = { status: RUN_STATUS.WAITING, resumeAt, cursor: path };
+                    output = { resumeAt };
+                    break;
+                }
+
+                case 'wait_until': {
+                    const target = this.resolveDate(step.date, context);
+                    if (!target) {
+                        throw new Error(`wait_until step ${path} could not resolve a date from '${step.date}'`);
+                    }
+
+                    const resumeAt = new Date(target.getTime() + this.durationToMs(step.offset || {}));
+                    output = { resumeAt };
+                    if (resumeAt.getTime() > Date.now()) {
+                        outcome = { status: RUN_STATUS.WAITING, resumeAt, cursor: path };
+                    }
+                    break;
+                }
+
+                case 'condition': {
+                    const passed = this.evaluateCondition(step.condition, context);
+                    output = { passed };
+                    if (!passed) {
+                        console.log(`[Workflow] Run ${run.id} stopped by condition at step ${path}`);
+                        outcome = { status: 'stopped', cursor: path };
+                    }
+                    break;
+                }
+
+                default:
+                    output = await this.performAction(step, context, run.tenantId, run);
+            }
+        } catch (error) {
+            await this.recordStep(run, step, path, startedAt, { status: STEP_STATUS.FAILED, error: error.message });
+            throw error;
+        }
+
+        let status = STEP_STATUS.COMPLETED;
+        if (outcome?.status === RUN_STATUS.WAITING) status = STEP_STATUS.WAITING;
+        else if (output?.skipped) status = STEP_STATUS.SKIPPED;
+
+        if (step.id && output) {
+            await this.captureStepOutput(run, step.id, output);
+        }
+
+        await this.recordStep(run, step, path, startedAt, { status, output });
+        return outcome;
+    }
+
+    /**
+     * Expose a named step's output to later steps as {{steps.<id>.*}}.
+     * The context is persisted so the values survive a delay.
+     */
+    async captureStepOutput(run, stepId, output) {
+        run.context = run.context || {};
+        run.context.steps = { ...(run.context.steps || {}), [stepId]: this.toJsonContext(output) };
+
+        await prisma.workflowRun.update({
+            where: { id: run.id },
+            data: { context: run.context }
+        });
+    }
+
+    /**
+     * Persist the execution log entry for a step. Logging must never break the run itself.
+     */
+    async recordStep(run, step, path, startedAt, { status, output = null, error = null }) {
+        const finishedAt = new Date();
+
+        await prisma.workflowStepRun.create({
+            data: {
+                runId: run.id,
+                tenantId: run.tenantId,
+                path,
+                type: step.type || 'unknown',
+                status,
+                input: this.redactStep(step),
+                output: output ? this.toJsonContext(output) : undefined,
+                error,
+                startedAt,
+                finishedAt: status === STEP_STATUS.WAITING ? null : finishedAt,
+                durationMs: finishedAt.getTime() - startedAt.getTime()
+            }
+        }).catch(err => console.error('[Workflow] Failed to record step:', err.message));
+    }
+
+    redactStep(step) {
+        const input = this.toJsonContext(step);
+        for (const field of REDACTED_FIELDS) {
+            if (input[field]) input[field] = '[REDACTED]';
+        }
+        if (input.headers && typeof input.headers === 'object') {
+            for (const header of Object.keys(input.headers)) {
+                if (REDACTED_HEADERS.includes(header.toLowerCase())) input.headers[header] = '[REDACTED]';
+            }
+        }
+        return input;
+    }
+
+    async completeWaitingStep(run, path) {
+        await prisma.workflowStepRun.updateMany({
+            where: { runId: run.id, path, status: STEP_STATUS.WAITING },
+            data: { status: STEP_STATUS.COMPLETED, finishedAt: new Date() }
+        }).catch(err => console.error('[Workflow] Failed to update waiting step:', err.message));
+    }
+
+    /**
+     * Resume waiting runs whose delay has elapsed.
+     * Called by the scheduler, so it also picks up runs that were waiting across a restart
+     * and runs a restart interrupted while resuming.
+     */
+    async resumeDueRuns() {
+        await this.recoverStaleRuns();
+
+        const dueRuns = await prisma.workflowRun.findMany({
+            where: {
+                status: RUN_STATUS.WAITING,
+                resumeAt: { lte: new Date() }
+            },
+            orderBy: { resumeAt: 'asc' },
+            take: 50
+        });
+
+        for (const run of dueRuns) {
+            try {
+                await this.resumeRun(run);
+            } catch (error) {
+                console.error(`[Workflow] Failed to resume run ${run.id}:`, error.message);
+            }
+        }
+
+        return dueRuns.length;
+    }
+
+    /**
+     * Put resumed runs that stopped mid-way back to waiting, due now, so the next tick resumes
+     * them from the step they were paused on. Only resumed runs have a cursor while running.
+     * @returns {number} How many were recovered
+     */
+    async recoverStaleRuns(now = new Date()) {
+        const { count } = await prisma.workflowRun.updateMany({
+            where: { status: RUN_STATUS.RUNNING, cursor: { not: null }, updatedAt: { lt: new Date(now.getTime() - STALE_RUN_MS) } },
+            data: { status: RUN_STATUS.WAITING, resumeAt: now }
+        });
+        if (count > 0) {
+            console.warn(`[Workflow] Recovered ${count} run(s) interrupted while resuming`);
+        }
+        return count;
+    }
+
+    async resumeRun(run) {
+        // Claim the run so overlapping scheduler ticks don't execute it twice
+        const claimed = await prisma.workflowRun.updateMany({
+            where: { id: run.id, status: RUN_STATUS.WAITING },
+            data: { status: RUN_STATUS.RUNNING }
+        });
+        if (claimed.count === 0) return null;
+
+        const workflow = await prisma.workflow.findUnique({ where: { id: run.workflowId } });
+        if (!workflow || !workflow.isActive) {
+            return this.finishRun(run, RUN_STATUS.CANCELLED, 'Workflow was deleted or deactivated');
+        }
+
+        let steps = [];
+        try {
+            steps = await this.getRunSteps(run, workflow);
+        } catch (e) {
+            return this.finishRun(run, RUN_STATUS.FAILED, 'Invalid JSON actions');
+        }
+
+        console.log(`[Workflow] Resuming run ${run.id} of ${workflow.name} at step ${run.cursor}`);
+        return this.runSteps(run, steps);
+    }
+
+    /**
+     * Dry run: walk the workflow against a sample context and render every action
+     * with resolveField. Nothing is sent and no run is persisted. Delays are
+     * reported rather than waited on; a failing guard condition ends the preview.
+     * @returns {{ steps: Array, stoppedAt: string|null }}
+     */
+    previewWorkflow(workflow, context = {}) {
+        const steps = typeof workflow.actions === 'string' ? JSON.parse(workflow.actions) : workflow.actions;
+        const preview = [];
+        const stoppedAt = this.previewSteps(steps || [], context, '', preview);
+        return { steps: preview, stoppedAt };
+    }
+
+    previewSteps(steps, context, prefix, preview) {
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const path = prefix ? `${prefix}.${i}` : `${i}`;
+
+            switch (step.type) {
+                case 'if': {
+                    const branch = this.evaluateCondition(step.condition, context) ? 'then' : 'else';
+                    preview.push({ path, type: step.type, branch });
+                    const stoppedAt = this.previewSteps(step[branch] || [], context, `${path}.${branch}`, preview);
+                    if (stoppedAt) return stoppedAt;
+                    break;
+                }
+
+                case 'condition': {
+                    const passed = this.evaluateCondition(step.condition, context);
+                    preview.push({ path, type: step.type, passed });
+                    if (!passed) return path;
+                    break;
+                }
+
+                case 'delay':
+                    preview.push({ path, type: step.type, waitMs: this.durationToMs(step.duration || step) });
+                    break;
+
+                case 'wait_until': {
+                    const target = this.resolveDate(step.date, context);
+                    const resumeAt = target ? new Date(target.getTime() + this.durationToMs(step.offset || {})) : null;
+                    preview.push({ path, type: step.type, resumeAt });
+                    break;
+                }
+
+                default:
+                    preview.push({
+                        path,
+                        type: step.type,
+                        id: step.id,
+                        rendered: this.renderAction(step, context),
+                        missingFields: this.findMissingFields(step, context)
+                    });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Render an action's inputs exactly as performAction would resolve them
+     */
+    renderAction(action, context) {
+        switch (action.type) {
+            case 'send_email':
+                return {
+                    to: this.resolveField(action.to, context),
+                    subject: this.resolveField(action.subject, context),
+                    body: this.resolveField(action.body, context)
+                };
+            case 'send_sms':
+                return {
+                    to: this.resolveField(action.to, context),
+                    message: this.resolveField(action.message || action.body, context)
+                };
+            case 'notification':
+                return {
+                    userId: this.resolveField(action.userId, context),
+                    title: this.resolveField(action.title, context),
+                    message: this.resolveField(action.message, context)
+                };
+            default: {
+                // http_request and CRM actions: resolve every input, secrets stay redacted
+                const { type, id, ...inputs } = this.redactStep(action);
+                return this.resolveTemplate(inputs, context);
+            }
+        }
+    }
+
+    /**
+     * Placeholders in a step that resolve to nothing in the given context
+     */
+    findMissingFields(step, context) {
+        const placeholders = JSON.stringify(step).match(/\{\{([\w\.]+)\}\}/g) || [];
+        return [...new Set(placeholders)]
+            .map(placeholder => placeholder.slice(2, -2))
+            .filter(path => {
+                const value = this.getValue(path, context);
+                return value === undefined || value === null || value === '';
+            });
     }
 
     /**
      * Perform a single action
      */
-    async performAction(action, context, tenantId) {
+    async performAction(action, context, tenantId, run = {}) {
         try {
             switch (action.type) {
                 case 'send_email':
-                    await this.handleEmailAction(action, context);
-                    break;
+                    return await this.handleEmailAction(action, context);
                 case 'send_sms':
-                    await this.handleSmsAction(action, context, tenantId);
-                    break;
+                    return await this.handleSmsAction(action, context, tenantId);
                 case 'notification':
-                    await this.handleSystemNotification(action, context);
-                    break;
+                    return await this.handleSystemNotification(action, context);
+                case 'http_request':
+                    return await this.handleHttpRequestAction(action, context, tenantId);
                 default:
+                    if (CRM_ACTIONS[action.type]) {
+                        const handler = this[CRM_ACTIONS[action.type]].bind(this);
+                        const depth = (requestContext.getStore()?.workflowDepth || 0) + 1;
+                        return await requestContext.run(
+                            { tenantId, workflowId: run.workflowId, workflowDepth: depth },
+                            () => handler(action, context, tenantId)
+                        );
+                    }
+
                     console.warn(`[Workflow] Unknown action type: ${action.type}`);
+                    return { skipped: `Unknown action type: ${action.type}` };
             }
         } catch (error) {
             console.error(`[Workflow] Action failed (${action.type}):`, error.message);
@@ -106,9 +718,12 @@ class WorkflowService {
         const subject = this.resolveField(action.subject, context);
         const body = this.resolveField(action.body, context);
 
-        if (to && subject && body) {
-            await notificationService.sendEmail(to, subject, body);
+        if (!to || !subject || !body) {
+            return { skipped: 'Recipient, subject or body resolved to empty', to, subject };
         }
+
+        const info = await notificationService.sendEmail(to, subject, body);
+        return { to, subject, messageId: info?.messageId || null };
     }
 
     async handleSmsAction(action, context, tenantId) {
@@ -116,9 +731,13 @@ class WorkflowService {
         const inputBody = action.message || action.body; // handle inconsistent naming
         const message = this.resolveField(inputBody, context);
 
-        if (to && message) {
-            await notificationService.sendSMS(to, message, tenantId);
+        if (!to || !message) {
+            return { skipped: 'Recipient or message resolved to empty', to, message };
         }
+
+        // Call Twilio directly so delivery errors fail the step instead of being swallowed
+        const sms = await twilioService.sendSms(tenantId, to, message);
+        return { to, message, sid: sms?.sid || null, status: sms?.status || null };
     }
 
     async handleSystemNotification(action, context) {
@@ -126,14 +745,278 @@ class WorkflowService {
         const title = this.resolveField(action.title, context);
         const message = this.resolveField(action.message, context);
 
-        if (userId) {
-            await notificationService.createNotification(
-                userId,
-                title || 'New Workflow Notification',
-                message || 'A workflow action occurred.',
-                'info'
+        if (!userId) {
+            return { skipped: 'No userId resolved' };
+        }
+
+        const notification = await notificationService.createNotification(
+            userId,
+            title || 'New Workflow Notification',
+            message || 'A workflow action occurred.',
+            'info'
+        );
+        return { userId, notificationId: notification?.id || null };
+    }
+
+    /**
+     * Call an external URL (outbound webhook).
+     * action: { id, method, url, headers, body, signingSecret, timeout, retries, backoffMs }
+     * The body is templated with resolveTemplate and, when signingSecret is set, signed with
+     * HMAC-SHA256 over "<timestamp>.<body>" in the X-ScriptishRx-Signature header.
+     * Network errors, timeouts, 429 and 5xx responses are retried with exponential backoff,
+     * within what is left of the job's HTTP_REQUEST_BUDGET_MS (httpDeadline in the request context).
+     * Private and internal addresses are refused, also when the host resolves to one only at
+     * connection time, and redirects are not followed (they could lead to one).
+     */
+    async handleHttpRequestAction(action, context, tenantId) {
+        const url = this.resolveField(action.url, context);
+        if (!url) {
+            return { skipped: 'URL resolved to empty' };
+        }
+
+        await assertPublicUrl(url);
+
+        // Clamped as well as validated, for workflows saved before the limits existed
+        const method = (action.method || 'POST').toUpperCase();
+        const retries = Math.min(Math.max(parseInt(action.retries ?? 2), 0), HTTP_REQUEST_LIMITS.retries);
+        const backoffMs = Math.min(action.backoffMs || 1000, HTTP_REQUEST_LIMITS.backoffMs);
+        const timeoutMs = Math.min(action.timeout || 10000, HTTP_REQUEST_LIMITS.timeout);
+        const deadline = requestContext.getStore()?.httpDeadline || Date.now() + HTTP_REQUEST_BUDGET_MS;
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Tenant-Id': tenantId,
+            ...this.resolveTemplate(action.headers || {}, context)
+        };
+
+        let body;
+        if (!['GET', 'HEAD'].includes(method) && action.body !== undefined) {
+            const resolvedBody = this.resolveTemplate(action.body, context);
+            body = typeof resolvedBody === 'string' ? resolvedBody : JSON.stringify(resolvedBody);
+        }
+
+        if (action.signingSecret) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const signature = crypto
+                .createHmac('sha256', action.signingSecret)
+                .update(`${timestamp}.${body || ''}`)
+                .digest('hex');
+            headers['X-ScriptishRx-Timestamp'] = timestamp;
+            headers['X-ScriptishRx-Signature'] = `sha256=${signature}`;
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            const remainingMs = deadline - Date.now();
+            if (remainingMs <= 0) {
+                throw new Error(`No time left for http_request: earlier requests used up the ${HTTP_REQUEST_BUDGET_MS / 60000} minute budget`);
+            }
+            const attemptTimeoutMs = Math.min(timeoutMs, remainingMs);
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), attemptTimeoutMs);
+
+            try {
+                const response = await fetch(url, {
+                    method, headers, body, signal: controller.signal, redirect: 'manual', dispatcher: publicAgent
+                });
+                clearTimeout(timeout);
+
+                const text = await response.text();
+                let parsed = text;
+                try {
+                    parsed = text ? JSON.parse(text) : null;
+                } catch (e) {
+                    // Not JSON, keep the raw text
+                }
+
+                if (response.ok) {
+                    return { method, url, status: response.status, attempts: attempt, response: parsed };
+                }
+
+                lastError = new Error(`HTTP ${response.status} from ${url}`);
+                const retryable = response.status === 429 || response.status >= 500;
+                if (!retryable) break;
+            } catch (error) {
+                clearTimeout(timeout);
+                // Resolved to a private address when connecting: not worth retrying
+                if (error.cause?.code === 'PRIVATE_ADDRESS') throw error.cause;
+                lastError = error.name === 'AbortError'
+                    ? new Error(`Request to ${url} timed out after ${attemptTimeoutMs}ms`)
+                    : error;
+            }
+
+            if (attempt <= retries) {
+                const delay = backoffMs * Math.pow(2, attempt - 1);
+                if (Date.now() + delay + timeoutMs > deadline) {
+                    console.warn(`[Workflow] http_request attempt ${attempt} failed (${lastError.message}), no time left to retry`);
+                    break;
+                }
+                console.warn(`[Workflow] http_request attempt ${attempt} failed (${lastError.message}), retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        throw lastError;
+    }
+
+    // --- CRM Action Handlers (run inside a tenant context, see CRM_ACTIONS) ---
+
+    async handleCreateClientAction(action, context, tenantId) {
+        const data = {
+            name: this.resolveField(action.name, context),
+            email: this.resolveField(action.email, context) || null,
+            phone: this.resolveField(action.phone, context) || null,
+            notes: this.resolveField(action.notes, context) || null
+        };
+
+        if (!data.name || (!data.email && !data.phone)) {
+            return { skipped: 'A name and an email or phone are required to create a client' };
+        }
+
+        // captureClient updates an existing client with the same email/phone instead of duplicating
+        const client = await clientService.captureClient(data, tenantId, action.source || 'WORKFLOW');
+        if (!client) {
+            throw new Error('Failed to create client');
+        }
+
+        return { clientId: client.id, client: { id: client.id, name: client.name, email: client.email, phone: client.phone } };
+    }
+
+    async handleUpdateClientNotesAction(action, context, tenantId) {
+        const clientId = this.resolveField(action.clientId || '{{client.id}}', context);
+        const notes = this.resolveField(action.notes, context);
+
+        if (!clientId || !notes) {
+            return { skipped: 'clientId or notes resolved to empty' };
+        }
+
+        await clientService.updateClientNotes(tenantId, clientId, notes, { append: action.mode !== 'replace' });
+        return { clientId, notes };
+    }
+
+    async handleTagClientAction(action, context, tenantId) {
+        const clientId = this.resolveField(action.clientId || '{{client.id}}', context);
+        const tags = (Array.isArray(action.tags) ? action.tags : [action.tags])
+            .map(tag => this.resolveField(tag, context))
+            .filter(Boolean);
+
+        if (!clientId || tags.length === 0) {
+            return { skipped: 'clientId or tags resolved to empty' };
+        }
+
+        const client = await clientService.addTags(tenantId, clientId, tags);
+        return { clientId, tags: client.tags };
+    }
+
+    async handleAssignToUserAction(action, context, tenantId) {
+        const clientId = this.resolveField(action.clientId || '{{client.id}}', context);
+        const userId = this.resolveField(action.userId, context);
+
+        if (!clientId || !userId) {
+            return { skipped: 'clientId or userId resolved to empty' };
+        }
+
+        const client = await clientService.assignClient(tenantId, clientId, userId);
+
+        await notificationService.createNotification(
+            userId,
+            'Client Assigned',
+            `${client.name} has been assigned to you by a workflow.`,
+            'info',
+            `/dashboard/clients?id=${client.id}`
+        );
+
+        return { clientId, assignedToId: userId };
+    }
+
+    async handleCreateBookingAction(action, context, tenantId) {
+        // Lazy require: bookingService requires this module
+        const bookingService = require('./bookingService');
+
+        const clientId = this.resolveField(action.clientId || '{{client.id}}', context);
+        const base = action.date ? this.resolveDate(action.date, context) : new Date();
+
+        if (!clientId || !base) {
+            return { skipped: 'clientId or date resolved to empty' };
+        }
+
+        const date = new Date(base.getTime() + this.durationToMs(action.offset || {}));
+        const booking = await bookingService.createBooking(tenantId, {
+            clientId,
+            date,
+            purpose: this.resolveField(action.purpose, context) || 'Follow-up',
+            status: action.status || 'Scheduled'
+        });
+
+        return { bookingId: booking.id, clientId, date: booking.date, status: booking.status };
+    }
+
+    async handleUpdateBookingStatusAction(action, context, tenantId) {
+        const bookingService = require('./bookingService');
+
+        const bookingId = this.resolveField(action.bookingId || '{{booking.id}}', context);
+        const status = this.resolveField(action.status, context);
+
+        if (!bookingId) {
+            return { skipped: 'bookingId resolved to empty' };
+        }
+        if (!StatusEnum.includes(status)) {
+            throw new Error(`Invalid booking status '${status}'. Expected one of: ${StatusEnum.join(', ')}`);
+        }
+
+        const booking = await bookingService.updateBooking(tenantId, bookingId, { status });
+        return { bookingId, status: booking.status };
+    }
+
+    async handleCreateMeetingMinuteAction(action, context, tenantId) {
+        const clientId = this.resolveField(action.clientId || '{{client.id}}', context);
+        const content = this.resolveField(action.content, context);
+
+        if (!clientId || !content) {
+            return { skipped: 'clientId or content resolved to empty' };
+        }
+
+        const client = await prisma.client.findFirst({ where: { id: clientId, tenantId } });
+        if (!client) throw new Error('NOT_FOUND: Client not found');
+
+        const minute = await prisma.meetingMinute.create({
+            data: { clientId, tenantId, content },
+            include: { client: true, tenant: true }
+        });
+
+        eventBus.emit('meeting_minute:created', {
+            tenantId,
+            minuteId: minute.id,
+            client: minute.client,
+            tenant: minute.tenant,
+            content: minute.content
+        });
+
+        return { minuteId: minute.id, clientId };
+    }
+
+    /**
+     * Resolve placeholders in every string of an object/array.
+     * A string that is exactly one placeholder keeps the raw value (numbers, objects).
+     */
+    resolveTemplate(value, context) {
+        if (typeof value === 'string') {
+            const single = value.match(/^\{\{([\w\.]+)\}\}$/);
+            if (single) {
+                const raw = this.getValue(single[1], context);
+                return raw === undefined ? null : raw;
+            }
+            return this.resolveField(value, context);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolveTemplate(item, context));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, this.resolveTemplate(item, context)])
             );
         }
+        return value;
     }
 
     /**
@@ -144,37 +1027,120 @@ class WorkflowService {
         if (typeof template !== 'string') return template;
 
         return template.replace(/\{\{([\w\.]+)\}\}/g, (match, key) => {
-            const keys = key.split('.');
-            let value = context;
-            for (const k of keys) {
-                value = value ? value[k] : null;
-            }
+            const value = this.getValue(key, context);
             return value !== null && value !== undefined ? value : '';
         });
     }
-}
 
-const eventBus = require('../lib/eventBus');
+    /**
+     * Look up a raw value by dotted path, e.g. 'booking.date' or '{{booking.date}}'
+     */
+    getValue(path, context) {
+        if (!path || typeof path !== 'string') return undefined;
+
+        const keys = path.replace(/^\{\{|\}\}$/g, '').split('.');
+        let value = context;
+        for (const k of keys) {
+            value = value ? value[k] : null;
+        }
+        return value;
+    }
+
+    /**
+     * Evaluate a condition node against the run context.
+     * Leaf:      { field: 'client.email', operator: 'exists' }
+     *            { field: 'booking.status', operator: 'equals', value: 'Scheduled' }
+     * Composite: { all: [...] }, { any: [...] }, { not: {...} }
+     */
+    evaluateCondition(condition, context) {
+        if (!condition) return true;
+
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(c => this.evaluateCondition(c, context));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(c => this.evaluateCondition(c, context));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, context);
+        }
+
+        const actual = this.getValue(condition.field, context);
+        const expected = this.resolveField(condition.value, context);
+        const isEmpty = actual === null || actual === undefined || actual === '';
+
+        switch (condition.operator || 'exists') {
+            case 'exists':
+                return !isEmpty;
+            case 'not_exists':
+                return isEmpty;
+            case 'equals':
+                return String(actual) === String(expected);
+            case 'not_equals':
+                return String(actual) !== String(expected);
+            case 'contains':
+                return !isEmpty && String(actual).toLowerCase().includes(String(expected).toLowerCase());
+            case 'in':
+                return Array.isArray(condition.value) && condition.value.map(String).includes(String(actual));
+            case 'gt':
+                return !isEmpty && this.toComparable(actual) > this.toComparable(expected);
+            case 'gte':
+                return !isEmpty && this.toComparable(actual) >= this.toComparable(expected);
+            case 'lt':
+                return !isEmpty && this.toComparable(actual) < this.toComparable(expected);
+            case 'lte':
+                return !isEmpty && this.toComparable(actual) <= this.toComparable(expected);
+            default:
+                throw new Error(`Unknown condition operator: ${condition.operator}`);
+        }
+    }
+
+    /**
+     * Numbers compare numerically, date strings compare chronologically
+     */
+    toComparable(value) {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+        if (value !== '' && !isNaN(Number(value))) return Number(value);
+
+        const time = Date.parse(value);
+        return isNaN(time) ? String(value) : time;
+    }
+
+    /**
+     * Resolve a date from a context path or template, e.g. '{{booking.date}}'
+     */
+    resolveDate(template, context) {
+        const raw = this.getValue(template, context) ?? this.resolveField(template, context);
+        if (!raw) return null;
+
+        const date = new Date(raw);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Convert { days, hours, minutes, seconds } into milliseconds (values may be negative)
+     */
+    durationToMs({ days = 0, hours = 0, minutes = 0, seconds = 0 } = {}) {
+        return (((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    }
+
+    /**
+     * Runs are persisted as JSON, so strip Dates/Decimals down to plain values
+     */
+    toJsonContext(context) {
+        return JSON.parse(JSON.stringify(context || {}));
+    }
+}
 
 // Listener for Async Workflow Triggers
 eventBus.on('workflow.triggered', async ({ tenantId, event, data }) => {
     await module.exports.trigger(event, tenantId, data);
 });
 
-// Also listen for domain events directly (e.g. 'booking.created') to auto-trigger workflows
-eventBus.on('booking.created', async ({ tenantId, bookingId }) => {
-    // We need to fetch context first? Or does trigger() handle it?
-    // The previous implementation passed full objects {client, tenant, etc.} to trigger.
-    // Here we only have IDs.
-    // Ideally, the Service emitting the event should pass the necessary data context.
-    // But since 'booking.created' event in BookingService only had IDs...
-    // We'll let the specific service logic handle the data fetching if needed, OR we expect 'booking.created' to carry data.
-    // In BookingService: eventBus.emit('booking.created', { bookingId: booking.id, tenantId });
-    // So we don't have the full context here.
-
-    // Strategy: We won't auto-trigger here if context is missing. usage:
-    // await workflowService.trigger('booking:created', ...) was called manually in BookingService.
-    // So for now, we leave this commented or we rely on explicit workflow.triggered event.
-});
+// Auto-trigger tenant workflows from domain events (canonical names and legacy aliases)
+for (const eventName of [...Object.keys(workflowEvents.EVENTS), ...Object.keys(workflowEvents.ALIASES)]) {
+    eventBus.on(eventName, (payload) => module.exports.enqueueDomainEvent(eventName, payload));
+}
 
 module.exports = new WorkflowService();
@@ -0,0 +1,43 @@
+jest.mock('../../lib/prisma', () => ({
+    tenant: { findUnique: jest.fn(async () => ({ id: 'tenant-1', name: 'Bright Smiles', timezone: 'America/New_York' })) },
+    user: { findFirst: jest.fn(async () => null) },
+    booking: {
+        findFirst: jest.fn(async ({ where }) => where.id === 'booking-1' ? {
+            id: 'booking-1',
+            tenantId: 'tenant-1',
+            date: new Date('2030-01-07T14:00:00Z'),
+            status: 'Scheduled',
+            client: { id: 'client-1', name: 'Ada Park', email: 'ada@example.com' }
+        } : null)
+    }
+}));
+jest.mock('../../services/notificationService', () => ({
+    queueEmail: jest.fn(async () => {}),
+    queueTemplatedEmail: jest.fn(async () => {})
+}));
+jest.mock('../../services/socketService', () => ({ sendToTenant: jest.fn() }));
+
+const notificationService = require('../../services/notificationService');
+const notificationSubscriber = require('../notificationSubscriber');
+
+describe('NotificationSubscriber', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    it('loads the booking from its id to send the confirmation', async () => {
+        await notificationSubscriber.handleBookingCreated({ tenantId: 'tenant-1', bookingId: 'booking-1' });
+
+        expect(notificationService.queueTemplatedEmail).toHaveBeenCalledWith('ada@example.com', 'BOOKING_CONFIRMATION', {
+            tenantName: 'Bright Smiles',
+            clientName: 'Ada Park',
+            date: expect.stringContaining('9:00'),
+            status: 'Scheduled'
+        });
+    });
+
+    it('skips bookings the emitter already confirmed, and unknown ones', async () => {
+        await notificationSubscriber.handleBookingCreated({ tenantId: 'tenant-1', bookingId: 'booking-1', clientNotified: true });
+        await notificationSubscriber.handleBookingCreated({ tenantId: 'tenant-1', bookingId: 'missing' });
+
+        expect(notificationService.queueTemplatedEmail).not.toHaveBeenCalled();
+    });
+});
@@ -1,7 +1,7 @@
 const eventBus = require('../lib/eventBus');
 const notificationService = require('../services/notificationService');
-const workflowService = require('../services/workflowService');
 const socketService = require('../services/socketService');
+const eventContextService = require('../services/eventContextService');
 const prisma = require('../lib/prisma');
 
 class NotificationSubscriber {
@@ -44,7 +44,7 @@ class NotificationSubscriber {
         const { client, tenant, content } = data;
         if (!client || !client.email) return;
 
-        await notificationService.sendTemplatedEmail(
+        await notificationService.queueTemplatedEmail(
             client.email,
             'MEETING_MINUTES',
             {
@@ -54,21 +54,25 @@ class NotificationSubscriber {
         );
     }
 
+    /**
+     * booking:created carries IDs ({ tenantId, bookingId }) like every workflow event, so the
+     * booking, client and tenant are loaded here. Emitters that already confirmed the booking
+     * to the client set clientNotified, so it isn't sent twice.
+     */
     async handleBookingCreated(data) {
-        const { tenantId, client, tenant, booking } = data;
-
-        // 1. Trigger User-Defined Workflows
-        await workflowService.trigger('booking:created', tenantId, data);
+        if (data.clientNotified) return;
+        const { client, tenant, booking } = await eventContextService.hydrate('booking:created', data);
 
-        // 2. Default Transactional Notifications
-        if (client && client.email) {
-            await notificationService.sendTemplatedEmail(
+        // Default Transactional Notifications
+        // (user-defined workflows subscribe to booking:created in workflowService)
+        if (booking && client && client.email) {
+            await notificationService.queueTemplatedEmail(
                 client.email,
                 'BOOKING_CONFIRMATION',
                 {
                     tenantName: tenant.name,
                     clientName: client.name,
-                    date: new Date(booking.date).toLocaleString(),
+                    date: booking.localDate,
                     status: booking.status
                 }
             );
@@ -78,7 +82,7 @@ class NotificationSubscriber {
     async handlePaymentSuccess(data) {
         const { user, amount, reference } = data;
 
-        await notificationService.sendEmail(
+        await notificationService.queueEmail(
             user.email,
             'Payment Receipt',
             `<p>Thank you for your payment of ${(amount / 100).toFixed(2)}.</p><p>Ref: ${reference}</p>`
@@ -126,7 +130,7 @@ class NotificationSubscriber {
                     'angry': '😡'
                 };
 
-                await notificationService.sendEmail(
+                await notificationService.queueEmail(
                     owner.email,
                     `🚨 Priority Lead Alert: ${client?.name || 'New Customer'}`,
                     `
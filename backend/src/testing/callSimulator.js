@@ -0,0 +1,171 @@
+const fs = require('fs');
+const http = require('http');
+const { randomUUID } = require('crypto');
+const WebSocket = require('ws');
+const voiceService = require('../services/voiceService');
+const voiceProviders = require('../services/voiceProviders');
+const { parseWav, resample, encodeMulaw } = require('../utils/audio');
+
+/**
+ * Call simulator: drives the voice agent the way Twilio does, without Twilio or OpenAI.
+ *
+ * Serves voiceService on a local /api/voice/stream WebSocket, connects as Twilio Media Streams
+ * (connected → start → media → stop) and plays WAV fixtures as the caller. The agent's speech
+ * backend is swapped for the given provider, usually a scripted FakeVoiceProvider, so tests can
+ * assert on the CallSession, Message and Booking rows a call leaves behind.
+ *
+ *   const provider = new FakeVoiceProvider({ turns: [{ user: 'Book me in', toolCalls: [...], reply: 'Done!' }] });
+ *   const call = new CallSimulator({ to: '+15550001111', from: '+15557654321', provider });
+ *   await call.start();
+ *   await call.say('src/testing/fixtures/caller-utterance.wav');
+ *   await call.waitFor(() => provider.received.toolResults.length === 1);
+ *   await call.hangup();
+ */
+
+const PHONE_SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of μ-law at 8 kHz
+const SILENCE_BYTE = 0xff;
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+class CallSimulator {
+    /**
+     * @param {Object} options
+     * @param {string} options.to - Number the caller dialled (selects the tenant)
+     * @param {string} [options.from] - Caller number
+     * @param {Object} options.provider - RealtimeVoiceProvider the agent talks through
+     * @param {Object} [options.customParameters] - Extra Twilio <Parameter>s (tenantId, afterHours, ...)
+     */
+    constructor({ to, from = '+15550100000', provider, customParameters = {} }) {
+        this.to = to;
+        this.from = from;
+        this.provider = provider;
+        this.customParameters = customParameters;
+        this.callSid = `CA${randomUUID().replace(/-/g, '')}`;
+        this.streamSid = `MZ${randomUUID().replace(/-/g, '')}`;
+
+        this.server = null;
+        this.wss = null;
+        this.socket = null; // Our end (Twilio)
+        this.serverSocket = null; // voiceService's end
+        this.originalCreateProvider = null;
+
+        this.agentAudioBytes = 0; // Non-silent audio the agent streamed to the caller
+        this.clears = 0; // Barge-in: agent asked Twilio to drop queued audio
+    }
+
+    async start() {
+        this.originalCreateProvider = voiceProviders.createVoiceProvider;
+        voiceProviders.createVoiceProvider = () => this.provider;
+
+        this.server = http.createServer();
+        this.wss = new WebSocket.Server({ server: this.server, path: '/api/voice/stream' });
+        this.wss.on('connection', (ws, req) => {
+            this.serverSocket = ws;
+            voiceService.handleConnection(ws, req);
+        });
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+        const { port } = this.server.address();
+        this.socket = new WebSocket(`ws://127.0.0.1:${port}/api/voice/stream?To=${encodeURIComponent(this.to)}`);
+        this.socket.on('message', data => this.onAgentMessage(JSON.parse(data.toString())));
+        await new Promise((resolve, reject) => {
+            this.socket.once('open', resolve);
+            this.socket.once('error', reject);
+        });
+
+        this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+        this.send({
+            event: 'start',
+            streamSid: this.streamSid,
+            start: {
+                streamSid: this.streamSid,
+                callSid: this.callSid,
+                tracks: ['inbound'],
+                mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: PHONE_SAMPLE_RATE, channels: 1 },
+                customParameters: { From: this.from, CallSid: this.callSid, ...this.customParameters }
+            }
+        });
+
+        await this.waitFor(() => this.provider.isOpen);
+        return this;
+    }
+
+    /**
+     * Play a WAV file (path or Buffer) as the caller, followed by enough silence to end the turn
+     */
+    async say(wav, { silenceMs = 800 } = {}) {
+        const { sampleRate, pcm } = parseWav(Buffer.isBuffer(wav) ? wav : fs.readFileSync(wav));
+        const speech = encodeMulaw(resample(pcm, sampleRate, PHONE_SAMPLE_RATE));
+        this.sendAudio(Buffer.concat([speech, Buffer.alloc(silenceMs * PHONE_SAMPLE_RATE / 1000, SILENCE_BYTE)]));
+        await flush();
+    }
+
+    /**
+     * Send raw μ-law audio as 20 ms media frames
+     */
+    sendAudio(mulaw) {
+        for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+            this.send({
+                event: 'media',
+                streamSid: this.streamSid,
+                media: { track: 'inbound', payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64') }
+            });
+        }
+    }
+
+    /**
+     * Caller hangs up: Twilio sends stop, then closes the stream
+     */
+    async hangup() {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid } });
+            await this.waitFor(() => !voiceService.sessions.has(this.serverSocket));
+            this.socket.close();
+        }
+        await this.stop();
+    }
+
+    async stop() {
+        if (this.originalCreateProvider) {
+            voiceProviders.createVoiceProvider = this.originalCreateProvider;
+            this.originalCreateProvider = null;
+        }
+        this.socket?.terminate();
+        this.wss?.clients.forEach(client => client.terminate());
+        await new Promise(resolve => (this.wss ? this.wss.close(resolve) : resolve()));
+        await new Promise(resolve => (this.server?.listening ? this.server.close(resolve) : resolve()));
+        this.wss = null;
+        this.server = null;
+        // Let fire-and-forget writes from closeSession settle
+        await flush();
+    }
+
+    /**
+     * Resolve once predicate() is truthy (it may be async); reject after timeout ms
+     */
+    async waitFor(predicate, { timeout = 3000, interval = 10 } = {}) {
+        const deadline = Date.now() + timeout;
+        for (;;) {
+            const value = await predicate();
+            if (value) return value;
+            if (Date.now() > deadline) throw new Error(`CallSimulator.waitFor timed out after ${timeout}ms`);
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+
+    send(frame) {
+        this.socket.send(JSON.stringify(frame));
+    }
+
+    onAgentMessage(message) {
+        if (message.event === 'media') {
+            const audio = Buffer.from(message.media.payload, 'base64');
+            if (audio.some(byte => byte !== SILENCE_BYTE)) this.agentAudioBytes += audio.length;
+        } else if (message.event === 'clear') {
+            this.clears++;
+        }
+    }
+}
+
+module.exports = { CallSimulator };
@@ -0,0 +1,288 @@
+const { randomUUID } = require('crypto');
+const { Prisma } = require('@prisma/client');
+
+/**
+ * In-memory stand-in for the Prisma client, for tests that run whole flows end to end
+ * (see callSimulator). Models, defaults, unique keys and relations come from the generated
+ * client's schema, so rows look like the real ones.
+ *
+ * Supported: create/createMany/findUnique/findFirst/findMany/count/update/updateMany/upsert/
+ * delete/deleteMany/$transaction ($executeRaw, e.g. advisory locks, is a no-op); where with equality, in/notIn/not, lt/lte/gt/gte,
+ * contains/startsWith/endsWith/equals (mode: 'insensitive'), has, Json path, OR/AND/NOT, compound unique
+ * keys and relation filters (is/some/none/every); increment/decrement/set/push updates;
+ * orderBy/skip/take; include of relations. select returns the whole row.
+ *
+ *   jest.mock('../../lib/prisma', () => require('../../testing/memoryPrisma').createMemoryPrisma());
+ */
+
+const MODELS = Object.fromEntries(Prisma.dmmf.datamodel.models.map(model => [model.name, model]));
+const delegateName = (modelName) => modelName[0].toLowerCase() + modelName.slice(1);
+
+const FILTER_KEYS = new Set(['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'contains', 'startsWith', 'endsWith', 'mode', 'has', 'path']);
+const UPDATE_KEYS = new Set(['increment', 'decrement', 'multiply', 'set', 'push']);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+const hasOnlyKeys = (value, keys) => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => keys.has(key));
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+const clone = (row) => (row ? structuredClone(row) : row);
+
+const prismaError = (code, message) => Object.assign(new Error(message), { code, name: 'PrismaClientKnownRequestError' });
+
+const jsonNull = (value) => (value === Prisma.DbNull || value === Prisma.JsonNull ? null : value);
+
+function defaultValue(field) {
+    if (!field.hasDefaultValue) return field.isList ? [] : null;
+    const value = field.default;
+    if (isPlainObject(value)) {
+        if (/^(uuid|cuid)/.test(value.name)) return randomUUID();
+        if (value.name === 'now') return new Date();
+        return null;
+    }
+    if (field.type === 'Json' && typeof value === 'string') return JSON.parse(value);
+    if (field.type === 'DateTime') return new Date(value);
+    return structuredClone(value);
+}
+
+function matchValue(value, condition) {
+    if (condition === undefined) return true;
+    // Json field path, e.g. { path: ['noShowAfter'], gte: 0 }
+    if (isPlainObject(condition) && Array.isArray(condition.path)) {
+        const { path, ...rest } = condition;
+        return matchValue(path.reduce((inner, key) => (inner == null ? undefined : inner[key]), value), rest);
+    }
+    if (condition === null) return value === null || value === undefined;
+    if (condition instanceof Date) return comparable(value) === condition.getTime();
+    if (!hasOnlyKeys(condition, FILTER_KEYS)) {
+        return isPlainObject(condition) ? JSON.stringify(value) === JSON.stringify(condition) : value === condition;
+    }
+
+    const insensitive = condition.mode === 'insensitive';
+    const normalize = (v) => (insensitive && typeof v === 'string' ? v.toLowerCase() : comparable(v));
+    const actual = normalize(value);
+
+    return Object.entries(condition).every(([op, expected]) => {
+        if (expected === undefined || op === 'mode') return true;
+        switch (op) {
+            case 'equals': return expected === null ? value == null : actual === normalize(expected);
+            case 'in': return expected.map(normalize).includes(actual);
+            case 'notIn': return !expected.map(normalize).includes(actual);
+            case 'not': return isPlainObject(expected) && !(expected instanceof Date)
+                ? !matchValue(value, { ...expected, mode: condition.mode })
+                : !matchValue(value, expected);
+            case 'lt': return value != null && actual < normalize(expected);
+            case 'lte': return value != null && actual <= normalize(expected);
+            case 'gt': return value != null && actual > normalize(expected);
+            case 'gte': return value != null && actual >= normalize(expected);
+            case 'contains': return typeof actual === 'string' && actual.includes(normalize(expected));
+            case 'startsWith': return typeof actual === 'string' && actual.startsWith(normalize(expected));
+            case 'endsWith': return typeof actual === 'string' && actual.endsWith(normalize(expected));
+            case 'has': return Array.isArray(value) && value.includes(expected);
+            default: return true;
+        }
+    });
+}
+
+function createMemoryPrisma(seed = {}) {
+    const tables = Object.fromEntries(Object.keys(MODELS).map(name => [name, []]));
+    const client = {};
+
+    const fieldOf = (modelName, fieldName) => MODELS[modelName].fields.find(field => field.name === fieldName);
+
+    // Rows on the other side of a relation field
+    function related(modelName, row, field) {
+        if (field.relationFromFields?.length) {
+            const [from] = field.relationFromFields;
+            const [to] = field.relationToFields;
+            return tables[field.type].filter(other => row[from] != null && other[to] === row[from]);
+        }
+        const back = MODELS[field.type].fields.find(other => other.relationName === field.relationName && other.relationFromFields?.length);
+        if (!back) return [];
+        return tables[field.type].filter(other => other[back.relationFromFields[0]] === row[back.relationToFields[0]]);
+    }
+
+    function matches(modelName, row, where = {}) {
+        return Object.entries(where).every(([key, condition]) => {
+            if (condition === undefined) return true;
+            if (key === 'OR') return condition.some(part => matches(modelName, row, part));
+            if (key === 'AND') return [].concat(condition).every(part => matches(modelName, row, part));
+            if (key === 'NOT') return ![].concat(condition).some(part => matches(modelName, row, part));
+
+            const field = fieldOf(modelName, key);
+            if (!field) {
+                // Compound unique key, e.g. tenantId_sessionId: { tenantId, sessionId }
+                return isPlainObject(condition) && matches(modelName, row, condition);
+            }
+            if (field.kind === 'object') {
+                const others = related(modelName, row, field);
+                if (condition === null) return others.length === 0;
+                if (field.isList) {
+                    if (condition.some) return others.some(other => matches(field.type, other, condition.some));
+                    if (condition.none) return !others.some(other => matches(field.type, other, condition.none));
+                    if (condition.every) return others.every(other => matches(field.type, other, condition.every));
+                    return true;
+                }
+                const filter = condition.is !== undefined ? condition.is : condition;
+                if (filter === null) return others.length === 0;
+                return others.some(other => matches(field.type, other, filter));
+            }
+            return matchValue(row[key], condition);
+        });
+    }
+
+    function withIncludes(modelName, row, include) {
+        if (!row) return null;
+        const result = clone(row);
+        for (const [key, option] of Object.entries(include || {})) {
+            const field = fieldOf(modelName, key);
+            if (!option || field?.kind !== 'object') continue;
+            const nested = isPlainObject(option) ? option.include : undefined;
+            const others = related(modelName, row, field).map(other => withIncludes(field.type, other, nested));
+            result[key] = field.isList ? others : others[0] || null;
+        }
+        return result;
+    }
+
+    function sortRows(rows, orderBy) {
+        const orders = [].concat(orderBy || []).flatMap(order => Object.entries(order))
+            .filter(([, direction]) => typeof direction === 'string');
+        return [...rows].sort((a, b) => {
+            for (const [key, direction] of orders) {
+                const left = comparable(a[key]);
+                const right = comparable(b[key]);
+                if (left === right) continue;
+                if (left == null) return 1;
+                if (right == null) return -1;
+                return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+            }
+            return 0;
+        });
+    }
+
+    function checkUnique(modelName, row) {
+        const model = MODELS[modelName];
+        const keys = [
+            ...model.fields.filter(field => field.isUnique || field.isId).map(field => [field.name]),
+            ...model.uniqueFields
+        ];
+        for (const key of keys) {
+            if (key.some(name => row[name] == null)) continue;
+            const clash = tables[modelName].some(other => other !== row && key.every(name => comparable(other[name]) === comparable(row[name])));
+            if (clash) throw prismaError('P2002', `Unique constraint failed on ${modelName}(${key.join(', ')})`);
+        }
+    }
+
+    function applyUpdate(modelName, row, data) {
+        for (const [key, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            const field = fieldOf(modelName, key);
+            if (field?.kind === 'object') continue; // Nested writes are not supported
+            if (field?.type !== 'Json' && hasOnlyKeys(value, UPDATE_KEYS)) {
+                if ('set' in value) row[key] = value.set;
+                if ('increment' in value) row[key] = (row[key] || 0) + value.increment;
+                if ('decrement' in value) row[key] = (row[key] || 0) - value.decrement;
+                if ('multiply' in value) row[key] = (row[key] || 0) * value.multiply;
+                if ('push' in value) row[key] = [...(row[key] || []), ...[].concat(value.push)];
+            } else {
+                row[key] = jsonNull(value);
+            }
+        }
+        const updatedAt = MODELS[modelName].fields.find(field => field.isUpdatedAt);
+        if (updatedAt) row[updatedAt.name] = new Date();
+    }
+
+    function insert(modelName, data) {
+        const row = {};
+        for (const field of MODELS[modelName].fields) {
+            if (field.kind === 'object') continue;
+            row[field.name] = data[field.name] !== undefined ? jsonNull(data[field.name]) : defaultValue(field);
+            if (field.isUpdatedAt && data[field.name] === undefined) row[field.name] = new Date();
+        }
+        checkUnique(modelName, row);
+        tables[modelName].push(row);
+        return row;
+    }
+
+    function delegate(modelName) {
+        const rows = () => tables[modelName];
+        const findRows = ({ where, orderBy, skip = 0, take } = {}) => {
+            const found = sortRows(rows().filter(row => matches(modelName, row, where)), orderBy);
+            return found.slice(skip, take === undefined ? undefined : skip + take);
+        };
+        const findOne = (args) => findRows({ ...args, take: 1 })[0] || null;
+        const findOrThrow = (where) => {
+            const row = findOne({ where });
+            if (!row) throw prismaError('P2025', `No ${modelName} found`);
+            return row;
+        };
+
+        return {
+            create: async ({ data, include }) => withIncludes(modelName, insert(modelName, data), include),
+            createMany: async ({ data, skipDuplicates }) => {
+                let count = 0;
+                for (const item of [].concat(data)) {
+                    try {
+                        insert(modelName, item);
+                        count++;
+                    } catch (err) {
+                        if (!skipDuplicates || err.code !== 'P2002') throw err;
+                    }
+                }
+                return { count };
+            },
+            findUnique: async ({ where, include }) => withIncludes(modelName, findOne({ where }), include),
+            findUniqueOrThrow: async ({ where, include }) => withIncludes(modelName, findOrThrow(where), include),
+            findFirst: async (args = {}) => withIncludes(modelName, findOne(args), args.include),
+            findFirstOrThrow: async (args = {}) => withIncludes(modelName, findOrThrow(args.where), args.include),
+            findMany: async (args = {}) => findRows(args).map(row => withIncludes(modelName, row, args.include)),
+            count: async (args = {}) => findRows({ where: args.where }).length,
+            update: async ({ where, data, include }) => {
+                const row = findOrThrow(where);
+                applyUpdate(modelName, row, data);
+                return withIncludes(modelName, row, include);
+            },
+            updateMany: async ({ where, data }) => {
+                const found = findRows({ where });
+                found.forEach(row => applyUpdate(modelName, row, data));
+                return { count: found.length };
+            },
+            upsert: async ({ where, create, update, include }) => {
+                const row = findOne({ where });
+                if (row) {
+                    applyUpdate(modelName, row, update);
+                    return withIncludes(modelName, row, include);
+                }
+                return withIncludes(modelName, insert(modelName, create), include);
+            },
+            delete: async ({ where }) => {
+                const row = findOrThrow(where);
+                tables[modelName].splice(tables[modelName].indexOf(row), 1);
+                return clone(row);
+            },
+            deleteMany: async ({ where } = {}) => {
+                const found = findRows({ where });
+                tables[modelName] = rows().filter(row => !found.includes(row));
+                return { count: found.length };
+            }
+        };
+    }
+
+    for (const modelName of Object.keys(MODELS)) {
+        client[delegateName(modelName)] = delegate(modelName);
+    }
+
+    client.$transaction = async (work) => (typeof work === 'function' ? work(client) : Promise.all(work));
+    client.$executeRaw = async () => 0;
+    client.$connect = async () => {};
+    client.$disconnect = async () => {};
+    // Raw rows per model, for assertions: prisma.$rows('Message')
+    client.$rows = (modelName) => tables[modelName].map(clone);
+    client.$reset = () => Object.keys(tables).forEach(name => { tables[name] = []; });
+    client.concurrent = client;
+
+    for (const [modelName, items] of Object.entries(seed)) {
+        for (const item of items) insert(modelName, item);
+    }
+    return client;
+}
+
+module.exports = { createMemoryPrisma };
@@ -0,0 +1,150 @@
+/**
+ * Audio helpers for phone calls: G.711 μ-law (what Twilio Media Streams carry, 8 kHz mono)
+ * to and from 16-bit PCM, resampling, and WAV wrapping/parsing for speech-to-text and test fixtures.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const decodeSample = (byte) => {
+    const u = ~byte & 0xff;
+    const exponent = (u >> 4) & 0x07;
+    const magnitude = ((((u & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    return u & 0x80 ? -magnitude : magnitude;
+};
+
+// Lookup table: every μ-law byte decoded once
+const MULAW_TO_PCM = Int16Array.from({ length: 256 }, (_, byte) => decodeSample(byte));
+
+const encodeSample = (sample) => {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+/**
+ * @param {Buffer} mulaw - μ-law bytes
+ * @returns {Int16Array} PCM samples
+ */
+function decodeMulaw(mulaw) {
+    const pcm = new Int16Array(mulaw.length);
+    for (let i = 0; i < mulaw.length; i++) pcm[i] = MULAW_TO_PCM[mulaw[i]];
+    return pcm;
+}
+
+/**
+ * @param {Int16Array} pcm - PCM samples
+ * @returns {Buffer} μ-law bytes
+ */
+function encodeMulaw(pcm) {
+    const mulaw = Buffer.alloc(pcm.length);
+    for (let i = 0; i < pcm.length; i++) mulaw[i] = encodeSample(pcm[i]);
+    return mulaw;
+}
+
+/**
+ * Linear-interpolation resample, e.g. 24 kHz text-to-speech output down to 8 kHz for the phone
+ */
+function resample(pcm, fromRate, toRate) {
+    if (fromRate === toRate) return pcm;
+
+    const ratio = fromRate / toRate;
+    const out = new Int16Array(Math.floor(pcm.length / ratio));
+    for (let i = 0; i < out.length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        const next = pcm[Math.min(index + 1, pcm.length - 1)];
+        out[i] = Math.round(pcm[index] + (next - pcm[index]) * (position - index));
+    }
+    return out;
+}
+
+/**
+ * Root-mean-square level between 0 (silence) and 1 (full scale)
+ */
+function level(pcm) {
+    if (pcm.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < pcm.length; i++) sum += pcm[i] * pcm[i];
+    return Math.sqrt(sum / pcm.length) / 32768;
+}
+
+/**
+ * Wrap mono 16-bit PCM in a WAV container
+ */
+function pcm16ToWav(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    const dataSize = pcm.length * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize, 40);
+
+    return Buffer.concat([header, Buffer.from(pcm.buffer, pcm.byteOffset, dataSize)]);
+}
+
+/**
+ * Read a mono WAV file (16-bit PCM or μ-law)
+ * @param {Buffer} wav
+ * @returns {{ sampleRate: number, pcm: Int16Array }}
+ */
+function parseWav(wav) {
+    if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    for (let offset = 12; offset + 8 <= wav.length;) {
+        const id = wav.toString('ascii', offset, offset + 4);
+        const size = wav.readUInt32LE(offset + 4);
+        const body = wav.subarray(offset + 8, offset + 8 + size);
+
+        if (id === 'fmt ') {
+            format = {
+                code: body.readUInt16LE(0),
+                channels: body.readUInt16LE(2),
+                sampleRate: body.readUInt32LE(4),
+                bitsPerSample: body.readUInt16LE(14)
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error('WAV data before fmt chunk');
+            if (format.channels !== 1) throw new Error('Only mono WAV files are supported');
+
+            if (format.code === 7 && format.bitsPerSample === 8) {
+                return { sampleRate: format.sampleRate, pcm: decodeMulaw(body) };
+            }
+            if (format.code === 1 && format.bitsPerSample === 16) {
+                const pcm = new Int16Array(Math.floor(body.length / 2));
+                for (let i = 0; i < pcm.length; i++) pcm[i] = body.readInt16LE(i * 2);
+                return { sampleRate: format.sampleRate, pcm };
+            }
+            throw new Error(`Unsupported WAV encoding (format ${format.code}, ${format.bitsPerSample} bits)`);
+        }
+        offset += 8 + size + (size % 2); // chunks are word-aligned
+    }
+    throw new Error('WAV file has no data chunk');
+}
+
+module.exports = {
+    decodeMulaw,
+    encodeMulaw,
+    resample,
+    level,
+    pcm16ToWav,
+    parseWav
+};
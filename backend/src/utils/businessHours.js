@@ -0,0 +1,129 @@
+/**
+ * Business hours helpers
+ * Hours are kept per weekday in the tenant's local time:
+ *   { mon: [{ start: '09:00', end: '17:00' }], sat: [{ start: '10:00', end: '14:00' }] }
+ * A missing or empty day is closed. No hours at all means always open.
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const toMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Weekday and minutes since midnight of a moment in a timezone
+ * @returns {{ day: string, minutes: number }}
+ */
+function getLocalTime(date = new Date(), timezone = 'UTC') {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || 'UTC',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+    } catch (error) {
+        // Unknown timezone names throw a RangeError
+        return getLocalTime(date, 'UTC');
+    }
+
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return {
+        day: part('weekday').slice(0, 3).toLowerCase(),
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+}
+
+/**
+ * Whether a moment falls inside the business hours
+ * A range whose end is before its start runs past midnight (e.g. 22:00 - 02:00).
+ */
+function isOpen(hours, timezone, date = new Date()) {
+    if (!hours || Object.keys(hours).length === 0) return true;
+
+    const { day, minutes } = getLocalTime(date, timezone);
+    const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+    const today = (hours[day] || []).some(({ start, end }) => {
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        return to > from ? minutes >= from && minutes < to : minutes >= from;
+    });
+    if (today) return true;
+
+    // Overnight range that started yesterday
+    return (hours[previousDay] || []).some(({ start, end }) => {
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        return to <= from && minutes < to;
+    });
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in a timezone
+ */
+function getLocalDate(date = new Date(), timezone = 'UTC') {
+    try {
+        // en-CA formats dates as YYYY-MM-DD
+        return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(date);
+    } catch (error) {
+        return getLocalDate(date, 'UTC');
+    }
+}
+
+// Minutes the timezone is ahead of UTC at a moment
+function getOffsetMinutes(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+    return Math.round((local - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * The moment a local date and time happens in a timezone
+ * Times skipped by a DST change resolve to the same wall time in the earlier offset.
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {number} minutes - Minutes since local midnight (may exceed 1440 for the next day)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(localDate, minutes, timezone = 'UTC') {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const wallTime = Date.UTC(year, month - 1, day, 0, minutes);
+    try {
+        const guess = getOffsetMinutes(new Date(wallTime), timezone);
+        const candidate = wallTime - guess * 60000;
+        // Around DST changes the offset at the real moment can differ from the guess
+        const actual = getOffsetMinutes(new Date(candidate), timezone);
+        if (actual === guess) return new Date(candidate);
+        const adjusted = wallTime - actual * 60000;
+        return new Date(getOffsetMinutes(new Date(adjusted), timezone) === actual ? adjusted : candidate);
+    } catch (error) {
+        return new Date(wallTime);
+    }
+}
+
+/**
+ * A moment as clients read it in messages, e.g. "Monday, January 7 at 9:00 AM"
+ */
+function formatLocalDateTime(date, timezone = 'UTC') {
+    const options = { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+    try {
+        return new Date(date).toLocaleString('en-US', { ...options, timeZone: timezone || 'UTC' });
+    } catch (error) {
+        return new Date(date).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+}
+
+module.exports = { DAYS, getLocalTime, getLocalDate, isOpen, toMinutes, zonedTimeToUtc, formatLocalDateTime };
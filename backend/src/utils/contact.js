@@ -0,0 +1,9 @@
+/**
+ * Phone numbers and emails as stored for matching (do-not-contact list, inbox threads, waitlist).
+ */
+
+// Keep only digits and a leading + so "+1 (555) 010-0100" and "+15550100100" match
+const normalizePhone = (phone) => (phone ? String(phone).replace(/[^\d+]/g, '') : null);
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+module.exports = { normalizePhone, normalizeEmail };
@@ -0,0 +1,10 @@
+/**
+ * Escape text (names, merge fields) for an HTML email body or attribute.
+ */
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = { escapeHtml };
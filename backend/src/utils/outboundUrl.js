@@ -0,0 +1,75 @@
+/**
+ * Guard for tenant-supplied URLs the server calls itself (workflow http_request steps),
+ * so a workflow can't reach the cloud metadata endpoint, localhost or the private network.
+ * assertPublicUrl checks a URL up front; publicAgent checks the address each connection
+ * actually uses, since a host can resolve differently by then (DNS rebinding).
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * @throws {Error} When the URL isn't http(s) or its host is (or resolves to) a private or internal address
+ */
+async function assertPublicUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new Error(`Invalid URL: ${value}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Only http and https URLs can be called, not ${url.protocol}`);
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [host]
+        : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+        throw new Error(`${url.hostname} is a private or internal address`);
+    }
+}
+
+/**
+ * dns.lookup for outbound connections that fails on private or internal addresses
+ * (error code PRIVATE_ADDRESS). Handles both the single-address and the `all` form.
+ */
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+            return callback(Object.assign(new Error(`${hostname} is a private or internal address`), { code: 'PRIVATE_ADDRESS' }));
+        }
+        callback(null, address, family);
+    });
+}
+
+// fetch dispatcher that only connects to public addresses (IP literals skip the lookup; assertPublicUrl covers those)
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+module.exports = { assertPublicUrl, isPrivateAddress, publicLookup, publicAgent };
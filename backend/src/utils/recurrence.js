@@ -0,0 +1,120 @@
+/**
+ * Recurrence rules for recurring bookings, an RRULE (RFC 5545) subset:
+ *   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, and COUNT=n or UNTIL=YYYYMMDD[THHMMSSZ]
+ * e.g. "FREQ=WEEKLY;INTERVAL=2;COUNT=10". A series must end, so COUNT or UNTIL is required.
+ * Occurrences repeat in the tenant's local time, so a 9 AM booking stays at 9 AM across DST.
+ */
+
+const { getLocalDate, getLocalTime, zonedTimeToUtc } = require('./businessHours');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_OCCURRENCES = 104;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 20300107T140000Z, the UTC form iCalendar and Google Calendar use
+const toICalDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * @param {string} rrule - With or without the "RRULE:" prefix
+ * @param {string} timezone - A date-only UNTIL runs to the end of that day here
+ * @returns {{ freq: string, interval: number, count: number|null, until: Date|null }}
+ * @throws {Error} With a message fit for a validation error
+ */
+function parseRRule(rrule, timezone = 'UTC') {
+    const parts = {};
+    for (const part of String(rrule || '').trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!value) throw new Error(`Invalid recurrence rule part "${part}"`);
+        parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL'].includes(key));
+    if (unsupported.length) throw new Error(`Unsupported recurrence rule part(s): ${unsupported.join(', ')}`);
+    if (!FREQUENCIES.includes(parts.FREQ)) throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+
+    const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) throw new Error('INTERVAL must be a whole number from 1 to 52');
+
+    if (parts.COUNT && parts.UNTIL) throw new Error('Use COUNT or UNTIL, not both');
+    if (!parts.COUNT && !parts.UNTIL) throw new Error('A recurring booking needs COUNT or UNTIL');
+
+    let count = null;
+    if (parts.COUNT) {
+        count = Number(parts.COUNT);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+            throw new Error(`COUNT must be a whole number from 1 to ${MAX_OCCURRENCES}`);
+        }
+    }
+
+    let until = null;
+    if (parts.UNTIL) {
+        const match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/);
+        if (!match) throw new Error('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+        const [, year, month, day, hours, minutes, seconds] = match;
+        until = hours
+            ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+            : new Date(zonedTimeToUtc(`${year}-${month}-${day}`, 24 * 60, timezone).getTime() - 1000);
+        if (Number.isNaN(until.getTime())) throw new Error('UNTIL is not a valid date');
+    }
+
+    return { freq: parts.FREQ, interval, count, until };
+}
+
+/**
+ * @param {object} rule - As returned by parseRRule
+ */
+function formatRRule({ freq, interval = 1, count, until }) {
+    return [
+        `FREQ=${freq}`,
+        interval > 1 ? `INTERVAL=${interval}` : null,
+        count ? `COUNT=${count}` : null,
+        until ? `UNTIL=${toICalDate(until)}` : null
+    ].filter(Boolean).join(';');
+}
+
+/**
+ * Occurrence start times of a rule, from the first one (DTSTART)
+ * Monthly rules skip months without that day (e.g. the 31st), as RFC 5545 does.
+ * @param {object} options - { limit: stop after this many (MAX_OCCURRENCES + 1 by default, to spot over-long rules) }
+ * @returns {Date[]}
+ */
+function expandOccurrences(start, rule, timezone = 'UTC', { limit = MAX_OCCURRENCES + 1 } = {}) {
+    const first = new Date(start);
+    const [year, month, day] = getLocalDate(first, timezone).split('-').map(Number);
+    const { minutes } = getLocalTime(first, timezone);
+    const max = Math.min(rule.count || Infinity, limit);
+
+    const occurrences = [];
+    for (let step = 0; occurrences.length < max && step < limit * 2; step++) {
+        let local;
+        if (rule.freq === 'MONTHLY') {
+            local = new Date(Date.UTC(year, month - 1 + step * rule.interval, day));
+            if (local.getUTCDate() !== day) continue;
+        } else {
+            const days = rule.freq === 'WEEKLY' ? 7 * rule.interval : rule.interval;
+            local = new Date(Date.UTC(year, month - 1, day) + step * days * DAY);
+        }
+
+        const occurrence = step === 0 ? first : zonedTimeToUtc(local.toISOString().slice(0, 10), minutes, timezone);
+        if (rule.until && occurrence > rule.until) break;
+        occurrences.push(occurrence);
+    }
+    return occurrences;
+}
+
+/**
+ * Move a moment by the same local days and time of day as `from` -> `to`, so moving a
+ * series across a DST change keeps every occurrence at the new local time
+ */
+function shiftLocal(date, from, to, timezone = 'UTC') {
+    // UTC midnight of the local calendar date, for counting days
+    const localDay = (moment) => Date.parse(getLocalDate(new Date(moment), timezone));
+    const localMinutes = (moment) => getLocalTime(new Date(moment), timezone).minutes;
+
+    const days = Math.round((localDay(to) - localDay(from)) / DAY);
+    const day = new Date(localDay(date) + days * DAY).toISOString().slice(0, 10);
+    return zonedTimeToUtc(day, localMinutes(date) + localMinutes(to) - localMinutes(from), timezone);
+}
+
+module.exports = { FREQUENCIES, MAX_OCCURRENCES, parseRRule, formatRRule, expandOccurrences, shiftLocal, toICalDate };
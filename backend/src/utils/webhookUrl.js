@@ -0,0 +1,21 @@
+/**
+ * Absolute URL on this backend, for links that leave the app (emails, Twilio callbacks).
+ * Needs a public APP_URL outside local dev.
+ */
+function appUrl(path, query = {}) {
+    const url = new URL(path, process.env.APP_URL || 'http://localhost:5000');
+    for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+    return url.toString();
+}
+
+/**
+ * Absolute URL for one of our Twilio webhooks (routes/twilio.js), for use in TwiML
+ * callbacks. Twilio needs a public URL, so APP_URL must be set outside local dev.
+ */
+function twilioWebhookUrl(path, query = {}) {
+    return appUrl(`/api/twilio${path}`, query);
+}
+
+module.exports = { appUrl, twilioWebhookUrl };